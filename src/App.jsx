@@ -1,151 +1,122 @@
-import { useState } from 'react';
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
 import './App.css';
 
 // Import pages and components
+import AppLayout from './components/AppLayout';
+import RequireAuth from './components/RequireAuth';
+import DashboardPage from './pages/DashboardPage';
 import IntegrationsPage from './pages/IntegrationsPage';
-import OrderForm from './components/OrderForm';
+import InventoryPage from './pages/InventoryPage';
+import LoyaltyPage from './pages/LoyaltyPage';
+import LoginPage from './pages/LoginPage';
+import OAuthCallbackPage from './pages/OAuthCallbackPage';
+import MenuPage from './pages/MenuPage';
+import OrdersPage from './pages/OrdersPage';
+import CustomersPage from './pages/CustomersPage';
+import KitchenPage from './pages/KitchenPage';
+import DispatchPage from './pages/DispatchPage';
+import SettingsPage from './pages/SettingsPage';
+import { ROUTE_ROLES } from './utils/permissions';
 
 /**
  * Main Application Component
- * 
+ *
  * This is the root component of the application that sets up:
  * - Routing with React Router
- * - Sidebar navigation
- * - Main content area with header and footer
- * - Responsive layout with collapsible sidebar
- * 
- * The application structure follows a standard layout with:
- * - Sidebar for navigation
- * - Header with user information
- * - Main content area for page components
- * - Footer with copyright information
- * 
+ * - The public login route
+ * - The signed-in layout (sidebar, header, footer) from AppLayout
+ * - Role-based guards on every page route
+ *
+ * Signed-out users are redirected to /login. Each page route is wrapped in
+ * RequireAuth with the roles listed for it in ROUTE_ROLES.
+ *
  * @component
  */
 function App() {
-  /**
-   * State to track sidebar visibility
-   * Used to toggle the sidebar open/closed on smaller screens
-   * 
-   * @type {[boolean, Function]}
-   */
-  const [sidebarOpen, setSidebarOpen] = useState(true);
-
-  /**
-   * Toggles the sidebar visibility
-   * Inverts the current sidebarOpen state
-   * 
-   * @function toggleSidebar
-   */
-  const toggleSidebar = () => {
-    setSidebarOpen(!sidebarOpen);
-  };
-
   return (
     <Router>
-      <div className="app-container">
-        {/* 
-         * Sidebar Navigation
-         * Contains app title and main navigation links
-         * Can be collapsed on smaller screens
-         */}
-        <div className={`sidebar ${sidebarOpen ? 'open' : 'closed'}`}>
-          <div className="sidebar-header">
-            <h2>Pizza Ops</h2>
-            <button className="sidebar-toggle" onClick={toggleSidebar}>
-              {sidebarOpen ? '←' : '→'}
-            </button>
-          </div>
-          <nav className="sidebar-nav">
-            <ul>
-              <li>
-                <Link to="/" className="nav-link">
-                  <span className="nav-icon">📊</span>
-                  <span className="nav-text">Dashboard</span>
-                </Link>
-              </li>
-              <li>
-                <Link to="/orders" className="nav-link">
-                  <span className="nav-icon">🍕</span>
-                  <span className="nav-text">Orders</span>
-                </Link>
-              </li>
-              <li>
-                <Link to="/integrations" className="nav-link">
-                  <span className="nav-icon">🔌</span>
-                  <span className="nav-text">Integrations</span>
-                </Link>
-              </li>
-              <li>
-                <Link to="/settings" className="nav-link">
-                  <span className="nav-icon">⚙️</span>
-                  <span className="nav-text">Settings</span>
-                </Link>
-              </li>
-            </ul>
-          </nav>
-        </div>
+      <Routes>
+        {/* Login Route - Public, rendered without the app layout */}
+        <Route path="/login" element={<LoginPage />} />
+
+        {/* OAuth Callback Route - Finishes an OAuth connect flow, often inside a popup, so no app layout */}
+        <Route
+          path="/oauth/callback"
+          element={<RequireAuth roles={ROUTE_ROLES['/oauth/callback']}><OAuthCallbackPage /></RequireAuth>}
+        />
+
+        {/* Signed-in routes share the app layout */}
+        <Route
+          element={
+            <RequireAuth>
+              <AppLayout />
+            </RequireAuth>
+          }
+        >
+          {/* Dashboard Home Route - Shows KPIs and sales charts */}
+          <Route
+            path="/"
+            element={<RequireAuth roles={ROUTE_ROLES['/']}><DashboardPage /></RequireAuth>}
+          />
+
+          {/* Orders Route - Shows the order list and the OrderForm component */}
+          <Route
+            path="/orders"
+            element={<RequireAuth roles={ROUTE_ROLES['/orders']}><OrdersPage /></RequireAuth>}
+          />
+
+          {/* Customers Route - Customer directory with order history and saved addresses */}
+          <Route
+            path="/customers"
+            element={<RequireAuth roles={ROUTE_ROLES['/customers']}><CustomersPage /></RequireAuth>}
+          />
+
+          {/* Kitchen Route - Kitchen display with live tickets per station */}
+          <Route
+            path="/kitchen"
+            element={<RequireAuth roles={ROUTE_ROLES['/kitchen']}><KitchenPage /></RequireAuth>}
+          />
+
+          {/* Dispatch Route - Delivery runs, driver assignment and driver stats */}
+          <Route
+            path="/dispatch"
+            element={<RequireAuth roles={ROUTE_ROLES['/dispatch']}><DispatchPage /></RequireAuth>}
+          />
+
+          {/* Menu Route - Menu catalog editor (items, sizes, crusts, toppings) */}
+          <Route
+            path="/menu"
+            element={<RequireAuth roles={ROUTE_ROLES['/menu']}><MenuPage /></RequireAuth>}
+          />
+
+          {/* Inventory Route - Shows stock levels and adjustments */}
+          <Route
+            path="/inventory"
+            element={<RequireAuth roles={ROUTE_ROLES['/inventory']}><InventoryPage /></RequireAuth>}
+          />
+
+          {/* Loyalty Route - Earn and burn rules and customer points ledgers */}
+          <Route
+            path="/loyalty"
+            element={<RequireAuth roles={ROUTE_ROLES['/loyalty']}><LoyaltyPage /></RequireAuth>}
+          />
 
-        {/* 
-         * Main Content Area
-         * Contains header, content, and footer
-         * Expands to fill available space when sidebar is collapsed
-         */}
-        <div className="main-content">
-          {/* 
-           * Application Header
-           * Contains toggle button for sidebar and user profile
-           */}
-          <header className="app-header">
-            <div className="header-left">
-              {!sidebarOpen && (
-                <button className="sidebar-toggle-header" onClick={toggleSidebar}>
-                  ☰
-                </button>
-              )}
-              <h1>Pizza Operations Dashboard</h1>
-            </div>
-            <div className="header-right">
-              <div className="user-profile">
-                <span className="user-name">Admin</span>
-                <div className="user-avatar">👤</div>
-              </div>
-            </div>
-          </header>
+          {/* Integrations Route - Shows the IntegrationsPage component */}
+          <Route
+            path="/integrations"
+            element={<RequireAuth roles={ROUTE_ROLES['/integrations']}><IntegrationsPage /></RequireAuth>}
+          />
 
-          {/* 
-           * Main Content Area
-           * Contains the current page component based on route
-           */}
-          <main className="content-area">
-            <Routes>
-              {/* Dashboard Home Route */}
-              <Route path="/" element={<div>Dashboard Home</div>} />
-              
-              {/* Orders Route - Shows the OrderForm component */}
-              <Route path="/orders" element={<OrderForm />} />
-              
-              {/* Integrations Route - Shows the IntegrationsPage component */}
-              <Route path="/integrations" element={<IntegrationsPage />} />
-              
-              {/* Settings Route - Placeholder for future implementation */}
-              <Route path="/settings" element={<div>Settings Page</div>} />
-              
-              {/* Catch-all route for 404 Not Found */}
-              <Route path="*" element={<div>Page Not Found</div>} />
-            </Routes>
-          </main>
+          {/* Settings Route - Store profile, tax rates, delivery rules and API base URL */}
+          <Route
+            path="/settings"
+            element={<RequireAuth roles={ROUTE_ROLES['/settings']}><SettingsPage /></RequireAuth>}
+          />
 
-          {/* 
-           * Application Footer
-           * Contains copyright information with current year
-           */}
-          <footer className="app-footer">
-            <p>&copy; {new Date().getFullYear()} Pizza Ops Dashboard</p>
-          </footer>
-        </div>
-      </div>
+          {/* Catch-all route for 404 Not Found */}
+          <Route path="*" element={<div>Page Not Found</div>} />
+        </Route>
+      </Routes>
     </Router>
   );
 }
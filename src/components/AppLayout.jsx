@@ -0,0 +1,177 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, Outlet } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import useSettings from '../hooks/useSettings';
+import settingsService from '../services/settingsService';
+import OutboxIndicator from './OutboxIndicator';
+import { canAccessRoute } from '../utils/permissions';
+
+/**
+ * Sidebar navigation entries
+ * Entries the signed-in user's role cannot open are hidden
+ *
+ * @constant {Array<Object>}
+ */
+const NAV_ITEMS = [
+  { path: '/', icon: '📊', label: 'Dashboard' },
+  { path: '/orders', icon: '🍕', label: 'Orders' },
+  { path: '/customers', icon: '👥', label: 'Customers' },
+  { path: '/kitchen', icon: '👨‍🍳', label: 'Kitchen' },
+  { path: '/dispatch', icon: '🚗', label: 'Dispatch' },
+  { path: '/menu', icon: '📋', label: 'Menu' },
+  { path: '/inventory', icon: '📦', label: 'Inventory' },
+  { path: '/loyalty', icon: '⭐', label: 'Loyalty' },
+  { path: '/integrations', icon: '🔌', label: 'Integrations' },
+  { path: '/settings', icon: '⚙️', label: 'Settings' }
+];
+
+/**
+ * Application Layout Component
+ *
+ * The shell shared by every signed-in page:
+ * - Sidebar with the store name and navigation, filtered by the user's role
+ * - Header with the order outbox, the signed-in user and a sign-out button
+ * - Main content area where the current route renders, below a warning
+ *   while the store settings (tax rates, coupons, delivery fees) can't load
+ * - Footer with copyright information
+ *
+ * @component
+ */
+const AppLayout = () => {
+  const { user, logout } = useAuth();
+  const { storeName } = useSettings();
+
+  /**
+   * State to track sidebar visibility
+   * Used to toggle the sidebar open/closed on smaller screens
+   *
+   * @type {[boolean, Function]}
+   */
+  const [sidebarOpen, setSidebarOpen] = useState(true);
+
+  /**
+   * Error message if the store settings fail to load
+   * Until they load, every screen prices orders with the defaults
+   *
+   * @type {[string|null, Function]}
+   */
+  const [settingsError, setSettingsError] = useState(null);
+
+  /**
+   * Loads the store settings shared by every terminal
+   *
+   * @async
+   * @function loadSettings
+   */
+  const loadSettings = useCallback(async () => {
+    try {
+      await settingsService.loadSettings();
+      setSettingsError(null);
+    } catch {
+      setSettingsError('Failed to load the store settings. Tax rates, coupons and delivery fees may be missing.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  /**
+   * Toggles the sidebar visibility
+   * Inverts the current sidebarOpen state
+   *
+   * @function toggleSidebar
+   */
+  const toggleSidebar = () => {
+    setSidebarOpen(!sidebarOpen);
+  };
+
+  return (
+    <div className="app-container">
+      {/*
+       * Sidebar Navigation
+       * Contains app title and main navigation links
+       * Can be collapsed on smaller screens
+       */}
+      <div className={`sidebar ${sidebarOpen ? 'open' : 'closed'}`}>
+        <div className="sidebar-header">
+          <h2>{storeName}</h2>
+          <button className="sidebar-toggle" onClick={toggleSidebar}>
+            {sidebarOpen ? '←' : '→'}
+          </button>
+        </div>
+        <nav className="sidebar-nav">
+          <ul>
+            {NAV_ITEMS.filter(item => canAccessRoute(user.role, item.path)).map(item => (
+              <li key={item.path}>
+                <Link to={item.path} className="nav-link">
+                  <span className="nav-icon">{item.icon}</span>
+                  <span className="nav-text">{item.label}</span>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </nav>
+      </div>
+
+      {/*
+       * Main Content Area
+       * Contains header, content, and footer
+       * Expands to fill available space when sidebar is collapsed
+       */}
+      <div className="main-content">
+        {/*
+         * Application Header
+         * Contains toggle button for sidebar, the offline order outbox and user profile
+         */}
+        <header className="app-header">
+          <div className="header-left">
+            {!sidebarOpen && (
+              <button className="sidebar-toggle-header" onClick={toggleSidebar}>
+                ☰
+              </button>
+            )}
+            <h1>Pizza Operations Dashboard</h1>
+          </div>
+          <div className="header-right">
+            <OutboxIndicator />
+            <div className="user-profile">
+              <span className="user-name">{user.name}</span>
+              <span className="user-role">{user.role}</span>
+              <div className="user-avatar">👤</div>
+              <button className="logout-button" onClick={logout}>
+                Sign Out
+              </button>
+            </div>
+          </div>
+        </header>
+
+        {/*
+         * Main Content Area
+         * Contains the current page component based on route
+         */}
+        <main className="content-area">
+          {settingsError && (
+            <div className="error-message" role="alert">
+              {settingsError}
+              <button onClick={loadSettings} className="retry-button">
+                Retry
+              </button>
+            </div>
+          )}
+          <Outlet />
+        </main>
+
+        {/*
+         * Application Footer
+         * Contains copyright information with current year
+         */}
+        <footer className="app-footer">
+          <p>&copy; {new Date().getFullYear()} Pizza Ops Dashboard</p>
+        </footer>
+      </div>
+    </div>
+  );
+};
+
+export default AppLayout;
@@ -0,0 +1,314 @@
+import { useState } from 'react';
+import { formatDateTime } from '../utils/formatters';
+import { getHealthStatus, getTokenState, summarizeHealth, HEALTH_LABELS } from '../utils/connectionHealth';
+import { formatDelay } from '../utils/retryPolicy';
+import { supportsOAuth } from '../utils/pkce';
+import useNow from '../hooks/useNow';
+import CredentialField from './CredentialField';
+import ConnectionSync from './ConnectionSync';
+import {
+  getInitialCredentials,
+  validateCredentials,
+  toCredentialPayload,
+  redactSecrets
+} from '../utils/credentialFields';
+import { ValidationError } from '../utils/validation';
+
+/**
+ * Connection Card Component
+ *
+ * Shows one integration connection with its status, health summary and
+ * health check history, and lets the operator test the connection,
+ * re-authenticate it with new credentials in place, or disconnect it.
+ *
+ * The card also holds the connection's data sync controls and history (see
+ * ConnectionSync).
+ *
+ * OAuth connections also show when their access token expires and whether
+ * the last refresh failed, and can be refreshed on demand. Re-authenticating
+ * an OAuth connection runs the provider's sign-in again instead of asking
+ * for credentials.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.connection - Connection from getConnections()
+ * @param {Object} [props.adapter] - The connection's adapter, for its credential fields
+ * @param {Array<Object>} [props.history=[]] - Health checks, newest first
+ * @param {Function} props.onTest - Tests the connection; resolves with the check result
+ * @param {Function} props.onReauthenticate - Saves new credentials; resolves when accepted
+ * @param {Function} [props.onAuthorize] - Starts the OAuth flow again for (adapter, connectionId)
+ * @param {Function} [props.onRefreshToken] - Refreshes the OAuth token; resolves when refreshed
+ * @param {Function} props.onDisconnect - Disconnects the connection
+ * @param {Function} [props.onSyncComplete] - Called when a sync run of the connection finishes
+ * @param {boolean} [props.disabled=false] - Disables the actions
+ */
+const ConnectionCard = ({
+  connection,
+  adapter,
+  history = [],
+  onTest,
+  onReauthenticate,
+  onAuthorize,
+  onRefreshToken,
+  onDisconnect,
+  onSyncComplete,
+  disabled = false
+}) => {
+  /**
+   * Component state
+   * - testing: A connection test is in flight
+   * - testResult: Result of the last test ({ ok, text })
+   * - reauthCredentials: Credential form values, or null when the form is closed
+   * - reauthFieldErrors: Validation errors by credential field name
+   * - reauthError/reauthSubmitting: Re-authentication form status
+   * - refreshing: A token refresh is in flight
+   */
+  const [testing, setTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null);
+  const [reauthCredentials, setReauthCredentials] = useState(null);
+  const [reauthFieldErrors, setReauthFieldErrors] = useState({});
+  const [reauthError, setReauthError] = useState(null);
+  const [reauthSubmitting, setReauthSubmitting] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Token countdowns only need minute precision
+  const now = useNow(60000);
+  const token = getTokenState(connection, now);
+  const usesOAuth = supportsOAuth(adapter);
+  const credentialFields = adapter?.requiredCredentials || [];
+
+  const status = getHealthStatus(connection, history);
+  const { uptimePercent, averageLatencyMs, lastError } = summarizeHealth(history);
+
+  /**
+   * Tests the connection and shows the result on the card
+   *
+   * @async
+   */
+  const handleTest = async () => {
+    try {
+      setTesting(true);
+      const result = await onTest(connection.id);
+      setTestResult(result.healthy
+        ? { ok: true, text: `Connection OK (${result.latencyMs} ms)` }
+        : { ok: false, text: `Connection failed: ${result.error || 'No response'}` });
+    } catch (err) {
+      setTestResult({ ok: false, text: `Test failed: ${err.response?.data?.message || err.message}` });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  /**
+   * Refreshes the OAuth access token and shows the result on the card
+   *
+   * @async
+   */
+  const handleRefreshToken = async () => {
+    try {
+      setRefreshing(true);
+      await onRefreshToken(connection.id);
+      setTestResult({ ok: true, text: 'Token refreshed' });
+    } catch (err) {
+      setTestResult({ ok: false, text: `Token refresh failed: ${err.response?.data?.message || err.message}` });
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  /**
+   * Opens the re-authentication form with fresh credential fields,
+   * or runs the provider's sign-in again for OAuth adapters
+   */
+  const openReauth = () => {
+    if (usesOAuth) {
+      setTestResult(null);
+      onAuthorize(adapter, connection.id);
+      return;
+    }
+
+    setReauthCredentials(getInitialCredentials(credentialFields));
+    setReauthFieldErrors({});
+    setReauthError(null);
+    setTestResult(null);
+  };
+
+  /**
+   * Validates and submits the new credentials
+   * Secret values are removed from any error message before it is shown
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleReauthSubmit = async (e) => {
+    e.preventDefault();
+    const errors = validateCredentials(credentialFields, reauthCredentials);
+    setReauthFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    try {
+      setReauthSubmitting(true);
+      setReauthError(null);
+      await onReauthenticate(connection.id, toCredentialPayload(credentialFields, reauthCredentials));
+      setReauthCredentials(null);
+      setTestResult({ ok: true, text: 'Credentials updated' });
+    } catch (err) {
+      if (err instanceof ValidationError) {
+        setReauthFieldErrors(err.errors);
+        return;
+      }
+      setReauthError(redactSecrets(
+        err.response?.data?.message || 'Failed to update credentials. Please check them and try again.',
+        credentialFields,
+        reauthCredentials
+      ));
+    } finally {
+      setReauthSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={`connection-card health-${status}`}>
+      <div className="connection-header">
+        <h3>{connection.name}</h3>
+        <span className={`connection-status ${connection.status}`}>
+          {connection.status}
+        </span>
+        <span className={`health-badge ${status}`}>{HEALTH_LABELS[status]}</span>
+      </div>
+      <div className="connection-details">
+        <p><strong>System:</strong> {connection.system}</p>
+        <p><strong>Connected:</strong> {formatDateTime(connection.connectedAt)}</p>
+        {connection.lastSync && (
+          <p><strong>Last Sync:</strong> {formatDateTime(connection.lastSync)}</p>
+        )}
+        {token && (
+          <p className={`token-state${token.expired || token.expiringSoon ? ' expiring' : ''}`}>
+            <strong>Token:</strong>{' '}
+            {token.expired ? 'expired' : `expires in ${formatDelay(Math.max(60, Math.floor(token.secondsLeft / 60) * 60))}`}
+            {connection.tokenRefreshedAt && ` · refreshed ${formatDateTime(connection.tokenRefreshedAt)}`}
+          </p>
+        )}
+        {token?.refreshFailed && (
+          <p className="health-error">
+            <strong>Token refresh failed:</strong> {connection.tokenRefreshError}
+          </p>
+        )}
+        {uptimePercent !== null && (
+          <p>
+            <strong>Health:</strong> {uptimePercent}% of last {history.length} checks passed
+            {averageLatencyMs !== null && ` · avg ${averageLatencyMs} ms`}
+          </p>
+        )}
+        {lastError && (
+          <p className="health-error">
+            <strong>Last error:</strong> {lastError.error || 'No response'} ({formatDateTime(lastError.checkedAt)})
+          </p>
+        )}
+      </div>
+
+      {history.length > 0 && (
+        <details className="health-history">
+          <summary>Health history</summary>
+          <table className="data-table">
+            <thead>
+              <tr>
+                <th>Checked</th>
+                <th>Result</th>
+                <th>Latency</th>
+                <th>Error</th>
+              </tr>
+            </thead>
+            <tbody>
+              {history.map((check, index) => (
+                <tr key={`${check.checkedAt}-${index}`}>
+                  <td>{formatDateTime(check.checkedAt)}</td>
+                  <td>
+                    <span className={`delivery-status ${check.healthy ? 'succeeded' : 'failed'}`}>
+                      {check.healthy ? 'OK' : 'Failed'}
+                    </span>
+                  </td>
+                  <td>{Number.isFinite(check.latencyMs) ? `${check.latencyMs} ms` : '—'}</td>
+                  <td>{check.error || '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+
+      <ConnectionSync connection={connection} adapter={adapter} onSyncComplete={onSyncComplete} />
+
+      {testResult && (
+        <div className={`replay-result ${testResult.ok ? 'success' : 'error'}`} role="status">
+          {testResult.text}
+        </div>
+      )}
+
+      {reauthCredentials && (
+        <form
+          onSubmit={handleReauthSubmit}
+          className="reauth-form"
+          aria-label={`Re-authenticate ${connection.name}`}
+          noValidate
+        >
+          {reauthError && <div className="error-message">{reauthError}</div>}
+          {credentialFields.map(field => (
+            <CredentialField
+              key={field.name}
+              field={field}
+              value={reauthCredentials[field.name]}
+              onChange={(name, value) => setReauthCredentials(prev => ({ ...prev, [name]: value }))}
+              error={reauthFieldErrors[field.name]}
+              idPrefix={`${connection.id}-`}
+              disabled={reauthSubmitting}
+            />
+          ))}
+          <div className="form-actions">
+            <button type="submit" disabled={reauthSubmitting}>
+              {reauthSubmitting ? 'Saving...' : 'Save Credentials'}
+            </button>
+            <button type="button" className="link-button" onClick={() => setReauthCredentials(null)} disabled={reauthSubmitting}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="connection-actions">
+        <button
+          className="secondary-button"
+          onClick={handleTest}
+          disabled={disabled || testing}
+        >
+          {testing ? 'Testing...' : 'Test Connection'}
+        </button>
+        {token && onRefreshToken && (
+          <button
+            className="secondary-button"
+            onClick={handleRefreshToken}
+            disabled={disabled || refreshing}
+          >
+            {refreshing ? 'Refreshing...' : 'Refresh Token'}
+          </button>
+        )}
+        <button
+          className="secondary-button"
+          onClick={openReauth}
+          disabled={disabled || Boolean(reauthCredentials)}
+        >
+          Re-authenticate
+        </button>
+        <button
+          className="disconnect-button"
+          onClick={() => onDisconnect(connection.id)}
+          disabled={disabled}
+        >
+          Disconnect
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConnectionCard;
@@ -0,0 +1,253 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import syncService from '../services/syncService';
+import SyncHistoryTimeline from './SyncHistoryTimeline';
+import SyncConflicts from './SyncConflicts';
+import { formatDateTime } from '../utils/formatters';
+import {
+  SYNC_RESOURCES,
+  SYNC_RESOURCE_LABELS,
+  SYNC_INTERVALS,
+  RUNNING_POLL_INTERVAL,
+  isSyncRunning
+} from '../utils/sync';
+
+/**
+ * Number of runs shown in the history
+ * @constant {number}
+ */
+const HISTORY_LIMIT = 20;
+
+/**
+ * Connection Sync Component
+ *
+ * Data sync controls for one connection: pick resources and sync them now,
+ * choose how often the connection syncs on its own, read the history of
+ * sync runs, and review conflicts between local and POS data. While a run is
+ * in progress the history reloads every few seconds.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.connection - Connection from getConnections()
+ * @param {Object} [props.adapter] - The connection's adapter; its `syncResources` limit the resources offered
+ * @param {Function} [props.onSyncComplete] - Called when a run this component was watching finishes
+ */
+const ConnectionSync = ({ connection, adapter, onSyncComplete }) => {
+  const resources = adapter?.syncResources || Object.values(SYNC_RESOURCES);
+
+  /**
+   * Component state
+   * - runs: Sync runs, newest first
+   * - schedule: Sync schedule ({ intervalMinutes, resources, nextRunAt })
+   * - conflicts: Unresolved conflicts
+   * - selectedResources: Resources ticked for "Sync Now"
+   * - busy: A sync start or schedule change is in flight
+   * - resolvingId: Conflict with a resolution in flight
+   * - message: Result of the last action ({ type: 'success'|'error', text })
+   */
+  const [runs, setRuns] = useState([]);
+  const [schedule, setSchedule] = useState(null);
+  const [conflicts, setConflicts] = useState([]);
+  const [selectedResources, setSelectedResources] = useState(resources);
+  const [busy, setBusy] = useState(false);
+  const [resolvingId, setResolvingId] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const running = isSyncRunning(runs);
+  const wasRunningRef = useRef(false);
+
+  /**
+   * Loads the sync history and conflicts
+   *
+   * @async
+   * @function fetchHistory
+   */
+  const fetchHistory = useCallback(async () => {
+    try {
+      const [runsData, conflictsData] = await Promise.all([
+        syncService.getSyncRuns(connection.id, { limit: HISTORY_LIMIT }),
+        syncService.getConflicts(connection.id)
+      ]);
+      setRuns(runsData);
+      setConflicts(conflictsData);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching sync history:', err);
+      setError('Failed to load sync history.');
+    }
+  }, [connection.id]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  useEffect(() => {
+    const fetchSchedule = async () => {
+      try {
+        setSchedule(await syncService.getSyncSchedule(connection.id));
+      } catch (err) {
+        console.error('Error fetching sync schedule:', err);
+      }
+    };
+
+    fetchSchedule();
+  }, [connection.id]);
+
+  /**
+   * Reload the history while a run is in progress, and report when it finishes
+   */
+  useEffect(() => {
+    if (wasRunningRef.current && !running) {
+      onSyncComplete?.(connection.id);
+    }
+    wasRunningRef.current = running;
+
+    if (!running) return undefined;
+    const timer = setInterval(fetchHistory, RUNNING_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }, [running, fetchHistory, onSyncComplete, connection.id]);
+
+  /**
+   * Ticks or unticks a resource for "Sync Now"
+   *
+   * @param {string} resource - One of SYNC_RESOURCES
+   */
+  const toggleResource = (resource) => {
+    setSelectedResources(prev => (prev.includes(resource)
+      ? prev.filter(item => item !== resource)
+      : resources.filter(item => item === resource || prev.includes(item))));
+  };
+
+  /**
+   * Starts a manual sync of the ticked resources
+   *
+   * @async
+   */
+  const handleSyncNow = async () => {
+    try {
+      setBusy(true);
+      setMessage(null);
+      const run = await syncService.startSync(connection.id, selectedResources);
+      setRuns(prev => [run, ...prev.filter(item => item.id !== run.id)]);
+    } catch (err) {
+      console.error('Sync start error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to start the sync.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Saves a new sync interval
+   *
+   * @async
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - Change event
+   */
+  const handleIntervalChange = async (e) => {
+    const intervalMinutes = Number(e.target.value);
+    try {
+      setBusy(true);
+      setMessage(null);
+      const saved = await syncService.updateSyncSchedule(connection.id, {
+        intervalMinutes,
+        resources: schedule?.resources || resources
+      });
+      setSchedule(saved);
+      setMessage({
+        type: 'success',
+        text: intervalMinutes ? 'Sync schedule saved' : 'Scheduled syncs turned off'
+      });
+    } catch (err) {
+      console.error('Sync schedule error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to save the sync schedule.' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Resolves a conflict and removes it from the list
+   *
+   * @async
+   * @param {Object} conflict - The conflict
+   * @param {string} keep - One of CONFLICT_RESOLUTIONS
+   */
+  const handleResolve = async (conflict, keep) => {
+    try {
+      setResolvingId(conflict.id);
+      setMessage(null);
+      await syncService.resolveConflict(connection.id, conflict.id, keep);
+      setConflicts(prev => prev.filter(item => item.id !== conflict.id));
+      setMessage({ type: 'success', text: `Resolved ${conflict.label || conflict.recordId}` });
+    } catch (err) {
+      console.error('Conflict resolution error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to resolve the conflict.' });
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  const intervalId = `${connection.id}-sync-interval`;
+
+  return (
+    <details className="connection-sync">
+      <summary>
+        Data sync
+        {running && <span className="sync-status running">Running</span>}
+        {conflicts.length > 0 && (
+          <span className="sync-status partial">
+            {conflicts.length === 1 ? '1 conflict' : `${conflicts.length} conflicts`}
+          </span>
+        )}
+      </summary>
+
+      {message && <div className={`${message.type}-message`}>{message.text}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <fieldset className="sync-resources" disabled={busy || running}>
+        <legend>Resources to sync</legend>
+        {resources.map(resource => (
+          <label key={resource}>
+            <input
+              type="checkbox"
+              checked={selectedResources.includes(resource)}
+              onChange={() => toggleResource(resource)}
+            />
+            {SYNC_RESOURCE_LABELS[resource] || resource}
+          </label>
+        ))}
+      </fieldset>
+
+      <div className="sync-controls">
+        <button
+          type="button"
+          className="secondary-button"
+          onClick={handleSyncNow}
+          disabled={busy || running || selectedResources.length === 0}
+        >
+          {running ? 'Syncing...' : 'Sync Now'}
+        </button>
+        <label htmlFor={intervalId}>Schedule:</label>
+        <select
+          id={intervalId}
+          value={schedule?.intervalMinutes ?? 0}
+          onChange={handleIntervalChange}
+          disabled={busy || !schedule}
+        >
+          {SYNC_INTERVALS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        {schedule?.intervalMinutes > 0 && schedule.nextRunAt && (
+          <span className="settings-hint">Next sync {formatDateTime(schedule.nextRunAt)}</span>
+        )}
+      </div>
+
+      <SyncConflicts conflicts={conflicts} onResolve={handleResolve} busyId={resolvingId} />
+
+      <SyncHistoryTimeline runs={runs} />
+    </details>
+  );
+};
+
+export default ConnectionSync;
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { getFieldType, getFieldOptions, CREDENTIAL_FIELD_TYPES } from '../utils/credentialFields';
+
+/**
+ * Credential Field Component
+ *
+ * Renders one adapter credential field with the control that matches its
+ * type (see utils/credentialFields): a masked input with a reveal toggle for
+ * secrets, a URL or number input, a select for enums, or a checkbox.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.field - Credential field from the adapter
+ * @param {string|boolean} props.value - Current value
+ * @param {Function} props.onChange - Called with (name, value)
+ * @param {string} [props.error] - Validation error to show under the field
+ * @param {string} [props.idPrefix=''] - Prefix for the input ID, to keep IDs unique on the page
+ * @param {boolean} [props.disabled=false] - Disables the control
+ */
+const CredentialField = ({ field, value, onChange, error, idPrefix = '', disabled = false }) => {
+  const [revealed, setRevealed] = useState(false);
+
+  const type = getFieldType(field);
+  const id = `${idPrefix}${field.name}`;
+  const helpId = `${id}-help`;
+  const errorId = `${id}-error`;
+  const describedBy = [field.description && helpId, error && errorId].filter(Boolean).join(' ') || undefined;
+
+  const commonProps = {
+    id,
+    name: field.name,
+    disabled,
+    required: field.required,
+    'aria-invalid': error ? true : undefined,
+    'aria-describedby': describedBy
+  };
+
+  /**
+   * Renders the input control for the field's type
+   *
+   * @returns {JSX.Element} The control
+   */
+  const renderControl = () => {
+    switch (type) {
+      case CREDENTIAL_FIELD_TYPES.ENUM:
+        return (
+          <select {...commonProps} value={value || ''} onChange={(e) => onChange(field.name, e.target.value)}>
+            <option value="">-- Select --</option>
+            {getFieldOptions(field).map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+      case CREDENTIAL_FIELD_TYPES.NUMBER:
+        return (
+          <input
+            {...commonProps}
+            type="number"
+            step="any"
+            min={field.min}
+            max={field.max}
+            value={value || ''}
+            onChange={(e) => onChange(field.name, e.target.value)}
+            placeholder={field.placeholder || ''}
+          />
+        );
+      case CREDENTIAL_FIELD_TYPES.SECRET:
+        return (
+          <div className="secret-input">
+            <input
+              {...commonProps}
+              type={revealed ? 'text' : 'password'}
+              value={value || ''}
+              onChange={(e) => onChange(field.name, e.target.value)}
+              placeholder={field.placeholder || ''}
+              autoComplete="off"
+              spellCheck={false}
+            />
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => setRevealed(prev => !prev)}
+              disabled={disabled}
+              aria-pressed={revealed}
+              aria-label={`${revealed ? 'Hide' : 'Show'} ${field.label}`}
+            >
+              {revealed ? 'Hide' : 'Show'}
+            </button>
+          </div>
+        );
+      default:
+        return (
+          <input
+            {...commonProps}
+            type={type === CREDENTIAL_FIELD_TYPES.URL ? 'url' : 'text'}
+            value={value || ''}
+            onChange={(e) => onChange(field.name, e.target.value)}
+            placeholder={field.placeholder || ''}
+          />
+        );
+    }
+  };
+
+  if (type === CREDENTIAL_FIELD_TYPES.BOOLEAN) {
+    return (
+      <div className="form-group checkbox-group">
+        <label htmlFor={id}>
+          <input
+            {...commonProps}
+            type="checkbox"
+            checked={Boolean(value)}
+            onChange={(e) => onChange(field.name, e.target.checked)}
+            required={false}
+          />
+          {field.label}
+        </label>
+        {field.description && <div id={helpId} className="field-description">{field.description}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="form-group">
+      <label htmlFor={id}>
+        {field.label}:{!field.required && <span className="optional-hint"> (optional)</span>}
+      </label>
+      {renderControl()}
+      {field.description && <div id={helpId} className="field-description">{field.description}</div>}
+      {error && <div id={errorId} className="field-error">{error}</div>}
+    </div>
+  );
+};
+
+export default CredentialField;
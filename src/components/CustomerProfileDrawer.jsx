@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import customerService from '../services/customerService';
+import { getStatusLabel } from '../utils/orderStatus';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import { formatPhone, summarizeCustomerOrders, getSavedAddresses } from '../utils/customers';
+import LoyaltyLedger from './LoyaltyLedger';
+
+/**
+ * Customer Profile Drawer Component
+ *
+ * Slide-in panel with a customer's contact details, lifetime value, saved
+ * delivery addresses, loyalty points ledger and order history. For a
+ * customer merged from duplicate records (see dedupeCustomers) the orders of
+ * every record are shown together.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.customer - Customer from the directory (with `mergedIds`)
+ * @param {Function} props.onClose - Called when the drawer is dismissed
+ */
+const CustomerProfileDrawer = ({ customer, onClose }) => {
+  /**
+   * Order history state
+   * - orders: Orders of every merged record, newest first
+   * - loading/error: Fetch status of the order history
+   */
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const customerIds = (customer.mergedIds || [customer.id]).join(',');
+
+  useEffect(() => {
+    let active = true;
+
+    /**
+     * Loads the orders of every record merged into this customer
+     *
+     * @async
+     */
+    const loadOrders = async () => {
+      try {
+        setLoading(true);
+        const lists = await Promise.all(customerIds.split(',').map(id => customerService.getCustomerOrders(id)));
+        if (!active) return;
+        setOrders(lists.flat().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)));
+        setError(null);
+      } catch (err) {
+        if (!active) return;
+        console.error('Error loading customer orders:', err);
+        setError('Failed to load order history.');
+      } finally {
+        if (active) setLoading(false);
+      }
+    };
+
+    loadOrders();
+    return () => {
+      active = false;
+    };
+  }, [customerIds]);
+
+  const summary = summarizeCustomerOrders(orders);
+  const addresses = getSavedAddresses(customer, orders);
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside
+        className="order-drawer"
+        role="dialog"
+        aria-label={`Customer ${customer.name}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="drawer-header">
+          <h2>{customer.name}</h2>
+          <button className="drawer-close" onClick={onClose} aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <div className="drawer-section">
+          {customer.phone && <p>{formatPhone(customer.phone)}</p>}
+          {customer.email && <p>{customer.email}</p>}
+          {customer.mergedIds?.length > 1 && (
+            <p className="settings-hint">Combined from {customer.mergedIds.length} records with the same phone or email.</p>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+
+        {loading ? (
+          <div className="loading-spinner">Loading order history...</div>
+        ) : (
+          <>
+            <div className="drawer-section customer-stats">
+              <p><strong>Orders:</strong> {summary.orderCount}</p>
+              <p><strong>Lifetime value:</strong> {formatCurrency(summary.lifetimeValue)}</p>
+              {summary.averageOrderValue !== null && (
+                <p><strong>Average order:</strong> {formatCurrency(summary.averageOrderValue)}</p>
+              )}
+              {summary.lastOrderAt && <p><strong>Last order:</strong> {formatDateTime(summary.lastOrderAt)}</p>}
+            </div>
+
+            <div className="drawer-section">
+              <h3>Saved Addresses</h3>
+              {addresses.length === 0 ? (
+                <p>No delivery addresses yet.</p>
+              ) : (
+                <ul className="drawer-items" aria-label="Saved addresses">
+                  {addresses.map(address => <li key={address}>{address}</li>)}
+                </ul>
+              )}
+            </div>
+
+            <div className="drawer-section">
+              <h3>Loyalty Points</h3>
+              <LoyaltyLedger customer={customer} />
+            </div>
+
+            <div className="drawer-section">
+              <h3>Order History</h3>
+              {orders.length === 0 ? (
+                <p>No orders yet.</p>
+              ) : (
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Order</th>
+                      <th>Placed</th>
+                      <th>Total</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {orders.map(order => (
+                      <tr key={order.id}>
+                        <td>{order.id}</td>
+                        <td>{formatDateTime(order.createdAt)}</td>
+                        <td>{formatCurrency(order.total)}</td>
+                        <td>
+                          <span className={`order-status-badge ${order.status}`}>
+                            {getStatusLabel(order.status)}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default CustomerProfileDrawer;
@@ -0,0 +1,192 @@
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import integrationService from '../services/integrationService';
+import JsonTreeView from './JsonTreeView';
+import { formatDateTime } from '../utils/formatters';
+
+/**
+ * Dead Letter Queue Component
+ *
+ * Lists webhook deliveries that failed on every retry. Operators can inspect
+ * the payload and the last response, re-drive a delivery once the receiving
+ * side is fixed (it gets a fresh set of retries), or discard it.
+ *
+ * @component
+ */
+const DeadLetterQueue = () => {
+  /**
+   * Component state
+   * - deadLetters: Failed deliveries waiting for an operator
+   * - inspectedId: Dead letter whose details are expanded
+   * - busyId: Dead letter with a re-drive or discard in flight
+   * - message: Result of the last action ({ type: 'success'|'error', text })
+   */
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [inspectedId, setInspectedId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  /**
+   * Fetches the dead-letter queue
+   *
+   * @async
+   * @function fetchDeadLetters
+   */
+  const fetchDeadLetters = useCallback(async () => {
+    try {
+      setLoading(true);
+      setDeadLetters(await integrationService.getDeadLetters());
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching dead letters:', err);
+      setError('Failed to load the dead-letter queue.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDeadLetters();
+  }, [fetchDeadLetters]);
+
+  /**
+   * Runs an action on a dead letter and removes it from the queue on success
+   *
+   * @async
+   * @param {Object} deadLetter - The dead letter
+   * @param {Function} action - Service call taking the dead letter ID
+   * @param {string} successText - Message shown on success
+   * @param {string} failureText - Message shown on failure
+   */
+  const runAction = async (deadLetter, action, successText, failureText) => {
+    try {
+      setBusyId(deadLetter.id);
+      await action(deadLetter.id);
+      setDeadLetters(prev => prev.filter(item => item.id !== deadLetter.id));
+      setMessage({ type: 'success', text: successText });
+    } catch (err) {
+      console.error('Dead letter action error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || failureText });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Re-drives a dead letter
+   *
+   * @param {Object} deadLetter - The dead letter
+   */
+  const handleRedrive = (deadLetter) => runAction(
+    deadLetter,
+    integrationService.redriveDeadLetter,
+    `Re-drove ${deadLetter.eventType || deadLetter.eventId} to ${deadLetter.webhookPath}`,
+    'Failed to re-drive the delivery.'
+  );
+
+  /**
+   * Discards a dead letter after confirmation
+   *
+   * @param {Object} deadLetter - The dead letter
+   */
+  const handleDiscard = (deadLetter) => {
+    if (!window.confirm(`Discard the failed delivery of ${deadLetter.eventId}? It will not be retried.`)) {
+      return;
+    }
+    runAction(
+      deadLetter,
+      integrationService.discardDeadLetter,
+      `Discarded ${deadLetter.eventId}`,
+      'Failed to discard the delivery.'
+    );
+  };
+
+  return (
+    <div className="dead-letter-queue">
+      <div className="webhook-header">
+        <h3>Dead-Letter Queue ({deadLetters.length})</h3>
+        <button type="button" className="secondary-button" onClick={fetchDeadLetters} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {message && <div className={`${message.type}-message`}>{message.text}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {deadLetters.length === 0 ? (
+        <p className="no-events-message">{loading ? 'Loading dead letters...' : 'No failed deliveries.'}</p>
+      ) : (
+        <table className="data-table dead-letter-table">
+          <thead>
+            <tr>
+              <th>Failed</th>
+              <th>Webhook</th>
+              <th>Event</th>
+              <th>Attempts</th>
+              <th>Last Error</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {deadLetters.map(deadLetter => (
+              <Fragment key={deadLetter.id}>
+                <tr>
+                  <td>{formatDateTime(deadLetter.failedAt)}</td>
+                  <td>{deadLetter.webhookPath}</td>
+                  <td>{deadLetter.eventType || deadLetter.eventId}</td>
+                  <td>{deadLetter.attempts}</td>
+                  <td>
+                    {deadLetter.lastStatusCode && <span className="delivery-status failed">{deadLetter.lastStatusCode}</span>}
+                    {' '}{deadLetter.lastError}
+                  </td>
+                  <td className="row-actions">
+                    <button
+                      type="button"
+                      className="link-button"
+                      aria-expanded={inspectedId === deadLetter.id}
+                      onClick={() => setInspectedId(prev => (prev === deadLetter.id ? null : deadLetter.id))}
+                    >
+                      Inspect
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRedrive(deadLetter)}
+                      disabled={busyId === deadLetter.id}
+                    >
+                      Re-drive
+                    </button>
+                    <button
+                      type="button"
+                      className="danger-button"
+                      onClick={() => handleDiscard(deadLetter)}
+                      disabled={busyId === deadLetter.id}
+                    >
+                      Discard
+                    </button>
+                  </td>
+                </tr>
+                {inspectedId === deadLetter.id && (
+                  <tr className="dead-letter-details">
+                    <td colSpan={6}>
+                      <h4>Payload</h4>
+                      <JsonTreeView data={deadLetter.payload} label={`Payload of ${deadLetter.eventId}`} expandDepth={2} />
+                      {deadLetter.lastResponseBody && (
+                        <>
+                          <h4>Last Response</h4>
+                          <pre className="delivery-response">{deadLetter.lastResponseBody}</pre>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                )}
+              </Fragment>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DeadLetterQueue;
@@ -0,0 +1,76 @@
+import { diffJson } from '../utils/jsonDiff';
+import { formatDateTime } from '../utils/formatters';
+
+/**
+ * Formats a value for a diff cell
+ *
+ * @param {*} value - Value on one side of the change
+ * @returns {string} JSON text, or an empty string when the key is missing
+ */
+const formatValue = (value) => (value === undefined ? '' : JSON.stringify(value));
+
+/**
+ * Event Diff View Component
+ *
+ * Compares the payloads of two webhook events side by side. Each row is one
+ * changed path with its value in both events; rows are colored by whether
+ * the key was added, removed or changed.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.left - The first event (usually the older one)
+ * @param {Object} props.right - The second event
+ * @param {Function} props.onClose - Called when the diff is closed
+ */
+const EventDiffView = ({ left, right, onClose }) => {
+  const changes = diffJson(left.payload, right.payload);
+
+  /**
+   * Renders the column heading for one event
+   *
+   * @param {Object} event - Webhook event
+   * @returns {JSX.Element} Heading content
+   */
+  const renderHeading = (event) => (
+    <>
+      {event.id || event.path}
+      <span className="event-diff-time">{formatDateTime(event.timestamp)}</span>
+    </>
+  );
+
+  return (
+    <section className="event-diff" aria-label="Payload diff">
+      <div className="event-diff-header">
+        <h3>Payload Diff</h3>
+        <button type="button" className="secondary-button" onClick={onClose}>
+          Close Diff
+        </button>
+      </div>
+
+      {changes.length === 0 ? (
+        <p className="no-events-message">The payloads are identical.</p>
+      ) : (
+        <table className="data-table event-diff-table">
+          <thead>
+            <tr>
+              <th>Path</th>
+              <th>{renderHeading(left)}</th>
+              <th>{renderHeading(right)}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(change => (
+              <tr key={change.path} className={`diff-${change.type}`}>
+                <td><code>{change.path || '(payload)'}</code></td>
+                <td><code>{formatValue(change.before)}</code></td>
+                <td><code>{formatValue(change.after)}</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default EventDiffView;
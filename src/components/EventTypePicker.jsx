@@ -0,0 +1,133 @@
+import { useState, useId } from 'react';
+import JsonTreeView from './JsonTreeView';
+import {
+  getWildcards,
+  getCoveringWildcard,
+  normalizeSubscriptions,
+  searchEventCatalog
+} from '../utils/eventCatalog';
+
+/**
+ * Event Type Picker Component
+ *
+ * Searchable checklist of the event types published by the adapters,
+ * grouped by adapter, with namespace wildcards such as 'order.*'. Each
+ * event shows its description and can show its example payload. Types
+ * covered by a selected wildcard are shown checked and cannot be toggled.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.catalog - Catalog from buildEventCatalog()
+ * @param {Array<string>} props.value - Selected types and wildcards (empty means all events)
+ * @param {Function} props.onChange - Called with the new selection
+ * @param {string} [props.label='Events'] - Accessible name of the picker
+ * @param {boolean} [props.disabled=false] - Disables every checkbox
+ */
+const EventTypePicker = ({ catalog, value, onChange, label = 'Events', disabled = false }) => {
+  const [search, setSearch] = useState('');
+  const id = useId();
+
+  /**
+   * Adds or removes a type or wildcard from the selection
+   *
+   * @param {string} pattern - Event type or wildcard
+   */
+  const toggle = (pattern) => {
+    onChange(value.includes(pattern)
+      ? value.filter(item => item !== pattern)
+      : normalizeSubscriptions([...value, pattern]));
+  };
+
+  const needle = search.trim().toLowerCase();
+  const wildcards = getWildcards(catalog).filter(wildcard => wildcard.includes(needle));
+  const groups = searchEventCatalog(catalog, search);
+
+  return (
+    <div className="event-type-picker" role="group" aria-label={label}>
+      <input
+        type="search"
+        aria-label={`Search ${label.toLowerCase()}`}
+        placeholder="Search events..."
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        disabled={disabled}
+      />
+
+      <div className="event-picker-selected">
+        {value.length === 0 ? (
+          <span className="settings-hint">No events selected: the webhook receives every event.</span>
+        ) : value.map(pattern => (
+          <span key={pattern} className="event-picker-chip">
+            <code>{pattern}</code>
+            <button
+              type="button"
+              className="link-button"
+              onClick={() => toggle(pattern)}
+              disabled={disabled}
+              aria-label={`Remove ${pattern}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+
+      {wildcards.length > 0 && (
+        <fieldset className="event-picker-group" disabled={disabled}>
+          <legend>Wildcards</legend>
+          {wildcards.map(wildcard => (
+            <label key={wildcard} className="event-picker-option">
+              <input
+                type="checkbox"
+                checked={value.includes(wildcard)}
+                onChange={() => toggle(wildcard)}
+              />
+              <code>{wildcard}</code>
+              <span className="event-picker-description">Every {wildcard.slice(0, -2)} event</span>
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      {groups.map(group => (
+        <fieldset key={group.id} className="event-picker-group" disabled={disabled}>
+          <legend>{group.name}</legend>
+          {group.events.map(event => {
+            const coveredBy = getCoveringWildcard(event.type, value);
+            const optionId = `${id}-${group.id}-${event.type}`;
+            return (
+              <div key={event.type} className="event-picker-option">
+                <input
+                  type="checkbox"
+                  id={optionId}
+                  checked={Boolean(coveredBy) || value.includes(event.type)}
+                  disabled={Boolean(coveredBy)}
+                  onChange={() => toggle(event.type)}
+                />
+                <label htmlFor={optionId}><code>{event.type}</code></label>
+                <span className="event-picker-description">
+                  {event.description}
+                  {coveredBy && ` (included in ${coveredBy})`}
+                </span>
+                {event.examplePayload && (
+                  <details className="event-picker-example">
+                    <summary>Example</summary>
+                    <JsonTreeView data={event.examplePayload} label={`Example ${event.type} payload`} expandDepth={2} />
+                  </details>
+                )}
+              </div>
+            );
+          })}
+        </fieldset>
+      ))}
+
+      {groups.length === 0 && wildcards.length === 0 && (
+        <p className="settings-hint">
+          {catalog.length === 0 ? 'The connected adapters publish no event types.' : 'No events match your search.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default EventTypePicker;
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+
+/**
+ * Reasons a cashier or manager can record with a quantity adjustment
+ * @constant {Array<Object>}
+ */
+const ADJUSTMENT_REASONS = [
+  { value: 'received', label: 'Delivery received' },
+  { value: 'used', label: 'Used in production' },
+  { value: 'waste', label: 'Waste / spoilage' },
+  { value: 'count', label: 'Stock count correction' },
+  { value: 'other', label: 'Other' }
+];
+
+/**
+ * Inventory Adjustment Form Component
+ *
+ * Records a signed quantity change for an item together with the reason.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.item - Item being adjusted
+ * @param {Function} props.onSubmit - Called with (adjustment, reason)
+ * @param {Function} props.onCancel - Called when the form is dismissed
+ * @param {boolean} [props.isSubmitting=false] - Disables the form while saving
+ */
+const InventoryAdjustmentForm = ({ item, onSubmit, onCancel, isSubmitting = false }) => {
+  const [adjustment, setAdjustment] = useState('');
+  const [reason, setReason] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState(null);
+
+  /**
+   * Validates the adjustment and submits it
+   * An 'other' reason requires a note describing the change
+   *
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(adjustment);
+
+    if (!amount) {
+      setError('Enter a non-zero adjustment');
+      return;
+    }
+
+    if (!reason || (reason === 'other' && !note.trim())) {
+      setError('Please record a reason for the adjustment');
+      return;
+    }
+
+    if (item.quantity + amount < 0) {
+      setError(`Only ${item.quantity} ${item.unit} in stock`);
+      return;
+    }
+
+    setError(null);
+    onSubmit(amount, note.trim() ? `${reason}: ${note.trim()}` : reason);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="inventory-adjustment-form form-section">
+      <h3>Adjust {item.name}</h3>
+      <p>Current quantity: {item.quantity} {item.unit}</p>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label htmlFor="adjustment-amount">Adjustment (+/-):</label>
+          <input
+            id="adjustment-amount"
+            type="number"
+            step="any"
+            value={adjustment}
+            onChange={(e) => setAdjustment(e.target.value)}
+            disabled={isSubmitting}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="adjustment-reason">Reason:</label>
+          <select
+            id="adjustment-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            disabled={isSubmitting}
+          >
+            <option value="">-- Select a reason --</option>
+            {ADJUSTMENT_REASONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="adjustment-note">Note:</label>
+          <input
+            id="adjustment-note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            disabled={isSubmitting}
+          />
+        </div>
+      </div>
+
+      <div className="form-actions">
+        <button type="button" className="secondary-button" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : 'Record Adjustment'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InventoryAdjustmentForm;
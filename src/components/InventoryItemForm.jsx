@@ -0,0 +1,128 @@
+import { useState } from 'react';
+
+/**
+ * Empty item used when creating a new inventory item
+ * @constant {Object}
+ */
+const EMPTY_ITEM = {
+  name: '',
+  category: '',
+  unit: '',
+  quantity: 0,
+  minLevel: 0,
+  reorderLevel: 0,
+  costPerUnit: 0,
+  supplier: ''
+};
+
+/**
+ * Inventory Item Form Component
+ *
+ * Form for creating or editing an inventory item. The starting quantity can
+ * only be set on creation; later changes go through quantity adjustments so
+ * every change is recorded with a reason.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} [props.item] - Item being edited; omit to create a new item
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the form is dismissed
+ * @param {boolean} [props.isSubmitting=false] - Disables the form while saving
+ */
+const InventoryItemForm = ({ item, onSubmit, onCancel, isSubmitting = false }) => {
+  const isEditing = Boolean(item);
+  const [values, setValues] = useState(() => ({ ...EMPTY_ITEM, ...item }));
+  const [error, setError] = useState(null);
+
+  /**
+   * Handles input changes, converting numeric fields to numbers
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type } = e.target;
+    setValues(prev => ({
+      ...prev,
+      [name]: type === 'number' ? parseFloat(value) || 0 : value
+    }));
+  };
+
+  /**
+   * Validates the thresholds and submits the form
+   *
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!values.name.trim()) {
+      setError('Item name is required');
+      return;
+    }
+
+    if (values.reorderLevel < values.minLevel) {
+      setError('Reorder level must be at or above the minimum level');
+      return;
+    }
+
+    setError(null);
+    const { quantity, ...fields } = values;
+    onSubmit(isEditing ? fields : { ...fields, quantity });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="inventory-item-form form-section">
+      <h3>{isEditing ? `Edit ${item.name}` : 'Add Inventory Item'}</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label htmlFor="inventory-name">Name:</label>
+          <input id="inventory-name" name="name" value={values.name} onChange={handleChange} disabled={isSubmitting} required />
+        </div>
+        <div className="form-group">
+          <label htmlFor="inventory-category">Category:</label>
+          <input id="inventory-category" name="category" value={values.category} onChange={handleChange} disabled={isSubmitting} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="inventory-unit">Unit:</label>
+          <input id="inventory-unit" name="unit" value={values.unit} onChange={handleChange} placeholder="lbs" disabled={isSubmitting} />
+        </div>
+        {!isEditing && (
+          <div className="form-group">
+            <label htmlFor="inventory-quantity">Starting Quantity:</label>
+            <input id="inventory-quantity" name="quantity" type="number" min="0" step="any" value={values.quantity} onChange={handleChange} disabled={isSubmitting} />
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="inventory-min-level">Minimum Level:</label>
+          <input id="inventory-min-level" name="minLevel" type="number" min="0" step="any" value={values.minLevel} onChange={handleChange} disabled={isSubmitting} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="inventory-reorder-level">Reorder Level:</label>
+          <input id="inventory-reorder-level" name="reorderLevel" type="number" min="0" step="any" value={values.reorderLevel} onChange={handleChange} disabled={isSubmitting} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="inventory-cost">Cost per Unit:</label>
+          <input id="inventory-cost" name="costPerUnit" type="number" min="0" step="0.01" value={values.costPerUnit} onChange={handleChange} disabled={isSubmitting} />
+        </div>
+        <div className="form-group">
+          <label htmlFor="inventory-supplier">Supplier:</label>
+          <input id="inventory-supplier" name="supplier" value={values.supplier} onChange={handleChange} disabled={isSubmitting} />
+        </div>
+      </div>
+
+      <div className="form-actions">
+        <button type="button" className="secondary-button" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : 'Save Item'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default InventoryItemForm;
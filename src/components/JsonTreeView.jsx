@@ -0,0 +1,105 @@
+import { useState } from 'react';
+
+/**
+ * Returns a short summary of a collapsed object or array
+ *
+ * @param {Object|Array} value - The collapsed value
+ * @returns {string} e.g. '[3 items]' or '{2 keys}'
+ */
+const summarize = (value) => {
+  const count = Object.keys(value).length;
+  return Array.isArray(value)
+    ? `[${count} item${count === 1 ? '' : 's'}]`
+    : `{${count} key${count === 1 ? '' : 's'}}`;
+};
+
+/**
+ * Renders a primitive JSON value with a class for its type
+ *
+ * @param {Object} props - Component props
+ * @param {*} props.value - String, number, boolean or null
+ */
+const JsonValue = ({ value }) => {
+  const type = value === null ? 'null' : typeof value;
+  return (
+    <span className={`json-value json-${type}`}>
+      {type === 'string' ? `"${value}"` : String(value)}
+    </span>
+  );
+};
+
+/**
+ * One node of the tree: a key and its value, expandable when the value is
+ * an object or array
+ *
+ * @param {Object} props - Component props
+ * @param {string|number|null} props.name - Key or array index (null for the root)
+ * @param {*} props.value - Value of the node
+ * @param {number} props.depth - Depth of the node (root is 0)
+ * @param {number} props.expandDepth - Nodes shallower than this start expanded
+ */
+const JsonNode = ({ name, value, depth, expandDepth }) => {
+  const [expanded, setExpanded] = useState(depth < expandDepth);
+  const label = name === null ? null : <span className="json-key">{name}: </span>;
+
+  if (value === null || typeof value !== 'object') {
+    return (
+      <li className="json-node">
+        {label}
+        <JsonValue value={value} />
+      </li>
+    );
+  }
+
+  const entries = Object.entries(value);
+
+  return (
+    <li className="json-node">
+      <button
+        type="button"
+        className="json-toggle"
+        aria-expanded={expanded}
+        onClick={() => setExpanded(prev => !prev)}
+      >
+        {expanded ? '▾' : '▸'}
+      </button>
+      {label}
+      {expanded ? (
+        entries.length === 0 ? (
+          <span className="json-summary">{Array.isArray(value) ? '[]' : '{}'}</span>
+        ) : (
+          <ul className="json-children">
+            {entries.map(([key, child]) => (
+              <JsonNode key={key} name={key} value={child} depth={depth + 1} expandDepth={expandDepth} />
+            ))}
+          </ul>
+        )
+      ) : (
+        <span className="json-summary">{summarize(value)}</span>
+      )}
+    </li>
+  );
+};
+
+/**
+ * JSON Tree View Component
+ *
+ * Shows a JSON value as a collapsible tree. Objects and arrays can be
+ * expanded and collapsed one level at a time; collapsed nodes show how many
+ * keys or items they hold.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {*} props.data - The JSON value to show
+ * @param {number} [props.expandDepth=1] - Levels expanded initially
+ * @param {string} [props.label='JSON'] - Accessible name of the tree
+ * @example
+ * <JsonTreeView data={event.payload} label="Payload" />
+ */
+const JsonTreeView = ({ data, expandDepth = 1, label = 'JSON' }) => (
+  <ul className="json-tree" aria-label={label}>
+    <JsonNode name={null} value={data} depth={0} expandDepth={expandDepth} />
+  </ul>
+);
+
+export default JsonTreeView;
@@ -0,0 +1,53 @@
+import { getStationForStatus, getTicketUrgency, formatElapsed } from '../utils/kitchen';
+
+/**
+ * Kitchen Ticket Component
+ *
+ * A single order on the kitchen display: order number, pickup or delivery,
+ * a live elapsed-time timer, the items to make and the bump action for the
+ * station the order is at. The ticket is colored by urgency (on time,
+ * warning, late).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.order - The order on the ticket
+ * @param {number} props.now - Current time in milliseconds
+ * @param {Object} props.timing - Warning and late thresholds in minutes
+ * @param {Function} props.onBump - Called with the order when the bump button is pressed
+ * @param {boolean} [props.isUpdating=false] - Disables the bump button while a bump is in flight
+ */
+const KitchenTicket = ({ order, now, timing, onBump, isUpdating = false }) => {
+  const station = getStationForStatus(order.status);
+  const elapsed = now - new Date(order.createdAt).getTime();
+  const urgency = getTicketUrgency(elapsed, timing);
+
+  return (
+    <article className={`kitchen-ticket ${urgency}`} aria-label={`Ticket ${order.id}`}>
+      <header className="kitchen-ticket-header">
+        <span className="kitchen-ticket-id">#{order.id}</span>
+        <span className="kitchen-ticket-type">{order.deliveryAddress ? 'Delivery' : 'Pickup'}</span>
+        <span className="kitchen-ticket-timer" role="timer">{formatElapsed(elapsed)}</span>
+      </header>
+
+      <div className="kitchen-ticket-customer">{order.customerName}</div>
+
+      <ul className="kitchen-ticket-items">
+        {order.items.map((item, index) => (
+          <li key={index}>
+            <span className="kitchen-ticket-qty">{item.quantity}×</span> {item.name}
+          </li>
+        ))}
+      </ul>
+
+      {order.notes && <p className="kitchen-ticket-notes">{order.notes}</p>}
+
+      {station && (
+        <button className="kitchen-bump-button" onClick={() => onBump(order)} disabled={isUpdating}>
+          {station.bumpLabel}
+        </button>
+      )}
+    </article>
+  );
+};
+
+export default KitchenTicket;
@@ -0,0 +1,34 @@
+/**
+ * KPI Card Component
+ *
+ * Displays a single key performance indicator on the dashboard with its
+ * current value and the percentage change versus the previous period.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.title - KPI label (e.g., 'Total Sales')
+ * @param {string} props.value - Pre-formatted KPI value
+ * @param {number} [props.change] - Percentage change versus the previous period
+ * @param {string} [props.icon] - Emoji icon displayed next to the title
+ */
+const KpiCard = ({ title, value, change, icon }) => {
+  const hasChange = typeof change === 'number' && !Number.isNaN(change);
+  const isPositive = hasChange && change >= 0;
+
+  return (
+    <div className="kpi-card">
+      <div className="kpi-header">
+        <span className="kpi-title">{title}</span>
+        {icon && <span className="kpi-icon">{icon}</span>}
+      </div>
+      <div className="kpi-value">{value}</div>
+      {hasChange && (
+        <div className={`kpi-change ${isPositive ? 'positive' : 'negative'}`}>
+          {isPositive ? '▲' : '▼'} {Math.abs(change).toFixed(1)}%
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KpiCard;
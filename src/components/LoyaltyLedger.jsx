@@ -0,0 +1,163 @@
+import { useState, useEffect, useCallback } from 'react';
+import loyaltyService from '../services/loyaltyService';
+import { formatDateTime } from '../utils/formatters';
+import { getLedgerBalance, LEDGER_ENTRY_TYPES, LEDGER_ENTRY_LABELS } from '../utils/loyalty';
+
+/**
+ * Loyalty Ledger Component
+ *
+ * A customer's points balance and the ledger it adds up from: points earned
+ * on orders, rewards redeemed and manual adjustments. Managers can add an
+ * adjustment, e.g. to carry over the stamps on a paper punch card.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.customer - Customer ({ id, name })
+ * @param {boolean} [props.allowAdjust=false] - Shows the manual adjustment form
+ */
+const LoyaltyLedger = ({ customer, allowAdjust = false }) => {
+  /**
+   * Ledger state
+   * - entries: Ledger entries, newest first
+   * - loading/error: Fetch status of the ledger
+   * - adjustment: Manual adjustment form values ({ points, note })
+   * - adjustError/adjusting: Adjustment form status
+   */
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [adjustment, setAdjustment] = useState({ points: '', note: '' });
+  const [adjustError, setAdjustError] = useState(null);
+  const [adjusting, setAdjusting] = useState(false);
+
+  /**
+   * Fetches the customer's ledger
+   *
+   * @async
+   */
+  const fetchLedger = useCallback(async () => {
+    try {
+      setLoading(true);
+      setEntries(await loyaltyService.getLedger(customer.id));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching points ledger:', err);
+      setError('Failed to load the points ledger.');
+    } finally {
+      setLoading(false);
+    }
+  }, [customer.id]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  /**
+   * Records a manual adjustment
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleAdjust = async (e) => {
+    e.preventDefault();
+    const points = Number(adjustment.points);
+    if (!Number.isInteger(points) || points === 0) {
+      setAdjustError('Enter a whole number of points, negative to remove points');
+      return;
+    }
+    if (!adjustment.note.trim()) {
+      setAdjustError('Add a note explaining the adjustment');
+      return;
+    }
+    if (getLedgerBalance(entries) + points < 0) {
+      setAdjustError('The balance cannot go below zero');
+      return;
+    }
+
+    try {
+      setAdjusting(true);
+      setAdjustError(null);
+      await loyaltyService.addLedgerEntry(customer.id, {
+        type: LEDGER_ENTRY_TYPES.ADJUST,
+        points,
+        note: adjustment.note.trim()
+      });
+      setAdjustment({ points: '', note: '' });
+      await fetchLedger();
+    } catch (err) {
+      setAdjustError(err.response?.data?.message || 'Failed to adjust points. Please try again.');
+    } finally {
+      setAdjusting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="loading-spinner">Loading points...</div>;
+  }
+
+  return (
+    <div className="loyalty-ledger">
+      {error && <div className="error-message">{error}</div>}
+      <p className="loyalty-balance"><strong>Points balance:</strong> {getLedgerBalance(entries)}</p>
+
+      {entries.length === 0 ? (
+        <p>No points activity yet.</p>
+      ) : (
+        <table className="data-table" aria-label={`Points ledger of ${customer.name}`}>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Activity</th>
+              <th>Points</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td>{formatDateTime(entry.createdAt)}</td>
+                <td>{LEDGER_ENTRY_LABELS[entry.type] || entry.type}</td>
+                <td className={entry.points < 0 ? 'points-negative' : 'points-positive'}>
+                  {entry.points > 0 ? `+${entry.points}` : entry.points}
+                </td>
+                <td>{[entry.orderId && `Order ${entry.orderId}`, entry.note].filter(Boolean).join(' · ') || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {allowAdjust && (
+        <form onSubmit={handleAdjust} className="loyalty-adjust-form" aria-label="Adjust points" noValidate>
+          {adjustError && <div className="field-error">{adjustError}</div>}
+          <div className="form-group">
+            <label htmlFor="loyalty-adjust-points">Points:</label>
+            <input
+              id="loyalty-adjust-points"
+              type="number"
+              step="1"
+              value={adjustment.points}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, points: e.target.value }))}
+              disabled={adjusting}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="loyalty-adjust-note">Note:</label>
+            <input
+              id="loyalty-adjust-note"
+              value={adjustment.note}
+              onChange={(e) => setAdjustment(prev => ({ ...prev, note: e.target.value }))}
+              placeholder="Carried over 7 stamps from paper card"
+              disabled={adjusting}
+            />
+          </div>
+          <button type="submit" className="secondary-button" disabled={adjusting}>
+            {adjusting ? 'Saving...' : 'Adjust Points'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default LoyaltyLedger;
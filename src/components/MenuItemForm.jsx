@@ -0,0 +1,211 @@
+import { useState } from 'react';
+
+/**
+ * Empty item used when creating a new menu item
+ * @constant {Object}
+ */
+const EMPTY_ITEM = {
+  name: '',
+  category: 'pizza',
+  description: '',
+  prices: {},
+  price: 0,
+  includedToppings: [],
+  customizable: true,
+  active: true
+};
+
+/**
+ * Menu Item Form Component
+ *
+ * Form for creating or editing a menu item. Sized items get a price per size;
+ * a size left blank is not offered. Items without any size price are sold at
+ * the flat price instead (drinks, sides).
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} [props.item] - Item being edited; omit to create a new item
+ * @param {Object} props.menu - Menu catalog (sizes and toppings are used)
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the form is dismissed
+ * @param {boolean} [props.isSubmitting=false] - Disables the form while saving
+ */
+const MenuItemForm = ({ item, menu, onSubmit, onCancel, isSubmitting = false }) => {
+  const isEditing = Boolean(item);
+  const [values, setValues] = useState(() => ({ ...EMPTY_ITEM, ...item, prices: { ...item?.prices } }));
+  const [error, setError] = useState(null);
+
+  /**
+   * Handles text, number and checkbox changes
+   *
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : type === 'number' ? parseFloat(value) || 0 : value
+    }));
+  };
+
+  /**
+   * Sets the price for one size; an empty value removes the size
+   *
+   * @param {string} sizeId - Size ID
+   * @param {string} value - Raw input value
+   */
+  const handlePriceChange = (sizeId, value) => {
+    setValues(prev => {
+      const prices = { ...prev.prices };
+      if (value === '') {
+        delete prices[sizeId];
+      } else {
+        prices[sizeId] = parseFloat(value) || 0;
+      }
+      return { ...prev, prices };
+    });
+  };
+
+  /**
+   * Adds or removes an included topping
+   *
+   * @param {string} toppingId - Topping ID
+   */
+  const toggleIncludedTopping = (toppingId) => {
+    setValues(prev => ({
+      ...prev,
+      includedToppings: prev.includedToppings.includes(toppingId)
+        ? prev.includedToppings.filter(id => id !== toppingId)
+        : [...prev.includedToppings, toppingId]
+    }));
+  };
+
+  /**
+   * Validates the pricing and submits the form
+   *
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (!values.name.trim()) {
+      setError('Item name is required');
+      return;
+    }
+
+    const sizePrices = Object.values(values.prices);
+    if (sizePrices.some(price => price <= 0)) {
+      setError('Size prices must be greater than zero');
+      return;
+    }
+
+    if (sizePrices.length === 0 && values.price <= 0) {
+      setError('Enter a price for at least one size or a flat price');
+      return;
+    }
+
+    setError(null);
+    const { price, prices, ...fields } = values;
+    onSubmit(sizePrices.length > 0
+      ? { ...fields, name: fields.name.trim(), prices, price: undefined }
+      : { ...fields, name: fields.name.trim(), prices: undefined, price });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="menu-item-form form-section">
+      <h3>{isEditing ? `Edit ${item.name}` : 'Add Menu Item'}</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="form-grid">
+        <div className="form-group">
+          <label htmlFor="menu-item-name">Name:</label>
+          <input id="menu-item-name" name="name" value={values.name} onChange={handleChange} disabled={isSubmitting} required />
+        </div>
+        <div className="form-group">
+          <label htmlFor="menu-item-category">Category:</label>
+          <select id="menu-item-category" name="category" value={values.category} onChange={handleChange} disabled={isSubmitting}>
+            <option value="pizza">Pizza</option>
+            <option value="side">Side</option>
+            <option value="drink">Drink</option>
+            <option value="dessert">Dessert</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="menu-item-description">Description:</label>
+          <input id="menu-item-description" name="description" value={values.description} onChange={handleChange} disabled={isSubmitting} />
+        </div>
+      </div>
+
+      <h4>Pricing</h4>
+      <div className="form-grid">
+        {menu.sizes.map(size => (
+          <div key={size.id} className="form-group">
+            <label htmlFor={`menu-item-price-${size.id}`}>{size.name} Price:</label>
+            <input
+              id={`menu-item-price-${size.id}`}
+              type="number"
+              min="0"
+              step="any"
+              value={values.prices[size.id] ?? ''}
+              onChange={(e) => handlePriceChange(size.id, e.target.value)}
+              placeholder="Not offered"
+              disabled={isSubmitting}
+            />
+          </div>
+        ))}
+        <div className="form-group">
+          <label htmlFor="menu-item-flat-price">Flat Price:</label>
+          <input
+            id="menu-item-flat-price"
+            name="price"
+            type="number"
+            min="0"
+            step="any"
+            value={values.price}
+            onChange={handleChange}
+            disabled={isSubmitting || Object.keys(values.prices).length > 0}
+          />
+        </div>
+      </div>
+
+      <div className="form-group checkbox-group">
+        <label>
+          <input type="checkbox" name="customizable" checked={values.customizable} onChange={handleChange} disabled={isSubmitting} />
+          Offer crust and topping choices
+        </label>
+        <label>
+          <input type="checkbox" name="active" checked={values.active} onChange={handleChange} disabled={isSubmitting} />
+          Available for ordering
+        </label>
+      </div>
+
+      {values.customizable && menu.toppings.length > 0 && (
+        <fieldset className="topping-picker" disabled={isSubmitting}>
+          <legend>Included Toppings</legend>
+          {menu.toppings.map(topping => (
+            <label key={topping.id} className="topping-option">
+              <input
+                type="checkbox"
+                checked={values.includedToppings.includes(topping.id)}
+                onChange={() => toggleIncludedTopping(topping.id)}
+              />
+              {topping.name}
+            </label>
+          ))}
+        </fieldset>
+      )}
+
+      <div className="form-actions">
+        <button type="button" className="secondary-button" onClick={onCancel} disabled={isSubmitting}>
+          Cancel
+        </button>
+        <button type="submit" disabled={isSubmitting}>
+          {isSubmitting ? 'Saving...' : 'Save Item'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default MenuItemForm;
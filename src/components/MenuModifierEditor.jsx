@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Builds a URL-safe ID from a modifier name, e.g. "Extra Cheese" -> "extra-cheese"
+ *
+ * @param {string} name - Modifier name
+ * @returns {string} Slug ID
+ */
+const slugify = (name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+/**
+ * Menu Modifier Editor Component
+ *
+ * Editable list for one kind of menu modifier (sizes, crusts or toppings).
+ * Every row has a name plus one numeric field (topping multiplier, upcharge
+ * or price). The whole list is saved at once. New rows get an ID derived from
+ * their name; existing rows keep their ID so menu items stay linked.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.title - Section heading (e.g., 'Crusts')
+ * @param {string} props.idPrefix - Prefix for input IDs (e.g., 'crust')
+ * @param {Array<Object>} props.modifiers - Current saved list
+ * @param {Object} props.valueField - The numeric field: { name, label, step }
+ * @param {Function} props.onSave - Called with the new list
+ * @param {boolean} [props.isSaving=false] - Disables the editor while saving
+ */
+const MenuModifierEditor = ({ title, idPrefix, modifiers, valueField, onSave, isSaving = false }) => {
+  const [rows, setRows] = useState(modifiers);
+  const [error, setError] = useState(null);
+
+  // Pick up the saved list after it loads or is saved
+  useEffect(() => {
+    setRows(modifiers);
+  }, [modifiers]);
+
+  /**
+   * Updates one field of a row
+   *
+   * @param {number} index - Row index
+   * @param {string} field - Field name
+   * @param {string|number} value - New value
+   */
+  const handleRowChange = (index, field, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+
+  /**
+   * Adds an empty row
+   */
+  const addRow = () => {
+    setRows(prev => [...prev, { name: '', [valueField.name]: valueField.defaultValue ?? 0 }]);
+  };
+
+  /**
+   * Removes a row
+   *
+   * @param {number} index - Row index
+   */
+  const removeRow = (index) => {
+    setRows(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Validates the rows, assigns IDs to new rows and saves the list
+   */
+  const handleSave = () => {
+    if (rows.some(row => !row.name.trim())) {
+      setError(`Every entry in ${title} needs a name`);
+      return;
+    }
+
+    const list = rows.map(row => ({ ...row, name: row.name.trim(), id: row.id || slugify(row.name) }));
+    const ids = list.map(row => row.id);
+    if (new Set(ids).size !== ids.length) {
+      setError(`Names in ${title} must be unique`);
+      return;
+    }
+
+    setError(null);
+    onSave(list);
+  };
+
+  return (
+    <div className="form-section menu-modifier-editor">
+      <h3>{title}</h3>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {rows.map((row, index) => (
+        <div key={row.id || `new-${index}`} className="item-row">
+          <div className="form-group">
+            <label htmlFor={`${idPrefix}-name-${index}`}>Name:</label>
+            <input
+              id={`${idPrefix}-name-${index}`}
+              value={row.name}
+              onChange={(e) => handleRowChange(index, 'name', e.target.value)}
+              disabled={isSaving}
+            />
+          </div>
+          <div className="form-group price">
+            <label htmlFor={`${idPrefix}-${valueField.name}-${index}`}>{valueField.label}:</label>
+            <input
+              id={`${idPrefix}-${valueField.name}-${index}`}
+              type="number"
+              min="0"
+              step="any"
+              value={row[valueField.name]}
+              onChange={(e) => handleRowChange(index, valueField.name, parseFloat(e.target.value) || 0)}
+              disabled={isSaving}
+            />
+          </div>
+          <button type="button" className="remove-item-button" onClick={() => removeRow(index)} disabled={isSaving}>
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <div className="form-actions">
+        <button type="button" className="secondary-button" onClick={addRow} disabled={isSaving}>
+          Add {valueField.rowLabel}
+        </button>
+        <button type="button" onClick={handleSave} disabled={isSaving}>
+          {isSaving ? 'Saving...' : `Save ${title}`}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default MenuModifierEditor;
@@ -0,0 +1,89 @@
+import { getNextStatuses, getStatusLabel } from '../utils/orderStatus';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import OrderPayments from './OrderPayments';
+
+/**
+ * Order Detail Drawer Component
+ *
+ * Slide-in panel showing the full details of a single order together with
+ * the status transitions that are allowed from its current status, and its
+ * payments with options to take payment or refund.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.order - The order to display
+ * @param {Function} props.onClose - Called when the drawer is dismissed
+ * @param {Function} props.onStatusChange - Called with (order, nextStatus) when a transition is chosen
+ * @param {Function} [props.onPaymentChange] - Called with (order, paymentState) after a payment or refund
+ * @param {boolean} [props.isUpdating=false] - Disables the actions while a status update is in flight
+ */
+const OrderDetailDrawer = ({ order, onClose, onStatusChange, onPaymentChange, isUpdating = false }) => {
+  const nextStatuses = getNextStatuses(order.status);
+
+  return (
+    <div className="drawer-backdrop" onClick={onClose}>
+      <aside
+        className="order-drawer"
+        role="dialog"
+        aria-label={`Order ${order.id}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="drawer-header">
+          <h2>Order {order.id}</h2>
+          <button className="drawer-close" onClick={onClose} aria-label="Close">
+            &times;
+          </button>
+        </div>
+
+        <div className="drawer-section">
+          <span className={`order-status-badge ${order.status}`}>{getStatusLabel(order.status)}</span>
+          <p><strong>Placed:</strong> {formatDateTime(order.createdAt)}</p>
+        </div>
+
+        <div className="drawer-section">
+          <h3>Customer</h3>
+          <p>{order.customerName}</p>
+          {order.customerPhone && <p>{order.customerPhone}</p>}
+          {order.customerEmail && <p>{order.customerEmail}</p>}
+          {order.deliveryAddress && <p><strong>Deliver to:</strong> {order.deliveryAddress}</p>}
+        </div>
+
+        <div className="drawer-section">
+          <h3>Items</h3>
+          <ul className="drawer-items">
+            {order.items.map((item, index) => (
+              <li key={index}>
+                <span>{item.quantity} × {item.name}</span>
+                <span>{formatCurrency(item.quantity * item.price)}</span>
+              </li>
+            ))}
+          </ul>
+          <p className="drawer-total"><strong>Total:</strong> {formatCurrency(order.total)}</p>
+          {order.notes && <p><strong>Notes:</strong> {order.notes}</p>}
+        </div>
+
+        <div className="drawer-section">
+          <h3>Payment</h3>
+          <OrderPayments order={order} onPaymentChange={onPaymentChange} />
+        </div>
+
+        {nextStatuses.length > 0 && (
+          <div className="drawer-actions">
+            {nextStatuses.map(status => (
+              <button
+                key={status}
+                className={status === 'canceled' ? 'cancel-order-button' : 'status-button'}
+                onClick={() => onStatusChange(order, status)}
+                disabled={isUpdating}
+              >
+                {status === 'canceled' ? 'Cancel Order' : `Mark ${getStatusLabel(status)}`}
+              </button>
+            ))}
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default OrderDetailDrawer;
@@ -1,23 +1,96 @@
-import { useState } from 'react';
-import integrationService from '../services/integrationService';
+import { useState, useRef, useEffect } from 'react';
+import orderRouter, { OrderRoutingError } from '../services/orderRouter';
+import orderOutbox, { isOfflineError, generateIdempotencyKey } from '../services/orderOutbox';
+import customerService from '../services/customerService';
+import loyaltyService from '../services/loyaltyService';
+import customerActivity from '../services/customerActivity';
+import useSettings from '../hooks/useSettings';
+import useMenu from '../hooks/useMenu';
+import useLoyaltyProgram from '../hooks/useLoyaltyProgram';
+import {
+  EMPTY_LINE,
+  findById,
+  getItemSizes,
+  createLineForItem,
+  calculateUnitPrice,
+  calculateLineTotal,
+  calculateLineTotalCents,
+  toOrderItem
+} from '../utils/menuPricing';
+import { calculateOrderTotals, findCoupon, getCouponError, DISCOUNT_TYPES } from '../utils/pricing';
+import { toCents, fromCents } from '../utils/money';
+import { normalizePhone, findMatchingCustomer, MIN_LOOKUP_PHONE_DIGITS } from '../utils/customers';
+import {
+  calculatePointsEarned,
+  calculateRewardCents,
+  getAvailableRewards,
+  getLedgerBalance,
+  describeReward
+} from '../utils/loyalty';
+import { PAYMENT_METHODS, PAYMENT_METHOD_LABELS, getPaymentStatusLabel } from '../utils/payments';
+import { formatCurrency } from '../utils/formatters';
+import { ORDER_ENDPOINT } from '../utils/orderMappers';
+import { ValidationError, validateOrder, hasErrors } from '../utils/validation';
+import OrderTotalsSummary from './OrderTotalsSummary';
+import PaymentForm from './PaymentForm';
+
+/**
+ * Tip percentages offered as one-click buttons
+ * @constant {Array<number>}
+ */
+const TIP_PRESETS = [0, 10, 15, 20];
+
+/**
+ * Discount, coupon and tip inputs for a new order
+ * @constant {Object}
+ */
+const EMPTY_ADJUSTMENTS = {
+  discountType: DISCOUNT_TYPES.PERCENT,
+  discountValue: 0,
+  couponCode: '',
+  appliedCouponCode: '',
+  tipType: DISCOUNT_TYPES.PERCENT,
+  tipValue: 0,
+  rewardId: ''
+};
 
 /**
  * Order Form Component
  * 
  * This component provides a form interface for creating new orders
- * and submitting them to the Square POS system through the integration service.
+ * and submitting them to the POS or ordering system picked by the order router.
  * 
  * Features:
- * - Customer information collection
+ * - Customer information collection, with phone lookup that fills in a
+ *   returning customer's details and saved delivery address
  * - Dynamic order item management (add/remove items)
- * - Order total calculation
+ * - Menu pickers for item, size, crust and toppings; line prices come from the catalog
+ * - Price breakdown with discounts, coupon codes, sales tax, delivery fee and tip
  * - Additional order details (notes, delivery address, payment method)
- * - Integration with Square POS for order processing
+ * - Order routing: the order goes to this location's primary system, or to
+ *   its fallback while the primary is down (see orderRouter)
+ * - Validation with the shared order schema (see utils/validation); errors
+ *   are shown next to the customer fields and order lines they belong to
  * - Order status tracking and success/error handling
+ * - Offline queue: orders that can't reach the backend are saved to the order
+ *   outbox and sent automatically later, under the same idempotency key
+ * - Customer directory: each submitted order's contact details are saved to
+ *   the matching customer (see customerActivity)
+ * - Loyalty: orders earn points for the customer, and a returning customer
+ *   can redeem a reward as a discount line (see utils/loyalty)
+ * - Payment step: once the order is accepted the cashier takes payment, split
+ *   across cash and card if needed, and sees the change due. Online payments
+ *   are recorded when the payment.received webhook event arrives.
  * 
  * @component
+ * @param {Object} props - Component props
+ * @param {Function} [props.onOrderCreated] - Called with the backend response after a successful submission
  */
-const OrderForm = () => {
+const OrderForm = ({ onOrderCreated }) => {
+  const settings = useSettings();
+  const { menu, isLoading: isMenuLoading, error: menuError } = useMenu();
+  const { program: loyaltyProgram } = useLoyaltyProgram();
+
   /**
    * Order form state
    * Contains all form fields for customer information, order items, and additional details
@@ -26,7 +99,7 @@ const OrderForm = () => {
    * @property {string} customerName - Customer's full name
    * @property {string} customerEmail - Customer's email address
    * @property {string} customerPhone - Customer's phone number
-   * @property {Array<Object>} items - Array of order items
+   * @property {Array<Object>} items - Order lines (itemId, sizeId, crustId, toppingIds, quantity)
    * @property {string} notes - Additional order notes
    * @property {string} deliveryAddress - Delivery address for the order
    * @property {string} paymentMethod - Selected payment method (card, cash, online)
@@ -35,7 +108,7 @@ const OrderForm = () => {
     customerName: '',
     customerEmail: '',
     customerPhone: '',
-    items: [{ name: '', quantity: 1, price: 0 }],
+    items: [{ ...EMPTY_LINE }],
     notes: '',
     deliveryAddress: '',
     paymentMethod: 'card'
@@ -47,14 +120,101 @@ const OrderForm = () => {
    * 
    * @type {Object}
    * @property {boolean} isSubmitting - Whether the form is currently being submitted
-   * @property {string|null} orderStatus - Current status of the order (null, 'processing', 'success', 'error')
-   * @property {Object|null} orderResponse - Response data from the Square POS system
+   * @property {string|null} orderStatus - Current status of the order (null, 'processing', 'success', 'queued', 'error')
+   * @property {Object|null} orderResponse - Response from the system the order was routed to
    * @property {string|null} error - Error message if submission fails
+   * @property {Object<string, string>} fieldErrors - Validation errors by field path, shown next to each field
+   * @property {string|null} loyaltyError - Warning when an accepted order's reward and points weren't saved
    */
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [orderStatus, setOrderStatus] = useState(null); // null, 'processing', 'success', 'error'
+  const [orderStatus, setOrderStatus] = useState(null); // null, 'processing', 'success', 'queued', 'error'
   const [orderResponse, setOrderResponse] = useState(null);
   const [error, setError] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [loyaltyError, setLoyaltyError] = useState(null);
+
+  /**
+   * Payment step state for the submitted order, or null
+   *
+   * @type {Object|null}
+   * @property {number} amountDueCents - Order total in cents
+   * @property {string} method - Payment method chosen on the form
+   * @property {string|null} paymentStatus - Payment status once a payment was recorded
+   * @property {number} changeCents - Change to give back in cents
+   */
+  const [payment, setPayment] = useState(null);
+
+  /**
+   * Idempotency key of the order being submitted
+   * Kept when a submission fails in a way that may have reached the POS, so
+   * submitting again can't create the order twice
+   *
+   * @type {React.MutableRefObject<string|null>}
+   */
+  const idempotencyKeyRef = useRef(null);
+
+  /**
+   * Price adjustment state
+   * - adjustments: Manual discount, coupon code and tip inputs
+   * - couponError: Reason the entered coupon code was rejected
+   */
+  const [adjustments, setAdjustments] = useState(EMPTY_ADJUSTMENTS);
+  const [couponError, setCouponError] = useState(null);
+
+  /**
+   * Customer lookup state
+   * - customer: Returning customer found by phone number, or null
+   * - isLookingUp: A phone lookup is in flight
+   */
+  const [customer, setCustomer] = useState(null);
+  const [isLookingUp, setIsLookingUp] = useState(false);
+
+  /**
+   * Points balance of the returning customer, or null when unknown
+   *
+   * @type {[number|null, Function]}
+   */
+  const [pointsBalance, setPointsBalance] = useState(null);
+
+  const customerId = customer?.id;
+  const loyaltyEnabled = Boolean(loyaltyProgram?.enabled);
+
+  /**
+   * Loads the returning customer's points balance, and drops any reward
+   * picked for a previous customer
+   */
+  useEffect(() => {
+    setPointsBalance(null);
+    setAdjustments(prev => (prev.rewardId ? { ...prev, rewardId: '' } : prev));
+    if (!customerId || !loyaltyEnabled) return undefined;
+
+    let active = true;
+    loyaltyService.getLedger(customerId)
+      .then(entries => {
+        if (active) setPointsBalance(getLedgerBalance(entries));
+      })
+      .catch(err => {
+        console.error('Error loading points balance:', err);
+      });
+    return () => {
+      active = false;
+    };
+  }, [customerId, loyaltyEnabled]);
+  
+  /**
+   * Removes the validation errors of the fields being edited
+   *
+   * @param {Function} matches - Called with each error's field path; true removes the error
+   */
+  const clearFieldErrors = (matches) => {
+    setFieldErrors(prev => {
+      const paths = Object.keys(prev).filter(matches);
+      if (paths.length === 0) return prev;
+      const next = { ...prev };
+      paths.forEach(path => delete next[path]);
+      return next;
+    });
+  };
   
   /**
    * Handles changes to basic form inputs
@@ -68,27 +228,79 @@ const OrderForm = () => {
       ...prev,
       [name]: value
     }));
+    clearFieldErrors(path => path === name);
+
+    // A different phone number is a different customer
+    if (name === 'customerPhone' && customer && normalizePhone(value) !== normalizePhone(customer.phone)) {
+      setCustomer(null);
+    }
+  };
+
+  /**
+   * Looks up the customer by phone number when the phone field is left
+   * Fills in the name, email and delivery address of a returning customer,
+   * keeping anything the cashier has already typed
+   *
+   * @async
+   */
+  const handlePhoneLookup = async () => {
+    const phone = orderData.customerPhone;
+    if (normalizePhone(phone).length < MIN_LOOKUP_PHONE_DIGITS) return;
+    if (customer && normalizePhone(customer.phone) === normalizePhone(phone)) return;
+
+    try {
+      setIsLookingUp(true);
+      const match = findMatchingCustomer(await customerService.lookupCustomers({ phone }), { phone });
+      setCustomer(match);
+      if (match) {
+        setOrderData(prev => ({
+          ...prev,
+          customerName: prev.customerName || match.name || '',
+          customerEmail: prev.customerEmail || match.email || '',
+          deliveryAddress: prev.deliveryAddress || match.addresses?.[0] || ''
+        }));
+      }
+    } catch (err) {
+      // The order can still be taken by hand
+      console.error('Customer lookup error:', err);
+    } finally {
+      setIsLookingUp(false);
+    }
   };
   
   /**
-   * Handles changes to order item fields
-   * Updates the specific item in the items array
+   * Handles changes to order line fields
+   * Picking a different menu item resets the line to that item's default options
    * 
-   * @param {number} index - Index of the item in the items array
-   * @param {string} field - Field name to update (name, quantity, price)
+   * @param {number} index - Index of the line in the items array
+   * @param {string} field - Field name to update (itemId, sizeId, crustId, quantity)
    * @param {string|number} value - New value for the field
    */
   const handleItemChange = (index, field, value) => {
     const updatedItems = [...orderData.items];
-    updatedItems[index] = {
-      ...updatedItems[index],
-      [field]: value
-    };
+    updatedItems[index] = field === 'itemId'
+      ? createLineForItem(value, menu, updatedItems[index].quantity)
+      : { ...updatedItems[index], [field]: value };
     
     setOrderData(prev => ({
       ...prev,
       items: updatedItems
     }));
+    clearFieldErrors(path => path.startsWith(`items.${index}.`));
+  };
+
+  /**
+   * Adds or removes an extra topping on an order line
+   * 
+   * @param {number} index - Index of the line in the items array
+   * @param {string} toppingId - Topping to toggle
+   */
+  const toggleTopping = (index, toppingId) => {
+    const line = orderData.items[index];
+    const toppingIds = line.toppingIds.includes(toppingId)
+      ? line.toppingIds.filter(id => id !== toppingId)
+      : [...line.toppingIds, toppingId];
+    handleItemChange(index, 'toppingIds', toppingIds);
   };
   
   /**
@@ -98,7 +310,7 @@ const OrderForm = () => {
   const addItem = () => {
     setOrderData(prev => ({
       ...prev,
-      items: [...prev.items, { name: '', quantity: 1, price: 0 }]
+      items: [...prev.items, { ...EMPTY_LINE }]
     }));
   };
   
@@ -120,63 +332,205 @@ const OrderForm = () => {
       ...prev,
       items: updatedItems
     }));
+    // Line errors are keyed by index, which no longer matches
+    clearFieldErrors(path => path.startsWith('items.'));
   };
   
   /**
-   * Calculates the total price of the order
-   * Sums the price * quantity for each item
+   * Handles changes to the discount and tip inputs
+   * 
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+   */
+  const handleAdjustmentChange = (e) => {
+    const { name, value, type } = e.target;
+    setAdjustments(prev => ({
+      ...prev,
+      [name]: type === 'number' ? parseFloat(value) || 0 : value
+    }));
+  };
+
+  /**
+   * Selects one of the preset tip percentages
+   * 
+   * @param {number} percent - Tip percentage
+   */
+  const selectTipPreset = (percent) => {
+    setAdjustments(prev => ({ ...prev, tipType: DISCOUNT_TYPES.PERCENT, tipValue: percent }));
+  };
+
+  /**
+   * Order line totals in cents, shared by the pricing engine and validation
    * 
-   * @returns {string} Formatted total price with 2 decimal places
+   * @type {Array<number>}
+   */
+  const lineTotalsCents = orderData.items.map(line => calculateLineTotalCents(line, menu));
+  const subtotalCents = lineTotalsCents.reduce((sum, cents) => sum + cents, 0);
+
+  /**
+   * Validates the entered coupon code against the coupons in Settings
    */
-  const calculateTotal = () => {
-    return orderData.items.reduce((total, item) => {
-      return total + (item.quantity * item.price);
-    }, 0).toFixed(2);
+  const applyCoupon = () => {
+    const coupon = findCoupon(settings.coupons, adjustments.couponCode);
+    const reason = getCouponError(coupon, subtotalCents);
+    if (reason) {
+      setCouponError(reason);
+      return;
+    }
+    setCouponError(null);
+    setAdjustments(prev => ({ ...prev, couponCode: '', appliedCouponCode: coupon.code }));
   };
+
+  /**
+   * Removes the applied coupon
+   */
+  const removeCoupon = () => {
+    setAdjustments(prev => ({ ...prev, appliedCouponCode: '' }));
+  };
+
+  const isDelivery = orderData.deliveryAddress.trim() !== '';
+  const appliedCoupon = findCoupon(settings.coupons, adjustments.appliedCouponCode);
+
+  /**
+   * Rewards the returning customer can redeem, and the one picked for this order
+   *
+   * @type {Array<Object>}
+   */
+  const availableRewards = pointsBalance === null ? [] : getAvailableRewards(loyaltyProgram, pointsBalance);
+  const selectedReward = availableRewards.find(reward => reward.id === adjustments.rewardId);
+
+  /**
+   * Full price breakdown from the pricing engine (amounts in cents)
+   * The reward is priced against what is left after the other discounts
+   * 
+   * @type {Object}
+   */
+  const pricingInputs = {
+    lineTotalsCents,
+    discount: { type: adjustments.discountType, value: adjustments.discountValue },
+    coupon: appliedCoupon,
+    tip: { type: adjustments.tipType, value: adjustments.tipValue },
+    isDelivery
+  };
+  const rewardCents = selectedReward
+    ? calculateRewardCents(selectedReward, orderData.items, menu, calculateOrderTotals(pricingInputs, settings).taxableCents)
+    : 0;
+  const totals = calculateOrderTotals({
+    ...pricingInputs,
+    reward: selectedReward && { id: selectedReward.id, name: selectedReward.name, amountCents: rewardCents }
+  }, settings);
+
+  /**
+   * Points this order earns once submitted
+   *
+   * @type {number}
+   */
+  const pointsEarned = calculatePointsEarned(loyaltyProgram, totals.taxableCents);
+
+  // A coupon can stop qualifying when lines are removed after it was applied
+  const appliedCouponError = appliedCoupon ? getCouponError(appliedCoupon, subtotalCents) : null;
+
+  /**
+   * Menu items that can currently be ordered
+   *
+   * @type {Array<Object>}
+   */
+  const activeMenuItems = menu.items.filter(item => item.active !== false);
   
   /**
    * Handles form submission
-   * Validates form data, submits to Square POS, and handles response
+   * Validates form data, routes the order to its POS, and handles response
    * 
    * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
    */
   const handleSubmit = async (e) => {
     e.preventDefault();
     
-    // Validate form
-    if (!orderData.customerName) {
-      setError('Customer name is required');
+    // Validate with the same order schema integrationService checks before sending
+    const items = orderData.items.map(line => toOrderItem(line, menu));
+    const errors = validateOrder({ ...orderData, items });
+    setFieldErrors(errors);
+    if (hasErrors(errors)) {
+      setError('Please fix the highlighted fields.');
+      return;
+    }
+
+    const { minimumOrder } = settings.delivery;
+    if (isDelivery && subtotalCents < toCents(minimumOrder)) {
+      setError(`Delivery orders must be at least ${formatCurrency(minimumOrder, settings)}`);
       return;
     }
     
-    if (orderData.items.some(item => !item.name || item.quantity < 1 || item.price <= 0)) {
-      setError('All items must have a name, quantity, and price');
+    if (selectedReward && rewardCents === 0) {
+      setError(`Nothing in this order qualifies for the ${selectedReward.name} reward`);
       return;
     }
     
+    const payload = {
+      ...orderData,
+      customerId: customer?.id,
+      items,
+      couponCode: totals.discounts.find(discount => discount.code)?.code,
+      total: fromCents(totals.totalCents),
+      totals,
+      loyalty: loyaltyEnabled
+        ? { rewardId: selectedReward?.id, pointsRedeemed: selectedReward?.points || 0, pointsEarned }
+        : undefined
+    };
+    if (!idempotencyKeyRef.current) {
+      idempotencyKeyRef.current = generateIdempotencyKey();
+    }
+    const idempotencyKey = idempotencyKeyRef.current;
+    
     try {
       setIsSubmitting(true);
       setError(null);
+      setLoyaltyError(null);
       setOrderStatus('processing');
       
-      // Send order to Square POS using integration service
-      const result = await integrationService.send('square', 'orders/create', orderData);
+      // Send the order to this location's POS, or its fallback
+      const result = await orderRouter.routeOrder(payload, { idempotencyKey });
       
       setOrderResponse(result);
-      setOrderStatus('success');
-      
-      // Reset form after successful submission
-      setOrderData({
-        customerName: '',
-        customerEmail: '',
-        customerPhone: '',
-        items: [{ name: '', quantity: 1, price: 0 }],
-        notes: '',
-        deliveryAddress: '',
-        paymentMethod: 'card'
+      setPayment({
+        amountDueCents: totals.totalCents,
+        method: payload.paymentMethod,
+        paymentStatus: null,
+        changeCents: 0
       });
+      setOrderStatus('success');
+      onOrderCreated?.(result);
+      // Runs in the background; a failure here doesn't affect the order, but staff are told
+      recordCustomerActivity(payload, { orderId: result?.orderId, idempotencyKey });
+      resetOrder();
     } catch (err) {
       console.error('Order submission error:', err);
+      
+      // Rejected before it was sent, so nothing was created
+      if (err instanceof ValidationError) {
+        idempotencyKeyRef.current = null;
+        setOrderStatus('error');
+        setFieldErrors(err.errors);
+        setError(err.message);
+        return;
+      }
+      
+      // No system could take the order, so nothing was created
+      if (err instanceof OrderRoutingError) {
+        idempotencyKeyRef.current = null;
+        setOrderStatus('error');
+        setError(err.message);
+        return;
+      }
+      
+      if (isOfflineError(err)) {
+        await queueOrder(payload, idempotencyKey);
+        return;
+      }
+      
+      // The POS never accepted a rejected order, so a corrected resubmission gets a new key
+      if (err.response?.status < 500) {
+        idempotencyKeyRef.current = null;
+      }
       setOrderStatus('error');
       setError(err.response?.data?.message || 'Failed to process order. Please try again.');
     } finally {
@@ -184,6 +538,67 @@ const OrderForm = () => {
     }
   };
   
+  /**
+   * Records the customer and loyalty activity of an accepted order
+   * Warns staff when the reward and points couldn't be written to the
+   * customer's points ledger, since the discount was already given
+   * 
+   * @async
+   * @param {Object} payload - Order payload
+   * @param {Object} details - Submission details ({ orderId, idempotencyKey })
+   */
+  const recordCustomerActivity = async (payload, details) => {
+    try {
+      const recorded = await customerActivity.recordOrder(payload, details);
+      if (!recorded) {
+        setLoyaltyError(`The reward and points for ${payload.customerName}'s order could not be saved yet. They are queued in the outbox and will be retried.`);
+      }
+    } catch (activityError) {
+      console.error('Loyalty activity error:', activityError);
+      setLoyaltyError(`The reward and points for ${payload.customerName}'s order could not be saved. Update their points ledger by hand.`);
+    }
+  };
+  
+  /**
+   * Saves an order that couldn't reach the backend to the outbox
+   * The form is cleared so the cashier can take the next order; the order is
+   * routed, and its customer and loyalty activity recorded, when the outbox replays it
+   * 
+   * @async
+   * @param {Object} payload - Order payload
+   * @param {string} idempotencyKey - Key of this submission
+   */
+  const queueOrder = async (payload, idempotencyKey) => {
+    try {
+      await orderOutbox.enqueue({ endpoint: ORDER_ENDPOINT, data: payload, idempotencyKey });
+      setOrderStatus('queued');
+      resetOrder();
+    } catch (queueError) {
+      console.error('Order outbox error:', queueError);
+      setOrderStatus('error');
+      setError('Could not reach the server or save the order offline. Please try again.');
+    }
+  };
+  
+  /**
+   * Clears the form for the next order
+   */
+  const resetOrder = () => {
+    idempotencyKeyRef.current = null;
+    setCustomer(null);
+    setOrderData({
+      customerName: '',
+      customerEmail: '',
+      customerPhone: '',
+      items: [{ ...EMPTY_LINE }],
+      notes: '',
+      deliveryAddress: '',
+      paymentMethod: 'card'
+    });
+    setAdjustments(EMPTY_ADJUSTMENTS);
+    setFieldErrors({});
+  };
+  
   /**
    * Closes the success message and resets order status
    * Allows creating a new order after successful submission
@@ -191,6 +606,17 @@ const OrderForm = () => {
   const handleCloseSuccess = () => {
     setOrderStatus(null);
     setOrderResponse(null);
+    setPayment(null);
+  };
+  
+  /**
+   * Shows the outcome of the payment step
+   * 
+   * @param {Object} paymentState - Payment state ({ paymentStatus, payments })
+   * @param {Object} details - Payment details ({ changeCents })
+   */
+  const handlePaid = (paymentState, { changeCents }) => {
+    setPayment(prev => ({ ...prev, paymentStatus: paymentState.paymentStatus, changeCents }));
   };
   
   return (
@@ -202,11 +628,27 @@ const OrderForm = () => {
         <div className="error-message">{error}</div>
       )}
       
+      {/* Unsaved reward and points of an accepted order */}
+      {loyaltyError && (
+        <div className="error-message" role="alert">{loyaltyError}</div>
+      )}
+      
+      {/* Offline queue notice */}
+      {orderStatus === 'queued' && (
+        <div className="queued-message" role="status">
+          The server could not be reached, so the order was saved offline. It will be sent
+          automatically when the connection returns.
+        </div>
+      )}
+      
       {/* Success message display */}
       {orderStatus === 'success' && (
         <div className="success-message">
           <h3>Order Successfully Processed!</h3>
           <p>Order ID: {orderResponse.orderId}</p>
+          {orderResponse.system && (
+            <p>Sent to: {orderResponse.system}{orderResponse.isFallback && ' (fallback, the primary system is unavailable)'}</p>
+          )}
           <p>Status: {orderResponse.status}</p>
           {orderResponse.receiptUrl && (
             <p>
@@ -215,6 +657,25 @@ const OrderForm = () => {
               </a>
             </p>
           )}
+          {orderResponse.orderId && payment?.amountDueCents > 0 && (
+            payment.paymentStatus ? (
+              <div className="payment-complete" role="status">
+                <p>Payment: {getPaymentStatusLabel(payment.paymentStatus)}</p>
+                {payment.changeCents > 0 && (
+                  <p className="change-due">Change due: {formatCurrency(fromCents(payment.changeCents), settings)}</p>
+                )}
+              </div>
+            ) : payment.method === PAYMENT_METHODS.ONLINE ? (
+              <p>Waiting for the online payment. The order is marked paid when it arrives.</p>
+            ) : (
+              <PaymentForm
+                orderId={orderResponse.orderId}
+                amountDueCents={payment.amountDueCents}
+                defaultMethod={payment.method}
+                onPaid={handlePaid}
+              />
+            )
+          )}
           <button onClick={handleCloseSuccess} className="close-button">
             Create New Order
           </button>
@@ -223,7 +684,7 @@ const OrderForm = () => {
       
       {/* Order form */}
       {orderStatus !== 'success' && (
-        <form onSubmit={handleSubmit} className="order-form">
+        <form onSubmit={handleSubmit} className="order-form" noValidate>
           {/* Customer Information Section */}
           <div className="form-section">
             <h3>Customer Information</h3>
@@ -237,8 +698,11 @@ const OrderForm = () => {
                 value={orderData.customerName}
                 onChange={handleInputChange}
                 disabled={isSubmitting}
+                aria-invalid={Boolean(fieldErrors.customerName)}
+                aria-describedby={fieldErrors.customerName ? 'customerName-error' : undefined}
                 required
               />
+              {fieldErrors.customerName && <div id="customerName-error" className="field-error">{fieldErrors.customerName}</div>}
             </div>
             
             <div className="form-group">
@@ -250,7 +714,10 @@ const OrderForm = () => {
                 value={orderData.customerEmail}
                 onChange={handleInputChange}
                 disabled={isSubmitting}
+                aria-invalid={Boolean(fieldErrors.customerEmail)}
+                aria-describedby={fieldErrors.customerEmail ? 'customerEmail-error' : undefined}
               />
+              {fieldErrors.customerEmail && <div id="customerEmail-error" className="field-error">{fieldErrors.customerEmail}</div>}
             </div>
             
             <div className="form-group">
@@ -261,8 +728,19 @@ const OrderForm = () => {
                 name="customerPhone"
                 value={orderData.customerPhone}
                 onChange={handleInputChange}
+                onBlur={handlePhoneLookup}
                 disabled={isSubmitting}
+                aria-invalid={Boolean(fieldErrors.customerPhone)}
+                aria-describedby={fieldErrors.customerPhone ? 'customerPhone-error' : undefined}
               />
+              {fieldErrors.customerPhone && <div id="customerPhone-error" className="field-error">{fieldErrors.customerPhone}</div>}
+              {isLookingUp && <p className="field-description">Looking up customer...</p>}
+              {customer && (
+                <p className="field-description returning-customer" role="status">
+                  Returning customer: {customer.name}
+                  {customer.orderCount > 0 && ` · ${customer.orderCount} ${customer.orderCount === 1 ? 'order' : 'orders'}`}
+                </p>
+              )}
             </div>
           </div>
           
@@ -270,57 +748,129 @@ const OrderForm = () => {
           <div className="form-section">
             <h3>Order Items</h3>
             
-            {orderData.items.map((item, index) => (
-              <div key={index} className="item-row">
-                <div className="form-group">
-                  <label htmlFor={`item-name-${index}`}>Item:</label>
-                  <input
-                    type="text"
-                    id={`item-name-${index}`}
-                    value={item.name}
-                    onChange={(e) => handleItemChange(index, 'name', e.target.value)}
-                    disabled={isSubmitting}
-                    required
-                  />
-                </div>
-                
-                <div className="form-group quantity">
-                  <label htmlFor={`item-quantity-${index}`}>Qty:</label>
-                  <input
-                    type="number"
-                    id={`item-quantity-${index}`}
-                    value={item.quantity}
-                    onChange={(e) => handleItemChange(index, 'quantity', parseInt(e.target.value) || 0)}
-                    min="1"
-                    disabled={isSubmitting}
-                    required
-                  />
-                </div>
-                
-                <div className="form-group price">
-                  <label htmlFor={`item-price-${index}`}>Price:</label>
-                  <input
-                    type="number"
-                    id={`item-price-${index}`}
-                    value={item.price}
-                    onChange={(e) => handleItemChange(index, 'price', parseFloat(e.target.value) || 0)}
-                    min="0"
-                    step="0.01"
-                    disabled={isSubmitting}
-                    required
-                  />
+            {menuError && (
+              <div className="error-message">{menuError}</div>
+            )}
+            
+            {orderData.items.map((line, index) => {
+              const menuItem = findById(menu.items, line.itemId);
+              const sizes = getItemSizes(menuItem, menu);
+              const unitPrice = calculateUnitPrice(line, menu);
+              const includedToppings = menuItem?.includedToppings || [];
+              const itemError = fieldErrors[`items.${index}.name`];
+              // A line without a menu item has no price either, so only its item error is shown
+              const priceError = !itemError && fieldErrors[`items.${index}.price`];
+              const quantityError = fieldErrors[`items.${index}.quantity`];
+              
+              return (
+                <div key={index} className="order-line">
+                  <div className="item-row">
+                    <div className="form-group">
+                      <label htmlFor={`item-name-${index}`}>Item:</label>
+                      <select
+                        id={`item-name-${index}`}
+                        value={line.itemId}
+                        onChange={(e) => handleItemChange(index, 'itemId', e.target.value)}
+                        disabled={isSubmitting || isMenuLoading}
+                        required
+                        aria-invalid={Boolean(itemError || priceError)}
+                      >
+                        <option value="">{isMenuLoading ? 'Loading menu...' : 'Select an item'}</option>
+                        {activeMenuItems.map(option => (
+                          <option key={option.id} value={option.id}>{option.name}</option>
+                        ))}
+                      </select>
+                      {(itemError || priceError) && <div className="field-error">{itemError || priceError}</div>}
+                    </div>
+                    
+                    {sizes.length > 0 && (
+                      <div className="form-group">
+                        <label htmlFor={`item-size-${index}`}>Size:</label>
+                        <select
+                          id={`item-size-${index}`}
+                          value={line.sizeId}
+                          onChange={(e) => handleItemChange(index, 'sizeId', e.target.value)}
+                          disabled={isSubmitting}
+                        >
+                          {sizes.map(size => (
+                            <option key={size.id} value={size.id}>
+                              {size.name} ({formatCurrency(menuItem.prices[size.id], settings)})
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    
+                    {menuItem?.customizable && menu.crusts.length > 0 && (
+                      <div className="form-group">
+                        <label htmlFor={`item-crust-${index}`}>Crust:</label>
+                        <select
+                          id={`item-crust-${index}`}
+                          value={line.crustId}
+                          onChange={(e) => handleItemChange(index, 'crustId', e.target.value)}
+                          disabled={isSubmitting}
+                        >
+                          {menu.crusts.map(crust => (
+                            <option key={crust.id} value={crust.id}>
+                              {crust.name}{crust.upcharge > 0 ? ` (+${formatCurrency(crust.upcharge, settings)})` : ''}
+                            </option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
+                    
+                    <div className="form-group quantity">
+                      <label htmlFor={`item-quantity-${index}`}>Qty:</label>
+                      <input
+                        type="number"
+                        id={`item-quantity-${index}`}
+                        value={line.quantity}
+                        onChange={(e) => handleItemChange(index, 'quantity', parseInt(e.target.value) || 0)}
+                        min="1"
+                        disabled={isSubmitting}
+                        required
+                        aria-invalid={Boolean(quantityError)}
+                      />
+                      {quantityError && <div className="field-error">{quantityError}</div>}
+                    </div>
+                    
+                    <div className="line-price" aria-label={`Line ${index + 1} price`}>
+                      {unitPrice === null ? '—' : formatCurrency(calculateLineTotal(line, menu), settings)}
+                    </div>
+                    
+                    <button
+                      type="button"
+                      className="remove-item-button"
+                      onClick={() => removeItem(index)}
+                      disabled={isSubmitting || orderData.items.length === 1}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                  
+                  {menuItem?.customizable && menu.toppings.length > 0 && (
+                    <fieldset className="topping-picker" disabled={isSubmitting}>
+                      <legend>Toppings</legend>
+                      {menu.toppings.map(topping => {
+                        const isIncluded = includedToppings.includes(topping.id);
+                        return (
+                          <label key={topping.id} className="topping-option">
+                            <input
+                              type="checkbox"
+                              checked={isIncluded || line.toppingIds.includes(topping.id)}
+                              onChange={() => toggleTopping(index, topping.id)}
+                              disabled={isIncluded}
+                            />
+                            {topping.name}
+                            {isIncluded && <span className="topping-included"> (included)</span>}
+                          </label>
+                        );
+                      })}
+                    </fieldset>
+                  )}
                 </div>
-                
-                <button
-                  type="button"
-                  className="remove-item-button"
-                  onClick={() => removeItem(index)}
-                  disabled={isSubmitting || orderData.items.length === 1}
-                >
-                  Remove
-                </button>
-              </div>
-            ))}
+              );
+            })}
             
             <button
               type="button"
@@ -330,10 +880,6 @@ const OrderForm = () => {
             >
               Add Item
             </button>
-            
-            <div className="order-total">
-              <strong>Total:</strong> ${calculateTotal()}
-            </div>
           </div>
           
           {/* Additional Information Section */}
@@ -342,6 +888,19 @@ const OrderForm = () => {
             
             <div className="form-group">
               <label htmlFor="deliveryAddress">Delivery Address:</label>
+              {customer?.addresses?.length > 1 && (
+                <select
+                  aria-label="Saved addresses"
+                  value=""
+                  onChange={(e) => setOrderData(prev => ({ ...prev, deliveryAddress: e.target.value }))}
+                  disabled={isSubmitting}
+                >
+                  <option value="">Use a saved address...</option>
+                  {customer.addresses.map(address => (
+                    <option key={address} value={address}>{address}</option>
+                  ))}
+                </select>
+              )}
               <textarea
                 id="deliveryAddress"
                 name="deliveryAddress"
@@ -371,13 +930,162 @@ const OrderForm = () => {
                 onChange={handleInputChange}
                 disabled={isSubmitting}
               >
-                <option value="card">Credit/Debit Card</option>
-                <option value="cash">Cash</option>
-                <option value="online">Online Payment</option>
+                {Object.values(PAYMENT_METHODS).map(method => (
+                  <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+                ))}
               </select>
             </div>
           </div>
           
+          {/* Discounts & Tip Section */}
+          <div className="form-section">
+            <h3>Discounts &amp; Tip</h3>
+            
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="discountType">Discount Type:</label>
+                <select
+                  id="discountType"
+                  name="discountType"
+                  value={adjustments.discountType}
+                  onChange={handleAdjustmentChange}
+                  disabled={isSubmitting}
+                >
+                  <option value={DISCOUNT_TYPES.PERCENT}>Percent (%)</option>
+                  <option value={DISCOUNT_TYPES.FIXED}>Fixed Amount</option>
+                </select>
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="discountValue">Discount:</label>
+                <input
+                  type="number"
+                  id="discountValue"
+                  name="discountValue"
+                  value={adjustments.discountValue}
+                  onChange={handleAdjustmentChange}
+                  min="0"
+                  step="any"
+                  disabled={isSubmitting}
+                />
+              </div>
+              
+              <div className="form-group">
+                <label htmlFor="couponCode">Coupon Code:</label>
+                <div className="inline-input">
+                  <input
+                    type="text"
+                    id="couponCode"
+                    name="couponCode"
+                    value={adjustments.couponCode}
+                    onChange={handleAdjustmentChange}
+                    disabled={isSubmitting}
+                  />
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={applyCoupon}
+                    disabled={isSubmitting || !adjustments.couponCode.trim()}
+                  >
+                    Apply
+                  </button>
+                </div>
+              </div>
+            </div>
+            
+            {couponError && (
+              <div className="field-error">{couponError}</div>
+            )}
+            
+            {appliedCoupon && (
+              <div className="applied-coupon">
+                <span>Coupon {appliedCoupon.code} applied</span>
+                {appliedCouponError && <span className="field-error"> — {appliedCouponError}</span>}
+                <button type="button" className="link-button" onClick={removeCoupon} disabled={isSubmitting}>
+                  Remove coupon
+                </button>
+              </div>
+            )}
+            
+            {customer && pointsBalance !== null && (
+              <div className="loyalty-panel">
+                <p>
+                  <strong>Loyalty:</strong> {customer.name} has {pointsBalance} points
+                </p>
+                {availableRewards.length > 0 ? (
+                  <div className="form-group">
+                    <label htmlFor="rewardId">Redeem Reward:</label>
+                    <select
+                      id="rewardId"
+                      name="rewardId"
+                      value={adjustments.rewardId}
+                      onChange={handleAdjustmentChange}
+                      disabled={isSubmitting}
+                    >
+                      <option value="">No reward</option>
+                      {availableRewards.map(reward => (
+                        <option key={reward.id} value={reward.id}>
+                          {reward.name} ({reward.points} points) — {describeReward(reward, menu)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ) : (
+                  <p className="field-description">Not enough points for a reward yet.</p>
+                )}
+                {selectedReward && rewardCents === 0 && (
+                  <div className="field-error">Nothing in this order qualifies for this reward yet.</div>
+                )}
+              </div>
+            )}
+            
+            <div className="form-group">
+              <span className="form-label">Tip</span>
+              <div className="tip-presets" role="group" aria-label="Tip">
+                {TIP_PRESETS.map(percent => (
+                  <button
+                    key={percent}
+                    type="button"
+                    className={`tip-button ${adjustments.tipType === DISCOUNT_TYPES.PERCENT && adjustments.tipValue === percent ? 'active' : ''}`}
+                    onClick={() => selectTipPreset(percent)}
+                    disabled={isSubmitting}
+                  >
+                    {percent === 0 ? 'No Tip' : `${percent}%`}
+                  </button>
+                ))}
+                <button
+                  type="button"
+                  className={`tip-button ${adjustments.tipType === DISCOUNT_TYPES.FIXED ? 'active' : ''}`}
+                  onClick={() => setAdjustments(prev => ({ ...prev, tipType: DISCOUNT_TYPES.FIXED, tipValue: 0 }))}
+                  disabled={isSubmitting}
+                >
+                  Custom
+                </button>
+              </div>
+            </div>
+            
+            {adjustments.tipType === DISCOUNT_TYPES.FIXED && (
+              <div className="form-group">
+                <label htmlFor="tipValue">Tip Amount:</label>
+                <input
+                  type="number"
+                  id="tipValue"
+                  name="tipValue"
+                  value={adjustments.tipValue}
+                  onChange={handleAdjustmentChange}
+                  min="0"
+                  step="any"
+                  disabled={isSubmitting}
+                />
+              </div>
+            )}
+            
+            <OrderTotalsSummary totals={totals} showDeliveryFee={isDelivery} settings={settings} />
+            {pointsEarned > 0 && (orderData.customerPhone.trim() || orderData.customerEmail.trim()) && (
+              <p className="field-description points-earned">This order earns {pointsEarned} loyalty points.</p>
+            )}
+          </div>
+          
           {/* Form Actions */}
           <div className="form-actions">
             <button
@@ -395,7 +1103,7 @@ const OrderForm = () => {
       {orderStatus === 'processing' && (
         <div className="processing-overlay">
           <div className="processing-spinner"></div>
-          <p>Processing your order with Square POS...</p>
+          <p>Processing your order...</p>
         </div>
       )}
     </div>
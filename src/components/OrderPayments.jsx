@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback } from 'react';
+import paymentService from '../services/paymentService';
+import { generateIdempotencyKey } from '../services/orderOutbox';
+import PaymentForm from './PaymentForm';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import { toCents, fromCents } from '../utils/money';
+import {
+  PAYMENT_METHOD_LABELS,
+  getPaymentStatusLabel,
+  getRefundableCents,
+  summarizePayments,
+  validateRefund
+} from '../utils/payments';
+
+/**
+ * Empty refund form
+ * @constant {Object}
+ */
+const EMPTY_REFUND = { paymentId: '', amount: '', reason: '' };
+
+/**
+ * Order Payments Component
+ *
+ * Payment section of the order drawer: the order's payment status, the
+ * payments recorded for it and how much of each was refunded. Staff can take
+ * payment for what is still due and refund a payment in full or in part.
+ *
+ * The payments are reloaded whenever the order's payment status changes,
+ * e.g. when a payment.received webhook event updates the order.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.order - The order ({ id, total, paymentMethod, paymentStatus })
+ * @param {Function} [props.onPaymentChange] - Called with (order, paymentState) after a payment or refund
+ */
+const OrderPayments = ({ order, onPaymentChange }) => {
+  /**
+   * Payments state
+   * - paymentState: Payment state from the backend ({ paymentStatus, payments })
+   * - loading/error: Fetch status of the payments
+   * - refund: Refund form values ({ paymentId, amount, reason })
+   * - refundError/isRefunding: Refund form status
+   */
+  const [paymentState, setPaymentState] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refund, setRefund] = useState(EMPTY_REFUND);
+  const [refundError, setRefundError] = useState(null);
+  const [isRefunding, setIsRefunding] = useState(false);
+
+  /**
+   * Fetches the order's payments
+   *
+   * @async
+   */
+  const fetchPayments = useCallback(async () => {
+    try {
+      setLoading(true);
+      setPaymentState(await paymentService.getPayments(order.id));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching order payments:', err);
+      setError('Failed to load payments.');
+    } finally {
+      setLoading(false);
+    }
+  }, [order.id]);
+
+  useEffect(() => {
+    fetchPayments();
+  }, [fetchPayments, order.paymentStatus]);
+
+  const payments = paymentState?.payments || [];
+
+  /**
+   * Applies the payment state returned by a payment or refund
+   *
+   * @param {Object} state - Payment state ({ paymentStatus, payments })
+   */
+  const applyPaymentState = (state) => {
+    setPaymentState(state);
+    onPaymentChange?.(order, state);
+  };
+
+  /**
+   * Selects the payment to refund, suggesting its full refundable amount
+   *
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - Change event
+   */
+  const handleRefundPaymentChange = (e) => {
+    const payment = payments.find(p => p.id === e.target.value);
+    setRefund(prev => ({
+      ...prev,
+      paymentId: e.target.value,
+      amount: payment ? fromCents(getRefundableCents(payment)).toFixed(2) : ''
+    }));
+  };
+
+  /**
+   * Validates and sends a refund after confirmation
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleRefund = async (e) => {
+    e.preventDefault();
+
+    const payment = payments.find(p => p.id === refund.paymentId);
+    const validationError = validateRefund(payment, refund.amount);
+    if (validationError) {
+      setRefundError(validationError);
+      return;
+    }
+
+    const amount = fromCents(toCents(refund.amount));
+    if (!window.confirm(`Refund ${formatCurrency(amount)} to the customer?`)) {
+      return;
+    }
+
+    try {
+      setIsRefunding(true);
+      setRefundError(null);
+      const state = await paymentService.refundPayment(order.id, {
+        paymentId: payment.id,
+        amount,
+        reason: refund.reason.trim() || undefined
+      }, generateIdempotencyKey());
+      setRefund(EMPTY_REFUND);
+      applyPaymentState(state);
+    } catch (err) {
+      setRefundError(err.response?.data?.message || 'Failed to refund the payment. Please try again.');
+    } finally {
+      setIsRefunding(false);
+    }
+  };
+
+  if (loading && !paymentState) {
+    return <div className="loading-spinner">Loading payments...</div>;
+  }
+
+  const paymentStatus = paymentState?.paymentStatus || order.paymentStatus;
+  const { paidCents, refundedCents } = summarizePayments(payments);
+  const dueCents = Math.max(0, toCents(order.total) - paidCents);
+  const refundablePayments = payments.filter(payment => getRefundableCents(payment) > 0);
+
+  return (
+    <div className="order-payments">
+      {error && <div className="error-message">{error}</div>}
+      <p>
+        <span className={`payment-status-badge ${paymentStatus || 'unpaid'}`}>
+          {getPaymentStatusLabel(paymentStatus)}
+        </span>
+      </p>
+      <p><strong>Method:</strong> {PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod}</p>
+
+      {payments.length > 0 && (
+        <>
+          <table className="data-table" aria-label={`Payments of order ${order.id}`}>
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Tender</th>
+                <th>Amount</th>
+                <th>Refunded</th>
+              </tr>
+            </thead>
+            <tbody>
+              {payments.map(payment => (
+                <tr key={payment.id}>
+                  <td>{formatDateTime(payment.createdAt)}</td>
+                  <td>{PAYMENT_METHOD_LABELS[payment.method] || payment.method}</td>
+                  <td>{formatCurrency(payment.amount)}</td>
+                  <td>{payment.refundedAmount > 0 ? formatCurrency(payment.refundedAmount) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p>
+            <strong>Paid:</strong> {formatCurrency(fromCents(paidCents))}
+            {refundedCents > 0 && <> · <strong>Refunded:</strong> {formatCurrency(fromCents(refundedCents))}</>}
+          </p>
+        </>
+      )}
+
+      {!error && dueCents > 0 && order.status !== 'canceled' && (
+        <PaymentForm
+          key={dueCents}
+          orderId={order.id}
+          amountDueCents={dueCents}
+          defaultMethod={order.paymentMethod}
+          onPaid={applyPaymentState}
+        />
+      )}
+
+      {refundablePayments.length > 0 && (
+        <form onSubmit={handleRefund} className="refund-form" aria-label="Refund" noValidate>
+          <h4>Refund</h4>
+          {refundError && <div className="field-error">{refundError}</div>}
+          <div className="form-group">
+            <label htmlFor="refund-payment">Payment:</label>
+            <select
+              id="refund-payment"
+              value={refund.paymentId}
+              onChange={handleRefundPaymentChange}
+              disabled={isRefunding}
+            >
+              <option value="">Select a payment</option>
+              {refundablePayments.map(payment => (
+                <option key={payment.id} value={payment.id}>
+                  {PAYMENT_METHOD_LABELS[payment.method] || payment.method} · {formatCurrency(fromCents(getRefundableCents(payment)))} refundable
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label htmlFor="refund-amount">Amount:</label>
+            <input
+              type="number"
+              id="refund-amount"
+              min="0"
+              step="0.01"
+              value={refund.amount}
+              onChange={(e) => setRefund(prev => ({ ...prev, amount: e.target.value }))}
+              disabled={isRefunding}
+            />
+          </div>
+          <div className="form-group">
+            <label htmlFor="refund-reason">Reason:</label>
+            <input
+              id="refund-reason"
+              value={refund.reason}
+              onChange={(e) => setRefund(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="Wrong toppings"
+              disabled={isRefunding}
+            />
+          </div>
+          <button type="submit" className="cancel-order-button" disabled={isRefunding}>
+            {isRefunding ? 'Refunding...' : 'Refund'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default OrderPayments;
@@ -0,0 +1,61 @@
+import { fromCents } from '../utils/money';
+import { formatCurrency } from '../utils/formatters';
+
+/**
+ * Order Totals Summary Component
+ *
+ * Renders the price breakdown produced by the pricing engine: subtotal,
+ * discounts, tax lines, delivery fee, tip and the grand total. Only the
+ * grand total line carries a colon so it can be found as "Total:".
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.totals - Breakdown from calculateOrderTotals (all amounts in cents)
+ * @param {boolean} [props.showDeliveryFee=false] - Show the delivery fee line even when it is zero
+ * @param {Object} [props.settings] - Settings used for currency formatting
+ */
+const OrderTotalsSummary = ({ totals, showDeliveryFee = false, settings }) => {
+  /**
+   * Formats a cent amount in the store currency
+   *
+   * @param {number} cents - Amount in cents
+   * @returns {string} Formatted amount
+   */
+  const money = (cents) => formatCurrency(fromCents(cents), settings);
+
+  return (
+    <div className="order-total">
+      <div className="order-total-line">
+        <span>Subtotal</span>
+        <span>{money(totals.subtotalCents)}</span>
+      </div>
+      {totals.discounts.map((discount, index) => (
+        <div key={index} className="order-total-line discount-line">
+          <span>{discount.label}</span>
+          <span>-{money(discount.amountCents)}</span>
+        </div>
+      ))}
+      {totals.taxes.map((tax, index) => (
+        <div key={index} className="order-total-line">
+          <span>{tax.name} ({tax.rate}%)</span>
+          <span>{money(tax.amountCents)}</span>
+        </div>
+      ))}
+      {(showDeliveryFee || totals.deliveryFeeCents > 0) && (
+        <div className="order-total-line">
+          <span>Delivery Fee</span>
+          <span>{money(totals.deliveryFeeCents)}</span>
+        </div>
+      )}
+      {totals.tipCents > 0 && (
+        <div className="order-total-line">
+          <span>Tip</span>
+          <span>{money(totals.tipCents)}</span>
+        </div>
+      )}
+      <strong>Total: {money(totals.totalCents)}</strong>
+    </div>
+  );
+};
+
+export default OrderTotalsSummary;
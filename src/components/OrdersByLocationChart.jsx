@@ -0,0 +1,38 @@
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from 'recharts';
+
+/**
+ * Orders By Location Chart Component
+ *
+ * Renders the number of orders placed at each store location as a bar chart.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - Order counts per location ({ location, orders })
+ */
+const OrdersByLocationChart = ({ data }) => {
+  if (!data.length) {
+    return <div className="no-chart-data">No orders recorded for this period.</div>;
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={280}>
+      <BarChart data={data} margin={{ top: 10, right: 20, left: 0, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="location" />
+        <YAxis allowDecimals={false} />
+        <Tooltip formatter={(value) => [value, 'Orders']} />
+        <Bar dataKey="orders" fill="#ff7043" />
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default OrdersByLocationChart;
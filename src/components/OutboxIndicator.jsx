@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import useOrderOutbox from '../hooks/useOrderOutbox';
+import { OUTBOX_STATUS, LOYALTY_ENDPOINT } from '../services/orderOutbox';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+
+/**
+ * Outbox Indicator Component
+ *
+ * Header badge for orders saved while the backend was unreachable. Shows how
+ * many are waiting and opens a panel listing them, with a button to send
+ * them now. Orders the backend rejected on replay can be retried or
+ * discarded from the panel. Rewards and points that couldn't be written to
+ * a customer's points ledger wait here too. Renders nothing while the
+ * outbox is empty.
+ *
+ * @component
+ */
+const OutboxIndicator = () => {
+  const { entries, pendingCount, failedCount, replaying, replay, retry, discard } = useOrderOutbox();
+  const [open, setOpen] = useState(false);
+
+  if (entries.length === 0) return null;
+
+  const label = [
+    pendingCount > 0 && `${pendingCount} queued`,
+    failedCount > 0 && `${failedCount} failed`
+  ].filter(Boolean).join(', ');
+
+  /**
+   * Discards a rejected order or points ledger write after confirmation
+   *
+   * @param {Object} entry - Outbox entry
+   */
+  const handleDiscard = (entry) => {
+    const subject = entry.endpoint === LOYALTY_ENDPOINT ? 'reward and points' : 'order';
+    if (window.confirm(`Discard the ${subject} for ${entry.data?.customerName || 'this customer'}? It will not be sent.`)) {
+      discard(entry.id);
+    }
+  };
+
+  return (
+    <div className="outbox-indicator">
+      <button
+        type="button"
+        className={`outbox-button${failedCount > 0 ? ' has-failed' : ''}`}
+        onClick={() => setOpen(prev => !prev)}
+        aria-expanded={open}
+        aria-label={`Order outbox: ${label}`}
+      >
+        📤 {label}
+      </button>
+
+      {open && (
+        <div className="outbox-panel" role="dialog" aria-label="Order outbox">
+          <p className="settings-hint">
+            These orders and loyalty updates could not reach the server. They are sent automatically when the connection returns.
+          </p>
+          <ul className="outbox-list">
+            {entries.map(entry => (
+              <li key={entry.id} className={`outbox-entry ${entry.status}`}>
+                <div>
+                  <strong>{entry.data?.customerName || 'Order'}</strong>
+                  {Number.isFinite(entry.data?.total) && ` · ${formatCurrency(entry.data.total)}`}
+                  {entry.endpoint === LOYALTY_ENDPOINT && ' · Reward and points'}
+                </div>
+                <div className="outbox-entry-meta">
+                  Queued {formatDateTime(entry.queuedAt)}
+                  {entry.attempts > 0 && ` · ${entry.attempts} ${entry.attempts === 1 ? 'attempt' : 'attempts'}`}
+                </div>
+                {entry.lastError && <div className="health-error">{entry.lastError}</div>}
+                {entry.status === OUTBOX_STATUS.FAILED && (
+                  <div className="row-actions">
+                    <button type="button" className="link-button" onClick={() => retry(entry.id)}>
+                      Retry
+                    </button>
+                    <button type="button" className="link-button" onClick={() => handleDiscard(entry)}>
+                      Discard
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+          <button type="button" onClick={replay} disabled={replaying || pendingCount === 0}>
+            {replaying ? 'Sending...' : 'Send Now'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OutboxIndicator;
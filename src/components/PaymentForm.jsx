@@ -0,0 +1,200 @@
+import { useState, useRef } from 'react';
+import paymentService from '../services/paymentService';
+import { generateIdempotencyKey } from '../services/orderOutbox';
+import { formatCurrency } from '../utils/formatters';
+import { fromCents } from '../utils/money';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  summarizeTenders,
+  validateTenders,
+  toPaymentTenders
+} from '../utils/payments';
+
+/**
+ * Methods a cashier can take at the counter
+ * Online payments arrive through the payment.received webhook instead
+ * @constant {Array<string>}
+ */
+const COUNTER_METHODS = [PAYMENT_METHODS.CARD, PAYMENT_METHODS.CASH];
+
+/**
+ * Payment Form Component
+ *
+ * Takes payment for a submitted order with one or more tenders, e.g. part
+ * cash and part card. While the cashier enters what the customer hands over
+ * the form shows what is still due and the change to give back.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {string} props.orderId - The ID of the order being paid
+ * @param {number} props.amountDueCents - Amount still due in cents
+ * @param {string} [props.defaultMethod='card'] - Method of the first tender
+ * @param {Function} props.onPaid - Called with (paymentState, { changeCents }) once the payment is recorded
+ */
+const PaymentForm = ({ orderId, amountDueCents, defaultMethod = PAYMENT_METHODS.CARD, onPaid }) => {
+  /**
+   * Payment form state
+   * - tenders: Tenders being entered ({ method, amount }); amount is what the customer hands over
+   * - error: Validation or payment error
+   * - isPaying: A payment is in flight
+   */
+  const [tenders, setTenders] = useState([{
+    method: COUNTER_METHODS.includes(defaultMethod) ? defaultMethod : PAYMENT_METHODS.CARD,
+    amount: fromCents(amountDueCents).toFixed(2)
+  }]);
+  const [error, setError] = useState(null);
+  const [isPaying, setIsPaying] = useState(false);
+
+  /**
+   * Idempotency key of the payment being recorded
+   * Kept when an attempt fails in a way that may have charged the customer
+   *
+   * @type {React.MutableRefObject<string|null>}
+   */
+  const idempotencyKeyRef = useRef(null);
+
+  const summary = summarizeTenders(amountDueCents, tenders);
+
+  /**
+   * Updates a field of one tender
+   *
+   * @param {number} index - Index of the tender
+   * @param {string} field - Field to update (method or amount)
+   * @param {string} value - New value
+   */
+  const handleTenderChange = (index, field, value) => {
+    setTenders(prev => prev.map((tender, i) => (i === index ? { ...tender, [field]: value } : tender)));
+  };
+
+  /**
+   * Splits the payment with another tender for whatever is still due
+   */
+  const addTender = () => {
+    setTenders(prev => [
+      ...prev,
+      {
+        method: prev.some(tender => tender.method === PAYMENT_METHODS.CASH) ? PAYMENT_METHODS.CARD : PAYMENT_METHODS.CASH,
+        amount: fromCents(summary.remainingCents).toFixed(2)
+      }
+    ]);
+  };
+
+  /**
+   * Removes a tender
+   *
+   * @param {number} index - Index of the tender to remove
+   */
+  const removeTender = (index) => {
+    setTenders(prev => prev.filter((_, i) => i !== index));
+  };
+
+  /**
+   * Validates the tenders and records the payment
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateTenders(amountDueCents, tenders);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    if (!idempotencyKeyRef.current) {
+      idempotencyKeyRef.current = generateIdempotencyKey();
+    }
+
+    try {
+      setIsPaying(true);
+      setError(null);
+      const result = await paymentService.recordPayment(
+        orderId,
+        toPaymentTenders(amountDueCents, tenders),
+        idempotencyKeyRef.current
+      );
+      idempotencyKeyRef.current = null;
+      onPaid(result, { changeCents: summary.changeCents });
+    } catch (err) {
+      // A declined or rejected payment never charged the customer, so the next attempt gets a new key
+      if (err.response?.status < 500) {
+        idempotencyKeyRef.current = null;
+      }
+      setError(err.response?.data?.message || 'Failed to record the payment. Please try again.');
+    } finally {
+      setIsPaying(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="payment-form" aria-label="Take payment" noValidate>
+      <p className="payment-amount-due">
+        <strong>Amount due:</strong> {formatCurrency(fromCents(amountDueCents))}
+      </p>
+
+      {error && <div className="field-error">{error}</div>}
+
+      {tenders.map((tender, index) => (
+        <div key={index} className="item-row tender-row">
+          <div className="form-group">
+            <label htmlFor={`tender-method-${index}`}>Tender:</label>
+            <select
+              id={`tender-method-${index}`}
+              value={tender.method}
+              onChange={(e) => handleTenderChange(index, 'method', e.target.value)}
+              disabled={isPaying}
+            >
+              {COUNTER_METHODS.map(method => (
+                <option key={method} value={method}>{PAYMENT_METHOD_LABELS[method]}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group price">
+            <label htmlFor={`tender-amount-${index}`}>
+              {tender.method === PAYMENT_METHODS.CASH ? 'Cash Received:' : 'Amount:'}
+            </label>
+            <input
+              type="number"
+              id={`tender-amount-${index}`}
+              min="0"
+              step="0.01"
+              value={tender.amount}
+              onChange={(e) => handleTenderChange(index, 'amount', e.target.value)}
+              disabled={isPaying}
+            />
+          </div>
+          <button
+            type="button"
+            className="remove-item-button"
+            onClick={() => removeTender(index)}
+            disabled={isPaying || tenders.length === 1}
+          >
+            Remove
+          </button>
+        </div>
+      ))}
+
+      <button type="button" className="add-item-button" onClick={addTender} disabled={isPaying}>
+        Split Payment
+      </button>
+
+      <div className="payment-summary" role="status">
+        {summary.remainingCents > 0 && (
+          <p><strong>Still due:</strong> {formatCurrency(fromCents(summary.remainingCents))}</p>
+        )}
+        {summary.changeCents > 0 && (
+          <p className="change-due"><strong>Change due:</strong> {formatCurrency(fromCents(summary.changeCents))}</p>
+        )}
+      </div>
+
+      <button type="submit" disabled={isPaying}>
+        {isPaying ? 'Recording...' : 'Record Payment'}
+      </button>
+    </form>
+  );
+};
+
+export default PaymentForm;
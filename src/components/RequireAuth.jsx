@@ -0,0 +1,39 @@
+import { Navigate, useLocation } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import { getHomeRoute } from '../utils/permissions';
+
+/**
+ * Route Guard Component
+ *
+ * Renders its children only for signed-in users with an allowed role.
+ * Signed-out users are sent to the login page (and returned afterwards);
+ * users without the required role are sent to their home route.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - The protected content
+ * @param {Array<string>} [props.roles] - Roles allowed to see the content; any role if omitted
+ */
+const RequireAuth = ({ children, roles }) => {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  if (roles && !roles.includes(user.role)) {
+    const homeRoute = getHomeRoute(user.role);
+
+    // Avoid a redirect loop when the role cannot open its own home route
+    if (location.pathname === homeRoute) {
+      return <div className="error-message">You do not have access to this page.</div>;
+    }
+
+    return <Navigate to={homeRoute} replace />;
+  }
+
+  return children;
+};
+
+export default RequireAuth;
@@ -0,0 +1,99 @@
+import { computeRetrySchedule, getRetryPolicyError, formatDelay, MAX_ATTEMPTS_LIMIT } from '../utils/retryPolicy';
+
+/**
+ * Retry Policy Fields Component
+ *
+ * Form fields for a webhook's retry policy, with a preview of when each
+ * retry of a failed delivery would happen.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Object} props.policy - Current retry policy
+ * @param {Function} props.onChange - Called with the updated policy
+ * @param {boolean} [props.disabled=false] - Disables every field
+ */
+const RetryPolicyFields = ({ policy, onChange, disabled = false }) => {
+  /**
+   * Updates one numeric field of the policy
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...policy, [name]: value === '' ? '' : Number(value) });
+  };
+
+  /**
+   * Describes the retry schedule, or what is wrong with the policy
+   *
+   * @returns {string} Preview text
+   */
+  const describeSchedule = () => {
+    const error = getRetryPolicyError(policy);
+    if (error) return error;
+
+    const schedule = computeRetrySchedule(policy);
+    return schedule.length === 0
+      ? 'Failed deliveries go straight to the dead-letter queue.'
+      : `Retries after: ${schedule.map(formatDelay).join(', ')}, then the dead-letter queue.`;
+  };
+
+  return (
+    <fieldset className="retry-policy-fields" disabled={disabled}>
+      <legend>Retry Policy</legend>
+      <div className="form-grid">
+        <div className="form-group">
+          <label htmlFor="retry-max-attempts">Max Attempts:</label>
+          <input
+            id="retry-max-attempts"
+            name="maxAttempts"
+            type="number"
+            min="1"
+            max={MAX_ATTEMPTS_LIMIT}
+            value={policy.maxAttempts}
+            onChange={handleChange}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="retry-initial-delay">Initial Delay (seconds):</label>
+          <input
+            id="retry-initial-delay"
+            name="initialDelaySeconds"
+            type="number"
+            min="1"
+            value={policy.initialDelaySeconds}
+            onChange={handleChange}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="retry-multiplier">Backoff Multiplier:</label>
+          <input
+            id="retry-multiplier"
+            name="backoffMultiplier"
+            type="number"
+            min="1"
+            step="any"
+            value={policy.backoffMultiplier}
+            onChange={handleChange}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="retry-max-delay">Max Delay (seconds):</label>
+          <input
+            id="retry-max-delay"
+            name="maxDelaySeconds"
+            type="number"
+            min="1"
+            value={policy.maxDelaySeconds}
+            onChange={handleChange}
+          />
+        </div>
+      </div>
+      <p className="settings-hint" aria-live="polite">
+        {describeSchedule()}
+      </p>
+    </fieldset>
+  );
+};
+
+export default RetryPolicyFields;
@@ -0,0 +1,39 @@
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from 'recharts';
+
+/**
+ * Sales Trend Chart Component
+ *
+ * Renders the sales series for the selected reporting period as a line chart.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.data - Sales data points ({ label, sales })
+ * @param {Function} props.formatValue - Formats a sales amount for axis ticks and tooltips
+ */
+const SalesTrendChart = ({ data, formatValue }) => {
+  if (!data.length) {
+    return <div className="no-chart-data">No sales recorded for this period.</div>;
+  }
+
+  return (
+    <ResponsiveContainer width="100%" height={280}>
+      <LineChart data={data} margin={{ top: 10, right: 20, left: 10, bottom: 0 }}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="label" />
+        <YAxis tickFormatter={formatValue} width={80} />
+        <Tooltip formatter={(value) => [formatValue(value), 'Sales']} />
+        <Line type="monotone" dataKey="sales" stroke="#1976d2" strokeWidth={2} dot={false} />
+      </LineChart>
+    </ResponsiveContainer>
+  );
+};
+
+export default SalesTrendChart;
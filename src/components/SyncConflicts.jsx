@@ -0,0 +1,87 @@
+import { diffJson } from '../utils/jsonDiff';
+import { formatDateTime } from '../utils/formatters';
+import { SYNC_RESOURCE_LABELS, CONFLICT_RESOLUTIONS } from '../utils/sync';
+
+/**
+ * Formats a value for a diff cell
+ *
+ * @param {*} value - Value on one side of the change
+ * @returns {string} JSON text, or an empty string when the key is missing
+ */
+const formatValue = (value) => (value === undefined ? '' : JSON.stringify(value));
+
+/**
+ * Sync Conflicts Component
+ *
+ * Lists records that changed both locally and in the connected system since
+ * the last sync. Each conflict shows the fields that differ side by side;
+ * staff resolve it by keeping the local version or taking the POS version.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.conflicts=[]] - Unresolved conflicts ({ id, resource, recordId, label, local, remote, detectedAt })
+ * @param {Function} props.onResolve - Called with (conflict, keep), keep being one of CONFLICT_RESOLUTIONS
+ * @param {string} [props.busyId] - Conflict with a resolution in flight
+ */
+const SyncConflicts = ({ conflicts = [], onResolve, busyId }) => {
+  if (conflicts.length === 0) return null;
+
+  return (
+    <section className="sync-conflicts" aria-label="Sync conflicts">
+      <h4>Conflicts to Review ({conflicts.length})</h4>
+      {conflicts.map(conflict => {
+        const name = conflict.label || conflict.recordId;
+        const changes = diffJson(conflict.local, conflict.remote);
+        const busy = busyId === conflict.id;
+        return (
+          <div key={conflict.id} className="sync-conflict">
+            <p>
+              <strong>{SYNC_RESOURCE_LABELS[conflict.resource] || conflict.resource}:</strong> {name}
+              <span className="event-diff-time">{formatDateTime(conflict.detectedAt)}</span>
+            </p>
+            <table className="data-table event-diff-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Local</th>
+                  <th>POS</th>
+                </tr>
+              </thead>
+              <tbody>
+                {changes.map(change => (
+                  <tr key={change.path} className={`diff-${change.type}`}>
+                    <td><code>{change.path || '(record)'}</code></td>
+                    <td><code>{formatValue(change.before)}</code></td>
+                    <td><code>{formatValue(change.after)}</code></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="row-actions">
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => onResolve(conflict, CONFLICT_RESOLUTIONS.LOCAL)}
+                disabled={busy}
+                aria-label={`Keep local version of ${name}`}
+              >
+                Keep Local
+              </button>
+              <button
+                type="button"
+                className="secondary-button"
+                onClick={() => onResolve(conflict, CONFLICT_RESOLUTIONS.REMOTE)}
+                disabled={busy}
+                aria-label={`Use POS version of ${name}`}
+              >
+                Use POS
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </section>
+  );
+};
+
+export default SyncConflicts;
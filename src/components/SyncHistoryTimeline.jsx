@@ -0,0 +1,82 @@
+import { formatDateTime } from '../utils/formatters';
+import {
+  summarizeSyncRun,
+  formatSyncDuration,
+  SYNC_RESOURCE_LABELS,
+  SYNC_STATUS_LABELS,
+  SYNC_STATUS
+} from '../utils/sync';
+
+/**
+ * Describes the record counts of one resource in a run
+ *
+ * @param {Object} counts - { created, updated, skipped, failed }
+ * @returns {string} e.g. '3 created, 1 updated, 1 failed' or 'no changes'
+ */
+const describeCounts = (counts = {}) => {
+  const parts = ['created', 'updated', 'skipped', 'failed']
+    .filter(key => counts[key] > 0)
+    .map(key => `${counts[key]} ${key}`);
+  return parts.length > 0 ? parts.join(', ') : 'no changes';
+};
+
+/**
+ * Sync History Timeline Component
+ *
+ * Lists the sync runs of one connection, newest first. Each entry shows when
+ * the run started and what triggered it, its status and duration, the
+ * record counts of every resource it synced, its errors and how many
+ * conflicts it found.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.runs=[]] - Sync runs, newest first (see utils/sync)
+ */
+const SyncHistoryTimeline = ({ runs = [] }) => {
+  if (runs.length === 0) {
+    return <p className="no-events-message">No syncs have run yet.</p>;
+  }
+
+  return (
+    <ol className="sync-timeline" aria-label="Sync history">
+      {runs.map(run => {
+        const { durationMs } = summarizeSyncRun(run);
+        return (
+          <li key={run.id} className={`sync-run ${run.status}`}>
+            <div className="sync-run-header">
+              <span className="sync-run-time">{formatDateTime(run.startedAt)}</span>
+              <span className="sync-run-trigger">{run.trigger === 'scheduled' ? 'Scheduled' : 'Manual'}</span>
+              <span className={`sync-status ${run.status}`}>{SYNC_STATUS_LABELS[run.status] || run.status}</span>
+              {run.status !== SYNC_STATUS.RUNNING && (
+                <span className="sync-run-duration">{formatSyncDuration(durationMs)}</span>
+              )}
+            </div>
+            <ul className="sync-run-resources">
+              {Object.entries(run.resources || {}).map(([resource, counts]) => (
+                <li key={resource}>
+                  <strong>{SYNC_RESOURCE_LABELS[resource] || resource}:</strong> {describeCounts(counts)}
+                </li>
+              ))}
+            </ul>
+            {run.conflicts > 0 && (
+              <p className="sync-run-conflicts">
+                {run.conflicts === 1 ? '1 conflict' : `${run.conflicts} conflicts`} held for review
+              </p>
+            )}
+            {(run.errors || []).length > 0 && (
+              <ul className="sync-run-errors">
+                {run.errors.map((error, index) => (
+                  <li key={index} className="health-error">
+                    {error.resource && `${SYNC_RESOURCE_LABELS[error.resource] || error.resource}: `}{error.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default SyncHistoryTimeline;
@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'react';
+import integrationService from '../services/integrationService';
+import { formatDateTime } from '../utils/formatters';
+
+/**
+ * Delivery attempt statuses shown in the status filter
+ * @constant {Array<{ value: string, label: string }>}
+ */
+const DELIVERY_STATUSES = [
+  { value: 'succeeded', label: 'Succeeded' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'retrying', label: 'Retrying' }
+];
+
+/**
+ * Webhook Delivery Log Component
+ *
+ * Shows every delivery attempt made to one registered webhook: when it was
+ * made, the event delivered, the attempt number, the HTTP status code, the
+ * latency and the response body. Attempts waiting for an automatic retry
+ * show when the next attempt is due.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} [props.refreshKey=0] - Change to reload the registered webhooks
+ */
+const WebhookDeliveryLog = ({ refreshKey = 0 }) => {
+  /**
+   * Component state
+   * - registrations: Registered webhooks to choose from
+   * - webhookId: The webhook whose log is shown
+   * - statusFilter: Attempt status filter ('' for all)
+   * - deliveries: Delivery attempts of the selected webhook
+   */
+  const [registrations, setRegistrations] = useState([]);
+  const [webhookId, setWebhookId] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Loads the registered webhooks and selects the first one
+   */
+  useEffect(() => {
+    const fetchRegistrations = async () => {
+      try {
+        const data = await integrationService.getRegisteredWebhooks();
+        setRegistrations(data);
+        setWebhookId(prev => (data.some(webhook => webhook.id === prev) ? prev : data[0]?.id || ''));
+      } catch (err) {
+        console.error('Error fetching registered webhooks:', err);
+        setError('Failed to load registered webhooks.');
+      }
+    };
+
+    fetchRegistrations();
+  }, [refreshKey]);
+
+  /**
+   * Fetches the delivery attempts of the selected webhook
+   *
+   * @async
+   * @function fetchDeliveries
+   */
+  const fetchDeliveries = useCallback(async () => {
+    if (!webhookId) return;
+    try {
+      setLoading(true);
+      const params = statusFilter ? { status: statusFilter } : {};
+      setDeliveries(await integrationService.getWebhookDeliveries(webhookId, params));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching webhook deliveries:', err);
+      setError('Failed to load the delivery log.');
+    } finally {
+      setLoading(false);
+    }
+  }, [webhookId, statusFilter]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  if (registrations.length === 0) {
+    return (
+      <div className="delivery-log">
+        <h3>Delivery Log</h3>
+        {error
+          ? <div className="error-message">{error}</div>
+          : <p className="no-events-message">No webhooks registered yet.</p>}
+      </div>
+    );
+  }
+
+  const succeeded = deliveries.filter(delivery => delivery.status === 'succeeded').length;
+  const totalLatency = deliveries.reduce((sum, delivery) => sum + (delivery.latencyMs || 0), 0);
+
+  return (
+    <div className="delivery-log">
+      <div className="webhook-header">
+        <h3>Delivery Log</h3>
+        <div className="webhook-filters">
+          <div className="filter-container">
+            <label htmlFor="delivery-webhook">Webhook:</label>
+            <select id="delivery-webhook" value={webhookId} onChange={(e) => setWebhookId(e.target.value)}>
+              {registrations.map(webhook => (
+                <option key={webhook.id} value={webhook.id}>{webhook.path}</option>
+              ))}
+            </select>
+          </div>
+          <div className="filter-container">
+            <label htmlFor="delivery-status">Status:</label>
+            <select id="delivery-status" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="">All</option>
+              {DELIVERY_STATUSES.map(status => (
+                <option key={status.value} value={status.value}>{status.label}</option>
+              ))}
+            </select>
+          </div>
+          <button type="button" className="secondary-button" onClick={fetchDeliveries} disabled={loading}>
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {deliveries.length === 0 ? (
+        <p className="no-events-message">{loading ? 'Loading deliveries...' : 'No delivery attempts yet.'}</p>
+      ) : (
+        <>
+          <p className="webhook-results-count">
+            {deliveries.length} attempts · {Math.round((succeeded / deliveries.length) * 100)}% succeeded ·
+            avg {Math.round(totalLatency / deliveries.length)} ms
+          </p>
+          <table className="data-table delivery-table">
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Event</th>
+                <th>Attempt</th>
+                <th>Status</th>
+                <th>Code</th>
+                <th>Latency</th>
+                <th>Response</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <tr key={delivery.id}>
+                  <td>{formatDateTime(delivery.attemptedAt)}</td>
+                  <td>{delivery.eventType || delivery.eventId}</td>
+                  <td>{delivery.attempt}</td>
+                  <td>
+                    <span className={`delivery-status ${delivery.status}`}>{delivery.status}</span>
+                    {delivery.status === 'retrying' && delivery.nextRetryAt && (
+                      <div className="delivery-next-retry">Next retry {formatDateTime(delivery.nextRetryAt)}</div>
+                    )}
+                  </td>
+                  <td>{delivery.statusCode ?? '—'}</td>
+                  <td>{delivery.latencyMs !== undefined ? `${delivery.latencyMs} ms` : '—'}</td>
+                  <td>
+                    {delivery.responseBody || delivery.error ? (
+                      <details>
+                        <summary>View</summary>
+                        <pre className="delivery-response">{delivery.responseBody || delivery.error}</pre>
+                      </details>
+                    ) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveryLog;
@@ -1,16 +1,69 @@
 import { useState, useEffect, useCallback } from 'react';
 import integrationService from '../services/integrationService';
+import webhookStream, { STREAM_STATUS } from '../services/webhookStream';
+import JsonTreeView from './JsonTreeView';
+import EventDiffView from './EventDiffView';
+import { formatDateTime } from '../utils/formatters';
+import {
+  getEventKey,
+  getEventType,
+  getDistinctValues,
+  matchesEventFilters,
+  EMPTY_EVENT_FILTERS
+} from '../utils/webhookEvents';
+
+/**
+ * Maximum number of events kept in the list
+ * @constant {number}
+ */
+const MAX_EVENTS = 100;
+
+/**
+ * Labels for the connection status indicator
+ * @constant {Object<string, string>}
+ */
+const STATUS_LABELS = {
+  [STREAM_STATUS.LIVE]: 'Live',
+  [STREAM_STATUS.CONNECTING]: 'Connecting...',
+  [STREAM_STATUS.POLLING]: 'Polling'
+};
+
+/**
+ * Merges events into a list, newest first, without duplicates
+ *
+ * @param {Array<Object>} newer - Events to put first
+ * @param {Array<Object>} older - Events already in the list
+ * @returns {Array<Object>} Merged list, at most MAX_EVENTS long
+ */
+const mergeEvents = (newer, older) => {
+  const seen = new Set();
+  return [...newer, ...older]
+    .filter(event => {
+      const key = getEventKey(event);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_EVENTS);
+};
 
 /**
  * Webhook Events Component
  * 
- * This component displays a list of recent webhook events received by the system,
- * with filtering capabilities and automatic polling for updates.
+ * This component is an inspector for the webhook events received by the
+ * system, with live updates.
  * 
  * Features:
- * - Displays webhook events with source, timestamp, path, method, and payload
- * - Filters events by source system
- * - Auto-refreshes data every 15 seconds
+ * - Displays webhook events with source, type, timestamp, path, method, and
+ *   a collapsible tree of the payload
+ * - Filters events by source, path, method, event type and time range, and
+ *   searches the text of every payload
+ * - Compares the payloads of two events side by side
+ * - Replays a stored event to its registered webhook
+ * - Shows whether the backend verified each event's HMAC signature on receipt
+ * - Adds new events as they are pushed by the webhook stream, without
+ *   reloading the list (the stream falls back to polling when unavailable)
+ * - Shows whether updates are live, reconnecting or polling
  * - Handles loading and error states
  * 
  * @component
@@ -21,19 +74,22 @@ const WebhookEventsComponent = () => {
    * - webhookEvents: Array of webhook events received from the backend
    * - loading: Loading state during data fetching
    * - error: Error message if data fetching fails
-   * - filterSource: Currently selected source filter
-   * - sources: List of unique event sources for the filter dropdown
+   * - filters: Current inspector filters (see EMPTY_EVENT_FILTERS)
+   * - streamStatus: Connection status of the webhook stream
+   * - compareKeys: Keys of the (up to two) events selected for the diff
+   * - replays: Replay progress and result by event key
    */
   const [webhookEvents, setWebhookEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [filterSource, setFilterSource] = useState('all');
-  const [sources, setSources] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_EVENT_FILTERS);
+  const [streamStatus, setStreamStatus] = useState(STREAM_STATUS.CONNECTING);
+  const [compareKeys, setCompareKeys] = useState([]);
+  const [replays, setReplays] = useState({});
 
   /**
-   * Fetches webhook events from the backend
-   * Extracts unique sources for the filter dropdown
-   * Updates component state with the results
+   * Fetches the recent event history from the backend
+   * Keeps any events the stream delivered while the request was in flight
    * 
    * @async
    * @function fetchWebhookEvents
@@ -42,12 +98,7 @@ const WebhookEventsComponent = () => {
   const fetchWebhookEvents = useCallback(async () => {
     try {
       const webhooks = await integrationService.getWebhooks();
-      setWebhookEvents(webhooks);
-      
-      // Extract unique sources for filter dropdown
-      const uniqueSources = [...new Set(webhooks.map(webhook => webhook.source))];
-      setSources(uniqueSources);
-      
+      setWebhookEvents(prev => mergeEvents(prev, webhooks));
       setError(null);
     } catch (err) {
       console.error('Error fetching webhook events:', err);
@@ -58,42 +109,99 @@ const WebhookEventsComponent = () => {
   }, []);
 
   /**
-   * Effect hook to fetch initial data and set up polling
-   * Polls for new webhook events every 15 seconds
-   * Cleans up interval on component unmount
+   * Effect hook to load the history and subscribe to new events
+   * Each streamed event is added to the top of the list
+   * Unsubscribes on component unmount
    */
   useEffect(() => {
-    // Initial data fetch
+    const unsubscribe = webhookStream.subscribe(
+      (event) => setWebhookEvents(prev => mergeEvents([event], prev)),
+      setStreamStatus
+    );
+
     fetchWebhookEvents();
-    
-    // Set up polling every 15 seconds
-    const pollingInterval = setInterval(() => {
-      fetchWebhookEvents();
-    }, 15000);
-    
-    // Clean up interval on component unmount
-    return () => clearInterval(pollingInterval);
+
+    return unsubscribe;
   }, [fetchWebhookEvents]);
 
   /**
-   * Filters webhook events based on selected source
-   * Returns all events if 'all' is selected, otherwise filters by source
+   * Updates one filter
+   * 
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Selects or deselects an event for the diff
+   * Selecting a third event replaces the first one selected
+   * 
+   * @param {string} key - Event key
+   */
+  const toggleCompare = (key) => {
+    setCompareKeys(prev => (prev.includes(key)
+      ? prev.filter(k => k !== key)
+      : [...prev, key].slice(-2)));
+  };
+
+  /**
+   * Re-delivers an event to its registered webhook after confirmation
+   * 
+   * @async
+   * @param {Object} event - The event to replay
+   */
+  const handleReplay = async (event) => {
+    if (!window.confirm(`Replay event ${event.id} to ${event.path}?`)) {
+      return;
+    }
+
+    const key = getEventKey(event);
+    setReplays(prev => ({ ...prev, [key]: { pending: true } }));
+    try {
+      const result = await integrationService.replayWebhookEvent(event.id);
+      const message = result?.statusCode ? `Replayed (HTTP ${result.statusCode})` : 'Replayed';
+      setReplays(prev => ({ ...prev, [key]: { ok: true, message } }));
+    } catch (err) {
+      const reason = err.response?.data?.message || err.message;
+      setReplays(prev => ({ ...prev, [key]: { ok: false, message: `Replay failed: ${reason}` } }));
+    }
+  };
+
+  /**
+   * Filter dropdown options, from the events loaded so far
+   */
+  const sources = getDistinctValues(webhookEvents, event => event.source);
+  const paths = getDistinctValues(webhookEvents, event => event.path);
+  const methods = getDistinctValues(webhookEvents, event => event.method);
+  const types = getDistinctValues(webhookEvents, getEventType);
+
+  /**
+   * Events that pass every filter
    * 
    * @type {Array}
    */
-  const filteredEvents = webhookEvents.filter(event => 
-    filterSource === 'all' || event.source === filterSource
-  );
+  const filteredEvents = webhookEvents.filter(event => matchesEventFilters(event, filters));
+
+  /**
+   * The two events being compared, oldest first
+   */
+  const comparedEvents = compareKeys
+    .map(key => webhookEvents.find(event => getEventKey(event) === key))
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
   /**
    * Formats a timestamp into a human-readable date/time string
+   * Uses the store timezone configured on the Settings page
    * 
    * @function formatTimestamp
    * @param {string|number} timestamp - The timestamp to format
    * @returns {string} Formatted date/time string
    */
   const formatTimestamp = (timestamp) => {
-    return new Date(timestamp).toLocaleString();
+    return formatDateTime(timestamp);
   };
 
   // Render loading spinner while fetching data
@@ -108,15 +216,23 @@ const WebhookEventsComponent = () => {
 
   return (
     <div className="webhook-events-container">
-      {/* Header with title and filter dropdown */}
+      {/* Header with title and connection status */}
       <div className="webhook-header">
         <h2>Recent Webhook Events</h2>
+        <span className={`stream-status ${streamStatus}`} role="status">
+          {STATUS_LABELS[streamStatus]}
+        </span>
+      </div>
+
+      {/* Inspector filters */}
+      <div className="webhook-filters">
         <div className="filter-container">
           <label htmlFor="source-filter">Filter by source:</label>
           <select 
             id="source-filter"
-            value={filterSource}
-            onChange={(e) => setFilterSource(e.target.value)}
+            name="source"
+            value={filters.source}
+            onChange={handleFilterChange}
             className="source-filter-select"
           >
             <option value="all">All Sources</option>
@@ -125,8 +241,71 @@ const WebhookEventsComponent = () => {
             ))}
           </select>
         </div>
+        <div className="filter-container">
+          <label htmlFor="path-filter">Path:</label>
+          <select id="path-filter" name="path" value={filters.path} onChange={handleFilterChange}>
+            <option value="all">All Paths</option>
+            {paths.map(path => (
+              <option key={path} value={path}>{path}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-container">
+          <label htmlFor="method-filter">Method:</label>
+          <select id="method-filter" name="method" value={filters.method} onChange={handleFilterChange}>
+            <option value="all">All Methods</option>
+            {methods.map(method => (
+              <option key={method} value={method}>{method}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-container">
+          <label htmlFor="type-filter">Event type:</label>
+          <select id="type-filter" name="type" value={filters.type} onChange={handleFilterChange}>
+            <option value="all">All Types</option>
+            {types.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+        <div className="filter-container">
+          <label htmlFor="from-filter">From:</label>
+          <input id="from-filter" name="from" type="datetime-local" value={filters.from} onChange={handleFilterChange} />
+        </div>
+        <div className="filter-container">
+          <label htmlFor="to-filter">To:</label>
+          <input id="to-filter" name="to" type="datetime-local" value={filters.to} onChange={handleFilterChange} />
+        </div>
+        <div className="filter-container">
+          <label htmlFor="search-filter">Search payloads:</label>
+          <input
+            id="search-filter"
+            name="search"
+            type="search"
+            value={filters.search}
+            onChange={handleFilterChange}
+            placeholder="e.g. order_123"
+          />
+        </div>
+        <button type="button" className="secondary-button" onClick={() => setFilters(EMPTY_EVENT_FILTERS)}>
+          Clear Filters
+        </button>
       </div>
 
+      <p className="webhook-results-count">
+        Showing {filteredEvents.length} of {webhookEvents.length} events
+        {compareKeys.length === 1 && ' · select one more event to compare'}
+      </p>
+
+      {/* Side-by-side payload diff */}
+      {comparedEvents.length === 2 && (
+        <EventDiffView
+          left={comparedEvents[0]}
+          right={comparedEvents[1]}
+          onClose={() => setCompareKeys([])}
+        />
+      )}
+
       {/* Event list or empty state message */}
       {filteredEvents.length === 0 ? (
         <div className="no-events-message">
@@ -134,20 +313,55 @@ const WebhookEventsComponent = () => {
         </div>
       ) : (
         <div className="webhook-events-list">
-          {filteredEvents.map((event, index) => (
-            <div key={index} className="webhook-event-card">
-              <div className="event-header">
-                <span className="event-source">{event.source}</span>
-                <span className="event-timestamp">{formatTimestamp(event.timestamp)}</span>
-              </div>
-              <div className="event-path">Path: {event.path}</div>
-              <div className="event-method">Method: {event.method}</div>
-              <div className="event-data">
-                <h4>Payload:</h4>
-                <pre>{JSON.stringify(event.payload, null, 2)}</pre>
+          {filteredEvents.map(event => {
+            const key = getEventKey(event);
+            const type = getEventType(event);
+            const replay = replays[key];
+            // Events the backend has not checked are treated as unverified
+            const signature = event.signature || { verified: false, reason: 'Signature not checked' };
+            return (
+              <div key={key} className="webhook-event-card">
+                <div className="event-header">
+                  <span className="event-source">{event.source}</span>
+                  {type && <span className="event-type">{type}</span>}
+                  <span className="event-timestamp">{formatTimestamp(event.timestamp)}</span>
+                  <span
+                    className={`signature-badge ${signature.verified ? 'verified' : 'unverified'}`}
+                    title={signature.reason}
+                  >
+                    {signature.verified ? 'Verified' : 'Unverified'}
+                  </span>
+                </div>
+                <div className="event-path">Path: {event.path}</div>
+                <div className="event-method">Method: {event.method}</div>
+                <div className="event-data">
+                  <h4>Payload:</h4>
+                  <JsonTreeView data={event.payload} label={`Payload of ${event.id || event.path}`} />
+                </div>
+                <div className="event-actions">
+                  <label className="event-compare">
+                    <input
+                      type="checkbox"
+                      checked={compareKeys.includes(key)}
+                      onChange={() => toggleCompare(key)}
+                    />
+                    Compare
+                  </label>
+                  <button
+                    type="button"
+                    className="secondary-button"
+                    onClick={() => handleReplay(event)}
+                    disabled={!event.id || replay?.pending}
+                  >
+                    {replay?.pending ? 'Replaying...' : 'Replay'}
+                  </button>
+                  {replay?.message && (
+                    <span className={`replay-result ${replay.ok ? 'success' : 'error'}`}>{replay.message}</span>
+                  )}
+                </div>
               </div>
-            </div>
-          ))}
+            );
+          })}
         </div>
       )}
     </div>
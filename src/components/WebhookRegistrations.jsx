@@ -0,0 +1,294 @@
+import { Fragment, useState, useEffect } from 'react';
+import integrationService from '../services/integrationService';
+import EventTypePicker from './EventTypePicker';
+
+/**
+ * Webhook Registrations Component
+ *
+ * Table of the registered webhooks with their path, description and
+ * subscribed events. Each row can be edited inline, paused or resumed,
+ * deleted, or sent a test event.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.catalog=[]] - Event catalog for the inline event picker (see utils/eventCatalog)
+ * @param {number} [props.refreshKey=0] - Change to reload the registrations
+ * @param {Function} [props.onChange] - Called after a registration is updated or deleted
+ */
+const WebhookRegistrations = ({ catalog = [], refreshKey = 0, onChange }) => {
+  /**
+   * Component state
+   * - registrations: Registered webhooks
+   * - editing: Inline edit form ({ id, description, events }), or null
+   * - busyId: Registration with an update, delete or test in flight
+   * - testResults: Result of the last test event by registration ID
+   * - message: Result of the last change ({ type: 'success'|'error', text })
+   */
+  const [registrations, setRegistrations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [testResults, setTestResults] = useState({});
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchRegistrations = async () => {
+      try {
+        setLoading(true);
+        setRegistrations(await integrationService.getRegisteredWebhooks());
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching registered webhooks:', err);
+        setError('Failed to load registered webhooks.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRegistrations();
+  }, [refreshKey]);
+
+  /**
+   * Applies a change to a registration and replaces it in the table
+   *
+   * @async
+   * @param {Object} registration - The registration to change
+   * @param {Object} changes - Fields to change
+   * @param {string} successText - Message shown on success
+   * @returns {Promise<boolean>} True if the update succeeded
+   */
+  const applyUpdate = async (registration, changes, successText) => {
+    try {
+      setBusyId(registration.id);
+      const updated = await integrationService.updateWebhook(registration.id, changes);
+      setRegistrations(prev => prev.map(item => (item.id === registration.id ? { ...item, ...updated } : item)));
+      setMessage({ type: 'success', text: successText });
+      onChange?.();
+      return true;
+    } catch (err) {
+      console.error('Webhook update error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || `Failed to update ${registration.path}.` });
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Saves the inline edit form
+   *
+   * @async
+   * @param {Object} registration - The registration being edited
+   */
+  const handleSave = async (registration) => {
+    const saved = await applyUpdate(
+      registration,
+      { description: editing.description, events: editing.events },
+      `Updated ${registration.path}`
+    );
+    if (saved) setEditing(null);
+  };
+
+  /**
+   * Pauses or resumes deliveries to a webhook
+   *
+   * @param {Object} registration - The registration
+   */
+  const handleTogglePaused = (registration) => {
+    const paused = registration.status === 'paused';
+    applyUpdate(
+      registration,
+      { status: paused ? 'active' : 'paused' },
+      paused ? `Resumed ${registration.path}` : `Paused ${registration.path}`
+    );
+  };
+
+  /**
+   * Deletes a webhook after confirmation
+   *
+   * @async
+   * @param {Object} registration - The registration
+   */
+  const handleDelete = async (registration) => {
+    if (!window.confirm(`Delete the webhook at ${registration.path}? It will stop receiving events.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(registration.id);
+      await integrationService.deleteWebhook(registration.id);
+      setRegistrations(prev => prev.filter(item => item.id !== registration.id));
+      setMessage({ type: 'success', text: `Deleted ${registration.path}` });
+      onChange?.();
+    } catch (err) {
+      console.error('Webhook delete error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || `Failed to delete ${registration.path}.` });
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  /**
+   * Sends a test event and shows the delivery result on the row
+   *
+   * @async
+   * @param {Object} registration - The registration
+   */
+  const handleSendTest = async (registration) => {
+    try {
+      setBusyId(registration.id);
+      const result = await integrationService.sendTestEvent(registration.id);
+      const details = [result?.statusCode && `HTTP ${result.statusCode}`, result?.latencyMs !== undefined && `${result.latencyMs} ms`]
+        .filter(Boolean)
+        .join(', ');
+      const ok = result?.delivered !== false;
+      setTestResults(prev => ({
+        ...prev,
+        [registration.id]: { ok, text: `${ok ? 'Test delivered' : 'Test failed'}${details ? ` (${details})` : ''}` }
+      }));
+    } catch (err) {
+      setTestResults(prev => ({
+        ...prev,
+        [registration.id]: { ok: false, text: `Test failed: ${err.response?.data?.message || err.message}` }
+      }));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="webhook-registrations">
+      <h3>Registrations</h3>
+
+      {message && <div className={`${message.type}-message`}>{message.text}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {registrations.length === 0 ? (
+        !error && <p className="no-events-message">{loading ? 'Loading webhooks...' : 'No webhooks registered yet.'}</p>
+      ) : (
+        <table className="data-table registrations-table">
+          <thead>
+            <tr>
+              <th>Path</th>
+              <th>Description</th>
+              <th>Events</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {registrations.map(registration => {
+              const isEditing = editing?.id === registration.id;
+              const paused = registration.status === 'paused';
+              const busy = busyId === registration.id;
+              const testResult = testResults[registration.id];
+              return (
+                <Fragment key={registration.id}>
+                  <tr className={paused ? 'paused' : ''}>
+                    <td><code>{registration.path}</code></td>
+                    <td>
+                      {isEditing ? (
+                        <input
+                          type="text"
+                          aria-label={`Description for ${registration.path}`}
+                          value={editing.description}
+                          onChange={(e) => setEditing(prev => ({ ...prev, description: e.target.value }))}
+                          disabled={busy}
+                        />
+                      ) : (registration.description || '—')}
+                    </td>
+                    <td>
+                      {isEditing ? (
+                        <EventTypePicker
+                          catalog={catalog}
+                          value={editing.events}
+                          onChange={(events) => setEditing(prev => ({ ...prev, events }))}
+                          label={`Events for ${registration.path}`}
+                          disabled={busy}
+                        />
+                      ) : (
+                        (registration.events || []).length > 0
+                          ? registration.events.join(', ')
+                          : 'All events'
+                      )}
+                    </td>
+                    <td>
+                      <span className={`webhook-status ${paused ? 'paused' : 'active'}`}>
+                        {paused ? 'Paused' : 'Active'}
+                      </span>
+                    </td>
+                    <td className="row-actions">
+                      {isEditing ? (
+                        <>
+                          <button type="button" onClick={() => handleSave(registration)} disabled={busy}>
+                            Save
+                          </button>
+                          <button type="button" className="link-button" onClick={() => setEditing(null)} disabled={busy}>
+                            Cancel
+                          </button>
+                        </>
+                      ) : (
+                        <>
+                          <button
+                            type="button"
+                            className="link-button"
+                            onClick={() => setEditing({
+                              id: registration.id,
+                              description: registration.description || '',
+                              events: registration.events || []
+                            })}
+                            disabled={busy}
+                            aria-label={`Edit ${registration.path}`}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            type="button"
+                            className="secondary-button"
+                            onClick={() => handleTogglePaused(registration)}
+                            disabled={busy}
+                            aria-label={`${paused ? 'Resume' : 'Pause'} ${registration.path}`}
+                          >
+                            {paused ? 'Resume' : 'Pause'}
+                          </button>
+                          <button
+                            type="button"
+                            className="secondary-button"
+                            onClick={() => handleSendTest(registration)}
+                            disabled={busy || paused}
+                            aria-label={`Send test event to ${registration.path}`}
+                          >
+                            Send Test
+                          </button>
+                          <button
+                            type="button"
+                            className="danger-button"
+                            onClick={() => handleDelete(registration)}
+                            disabled={busy}
+                            aria-label={`Delete ${registration.path}`}
+                          >
+                            Delete
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                  {testResult && (
+                    <tr className="registration-test-result">
+                      <td colSpan={5}>
+                        <span className={`replay-result ${testResult.ok ? 'success' : 'error'}`}>{testResult.text}</span>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WebhookRegistrations;
@@ -0,0 +1,149 @@
+import { useState, useEffect } from 'react';
+import integrationService from '../services/integrationService';
+import { formatDateTime } from '../utils/formatters';
+import {
+  generateSigningSecret,
+  maskSecret,
+  getActiveSecrets,
+  ROTATION_GRACE_SECONDS
+} from '../utils/webhookSignature';
+
+/**
+ * Webhook Signing Secrets Component
+ *
+ * Lists the signing secret of each registered webhook, masked until
+ * revealed, and rotates secrets. After a rotation the previous secret keeps
+ * verifying payloads for ROTATION_GRACE_SECONDS, so the sender can be
+ * updated without rejecting events.
+ *
+ * @component
+ * @param {Object} props - Component props
+ * @param {number} [props.refreshKey=0] - Change to reload the registered webhooks
+ */
+const WebhookSigningSecrets = ({ refreshKey = 0 }) => {
+  /**
+   * Component state
+   * - registrations: Registered webhooks with their secrets
+   * - revealedId: Webhook whose secret is shown in full
+   * - rotatingId: Webhook with a rotation in flight
+   * - message: Result of the last rotation ({ type: 'success'|'error', text })
+   */
+  const [registrations, setRegistrations] = useState([]);
+  const [error, setError] = useState(null);
+  const [revealedId, setRevealedId] = useState(null);
+  const [rotatingId, setRotatingId] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    const fetchRegistrations = async () => {
+      try {
+        setRegistrations(await integrationService.getRegisteredWebhooks());
+        setError(null);
+      } catch (err) {
+        console.error('Error fetching registered webhooks:', err);
+        setError('Failed to load signing secrets.');
+      }
+    };
+
+    fetchRegistrations();
+  }, [refreshKey]);
+
+  /**
+   * Rotates a webhook's signing secret after confirmation
+   *
+   * @async
+   * @param {Object} registration - The registered webhook
+   */
+  const handleRotate = async (registration) => {
+    const graceHours = ROTATION_GRACE_SECONDS / 3600;
+    if (!window.confirm(`Rotate the signing secret for ${registration.path}? The current secret keeps working for ${graceHours} hours.`)) {
+      return;
+    }
+
+    try {
+      setRotatingId(registration.id);
+      const updated = await integrationService.rotateWebhookSecret(
+        registration.id,
+        generateSigningSecret(),
+        ROTATION_GRACE_SECONDS
+      );
+      setRegistrations(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+      setRevealedId(updated.id);
+      setMessage({ type: 'success', text: `Rotated the signing secret for ${registration.path}. Update the sender before the old secret expires.` });
+    } catch (err) {
+      console.error('Secret rotation error:', err);
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to rotate the signing secret.' });
+    } finally {
+      setRotatingId(null);
+    }
+  };
+
+  return (
+    <div className="signing-secrets">
+      <h3>Signing Secrets</h3>
+
+      {message && <div className={`${message.type}-message`}>{message.text}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {registrations.length === 0 ? (
+        !error && <p className="no-events-message">No webhooks registered yet.</p>
+      ) : (
+        <table className="data-table signing-secrets-table">
+          <thead>
+            <tr>
+              <th>Webhook</th>
+              <th>Secret</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {registrations.map(registration => {
+              const revealed = revealedId === registration.id;
+              const previousActive = getActiveSecrets(registration).length > 1;
+              return (
+                <tr key={registration.id}>
+                  <td>{registration.path}</td>
+                  <td>
+                    <code className="signing-secret">
+                      {registration.secret
+                        ? (revealed ? registration.secret : maskSecret(registration.secret))
+                        : 'None'}
+                    </code>
+                    {previousActive && (
+                      <div className="settings-hint">
+                        Previous secret valid until {formatDateTime(registration.previousSecretExpiresAt)}
+                      </div>
+                    )}
+                  </td>
+                  <td className="row-actions">
+                    {registration.secret && (
+                      <button
+                        type="button"
+                        className="link-button"
+                        onClick={() => setRevealedId(revealed ? null : registration.id)}
+                        aria-label={`${revealed ? 'Hide' : 'Reveal'} secret for ${registration.path}`}
+                      >
+                        {revealed ? 'Hide' : 'Reveal'}
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      className="secondary-button"
+                      onClick={() => handleRotate(registration)}
+                      disabled={rotatingId === registration.id}
+                      aria-label={`Rotate secret for ${registration.path}`}
+                    >
+                      {rotatingId === registration.id ? 'Rotating...' : 'Rotate'}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default WebhookSigningSecrets;
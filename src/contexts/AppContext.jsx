@@ -1,4 +1,4 @@
-import { createContext, useState, useContext } from 'react';
+import { createContext, useState, useContext, useCallback } from 'react';
 
 /**
  * Application Context
@@ -51,12 +51,13 @@ export const AppProvider = ({ children }) => {
   /**
    * Shows a notification with the specified message and type
    * Automatically hides the notification after 5 seconds
+   * Memoized so consumers can safely list it as an effect dependency
    * 
    * @function showNotification
    * @param {string} message - The notification message to display
    * @param {string} [type='info'] - The notification type (info, success, warning, error)
    */
-  const showNotification = (message, type = 'info') => {
+  const showNotification = useCallback((message, type = 'info') => {
     setNotification({
       open: true,
       message,
@@ -70,19 +71,19 @@ export const AppProvider = ({ children }) => {
         open: false,
       }));
     }, 5000);
-  };
+  }, []);
   
   /**
    * Hides the currently displayed notification
    * 
    * @function hideNotification
    */
-  const hideNotification = () => {
+  const hideNotification = useCallback(() => {
     setNotification(prev => ({
       ...prev,
       open: false,
     }));
-  };
+  }, []);
   
   /**
    * Context value object containing all shared state and functions
@@ -0,0 +1,121 @@
+import { createContext, useState, useEffect, useCallback } from 'react';
+import authService, { getUserFromToken, isTokenExpired, decodeToken } from '../services/authService';
+
+/**
+ * Authentication Context
+ * 
+ * Creates a React Context holding the signed-in user and the session actions.
+ * 
+ * @type {React.Context}
+ */
+const AuthContext = createContext();
+
+/**
+ * Restores the user from a stored, unexpired token
+ * 
+ * @returns {Object|null} The stored user, or null when signed out
+ */
+const getStoredUser = () => {
+  const token = authService.getToken();
+  if (!token || isTokenExpired(token)) {
+    authService.clearToken();
+    return null;
+  }
+  return getUserFromToken(token);
+};
+
+/**
+ * Authentication Context Provider
+ * 
+ * Restores the JWT session from localStorage, installs the axios interceptors
+ * that attach the token to API requests, and ends the session when the token
+ * expires or the backend rejects it.
+ * 
+ * @component
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to be wrapped
+ */
+export const AuthProvider = ({ children }) => {
+  /**
+   * Signed-in user
+   * 
+   * @type {[Object|null, Function]}
+   * @property {string} id - User ID (JWT `sub` claim)
+   * @property {string} name - Display name
+   * @property {string} role - Staff role (see utils/permissions)
+   */
+  const [user, setUser] = useState(getStoredUser);
+  
+  /**
+   * Ends the session locally without calling the backend
+   * Used when the token expires or is rejected
+   * 
+   * @function endSession
+   */
+  const endSession = useCallback(() => {
+    authService.clearToken();
+    setUser(null);
+  }, []);
+  
+  /**
+   * Install the axios interceptors for the lifetime of the provider
+   */
+  useEffect(() => authService.installInterceptors(endSession), [endSession]);
+  
+  /**
+   * Schedule the end of the session at the token's expiry time
+   */
+  useEffect(() => {
+    const token = authService.getToken();
+    const expiresAt = user && token ? decodeToken(token)?.exp : null;
+    if (!expiresAt) return;
+    
+    const timer = setTimeout(endSession, Math.max(expiresAt * 1000 - Date.now(), 0));
+    return () => clearTimeout(timer);
+  }, [user, endSession]);
+  
+  /**
+   * Signs in and stores the returned user
+   * 
+   * @async
+   * @function login
+   * @param {Object} credentials - Username and password
+   * @returns {Promise<Object>} The signed-in user
+   */
+  const login = useCallback(async (credentials) => {
+    const signedInUser = await authService.login(credentials);
+    setUser(signedInUser);
+    return signedInUser;
+  }, []);
+  
+  /**
+   * Signs out on the backend and clears the session
+   * 
+   * @async
+   * @function logout
+   */
+  const logout = useCallback(async () => {
+    await authService.logout();
+    setUser(null);
+  }, []);
+  
+  /**
+   * Context value object containing the session state and actions
+   * 
+   * @type {Object}
+   */
+  const contextValue = {
+    user,
+    isAuthenticated: Boolean(user),
+    login,
+    logout,
+  };
+  
+  return (
+    <AuthContext.Provider value={contextValue}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export default AuthContext;
@@ -0,0 +1,19 @@
+import { useContext } from 'react';
+import AuthContext from '../contexts/AuthContext';
+
+/**
+ * Custom hook for using the auth context
+ *
+ * @function useAuth
+ * @returns {Object} The auth context value
+ * @throws {Error} If used outside of an AuthProvider
+ * @example
+ * const { user, logout } = useAuth();
+ */
+export default function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+}
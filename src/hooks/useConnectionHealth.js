@@ -0,0 +1,82 @@
+import { useState, useEffect, useCallback } from 'react';
+import integrationService from '../services/integrationService';
+import { HEALTH_CHECK_OPTIONS } from '../utils/connectionHealth';
+
+/**
+ * Connection health hook
+ *
+ * Loads the health check history of each connection, reloads it on an
+ * interval, and runs on-demand connection tests whose results are added to
+ * the history.
+ *
+ * @function useConnectionHealth
+ * @param {Array<Object>} connections - Connections from getConnections()
+ * @param {Object} [options=HEALTH_CHECK_OPTIONS] - Poll interval and history size
+ * @returns {Object} Health history by connection ID and a testConnection action
+ * @example
+ * const { health, testConnection } = useConnectionHealth(connections);
+ * const status = getHealthStatus(connection, health[connection.id]);
+ */
+export default function useConnectionHealth(connections, options = HEALTH_CHECK_OPTIONS) {
+  const { pollInterval, historySize } = options;
+  const [health, setHealth] = useState({});
+
+  // Reload only when the set of connections changes, not on every new array
+  const connectionIds = connections.map(connection => connection.id).join(',');
+
+  /**
+   * Fetches the health history of every connection
+   * A connection whose history fails to load keeps its previous history
+   *
+   * @async
+   * @function fetchHealth
+   */
+  const fetchHealth = useCallback(async () => {
+    const ids = connectionIds ? connectionIds.split(',') : [];
+    const results = await Promise.all(ids.map(async id => {
+      try {
+        return [id, await integrationService.getConnectionHealth(id, { limit: historySize })];
+      } catch (err) {
+        console.error(`Error fetching health for connection ${id}:`, err);
+        return null;
+      }
+    }));
+
+    setHealth(prev => {
+      const next = {};
+      ids.forEach(id => {
+        if (prev[id]) next[id] = prev[id];
+      });
+      results.filter(Boolean).forEach(([id, history]) => {
+        next[id] = history;
+      });
+      return next;
+    });
+  }, [connectionIds, historySize]);
+
+  useEffect(() => {
+    fetchHealth();
+    const timer = setInterval(fetchHealth, pollInterval);
+    return () => clearInterval(timer);
+  }, [fetchHealth, pollInterval]);
+
+  /**
+   * Tests a connection now and records the result
+   *
+   * @async
+   * @function testConnection
+   * @param {string} connectionId - ID of the connection
+   * @returns {Promise<Object>} The check result ({ checkedAt, healthy, latencyMs, error })
+   * @throws {Error} If the test request itself fails
+   */
+  const testConnection = useCallback(async (connectionId) => {
+    const result = await integrationService.testConnection(connectionId);
+    setHealth(prev => ({
+      ...prev,
+      [connectionId]: [result, ...(prev[connectionId] || [])].slice(0, historySize)
+    }));
+    return result;
+  }, [historySize]);
+
+  return { health, testConnection, refreshHealth: fetchHealth };
+}
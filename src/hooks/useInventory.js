@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import inventoryService from '../services/inventoryService';
+
+/**
+ * Checks whether an item is at or below its minimum stock level
+ *
+ * @function isLowStock
+ * @param {Object} item - Inventory item
+ * @returns {boolean} True if the item is low on stock
+ */
+export const isLowStock = (item) => item.quantity <= item.minLevel;
+
+/**
+ * Checks whether an item has reached its reorder threshold but is not yet low on stock
+ *
+ * @function needsReorder
+ * @param {Object} item - Inventory item
+ * @returns {boolean} True if the item should be reordered
+ */
+export const needsReorder = (item) => item.quantity <= item.reorderLevel && !isLowStock(item);
+
+/**
+ * Inventory data hook
+ *
+ * Loads inventory items and exposes CRUD and quantity adjustment helpers that
+ * keep the local list in sync without refetching everything.
+ *
+ * @function useInventory
+ * @param {Object} [initialFilters] - Initial query filters
+ * @returns {Object} Inventory state and actions
+ * @example
+ * const { inventory, adjustQuantity, getLowStockItems } = useInventory();
+ */
+export default function useInventory(initialFilters = {}) {
+  const [inventory, setInventory] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filters, setFilters] = useState(initialFilters);
+
+  /**
+   * Fetches all items matching the current filters
+   *
+   * @async
+   * @function fetchInventory
+   */
+  const fetchInventory = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const items = await inventoryService.getItems(filters);
+      setInventory(items);
+    } catch (err) {
+      console.error('Error fetching inventory:', err);
+      setError('Failed to load inventory. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchInventory();
+  }, [fetchInventory]);
+
+  /**
+   * Merges new filter values into the current filters
+   *
+   * @param {Object} newFilters - Filter values to apply
+   */
+  const updateFilters = (newFilters) => {
+    setFilters(prev => ({
+      ...prev,
+      ...newFilters
+    }));
+  };
+
+  /**
+   * Creates an item and appends it to the list
+   *
+   * @async
+   * @param {Object} data - Item fields
+   * @returns {Promise<Object>} The created item
+   */
+  const createItem = async (data) => {
+    const item = await inventoryService.createItem(data);
+    setInventory(prev => [...prev, item]);
+    return item;
+  };
+
+  /**
+   * Updates an item and replaces it in the list
+   *
+   * @async
+   * @param {string|number} id - Item ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} The updated item
+   */
+  const updateItem = async (id, data) => {
+    const item = await inventoryService.updateItem(id, data);
+    setInventory(prev => prev.map(i => (i.id === id ? { ...i, ...item } : i)));
+    return item;
+  };
+
+  /**
+   * Deletes an item and removes it from the list
+   *
+   * @async
+   * @param {string|number} id - Item ID
+   */
+  const deleteItem = async (id) => {
+    await inventoryService.deleteItem(id);
+    setInventory(prev => prev.filter(i => i.id !== id));
+  };
+
+  /**
+   * Adjusts an item's quantity with a reason and stores the new quantity
+   *
+   * @async
+   * @param {string|number} id - Item ID
+   * @param {number} adjustment - Signed quantity change
+   * @param {string} reason - Reason recorded with the adjustment
+   * @returns {Promise<Object>} The updated item
+   */
+  const adjustQuantity = async (id, adjustment, reason) => {
+    const result = await inventoryService.adjustQuantity(id, adjustment, reason);
+    const current = inventory.find(i => i.id === id);
+    const updated = { ...current, quantity: result.quantity };
+    setInventory(prev => prev.map(i => (i.id === id ? { ...i, quantity: result.quantity } : i)));
+    return updated;
+  };
+
+  /**
+   * Re-fetches specific items, e.g. after an inventory.updated webhook event
+   * Falls back to a full refetch when no item IDs are given
+   *
+   * @async
+   * @param {Array<string|number>} [ids] - IDs of the items to refresh
+   */
+  const refreshItems = useCallback(async (ids = []) => {
+    if (!ids.length) {
+      await fetchInventory();
+      return;
+    }
+
+    try {
+      const items = await Promise.all(ids.map(id => inventoryService.getItem(id)));
+      setInventory(prev => {
+        const byId = new Map(items.map(item => [item.id, item]));
+        const existingIds = new Set(prev.map(item => item.id));
+        const refreshed = prev.map(item => (byId.has(item.id) ? { ...item, ...byId.get(item.id) } : item));
+        return [...refreshed, ...items.filter(item => !existingIds.has(item.id))];
+      });
+    } catch (err) {
+      console.error('Error refreshing inventory items:', err);
+    }
+  }, [fetchInventory]);
+
+  /**
+   * Items at or below their minimum level
+   *
+   * @returns {Array<Object>} Low stock items
+   */
+  const getLowStockItems = () => inventory.filter(isLowStock);
+
+  /**
+   * Items at or below their reorder threshold but above their minimum level
+   *
+   * @returns {Array<Object>} Items to reorder
+   */
+  const getReorderItems = () => inventory.filter(needsReorder);
+
+  return {
+    inventory,
+    isLoading,
+    error,
+    filters,
+    updateFilters,
+    createItem,
+    updateItem,
+    deleteItem,
+    adjustQuantity,
+    refreshItems,
+    getLowStockItems,
+    getReorderItems,
+    refetch: fetchInventory
+  };
+}
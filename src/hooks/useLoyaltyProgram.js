@@ -0,0 +1,68 @@
+import { useState, useEffect, useCallback } from 'react';
+import loyaltyService from '../services/loyaltyService';
+import { DEFAULT_LOYALTY_PROGRAM } from '../utils/loyalty';
+
+/**
+ * Loyalty program hook
+ *
+ * Loads the loyalty program's earn and burn rules. Until a manager saves a
+ * program the defaults apply (see DEFAULT_LOYALTY_PROGRAM). If the program
+ * can't be loaded, `program` stays null so no points are earned or redeemed
+ * on rules that may be out of date.
+ *
+ * @function useLoyaltyProgram
+ * @returns {Object} Program state and actions
+ * @example
+ * const { program, saveProgram } = useLoyaltyProgram();
+ */
+export default function useLoyaltyProgram() {
+  const [program, setProgram] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetches the program
+   *
+   * @async
+   * @function fetchProgram
+   */
+  const fetchProgram = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await loyaltyService.getProgram();
+      setProgram({ ...DEFAULT_LOYALTY_PROGRAM, ...data });
+    } catch (err) {
+      console.error('Error fetching loyalty program:', err);
+      setError('Failed to load the loyalty program. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProgram();
+  }, [fetchProgram]);
+
+  /**
+   * Saves the program and replaces the local copy
+   *
+   * @async
+   * @param {Object} data - The complete program
+   * @returns {Promise<Object>} The saved program
+   */
+  const saveProgram = async (data) => {
+    const saved = await loyaltyService.updateProgram(data);
+    setProgram({ ...DEFAULT_LOYALTY_PROGRAM, ...saved });
+    return saved;
+  };
+
+  return {
+    program,
+    isLoading,
+    error,
+    saveProgram,
+    refetch: fetchProgram
+  };
+}
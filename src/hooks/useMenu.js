@@ -0,0 +1,121 @@
+import { useState, useEffect, useCallback } from 'react';
+import menuService from '../services/menuService';
+
+/**
+ * Empty catalog used until the menu has loaded
+ * @constant {Object}
+ */
+const EMPTY_MENU = {
+  items: [],
+  sizes: [],
+  crusts: [],
+  toppings: []
+};
+
+/**
+ * Menu catalog hook
+ *
+ * Loads the menu catalog and exposes helpers for the menu editor that keep
+ * the local catalog in sync without refetching everything.
+ *
+ * @function useMenu
+ * @returns {Object} Menu state and actions
+ * @example
+ * const { menu, isLoading, createItem, saveModifiers } = useMenu();
+ */
+export default function useMenu() {
+  const [menu, setMenu] = useState(EMPTY_MENU);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetches the full catalog
+   *
+   * @async
+   * @function fetchMenu
+   */
+  const fetchMenu = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await menuService.getMenu();
+      setMenu({ ...EMPTY_MENU, ...data });
+    } catch (err) {
+      console.error('Error fetching menu:', err);
+      setError('Failed to load the menu. Please try again later.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchMenu();
+  }, [fetchMenu]);
+
+  /**
+   * Creates a menu item and appends it to the catalog
+   *
+   * @async
+   * @param {Object} data - Item fields
+   * @returns {Promise<Object>} The created item
+   */
+  const createItem = async (data) => {
+    const item = await menuService.createItem(data);
+    setMenu(prev => ({ ...prev, items: [...prev.items, item] }));
+    return item;
+  };
+
+  /**
+   * Updates a menu item and replaces it in the catalog
+   *
+   * @async
+   * @param {string} id - Item ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} The updated item
+   */
+  const updateItem = async (id, data) => {
+    const item = await menuService.updateItem(id, data);
+    setMenu(prev => ({
+      ...prev,
+      items: prev.items.map(i => (i.id === id ? { ...i, ...item } : i))
+    }));
+    return item;
+  };
+
+  /**
+   * Deletes a menu item and removes it from the catalog
+   *
+   * @async
+   * @param {string} id - Item ID
+   */
+  const deleteItem = async (id) => {
+    await menuService.deleteItem(id);
+    setMenu(prev => ({ ...prev, items: prev.items.filter(i => i.id !== id) }));
+  };
+
+  /**
+   * Replaces one of the modifier lists
+   *
+   * @async
+   * @param {string} kind - 'sizes', 'crusts' or 'toppings'
+   * @param {Array<Object>} modifiers - The complete new list
+   * @returns {Promise<Array<Object>>} The saved list
+   */
+  const saveModifiers = async (kind, modifiers) => {
+    const saved = await menuService.saveModifiers(kind, modifiers);
+    setMenu(prev => ({ ...prev, [kind]: saved }));
+    return saved;
+  };
+
+  return {
+    menu,
+    isLoading,
+    error,
+    createItem,
+    updateItem,
+    deleteItem,
+    saveModifiers,
+    refetch: fetchMenu
+  };
+}
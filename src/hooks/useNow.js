@@ -0,0 +1,25 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * Current time hook
+ *
+ * Returns the current time and re-renders the component on a fixed interval,
+ * for live timers such as ticket ages on the kitchen display.
+ *
+ * @function useNow
+ * @param {number} [interval=1000] - Update interval in milliseconds
+ * @returns {number} Current time in milliseconds
+ * @example
+ * const now = useNow();
+ * const elapsed = now - new Date(order.createdAt).getTime();
+ */
+export default function useNow(interval = 1000) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+}
@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+import orderOutbox, { OUTBOX_STATUS, OUTBOX_RETRY_INTERVAL } from '../services/orderOutbox';
+
+/**
+ * Order outbox hook
+ *
+ * Keeps the queued order submissions in state and replays them
+ * automatically: on mount, whenever the browser comes back online, and on an
+ * interval while submissions are waiting.
+ *
+ * @function useOrderOutbox
+ * @returns {Object} Entries, counts, replay state and actions
+ * @example
+ * const { pendingCount, replay } = useOrderOutbox();
+ */
+export default function useOrderOutbox() {
+  const [entries, setEntries] = useState([]);
+  const [replaying, setReplaying] = useState(false);
+
+  /**
+   * Reloads the entries from storage
+   *
+   * @async
+   * @function refresh
+   */
+  const refresh = useCallback(async () => {
+    try {
+      setEntries(await orderOutbox.getEntries());
+    } catch (err) {
+      console.error('Error reading the order outbox:', err);
+    }
+  }, []);
+
+  /**
+   * Sends the pending submissions now
+   *
+   * @async
+   * @function replay
+   * @returns {Promise<Object|null>} Replay result, or null if the replay failed
+   */
+  const replay = useCallback(async () => {
+    try {
+      setReplaying(true);
+      return await orderOutbox.replay();
+    } catch (err) {
+      console.error('Error replaying the order outbox:', err);
+      return null;
+    } finally {
+      setReplaying(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+    return orderOutbox.subscribe(refresh);
+  }, [refresh]);
+
+  const pendingCount = entries.filter(entry => entry.status === OUTBOX_STATUS.PENDING).length;
+  const failedCount = entries.length - pendingCount;
+
+  /**
+   * Replay when connectivity returns, and keep retrying while submissions wait
+   */
+  useEffect(() => {
+    if (pendingCount === 0) return undefined;
+
+    if (navigator.onLine !== false) replay();
+    window.addEventListener('online', replay);
+    const timer = setInterval(() => {
+      if (navigator.onLine !== false) replay();
+    }, OUTBOX_RETRY_INTERVAL);
+    return () => {
+      window.removeEventListener('online', replay);
+      clearInterval(timer);
+    };
+  }, [pendingCount, replay]);
+
+  return {
+    entries,
+    pendingCount,
+    failedCount,
+    replaying,
+    replay,
+    retry: orderOutbox.retry,
+    discard: orderOutbox.discard
+  };
+}
@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from 'react';
+import settingsService from '../services/settingsService';
+
+/**
+ * Store settings hook
+ *
+ * Returns the current settings and re-renders the component whenever they
+ * are saved on the Settings page.
+ *
+ * @function useSettings
+ * @returns {Object} Current settings
+ * @example
+ * const { storeName, currency } = useSettings();
+ */
+export default function useSettings() {
+  return useSyncExternalStore(settingsService.subscribe, settingsService.getSettings);
+}
@@ -0,0 +1,38 @@
+import { useEffect, useRef } from 'react';
+import webhookStream from '../services/webhookStream';
+import { getEventType } from '../utils/webhookEvents';
+
+/**
+ * Subscribes a component to incoming webhook events of the given types
+ *
+ * Listens on the shared webhook stream and calls the handler once for every
+ * event of a matching type that arrives after the component mounted. Events
+ * that already existed when the subscription started are not replayed.
+ *
+ * @function useWebhookSubscription
+ * @param {Array<string>} eventTypes - Event types to listen for (e.g., ['inventory.updated'])
+ * @param {Function} onEvent - Called with each new matching event
+ * @example
+ * useWebhookSubscription(['inventory.updated'], (event) => {
+ *   refreshItem(event.payload.itemId);
+ * });
+ */
+export default function useWebhookSubscription(eventTypes, onEvent) {
+  // Keep the latest handler without restarting the subscription on every render
+  const handlerRef = useRef(onEvent);
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  }, [onEvent]);
+
+  const eventTypesKey = eventTypes.join(',');
+
+  useEffect(() => {
+    const types = eventTypesKey.split(',');
+
+    return webhookStream.subscribe((event) => {
+      if (types.includes(getEventType(event))) {
+        handlerRef.current(event);
+      }
+    });
+  }, [eventTypesKey]);
+}
@@ -3,11 +3,14 @@ import { createRoot } from 'react-dom/client';
 import './index.css';
 import App from './App.jsx';
 import { AppProvider } from './contexts/AppContext';
+import { AuthProvider } from './contexts/AuthContext';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <AppProvider>
-      <App />
+      <AuthProvider>
+        <App />
+      </AuthProvider>
     </AppProvider>
   </StrictMode>,
 );
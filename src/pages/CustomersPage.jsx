@@ -0,0 +1,144 @@
+import { useState, useEffect, useCallback } from 'react';
+import customerService from '../services/customerService';
+import CustomerProfileDrawer from '../components/CustomerProfileDrawer';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import { dedupeCustomers, matchesCustomerSearch, formatPhone } from '../utils/customers';
+
+/**
+ * Customers Page Component
+ *
+ * Searchable directory of the store's customers. Records that share a phone
+ * number or email address are shown as one customer (see dedupeCustomers).
+ * Selecting a customer opens their profile with order history, lifetime
+ * value and saved delivery addresses.
+ *
+ * Search runs over the loaded directory by name, email or phone number.
+ *
+ * @component
+ */
+const CustomersPage = () => {
+  // =========================================================================
+  // State Management
+  // =========================================================================
+
+  /**
+   * Directory state
+   * - customers: Customers from the backend, with duplicates merged
+   * - loading/error: Fetch status of the directory
+   * - search: Free-text search term
+   * - selectedCustomer: Customer shown in the profile drawer, or null when closed
+   */
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+
+  // =========================================================================
+  // Data Fetching
+  // =========================================================================
+
+  /**
+   * Fetches the customer directory
+   *
+   * @async
+   * @function fetchCustomers
+   */
+  const fetchCustomers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await customerService.getCustomers();
+      setCustomers(dedupeCustomers(data));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching customers:', err);
+      setError('Failed to load customers. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchCustomers();
+  }, [fetchCustomers]);
+
+  /**
+   * Customers matching the search term
+   *
+   * @type {Array}
+   */
+  const visibleCustomers = customers.filter(customer => matchesCustomerSearch(customer, search));
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  return (
+    <div className="customers-page">
+      <div className="page-header">
+        <h1>Customers</h1>
+      </div>
+
+      <div className="orders-filters">
+        <div className="form-group">
+          <label htmlFor="customer-search">Search:</label>
+          <input
+            type="search"
+            id="customer-search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Name, phone or email"
+          />
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      {loading ? (
+        <div className="loading-spinner">Loading customers...</div>
+      ) : visibleCustomers.length === 0 ? (
+        <div className="no-orders-message">No customers found.</div>
+      ) : (
+        <table className="data-table customers-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Phone</th>
+              <th>Email</th>
+              <th>Orders</th>
+              <th>Lifetime Value</th>
+              <th>Last Order</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleCustomers.map(customer => (
+              <tr
+                key={customer.id}
+                className="clickable-row"
+                onClick={() => setSelectedCustomer(customer)}
+              >
+                <td>{customer.name}</td>
+                <td>{formatPhone(customer.phone)}</td>
+                <td>{customer.email}</td>
+                <td>{customer.orderCount ?? 0}</td>
+                <td>{formatCurrency(customer.lifetimeValue ?? 0)}</td>
+                <td>{customer.lastOrderAt ? formatDateTime(customer.lastOrderAt) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selectedCustomer && (
+        <CustomerProfileDrawer
+          customer={selectedCustomer}
+          onClose={() => setSelectedCustomer(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CustomersPage;
@@ -0,0 +1,153 @@
+import { useState, useEffect, useCallback } from 'react';
+import dashboardService from '../services/dashboardService';
+import { useAppContext } from '../contexts/AppContext';
+import KpiCard from '../components/KpiCard';
+import SalesTrendChart from '../components/SalesTrendChart';
+import OrdersByLocationChart from '../components/OrdersByLocationChart';
+import { formatCurrency } from '../utils/formatters';
+
+/**
+ * Reporting periods offered by the period selector
+ * @constant {Array<Object>}
+ */
+const PERIODS = [
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' },
+  { value: 'year', label: 'This Year' }
+];
+
+/**
+ * Dashboard Page Component
+ *
+ * Landing page for shift leads showing the key numbers for the selected period:
+ * 1. KPI cards - Total sales, order count, average order value and customer satisfaction
+ * 2. Sales Trend - Line chart of sales over the period
+ * 3. Orders by Location - Bar chart of order counts per store
+ *
+ * Data is fetched from the dashboard service. While loading, the global loading
+ * overlay from AppContext is shown; failures raise an error notification.
+ *
+ * @component
+ */
+const DashboardPage = () => {
+  const { setIsLoading, showNotification } = useAppContext();
+
+  /**
+   * Dashboard state
+   * - period: Currently selected reporting period
+   * - stats: KPI summary returned by the backend
+   * - salesTrend: Sales series for the trend chart
+   * - ordersByLocation: Order counts for the location chart
+   * - error: Error message if data fetching fails
+   */
+  const [period, setPeriod] = useState('today');
+  const [stats, setStats] = useState(null);
+  const [salesTrend, setSalesTrend] = useState([]);
+  const [ordersByLocation, setOrdersByLocation] = useState([]);
+  const [error, setError] = useState(null);
+
+  /**
+   * Fetches all dashboard datasets in parallel for the selected period
+   *
+   * @async
+   * @function fetchDashboardData
+   */
+  const fetchDashboardData = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const [statsData, salesData, locationData] = await Promise.all([
+        dashboardService.getStats(period),
+        dashboardService.getSalesTrend(period),
+        dashboardService.getOrdersByLocation(period)
+      ]);
+
+      setStats(statsData);
+      setSalesTrend(salesData);
+      setOrdersByLocation(locationData);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching dashboard data:', err);
+      setError('Failed to load dashboard data. Please try again later.');
+      showNotification('Failed to load dashboard data', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [period, setIsLoading, showNotification]);
+
+  useEffect(() => {
+    fetchDashboardData();
+  }, [fetchDashboardData]);
+
+  return (
+    <div className="dashboard-page">
+      <div className="page-header">
+        <h1>Dashboard</h1>
+        <div className="filter-container">
+          <label htmlFor="dashboard-period">Period:</label>
+          <select
+            id="dashboard-period"
+            value={period}
+            onChange={(e) => setPeriod(e.target.value)}
+            className="source-filter-select"
+          >
+            {PERIODS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button onClick={fetchDashboardData} className="retry-button">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {stats && (
+        <div className="kpi-grid">
+          <KpiCard
+            title="Total Sales"
+            value={formatCurrency(stats.totalSales)}
+            change={stats.totalSalesChange}
+            icon="💰"
+          />
+          <KpiCard
+            title="Orders"
+            value={String(stats.orderCount ?? 0)}
+            change={stats.orderCountChange}
+            icon="🍕"
+          />
+          <KpiCard
+            title="Average Order Value"
+            value={formatCurrency(stats.averageOrderValue)}
+            change={stats.averageOrderValueChange}
+            icon="🧾"
+          />
+          <KpiCard
+            title="Customer Satisfaction"
+            value={`${(stats.satisfaction ?? 0).toFixed(1)}/5`}
+            change={stats.satisfactionChange}
+            icon="⭐"
+          />
+        </div>
+      )}
+
+      <div className="dashboard-charts">
+        <div className="chart-card">
+          <h2>Sales Trend</h2>
+          <SalesTrendChart data={salesTrend} formatValue={(value) => formatCurrency(value)} />
+        </div>
+        <div className="chart-card">
+          <h2>Orders by Location</h2>
+          <OrdersByLocationChart data={ordersByLocation} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DashboardPage;
@@ -0,0 +1,347 @@
+import { useState, useEffect, useCallback } from 'react';
+import orderService from '../services/orderService';
+import deliveryService from '../services/deliveryService';
+import useSettings from '../hooks/useSettings';
+import useWebhookSubscription from '../hooks/useWebhookSubscription';
+import { useAppContext } from '../contexts/AppContext';
+import { formatDateTime } from '../utils/formatters';
+import { suggestBatches, getDriverStats, getDeliveryDuration, formatMinutes } from '../utils/dispatch';
+
+/**
+ * Webhook events that signal an order may be ready to dispatch
+ * @constant {Array<string>}
+ */
+const ORDER_EVENTS = ['order.created', 'order.updated'];
+
+/**
+ * Returns today's date (YYYY-MM-DD) in the store timezone
+ *
+ * @param {string} timezone - IANA timezone from Settings, or '' for the browser's
+ * @returns {string} Today's date
+ */
+const getToday = (timezone) => new Date().toLocaleDateString('en-CA', { timeZone: timezone || undefined });
+
+/**
+ * Dispatch Page Component
+ *
+ * Delivery dispatch board for managers:
+ * 1. Waiting - Ready delivery orders, with suggested runs that batch orders
+ *    sharing a ZIP code; selected orders are sent out with one driver
+ * 2. Out for Delivery - Active runs with their stops; each stop is marked
+ *    delivered when the driver drops it off
+ * 3. Drivers - Current load, deliveries today and average delivery time
+ *
+ * Dispatching moves orders to in-delivery and delivering moves them to
+ * delivered; the backend stamps both times on the run.
+ *
+ * @component
+ */
+const DispatchPage = () => {
+  const { showNotification } = useAppContext();
+  const settings = useSettings();
+
+  /**
+   * Board state
+   * - waitingOrders: Ready orders with a delivery address
+   * - orders: Every order loaded, by ID, for showing run stops
+   * - drivers / runs: Drivers and today's runs
+   * - selectedIds: Orders picked for the next run
+   * - driverId: Driver picked for the next run
+   */
+  const [waitingOrders, setWaitingOrders] = useState([]);
+  const [orders, setOrders] = useState({});
+  const [drivers, setDrivers] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [driverId, setDriverId] = useState('');
+  const [isDispatching, setIsDispatching] = useState(false);
+
+  // =========================================================================
+  // Data Fetching
+  // =========================================================================
+
+  /**
+   * Fetches the orders waiting for delivery, drivers and today's runs
+   *
+   * @async
+   * @function fetchBoard
+   */
+  const fetchBoard = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [readyOrders, deliveryOrders, driverList, runList] = await Promise.all([
+        orderService.getOrders({ status: 'ready' }),
+        orderService.getOrders({ status: 'in-delivery' }),
+        deliveryService.getDrivers(),
+        deliveryService.getRuns({ from: getToday(settings.timezone) })
+      ]);
+
+      const waiting = readyOrders.filter(order => order.deliveryAddress);
+      setWaitingOrders(waiting);
+      setOrders(Object.fromEntries([...waiting, ...deliveryOrders].map(order => [order.id, order])));
+      setDrivers(driverList.filter(driver => driver.active !== false));
+      setRuns(runList);
+      setSelectedIds(prev => prev.filter(id => waiting.some(order => order.id === id)));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching dispatch board:', err);
+      setError('Failed to load the dispatch board. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [settings.timezone]);
+
+  useEffect(() => {
+    fetchBoard();
+  }, [fetchBoard]);
+
+  // Orders become ready in the kitchen; refresh so they show up here
+  useWebhookSubscription(ORDER_EVENTS, fetchBoard);
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Adds or removes an order from the next run
+   *
+   * @param {string} orderId - The order to toggle
+   */
+  const toggleOrder = (orderId) => {
+    setSelectedIds(prev => (prev.includes(orderId)
+      ? prev.filter(id => id !== orderId)
+      : [...prev, orderId]));
+  };
+
+  /**
+   * Sends the selected orders out with the selected driver
+   */
+  const handleDispatch = async () => {
+    const driver = drivers.find(d => d.id === driverId);
+    if (!driver || selectedIds.length === 0) return;
+
+    try {
+      setIsDispatching(true);
+      await deliveryService.dispatchRun(driver.id, selectedIds);
+      showNotification(
+        `Dispatched ${selectedIds.length} order${selectedIds.length === 1 ? '' : 's'} with ${driver.name}`,
+        'success'
+      );
+      setSelectedIds([]);
+      setDriverId('');
+      await fetchBoard();
+    } catch (err) {
+      console.error('Dispatch error:', err);
+      showNotification(err.response?.data?.message || 'Failed to dispatch orders', 'error');
+    } finally {
+      setIsDispatching(false);
+    }
+  };
+
+  /**
+   * Records a stop as delivered
+   *
+   * @param {Object} run - The run the order is on
+   * @param {string} orderId - The delivered order
+   */
+  const handleDelivered = async (run, orderId) => {
+    try {
+      const updatedRun = await deliveryService.markDelivered(run.id, orderId);
+      setRuns(prev => prev.map(r => (r.id === updatedRun.id ? updatedRun : r)));
+      showNotification(`Order ${orderId} delivered`, 'success');
+    } catch (err) {
+      console.error('Mark delivered error:', err);
+      showNotification(err.response?.data?.message || `Failed to mark order ${orderId} delivered`, 'error');
+    }
+  };
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  const batches = suggestBatches(waitingOrders);
+  const driverStats = getDriverStats(drivers, runs);
+  const activeRuns = runs.filter(run => run.status !== 'completed');
+  const getDriverName = (id) => drivers.find(driver => driver.id === id)?.name || id;
+
+  return (
+    <div className="dispatch-page">
+      <div className="page-header">
+        <h1>Dispatch</h1>
+        <button className="secondary-button" onClick={fetchBoard} disabled={loading}>
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button onClick={fetchBoard} className="retry-button">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {loading && !drivers.length ? (
+        <div className="loading-spinner">Loading dispatch board...</div>
+      ) : (
+        <div className="dispatch-board">
+          {/* Waiting Section */}
+          <section className="dispatch-section" aria-label="Waiting for dispatch">
+            <h2>Waiting for Dispatch ({waitingOrders.length})</h2>
+
+            {waitingOrders.length === 0 ? (
+              <p className="no-orders-message">No delivery orders are waiting.</p>
+            ) : (
+              <>
+                <div className="dispatch-batches">
+                  <h3>Suggested Runs</h3>
+                  <ul>
+                    {batches.map(batch => (
+                      <li key={batch.key}>
+                        <span>
+                          {batch.zipCode ? `ZIP ${batch.zipCode}` : 'No ZIP'}: {batch.orderIds.join(', ')}
+                        </span>
+                        <button
+                          className="link-button"
+                          onClick={() => setSelectedIds(batch.orderIds)}
+                          aria-label={`Select run ${batch.orderIds.join(', ')}`}
+                        >
+                          Select
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                <table className="data-table dispatch-table">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Order</th>
+                      <th>Customer</th>
+                      <th>Address</th>
+                      <th>Placed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {waitingOrders.map(order => (
+                      <tr key={order.id}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            aria-label={`Select order ${order.id}`}
+                            checked={selectedIds.includes(order.id)}
+                            onChange={() => toggleOrder(order.id)}
+                          />
+                        </td>
+                        <td>{order.id}</td>
+                        <td>{order.customerName}</td>
+                        <td>{order.deliveryAddress}</td>
+                        <td>{formatDateTime(order.createdAt, settings)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <div className="dispatch-assign">
+                  <label htmlFor="dispatch-driver">Driver:</label>
+                  <select id="dispatch-driver" value={driverId} onChange={(e) => setDriverId(e.target.value)}>
+                    <option value="">Select a driver</option>
+                    {drivers.map(driver => (
+                      <option key={driver.id} value={driver.id}>
+                        {driver.name} ({driverStats[driver.id].openStops} open stops)
+                      </option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={handleDispatch}
+                    disabled={!driverId || selectedIds.length === 0 || isDispatching}
+                  >
+                    {isDispatching ? 'Dispatching...' : `Dispatch ${selectedIds.length} Order${selectedIds.length === 1 ? '' : 's'}`}
+                  </button>
+                </div>
+              </>
+            )}
+          </section>
+
+          {/* Active Runs Section */}
+          <section className="dispatch-section" aria-label="Out for delivery">
+            <h2>Out for Delivery ({activeRuns.length})</h2>
+
+            {activeRuns.length === 0 ? (
+              <p className="no-orders-message">No drivers are out.</p>
+            ) : (
+              <div className="dispatch-runs">
+                {activeRuns.map(run => (
+                  <article key={run.id} className="dispatch-run" aria-label={`Run ${run.id}`}>
+                    <header>
+                      <strong>{getDriverName(run.driverId)}</strong>
+                      <span>Dispatched {formatDateTime(run.dispatchedAt, settings)}</span>
+                    </header>
+                    <ol>
+                      {run.stops.map(stop => (
+                        <li key={stop.orderId}>
+                          <div>
+                            <strong>{stop.orderId}</strong> {orders[stop.orderId]?.deliveryAddress || stop.deliveryAddress}
+                          </div>
+                          {stop.deliveredAt ? (
+                            <span className="dispatch-delivered">
+                              Delivered {formatDateTime(stop.deliveredAt, settings)} ({formatMinutes(getDeliveryDuration(run, stop))})
+                            </span>
+                          ) : (
+                            <button
+                              className="secondary-button"
+                              onClick={() => handleDelivered(run, stop.orderId)}
+                              aria-label={`Mark ${stop.orderId} delivered`}
+                            >
+                              Mark Delivered
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ol>
+                  </article>
+                ))}
+              </div>
+            )}
+          </section>
+
+          {/* Drivers Section */}
+          <section className="dispatch-section" aria-label="Drivers">
+            <h2>Drivers</h2>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Driver</th>
+                  <th>Status</th>
+                  <th>Open Stops</th>
+                  <th>Delivered Today</th>
+                  <th>Avg Delivery Time</th>
+                </tr>
+              </thead>
+              <tbody>
+                {drivers.map(driver => {
+                  const stats = driverStats[driver.id];
+                  return (
+                    <tr key={driver.id}>
+                      <td>{driver.name}</td>
+                      <td>{stats.openStops > 0 ? 'On Run' : 'Available'}</td>
+                      <td>{stats.openStops}</td>
+                      <td>{stats.deliveredCount}</td>
+                      <td>{formatMinutes(stats.averageDeliveryMs)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </section>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DispatchPage;
@@ -1,6 +1,28 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import integrationService from '../services/integrationService';
+import oauthService, { OAUTH_MESSAGE } from '../services/oauthService';
 import WebhookEventsComponent from '../components/WebhookEventsComponent';
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog';
+import DeadLetterQueue from '../components/DeadLetterQueue';
+import WebhookSigningSecrets from '../components/WebhookSigningSecrets';
+import WebhookRegistrations from '../components/WebhookRegistrations';
+import RetryPolicyFields from '../components/RetryPolicyFields';
+import { DEFAULT_RETRY_POLICY, getRetryPolicyError } from '../utils/retryPolicy';
+import { generateSigningSecret } from '../utils/webhookSignature';
+import { buildEventCatalog } from '../utils/eventCatalog';
+import EventTypePicker from '../components/EventTypePicker';
+import ConnectionCard from '../components/ConnectionCard';
+import CredentialField from '../components/CredentialField';
+import useConnectionHealth from '../hooks/useConnectionHealth';
+import { getHealthStatus, needsAttention, HEALTH_LABELS } from '../utils/connectionHealth';
+import { supportsOAuth } from '../utils/pkce';
+import {
+  getInitialCredentials,
+  validateCredentials,
+  toCredentialPayload,
+  redactSecrets
+} from '../utils/credentialFields';
+import { ValidationError } from '../utils/validation';
 
 /**
  * Integrations Page Component
@@ -9,10 +31,16 @@ import WebhookEventsComponent from '../components/WebhookEventsComponent';
  * including connecting to external systems, managing active connections, and
  * registering webhooks for event notifications.
  * 
- * The component is divided into three main sections:
- * 1. Active Connections - Displays currently connected systems with status information
- * 2. Connect to System - Form for establishing new connections with external systems
- * 3. Register Webhook - Form for registering new webhook endpoints
+ * The component is divided into four main sections:
+ * 1. Active Connections - Displays currently connected systems with status, health checks,
+ *    test-connection and re-authentication, data sync runs and conflicts, and a banner
+ *    when any connection is degraded
+ * 2. Connect to System - Form for establishing new connections with external systems,
+ *    either with typed, validated credentials or through the provider's OAuth sign-in
+ *    (popup or redirect)
+ * 3. Register Webhook - Form for registering new webhook endpoints and their retry policy
+ * 4. Registered Webhooks - Editable list of registrations, signing secrets, delivery
+ *    attempt log and dead-letter queue
  * 
  * @component
  */
@@ -37,19 +65,24 @@ const IntegrationsPage = () => {
    * State for connection form
    * - selectedAdapter: Currently selected adapter ID
    * - credentials: Form values for authentication credentials
+   * - credentialErrors: Validation errors by credential field name
    * - formError/formSuccess: Form submission status messages
    * - isSubmitting: Loading state during form submission
+   * - oauthPending: Name of the system whose OAuth sign-in popup is open
    */
   const [selectedAdapter, setSelectedAdapter] = useState('');
   const [credentials, setCredentials] = useState({});
+  const [credentialErrors, setCredentialErrors] = useState({});
   const [formError, setFormError] = useState(null);
   const [formSuccess, setFormSuccess] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [oauthPending, setOauthPending] = useState(null);
   
   /**
    * State for webhook registration
    * - webhookPath: Path for the new webhook endpoint
    * - webhookOptions: Configuration options for the webhook
+   * - retryPolicy: How failed deliveries to the webhook are retried
    * - webhookError/webhookSuccess: Form submission status messages
    * - isRegisteringWebhook: Loading state during webhook registration
    */
@@ -58,9 +91,20 @@ const IntegrationsPage = () => {
     description: '',
     events: []
   });
+  const [retryPolicy, setRetryPolicy] = useState(DEFAULT_RETRY_POLICY);
   const [webhookError, setWebhookError] = useState(null);
   const [webhookSuccess, setWebhookSuccess] = useState(null);
   const [isRegisteringWebhook, setIsRegisteringWebhook] = useState(false);
+  
+  /**
+   * Health check history of each connection, reloaded periodically
+   */
+  const { health, testConnection } = useConnectionHealth(connections);
+  
+  /**
+   * Bumped whenever registrations change so every webhook panel reloads them
+   */
+  const [registrationCount, setRegistrationCount] = useState(0);
 
   // =========================================================================
   // Data Fetching
@@ -109,38 +153,39 @@ const IntegrationsPage = () => {
     
     // Reset credentials form based on selected adapter
     const adapter = adapters.find(a => a.id === selectedAdapterId);
-    if (adapter) {
-      const initialCredentials = {};
-      adapter.requiredCredentials.forEach(field => {
-        initialCredentials[field.name] = '';
-      });
-      setCredentials(initialCredentials);
-    } else {
-      setCredentials({});
-    }
+    setCredentials(getInitialCredentials(adapter?.requiredCredentials));
     
     // Clear previous form messages
+    setCredentialErrors({});
     setFormError(null);
     setFormSuccess(null);
+    setOauthPending(null);
   };
   
   /**
-   * Handles credential input changes
-   * Updates the credentials state with the new value
+   * Handles credential field changes
+   * Updates the credentials state and clears the field's validation error
    * 
-   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   * @param {string} name - Credential field name
+   * @param {string|boolean} value - New value
    */
-  const handleCredentialChange = (e) => {
-    const { name, value } = e.target;
+  const handleCredentialChange = (name, value) => {
     setCredentials(prev => ({
       ...prev,
       [name]: value
     }));
+    setCredentialErrors(prev => {
+      if (!prev[name]) return prev;
+      const { [name]: _cleared, ...rest } = prev;
+      return rest;
+    });
   };
   
   /**
    * Handles connection form submission
-   * Validates form, submits credentials to the backend, and updates UI state
+   * Validates the credentials against the adapter's field schema, submits them
+   * to the backend, and updates UI state. Secret values are removed from any
+   * error message before it is shown.
    * 
    * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
    */
@@ -152,11 +197,19 @@ const IntegrationsPage = () => {
       return;
     }
     
+    const fields = adapters.find(a => a.id === selectedAdapter)?.requiredCredentials || [];
+    const errors = validateCredentials(fields, credentials);
+    setCredentialErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setFormError('Please fix the highlighted credentials.');
+      return;
+    }
+    
     try {
       setIsSubmitting(true);
       setFormError(null);
       
-      const result = await integrationService.connect(selectedAdapter, credentials);
+      await integrationService.connect(selectedAdapter, toCredentialPayload(fields, credentials), fields);
       
       // Refresh connections list
       const updatedConnections = await integrationService.getConnections();
@@ -169,12 +222,48 @@ const IntegrationsPage = () => {
       setCredentials({});
     } catch (err) {
       console.error('Connection error:', err);
-      setFormError(err.response?.data?.message || 'Failed to connect. Please check your credentials and try again.');
+      if (err instanceof ValidationError) {
+        setCredentialErrors(err.errors);
+        setFormError('Please fix the highlighted credentials.');
+        return;
+      }
+      setFormError(redactSecrets(
+        err.response?.data?.message || 'Failed to connect. Please check your credentials and try again.',
+        fields,
+        credentials
+      ));
     } finally {
       setIsSubmitting(false);
     }
   };
   
+  /**
+   * Starts the OAuth sign-in for an adapter
+   * Opens the provider in a popup, or redirects the whole page when popups are blocked;
+   * the callback page reports back through a window message (see Side Effects)
+   * 
+   * @async
+   * @param {Object} adapter - Adapter with an `oauth` declaration
+   * @param {string} [connectionId] - Existing connection to re-authorize in place
+   */
+  const handleAuthorize = async (adapter, connectionId) => {
+    try {
+      setFormError(null);
+      setFormSuccess(null);
+      const url = await oauthService.startAuthorization(adapter, { connectionId });
+      
+      const popup = window.open(url, 'oauth-connect', 'width=600,height=700');
+      if (popup) {
+        setOauthPending(adapter.name);
+      } else {
+        window.location.assign(url);
+      }
+    } catch (err) {
+      console.error('OAuth start error:', err);
+      setFormError(`Failed to start sign-in with ${adapter.name}. Please try again.`);
+    }
+  };
+  
   /**
    * Handles disconnection from an external system
    * Confirms with user, submits request to backend, and updates UI state
@@ -203,6 +292,48 @@ const IntegrationsPage = () => {
     }
   };
   
+  /**
+   * Replaces the credentials of a connection in place
+   * Errors are left to the connection card, which shows them in its form
+   * 
+   * @async
+   * @param {string} connectionId - ID of the connection
+   * @param {Object} newCredentials - Credential values from the card's form
+   */
+  const handleReauthenticate = async (connectionId, newCredentials) => {
+    const system = connections.find(connection => connection.id === connectionId)?.system;
+    const fields = adapters.find(a => a.id === system)?.requiredCredentials || [];
+    const updated = await integrationService.updateCredentials(connectionId, newCredentials, fields);
+    setConnections(prev => prev.map(connection =>
+      (connection.id === connectionId ? { ...connection, ...updated } : connection)));
+  };
+  
+  /**
+   * Refreshes the OAuth access token of a connection
+   * Errors are left to the connection card, which shows them on the card
+   * 
+   * @async
+   * @param {string} connectionId - ID of the connection
+   */
+  const handleRefreshToken = async (connectionId) => {
+    const updated = await oauthService.refreshToken(connectionId);
+    setConnections(prev => prev.map(connection =>
+      (connection.id === connectionId ? { ...connection, ...updated } : connection)));
+  };
+  
+  /**
+   * Reloads the connections after a sync run finishes, so their last sync time is current
+   * 
+   * @async
+   */
+  const handleSyncComplete = useCallback(async () => {
+    try {
+      setConnections(await integrationService.getConnections());
+    } catch (err) {
+      console.error('Error refreshing connections:', err);
+    }
+  }, []);
+  
   // =========================================================================
   // Event Handlers - Webhook Form
   // =========================================================================
@@ -225,13 +356,12 @@ const IntegrationsPage = () => {
    * Handles webhook events selection
    * Updates the events array in webhookOptions state
    * 
-   * @param {React.ChangeEvent<HTMLSelectElement>} e - Change event
+   * @param {Array<string>} events - Selected event types and wildcards
    */
-  const handleWebhookEventsChange = (e) => {
-    const options = Array.from(e.target.selectedOptions, option => option.value);
+  const handleWebhookEventsChange = (events) => {
     setWebhookOptions(prev => ({
       ...prev,
-      events: options
+      events
     }));
   };
   
@@ -249,13 +379,24 @@ const IntegrationsPage = () => {
       return;
     }
     
+    const retryPolicyError = getRetryPolicyError(retryPolicy);
+    if (retryPolicyError) {
+      setWebhookError(retryPolicyError);
+      return;
+    }
+    
     try {
       setIsRegisteringWebhook(true);
       setWebhookError(null);
       
-      await integrationService.registerWebhook(webhookPath, webhookOptions);
+      // Each webhook gets its own secret for signing payloads
+      await integrationService.registerWebhook(webhookPath, {
+        ...webhookOptions,
+        retryPolicy,
+        signingSecret: generateSigningSecret()
+      });
       
-      setWebhookSuccess(`Successfully registered webhook at ${webhookPath}`);
+      setWebhookSuccess(`Successfully registered webhook at ${webhookPath}. Its signing secret is listed under Signing Secrets.`);
       
       // Reset form
       setWebhookPath('');
@@ -263,6 +404,8 @@ const IntegrationsPage = () => {
         description: '',
         events: []
       });
+      setRetryPolicy(DEFAULT_RETRY_POLICY);
+      setRegistrationCount(count => count + 1);
     } catch (err) {
       console.error('Webhook registration error:', err);
       setWebhookError(err.response?.data?.message || 'Failed to register webhook. Please try again.');
@@ -275,6 +418,36 @@ const IntegrationsPage = () => {
   // Side Effects
   // =========================================================================
   
+  /**
+   * Listens for the result of an OAuth sign-in from the callback popup
+   * Messages from other origins are ignored
+   */
+  useEffect(() => {
+    const handleMessage = async (event) => {
+      if (event.origin !== window.location.origin) return;
+      const { type, connection, message } = event.data || {};
+      
+      if (type === OAUTH_MESSAGE.COMPLETE) {
+        setOauthPending(null);
+        setFormError(null);
+        setFormSuccess(`Successfully connected to ${connection?.name || connection?.system}`);
+        setSelectedAdapter('');
+        setCredentials({});
+        try {
+          setConnections(await integrationService.getConnections());
+        } catch (err) {
+          console.error('Error refreshing connections:', err);
+        }
+      } else if (type === OAUTH_MESSAGE.ERROR) {
+        setOauthPending(null);
+        setFormError(message || 'Sign-in failed. Please try again.');
+      }
+    };
+    
+    window.addEventListener('message', handleMessage);
+    return () => window.removeEventListener('message', handleMessage);
+  }, []);
+  
   /**
    * Auto-hide success messages after 5 seconds
    * Uses separate useEffect hooks for each message type to avoid dependencies issues
@@ -297,6 +470,23 @@ const IntegrationsPage = () => {
     }
   }, [webhookSuccess]);
   
+  /**
+   * The adapter chosen in the connect form
+   */
+  const selectedAdapterConfig = adapters.find(a => a.id === selectedAdapter);
+  
+  /**
+   * Event types published by the adapters, for the webhook event pickers
+   */
+  const eventCatalog = buildEventCatalog(adapters);
+  
+  /**
+   * Connections that are degraded or down, for the banner
+   */
+  const unhealthyConnections = connections
+    .map(connection => ({ connection, status: getHealthStatus(connection, health[connection.id]) }))
+    .filter(({ status }) => needsAttention(status));
+  
   // =========================================================================
   // Render Loading State
   // =========================================================================
@@ -317,6 +507,15 @@ const IntegrationsPage = () => {
         <div className="error-message">{error}</div>
       )}
       
+      {unhealthyConnections.length > 0 && (
+        <div className="health-banner" role="alert">
+          {unhealthyConnections.length === 1 ? '1 connection needs' : `${unhealthyConnections.length} connections need`} attention:{' '}
+          {unhealthyConnections
+            .map(({ connection, status }) => `${connection.name} (${HEALTH_LABELS[status]})`)
+            .join(', ')}
+        </div>
+      )}
+      
       <div className="integrations-container">
         {/* Active Connections Section */}
         <div className="connections-section">
@@ -329,30 +528,19 @@ const IntegrationsPage = () => {
           ) : (
             <div className="connections-list">
               {connections.map(connection => (
-                <div key={connection.id} className="connection-card">
-                  <div className="connection-header">
-                    <h3>{connection.name}</h3>
-                    <span className={`connection-status ${connection.status}`}>
-                      {connection.status}
-                    </span>
-                  </div>
-                  <div className="connection-details">
-                    <p><strong>System:</strong> {connection.system}</p>
-                    <p><strong>Connected:</strong> {new Date(connection.connectedAt).toLocaleString()}</p>
-                    {connection.lastSync && (
-                      <p><strong>Last Sync:</strong> {new Date(connection.lastSync).toLocaleString()}</p>
-                    )}
-                  </div>
-                  <div className="connection-actions">
-                    <button 
-                      className="disconnect-button"
-                      onClick={() => handleDisconnect(connection.id)}
-                      disabled={loading}
-                    >
-                      Disconnect
-                    </button>
-                  </div>
-                </div>
+                <ConnectionCard
+                  key={connection.id}
+                  connection={connection}
+                  adapter={adapters.find(a => a.id === connection.system)}
+                  history={health[connection.id]}
+                  onTest={testConnection}
+                  onReauthenticate={handleReauthenticate}
+                  onAuthorize={handleAuthorize}
+                  onRefreshToken={handleRefreshToken}
+                  onDisconnect={handleDisconnect}
+                  onSyncComplete={handleSyncComplete}
+                  disabled={loading}
+                />
               ))}
             </div>
           )}
@@ -370,7 +558,7 @@ const IntegrationsPage = () => {
             <div className="error-message">{formError}</div>
           )}
           
-          <form onSubmit={handleConnect} className="connect-form">
+          <form onSubmit={handleConnect} className="connect-form" noValidate>
             <div className="form-group">
               <label htmlFor="adapter-select">Select System:</label>
               <select
@@ -389,40 +577,55 @@ const IntegrationsPage = () => {
               </select>
             </div>
             
-            {selectedAdapter && (
+            {supportsOAuth(selectedAdapterConfig) ? (
+              <div className="oauth-connect">
+                <p className="settings-hint">
+                  {selectedAdapterConfig.name} connects through its own sign-in page, so no API keys
+                  are entered here.
+                  {selectedAdapterConfig.oauth.scopes?.length > 0 && (
+                    <> Access requested: {selectedAdapterConfig.oauth.scopes.join(', ')}.</>
+                  )}
+                </p>
+                {oauthPending && (
+                  <p className="settings-hint" role="status">
+                    Waiting for sign-in with {oauthPending} to finish in the popup window...
+                  </p>
+                )}
+                <button
+                  type="button"
+                  className="connect-button"
+                  onClick={() => handleAuthorize(selectedAdapterConfig)}
+                >
+                  Connect with {selectedAdapterConfig.name}
+                </button>
+              </div>
+            ) : (
               <>
-                <h3>Credentials</h3>
-                {adapters
-                  .find(a => a.id === selectedAdapter)?.requiredCredentials
-                  .map(field => (
-                    <div key={field.name} className="form-group">
-                      <label htmlFor={field.name}>{field.label}:</label>
-                      <input
-                        type={field.type === 'password' ? 'password' : 'text'}
-                        id={field.name}
-                        name={field.name}
-                        value={credentials[field.name] || ''}
+                {selectedAdapterConfig && (
+                  <>
+                    <h3>Credentials</h3>
+                    {(selectedAdapterConfig.requiredCredentials || []).map(field => (
+                      <CredentialField
+                        key={field.name}
+                        field={field}
+                        value={credentials[field.name]}
                         onChange={handleCredentialChange}
-                        placeholder={field.placeholder || ''}
+                        error={credentialErrors[field.name]}
                         disabled={isSubmitting}
-                        required={field.required}
                       />
-                      {field.description && (
-                        <div className="field-description">{field.description}</div>
-                      )}
-                    </div>
-                  ))
-                }
+                    ))}
+                  </>
+                )}
+                
+                <button 
+                  type="submit" 
+                  className="connect-button"
+                  disabled={!selectedAdapter || isSubmitting}
+                >
+                  {isSubmitting ? 'Connecting...' : 'Connect'}
+                </button>
               </>
             )}
-            
-            <button 
-              type="submit" 
-              className="connect-button"
-              disabled={!selectedAdapter || isSubmitting}
-            >
-              {isSubmitting ? 'Connecting...' : 'Connect'}
-            </button>
           </form>
         </div>
         
@@ -466,23 +669,22 @@ const IntegrationsPage = () => {
             </div>
             
             <div className="form-group">
-              <label htmlFor="webhook-events">Events (hold Ctrl to select multiple):</label>
-              <select
-                id="webhook-events"
-                multiple
+              <span className="form-label">Events:</span>
+              <EventTypePicker
+                catalog={eventCatalog}
                 value={webhookOptions.events}
                 onChange={handleWebhookEventsChange}
+                label="Webhook events"
                 disabled={isRegisteringWebhook}
-                className="webhook-events-select"
-              >
-                <option value="order.created">Order Created</option>
-                <option value="order.updated">Order Updated</option>
-                <option value="order.fulfilled">Order Fulfilled</option>
-                <option value="payment.received">Payment Received</option>
-                <option value="inventory.updated">Inventory Updated</option>
-              </select>
+              />
             </div>
             
+            <RetryPolicyFields
+              policy={retryPolicy}
+              onChange={setRetryPolicy}
+              disabled={isRegisteringWebhook}
+            />
+            
             <button 
               type="submit" 
               className="register-webhook-button"
@@ -494,6 +696,19 @@ const IntegrationsPage = () => {
         </div>
       </div>
       
+      {/* Registered Webhooks Section */}
+      <div className="webhook-deliveries-section">
+        <h2>Registered Webhooks</h2>
+        <WebhookRegistrations
+          catalog={eventCatalog}
+          refreshKey={registrationCount}
+          onChange={() => setRegistrationCount(count => count + 1)}
+        />
+        <WebhookSigningSecrets refreshKey={registrationCount} />
+        <WebhookDeliveryLog refreshKey={registrationCount} />
+        <DeadLetterQueue />
+      </div>
+      
       {/* Webhook Events Section */}
       <div className="webhook-events-section">
         <WebhookEventsComponent />
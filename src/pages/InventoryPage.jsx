@@ -0,0 +1,271 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useInventory, { isLowStock, needsReorder } from '../hooks/useInventory';
+import useWebhookSubscription from '../hooks/useWebhookSubscription';
+import { useAppContext } from '../contexts/AppContext';
+import InventoryItemForm from '../components/InventoryItemForm';
+import InventoryAdjustmentForm from '../components/InventoryAdjustmentForm';
+
+/**
+ * Webhook events that signal a change to inventory data
+ * @constant {Array<string>}
+ */
+const INVENTORY_EVENTS = ['inventory.updated'];
+
+/**
+ * Returns the stock status of an item for display
+ *
+ * @param {Object} item - Inventory item
+ * @returns {{ key: string, label: string }} Status key (CSS class) and label
+ */
+const getStockStatus = (item) => {
+  if (isLowStock(item)) return { key: 'low', label: 'Low Stock' };
+  if (needsReorder(item)) return { key: 'reorder', label: 'Reorder' };
+  return { key: 'ok', label: 'In Stock' };
+};
+
+/**
+ * Inventory Page Component
+ *
+ * Lists stock items with their quantities and thresholds and lets managers:
+ * 1. Add, edit and delete items
+ * 2. Record quantity adjustments with a reason
+ * 3. See low-stock and reorder warnings
+ *
+ * Low-stock warnings are raised through AppContext notifications, and rows are
+ * refreshed when an inventory.updated webhook event arrives.
+ *
+ * @component
+ */
+const InventoryPage = () => {
+  const { showNotification } = useAppContext();
+  const {
+    inventory,
+    isLoading,
+    error,
+    createItem,
+    updateItem,
+    deleteItem,
+    adjustQuantity,
+    refreshItems,
+    getLowStockItems,
+    getReorderItems
+  } = useInventory();
+
+  /**
+   * Form state
+   * - activeForm: Which form is open ({ type: 'create'|'edit'|'adjust', item }) or null
+   * - isSaving: Loading state while a form is being saved
+   */
+  const [activeForm, setActiveForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // =========================================================================
+  // Low Stock Warnings
+  // =========================================================================
+
+  /**
+   * Warn once per visit when items are already low on stock
+   */
+  const hasWarnedRef = useRef(false);
+  const lowStockCount = getLowStockItems().length;
+  useEffect(() => {
+    if (isLoading || hasWarnedRef.current) return;
+    hasWarnedRef.current = true;
+
+    if (lowStockCount > 0) {
+      showNotification(
+        `${lowStockCount} item${lowStockCount === 1 ? ' is' : 's are'} at or below minimum stock`,
+        'warning'
+      );
+    }
+  }, [isLoading, lowStockCount, showNotification]);
+
+  /**
+   * Warns when a change leaves an item at or below its minimum level
+   *
+   * @param {Object} item - The item after the change
+   */
+  const warnIfLow = (item) => {
+    if (isLowStock(item)) {
+      showNotification(`${item.name} is low on stock (${item.quantity} ${item.unit} left)`, 'warning');
+    }
+  };
+
+  // =========================================================================
+  // Webhook Updates
+  // =========================================================================
+
+  /**
+   * Refreshes the rows referenced by an inventory.updated event
+   * Events without item IDs trigger a full refresh
+   *
+   * @param {Object} event - Webhook event
+   */
+  const handleInventoryEvent = useCallback((event) => {
+    const { itemId, itemIds } = event.payload || {};
+    refreshItems(itemIds || (itemId !== undefined ? [itemId] : []));
+  }, [refreshItems]);
+
+  useWebhookSubscription(INVENTORY_EVENTS, handleInventoryEvent);
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Saves the create/edit form
+   *
+   * @param {Object} values - Form values
+   */
+  const handleSaveItem = async (values) => {
+    try {
+      setIsSaving(true);
+      if (activeForm.type === 'edit') {
+        await updateItem(activeForm.item.id, values);
+        showNotification(`${values.name} updated`, 'success');
+      } else {
+        const item = await createItem(values);
+        showNotification(`${item.name} added to inventory`, 'success');
+        warnIfLow(item);
+      }
+      setActiveForm(null);
+    } catch (err) {
+      console.error('Inventory save error:', err);
+      showNotification(err.response?.data?.message || 'Failed to save inventory item', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Records a quantity adjustment for the item in the adjust form
+   *
+   * @param {number} adjustment - Signed quantity change
+   * @param {string} reason - Reason recorded with the change
+   */
+  const handleAdjust = async (adjustment, reason) => {
+    try {
+      setIsSaving(true);
+      const item = await adjustQuantity(activeForm.item.id, adjustment, reason);
+      showNotification(`${item.name} quantity updated to ${item.quantity} ${item.unit}`, 'success');
+      warnIfLow(item);
+      setActiveForm(null);
+    } catch (err) {
+      console.error('Inventory adjustment error:', err);
+      showNotification(err.response?.data?.message || 'Failed to adjust quantity', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Deletes an item after confirmation
+   *
+   * @param {Object} item - The item to delete
+   */
+  const handleDelete = async (item) => {
+    if (!window.confirm(`Are you sure you want to delete ${item.name}?`)) {
+      return;
+    }
+
+    try {
+      await deleteItem(item.id);
+      showNotification(`${item.name} deleted`, 'success');
+    } catch (err) {
+      console.error('Inventory delete error:', err);
+      showNotification(err.response?.data?.message || 'Failed to delete inventory item', 'error');
+    }
+  };
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  const reorderCount = getReorderItems().length;
+
+  return (
+    <div className="inventory-page">
+      <div className="page-header">
+        <h1>Inventory</h1>
+        <button onClick={() => setActiveForm({ type: 'create' })} disabled={Boolean(activeForm)}>
+          Add Item
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      {(lowStockCount > 0 || reorderCount > 0) && (
+        <div className="inventory-alerts">
+          {lowStockCount > 0 && <span className="stock-badge low">{lowStockCount} low stock</span>}
+          {reorderCount > 0 && <span className="stock-badge reorder">{reorderCount} to reorder</span>}
+        </div>
+      )}
+
+      {activeForm?.type === 'adjust' && (
+        <InventoryAdjustmentForm
+          item={activeForm.item}
+          onSubmit={handleAdjust}
+          onCancel={() => setActiveForm(null)}
+          isSubmitting={isSaving}
+        />
+      )}
+
+      {(activeForm?.type === 'create' || activeForm?.type === 'edit') && (
+        <InventoryItemForm
+          item={activeForm.item}
+          onSubmit={handleSaveItem}
+          onCancel={() => setActiveForm(null)}
+          isSubmitting={isSaving}
+        />
+      )}
+
+      {isLoading && !inventory.length ? (
+        <div className="loading-spinner">Loading inventory...</div>
+      ) : inventory.length === 0 ? (
+        <div className="no-orders-message">No inventory items yet.</div>
+      ) : (
+        <table className="data-table inventory-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Category</th>
+              <th>Quantity</th>
+              <th>Min / Reorder</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {inventory.map(item => {
+              const status = getStockStatus(item);
+              return (
+                <tr key={item.id} className={`stock-row ${status.key}`}>
+                  <td>{item.name}</td>
+                  <td>{item.category}</td>
+                  <td>{item.quantity} {item.unit}</td>
+                  <td>{item.minLevel} / {item.reorderLevel}</td>
+                  <td><span className={`stock-badge ${status.key}`}>{status.label}</span></td>
+                  <td className="row-actions">
+                    <button onClick={() => setActiveForm({ type: 'adjust', item })} disabled={Boolean(activeForm)}>
+                      Adjust
+                    </button>
+                    <button className="secondary-button" onClick={() => setActiveForm({ type: 'edit', item })} disabled={Boolean(activeForm)}>
+                      Edit
+                    </button>
+                    <button className="danger-button" onClick={() => handleDelete(item)} disabled={Boolean(activeForm)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default InventoryPage;
@@ -0,0 +1,314 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import orderService from '../services/orderService';
+import useNow from '../hooks/useNow';
+import useSettings from '../hooks/useSettings';
+import useWebhookSubscription from '../hooks/useWebhookSubscription';
+import { useAppContext } from '../contexts/AppContext';
+import KitchenTicket from '../components/KitchenTicket';
+import { KITCHEN_STATIONS, KITCHEN_STATUSES, getBumpStatus, isOnBoard, canRecall } from '../utils/kitchen';
+import { getStatusLabel } from '../utils/orderStatus';
+
+/**
+ * Webhook events that signal a new or changed order
+ * @constant {Array<string>}
+ */
+const ORDER_EVENTS = ['order.created', 'order.updated'];
+
+/**
+ * Sorts orders oldest first so the longest-waiting ticket is on the left
+ *
+ * @param {Array<Object>} orders - Orders to sort
+ * @returns {Array<Object>} Sorted copy
+ */
+const oldestFirst = (orders) => [...orders].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+/**
+ * Kitchen Page Component
+ *
+ * Full-screen kitchen display (KDS) for the line. Open orders are shown as
+ * tickets with live elapsed-time timers, grouped by station:
+ * 1. Prep - New orders; "Start" moves them to the oven
+ * 2. Oven - Orders being prepared; "Ready" moves them to expo
+ * 3. Expo - Finished orders; "Bump" clears them from the board, leaving
+ *    them ready for dispatch or pickup
+ *
+ * Every bump goes through the order service, so all kitchen screens stay in
+ * sync through the order.updated webhook. Bumped tickets can be recalled
+ * until dispatch or pickup moves the order on. Tickets turn
+ * amber and red as they pass the warning and late thresholds from Settings.
+ * The board updates live from order.created and order.updated webhook events.
+ *
+ * @component
+ */
+const KitchenPage = () => {
+  const { showNotification } = useAppContext();
+  const { kitchen: timing } = useSettings();
+  const now = useNow();
+  const containerRef = useRef(null);
+
+  /**
+   * Board state
+   * - orders: Open kitchen orders (new, preparing, ready), bumped ones included
+   * - station: Station filter ('all' or a station ID)
+   * - updatingIds: Orders with a bump or recall in flight
+   * - isFullscreen: Whether the board fills the screen
+   */
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [station, setStation] = useState('all');
+  const [updatingIds, setUpdatingIds] = useState([]);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  // =========================================================================
+  // Data Fetching
+  // =========================================================================
+
+  /**
+   * Fetches all open kitchen orders
+   *
+   * @async
+   * @function fetchOrders
+   */
+  const fetchOrders = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await orderService.getOrders({ status: KITCHEN_STATUSES.join(',') });
+      setOrders(oldestFirst(data.filter(order => KITCHEN_STATUSES.includes(order.status))));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching kitchen orders:', err);
+      setError('Failed to load kitchen orders. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  /**
+   * Adds, replaces or removes an order depending on its status
+   *
+   * @param {Object} order - The latest version of the order
+   */
+  const upsertOrder = useCallback((order) => {
+    setOrders(prev => {
+      const others = prev.filter(o => o.id !== order.id);
+      return KITCHEN_STATUSES.includes(order.status) ? oldestFirst([...others, order]) : others;
+    });
+  }, []);
+
+  // =========================================================================
+  // Webhook Updates
+  // =========================================================================
+
+  /**
+   * Applies an order.created or order.updated event to the board
+   * Events that only carry an order ID are resolved through the order service
+   *
+   * @param {Object} event - Webhook event
+   */
+  const handleOrderEvent = useCallback(async (event) => {
+    const payload = event.payload || {};
+    let order = payload.order;
+
+    if (!order?.items) {
+      const orderId = order?.id ?? payload.orderId ?? payload.id;
+      if (orderId === undefined) return;
+      try {
+        order = await orderService.getOrder(orderId);
+      } catch (err) {
+        console.error(`Error loading order ${orderId} for the kitchen display:`, err);
+        return;
+      }
+    }
+
+    upsertOrder(order);
+  }, [upsertOrder]);
+
+  useWebhookSubscription(ORDER_EVENTS, handleOrderEvent);
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Moves a ticket to the next station, or clears it from expo
+   *
+   * @param {Object} order - The order to bump
+   */
+  const handleBump = async (order) => {
+    const nextStatus = getBumpStatus(order.status);
+
+    try {
+      setUpdatingIds(prev => [...prev, order.id]);
+      if (nextStatus) {
+        const updatedOrder = await orderService.updateOrderStatus(order.id, nextStatus);
+        upsertOrder({ ...order, ...updatedOrder, status: nextStatus });
+      } else {
+        const updatedOrder = await orderService.bumpOrder(order.id);
+        upsertOrder({ ...order, bumpedAt: new Date().toISOString(), ...updatedOrder });
+      }
+    } catch (err) {
+      console.error('Kitchen bump error:', err);
+      showNotification(err.response?.data?.message || `Failed to bump order ${order.id}`, 'error');
+    } finally {
+      setUpdatingIds(prev => prev.filter(id => id !== order.id));
+    }
+  };
+
+  /**
+   * Puts a bumped ticket back on expo
+   * Does nothing once the order has moved on (see canRecall)
+   *
+   * @param {Object} order - The ticket to recall
+   */
+  const handleRecall = async (order) => {
+    if (!canRecall(order)) return;
+
+    try {
+      setUpdatingIds(prev => [...prev, order.id]);
+      const updatedOrder = await orderService.recallOrder(order.id);
+      upsertOrder({ ...order, ...updatedOrder, bumpedAt: null });
+    } catch (err) {
+      console.error('Kitchen recall error:', err);
+      showNotification(err.response?.data?.message || `Failed to recall order ${order.id}`, 'error');
+    } finally {
+      setUpdatingIds(prev => prev.filter(id => id !== order.id));
+    }
+  };
+
+  /**
+   * Enters or leaves full-screen mode
+   * Uses the Fullscreen API when available; the CSS layout covers the rest
+   */
+  const toggleFullscreen = async () => {
+    try {
+      if (!isFullscreen && containerRef.current?.requestFullscreen) {
+        await containerRef.current.requestFullscreen();
+      } else if (isFullscreen && document.fullscreenElement) {
+        await document.exitFullscreen();
+      }
+    } catch (err) {
+      console.error('Fullscreen error:', err);
+    }
+    setIsFullscreen(prev => !prev);
+  };
+
+  // Leaving full screen with Esc does not go through toggleFullscreen
+  useEffect(() => {
+    const handleFullscreenChange = () => {
+      if (!document.fullscreenElement) setIsFullscreen(false);
+    };
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    return () => document.removeEventListener('fullscreenchange', handleFullscreenChange);
+  }, []);
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  const boardOrders = orders.filter(isOnBoard);
+  const recallableOrders = orders
+    .filter(order => order.bumpedAt && canRecall(order))
+    .sort((a, b) => new Date(b.bumpedAt) - new Date(a.bumpedAt));
+  const visibleStations = station === 'all'
+    ? KITCHEN_STATIONS
+    : KITCHEN_STATIONS.filter(s => s.id === station);
+
+  return (
+    <div ref={containerRef} className={`kitchen-page ${isFullscreen ? 'fullscreen' : ''}`}>
+      <div className="page-header">
+        <h1>Kitchen</h1>
+        <div className="tab-bar" role="tablist">
+          <button
+            role="tab"
+            aria-selected={station === 'all'}
+            className={`tab-button ${station === 'all' ? 'active' : ''}`}
+            onClick={() => setStation('all')}
+          >
+            All Stations
+          </button>
+          {KITCHEN_STATIONS.map(s => (
+            <button
+              key={s.id}
+              role="tab"
+              aria-selected={station === s.id}
+              className={`tab-button ${station === s.id ? 'active' : ''}`}
+              onClick={() => setStation(s.id)}
+            >
+              {s.label} ({boardOrders.filter(order => order.status === s.status).length})
+            </button>
+          ))}
+        </div>
+        <button className="secondary-button" onClick={toggleFullscreen}>
+          {isFullscreen ? 'Exit Full Screen' : 'Full Screen'}
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          {error}
+          <button onClick={fetchOrders} className="retry-button">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {loading && !orders.length ? (
+        <div className="loading-spinner">Loading tickets...</div>
+      ) : (
+        <div className="kitchen-board">
+          {visibleStations.map(s => {
+            const stationOrders = boardOrders.filter(order => order.status === s.status);
+            return (
+              <section key={s.id} className="kitchen-station" aria-label={`${s.label} station`}>
+                <h2>{s.label} <span className="kitchen-station-status">{getStatusLabel(s.status)}</span></h2>
+                {stationOrders.length === 0 ? (
+                  <p className="kitchen-empty">No tickets</p>
+                ) : (
+                  <div className="kitchen-tickets">
+                    {stationOrders.map(order => (
+                      <KitchenTicket
+                        key={order.id}
+                        order={order}
+                        now={now}
+                        timing={timing}
+                        onBump={handleBump}
+                        isUpdating={updatingIds.includes(order.id)}
+                      />
+                    ))}
+                  </div>
+                )}
+              </section>
+            );
+          })}
+        </div>
+      )}
+
+      {recallableOrders.length > 0 && (
+        <div className="kitchen-recall">
+          <h3>Recently Bumped</h3>
+          <ul>
+            {recallableOrders.slice(0, 10).map(order => (
+              <li key={order.id}>
+                <span>#{order.id} {order.customerName}</span>
+                <button
+                  className="secondary-button"
+                  onClick={() => handleRecall(order)}
+                  disabled={updatingIds.includes(order.id)}
+                >
+                  Recall
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KitchenPage;
@@ -0,0 +1,128 @@
+import { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import useAuth from '../hooks/useAuth';
+import { getHomeRoute, canAccessRoute } from '../utils/permissions';
+
+/**
+ * Login Page Component
+ *
+ * Sign-in screen shown outside the main layout. After a successful sign-in the
+ * user returns to the page they originally requested, if their role allows it,
+ * or otherwise lands on their role's home route.
+ *
+ * @component
+ */
+const LoginPage = () => {
+  const { user, login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+
+  /**
+   * Login form state
+   * - credentials: Username and password entered by the user
+   * - error: Error message if sign-in fails
+   * - isSubmitting: Loading state during sign-in
+   */
+  const [credentials, setCredentials] = useState({ username: '', password: '' });
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  /**
+   * Returns where to send a user after signing in
+   *
+   * @param {Object} signedInUser - The signed-in user
+   * @returns {string} Route path
+   */
+  const getRedirectPath = (signedInUser) => {
+    const requestedPath = location.state?.from?.pathname;
+    if (requestedPath && canAccessRoute(signedInUser.role, requestedPath)) {
+      return requestedPath;
+    }
+    return getHomeRoute(signedInUser.role);
+  };
+
+  /**
+   * Handles credential input changes
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setCredentials(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Handles login form submission
+   *
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const signedInUser = await login(credentials);
+      navigate(getRedirectPath(signedInUser), { replace: true });
+    } catch (err) {
+      console.error('Login error:', err);
+      setError(err.response?.data?.message || 'Sign-in failed. Please check your username and password.');
+      setIsSubmitting(false);
+    }
+  };
+
+  // Already signed in - skip the login screen
+  if (user) {
+    return <Navigate to={getRedirectPath(user)} replace />;
+  }
+
+  return (
+    <div className="login-page">
+      <form onSubmit={handleSubmit} className="login-form">
+        <h1>Pizza Ops</h1>
+        <p className="login-subtitle">Sign in to continue</p>
+
+        {error && (
+          <div className="error-message">{error}</div>
+        )}
+
+        <div className="form-group">
+          <label htmlFor="login-username">Username:</label>
+          <input
+            type="text"
+            id="login-username"
+            name="username"
+            value={credentials.username}
+            onChange={handleChange}
+            autoComplete="username"
+            disabled={isSubmitting}
+            required
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="login-password">Password:</label>
+          <input
+            type="password"
+            id="login-password"
+            name="password"
+            value={credentials.password}
+            onChange={handleChange}
+            autoComplete="current-password"
+            disabled={isSubmitting}
+            required
+          />
+        </div>
+
+        <button type="submit" className="login-button" disabled={isSubmitting}>
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -0,0 +1,370 @@
+import { useState, useEffect } from 'react';
+import customerService from '../services/customerService';
+import useLoyaltyProgram from '../hooks/useLoyaltyProgram';
+import useMenu from '../hooks/useMenu';
+import { useAppContext } from '../contexts/AppContext';
+import LoyaltyLedger from '../components/LoyaltyLedger';
+import { dedupeCustomers, matchesCustomerSearch, formatPhone } from '../utils/customers';
+import { REWARD_TYPES, REWARD_TYPE_LABELS, describeReward, validateLoyaltyProgram } from '../utils/loyalty';
+
+/**
+ * Most customers listed for a points search
+ * @constant {number}
+ */
+const MAX_CUSTOMER_RESULTS = 10;
+
+/**
+ * Loyalty Page Component
+ *
+ * Lets a manager run the loyalty program:
+ * 1. Earn Rules - Points per dollar and the minimum order that earns points
+ * 2. Rewards - Reward tiers customers can redeem at checkout (free item,
+ *    fixed amount off or percentage off) and what each costs in points
+ * 3. Customer Points - Find a customer to see their points ledger and add
+ *    manual adjustments
+ *
+ * @component
+ */
+const LoyaltyPage = () => {
+  const { program, error: loadError, saveProgram } = useLoyaltyProgram();
+  const { menu } = useMenu();
+  const { showNotification } = useAppContext();
+
+  // =========================================================================
+  // State Management
+  // =========================================================================
+
+  /**
+   * Program form state
+   * - values: Draft program being edited, or null until the program has loaded
+   * - error: Validation error shown above the form
+   * - saving: A save is in flight
+   */
+  const [values, setValues] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * Customer points state
+   * - customers: Customer directory with duplicates merged
+   * - customerSearch: Search term
+   * - selectedCustomer: Customer whose ledger is shown
+   */
+  const [customers, setCustomers] = useState([]);
+  const [customerSearch, setCustomerSearch] = useState('');
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+
+  // =========================================================================
+  // Data Fetching
+  // =========================================================================
+
+  useEffect(() => {
+    if (program) setValues(program);
+  }, [program]);
+
+  useEffect(() => {
+    customerService.getCustomers()
+      .then(data => setCustomers(dedupeCustomers(data)))
+      .catch(err => console.error('Error fetching customers:', err));
+  }, []);
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Handles changes to the earn rule fields
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   */
+  const handleRuleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setValues(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : parseFloat(value) || 0
+    }));
+  };
+
+  /**
+   * Updates a field of one reward
+   *
+   * @param {number} index - Index of the reward
+   * @param {string} field - Field to update (name, points, type, value, category, sizeId)
+   * @param {string|number} value - New value
+   */
+  const handleRewardChange = (index, field, value) => {
+    setValues(prev => ({
+      ...prev,
+      rewards: prev.rewards.map((reward, i) => (i === index ? { ...reward, [field]: value } : reward))
+    }));
+  };
+
+  /**
+   * Adds an empty reward
+   */
+  const addReward = () => {
+    setValues(prev => ({
+      ...prev,
+      rewards: [
+        ...prev.rewards,
+        { id: `reward_${crypto.randomUUID()}`, name: '', points: 0, type: REWARD_TYPES.FIXED, value: 0, category: '', sizeId: '' }
+      ]
+    }));
+  };
+
+  /**
+   * Removes a reward
+   *
+   * @param {number} index - Index of the reward to remove
+   */
+  const removeReward = (index) => {
+    setValues(prev => ({
+      ...prev,
+      rewards: prev.rewards.filter((_, i) => i !== index)
+    }));
+  };
+
+  /**
+   * Validates and saves the program
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validateLoyaltyProgram(values);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await saveProgram({
+        ...values,
+        rewards: values.rewards.map(reward => ({ ...reward, name: reward.name.trim() }))
+      });
+      setError(null);
+      showNotification('Loyalty program saved', 'success');
+    } catch (err) {
+      console.error('Error saving loyalty program:', err);
+      showNotification(err.response?.data?.message || 'Failed to save the loyalty program', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Customers matching the points search, once a term is entered
+   *
+   * @type {Array}
+   */
+  const customerResults = customerSearch.trim()
+    ? customers.filter(customer => matchesCustomerSearch(customer, customerSearch)).slice(0, MAX_CUSTOMER_RESULTS)
+    : [];
+
+  const categories = [...new Set(menu.items.map(item => item.category).filter(Boolean))];
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  return (
+    <div className="loyalty-page">
+      <div className="page-header">
+        <h1>Loyalty</h1>
+      </div>
+
+      {loadError && <div className="error-message">{loadError}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {!values ? (
+        !loadError && <div className="loading-spinner">Loading loyalty program...</div>
+      ) : (
+        <form onSubmit={handleSubmit} className="settings-form" aria-label="Loyalty program" noValidate>
+          {/* Earn Rules Section */}
+          <div className="form-section">
+            <h3>Earn Rules</h3>
+            <div className="form-group checkbox-group">
+              <label>
+                <input type="checkbox" name="enabled" checked={values.enabled} onChange={handleRuleChange} />
+                Program enabled
+              </label>
+            </div>
+            <div className="form-grid">
+              <div className="form-group">
+                <label htmlFor="loyalty-points-per-dollar">Points per Dollar:</label>
+                <input
+                  id="loyalty-points-per-dollar"
+                  name="pointsPerDollar"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={values.pointsPerDollar}
+                  onChange={handleRuleChange}
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor="loyalty-minimum-order">Minimum Order:</label>
+                <input
+                  id="loyalty-minimum-order"
+                  name="minimumOrder"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={values.minimumOrder}
+                  onChange={handleRuleChange}
+                />
+              </div>
+            </div>
+            <p className="settings-hint">
+              Points are earned on the order subtotal after discounts, before tax, delivery fee and tip.
+            </p>
+          </div>
+
+          {/* Rewards Section */}
+          <div className="form-section">
+            <h3>Rewards</h3>
+            {values.rewards.length === 0 && (
+              <p className="no-tax-rates">No rewards configured.</p>
+            )}
+            {values.rewards.map((reward, index) => (
+              <div key={reward.id} className="item-row reward-row">
+                <div className="form-group">
+                  <label htmlFor={`reward-name-${index}`}>Name:</label>
+                  <input
+                    id={`reward-name-${index}`}
+                    value={reward.name}
+                    onChange={(e) => handleRewardChange(index, 'name', e.target.value)}
+                    placeholder="Free medium pizza"
+                  />
+                </div>
+                <div className="form-group price">
+                  <label htmlFor={`reward-points-${index}`}>Points:</label>
+                  <input
+                    id={`reward-points-${index}`}
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={reward.points}
+                    onChange={(e) => handleRewardChange(index, 'points', parseInt(e.target.value, 10) || 0)}
+                  />
+                </div>
+                <div className="form-group">
+                  <label htmlFor={`reward-type-${index}`}>Type:</label>
+                  <select
+                    id={`reward-type-${index}`}
+                    value={reward.type}
+                    onChange={(e) => handleRewardChange(index, 'type', e.target.value)}
+                  >
+                    {Object.values(REWARD_TYPES).map(type => (
+                      <option key={type} value={type}>{REWARD_TYPE_LABELS[type]}</option>
+                    ))}
+                  </select>
+                </div>
+                {reward.type === REWARD_TYPES.FREE_ITEM ? (
+                  <>
+                    <div className="form-group">
+                      <label htmlFor={`reward-category-${index}`}>Category:</label>
+                      <select
+                        id={`reward-category-${index}`}
+                        value={reward.category || ''}
+                        onChange={(e) => handleRewardChange(index, 'category', e.target.value)}
+                      >
+                        <option value="">Any item</option>
+                        {[...new Set([...categories, reward.category].filter(Boolean))].map(category => (
+                          <option key={category} value={category}>{category}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label htmlFor={`reward-size-${index}`}>Size:</label>
+                      <select
+                        id={`reward-size-${index}`}
+                        value={reward.sizeId || ''}
+                        onChange={(e) => handleRewardChange(index, 'sizeId', e.target.value)}
+                      >
+                        <option value="">Any size</option>
+                        {menu.sizes.map(size => (
+                          <option key={size.id} value={size.id}>{size.name}</option>
+                        ))}
+                        {reward.sizeId && !menu.sizes.some(size => size.id === reward.sizeId) && (
+                          <option value={reward.sizeId}>{reward.sizeId}</option>
+                        )}
+                      </select>
+                    </div>
+                  </>
+                ) : (
+                  <div className="form-group price">
+                    <label htmlFor={`reward-value-${index}`}>Value:</label>
+                    <input
+                      id={`reward-value-${index}`}
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={reward.value}
+                      onChange={(e) => handleRewardChange(index, 'value', parseFloat(e.target.value) || 0)}
+                    />
+                  </div>
+                )}
+                <span className="field-description">{describeReward(reward, menu)}</span>
+                <button type="button" className="remove-item-button" onClick={() => removeReward(index)}>
+                  Remove
+                </button>
+              </div>
+            ))}
+            <button type="button" className="add-item-button" onClick={addReward}>
+              Add Reward
+            </button>
+          </div>
+
+          <div className="form-actions">
+            <button type="submit" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Program'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Customer Points Section */}
+      <div className="form-section loyalty-customers">
+        <h3>Customer Points</h3>
+        <div className="form-group">
+          <label htmlFor="loyalty-customer-search">Find Customer:</label>
+          <input
+            type="search"
+            id="loyalty-customer-search"
+            value={customerSearch}
+            onChange={(e) => setCustomerSearch(e.target.value)}
+            placeholder="Name, phone or email"
+          />
+        </div>
+        {customerResults.length > 0 && (
+          <ul className="loyalty-customer-results">
+            {customerResults.map(customer => (
+              <li key={customer.id}>
+                <button
+                  type="button"
+                  className={`link-button${selectedCustomer?.id === customer.id ? ' active' : ''}`}
+                  onClick={() => setSelectedCustomer(customer)}
+                >
+                  {customer.name}{customer.phone && ` · ${formatPhone(customer.phone)}`}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {customerSearch.trim() && customerResults.length === 0 && <p>No customers found.</p>}
+        {selectedCustomer && (
+          <>
+            <h4>{selectedCustomer.name}</h4>
+            <LoyaltyLedger key={selectedCustomer.id} customer={selectedCustomer} allowAdjust />
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoyaltyPage;
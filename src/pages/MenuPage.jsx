@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import useMenu from '../hooks/useMenu';
+import useSettings from '../hooks/useSettings';
+import { useAppContext } from '../contexts/AppContext';
+import MenuItemForm from '../components/MenuItemForm';
+import MenuModifierEditor from '../components/MenuModifierEditor';
+import { getItemSizes } from '../utils/menuPricing';
+import { formatCurrency } from '../utils/formatters';
+
+/**
+ * Modifier lists shown in the editor, with the numeric field each one prices by
+ * @constant {Array<Object>}
+ */
+const MODIFIER_SECTIONS = [
+  {
+    kind: 'sizes',
+    title: 'Sizes',
+    idPrefix: 'size',
+    valueField: { name: 'toppingMultiplier', label: 'Topping Multiplier', rowLabel: 'Size', defaultValue: 1 }
+  },
+  {
+    kind: 'crusts',
+    title: 'Crusts',
+    idPrefix: 'crust',
+    valueField: { name: 'upcharge', label: 'Upcharge', rowLabel: 'Crust' }
+  },
+  {
+    kind: 'toppings',
+    title: 'Toppings',
+    idPrefix: 'topping',
+    valueField: { name: 'price', label: 'Price', rowLabel: 'Topping' }
+  }
+];
+
+/**
+ * Menu Page Component
+ *
+ * Menu editor for managers. The catalog defined here drives the item pickers
+ * and line prices in the order form:
+ * 1. Menu Items - Add, edit and delete items with per-size or flat prices
+ * 2. Sizes - Size names and the multiplier applied to topping prices
+ * 3. Crusts - Crust options and their upcharge
+ * 4. Toppings - Topping modifiers and their base price
+ *
+ * @component
+ */
+const MenuPage = () => {
+  const { showNotification } = useAppContext();
+  const settings = useSettings();
+  const {
+    menu,
+    isLoading,
+    error,
+    createItem,
+    updateItem,
+    deleteItem,
+    saveModifiers
+  } = useMenu();
+
+  /**
+   * Editor state
+   * - activeForm: Which item form is open ({ type: 'create'|'edit', item }) or null
+   * - savingSection: The item form or modifier list currently being saved
+   */
+  const [activeForm, setActiveForm] = useState(null);
+  const [savingSection, setSavingSection] = useState(null);
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Saves the create/edit item form
+   *
+   * @param {Object} values - Form values
+   */
+  const handleSaveItem = async (values) => {
+    try {
+      setSavingSection('item');
+      if (activeForm.type === 'edit') {
+        await updateItem(activeForm.item.id, values);
+        showNotification(`${values.name} updated`, 'success');
+      } else {
+        const item = await createItem(values);
+        showNotification(`${item.name} added to the menu`, 'success');
+      }
+      setActiveForm(null);
+    } catch (err) {
+      console.error('Menu item save error:', err);
+      showNotification(err.response?.data?.message || 'Failed to save menu item', 'error');
+    } finally {
+      setSavingSection(null);
+    }
+  };
+
+  /**
+   * Deletes a menu item after confirmation
+   *
+   * @param {Object} item - The item to delete
+   */
+  const handleDeleteItem = async (item) => {
+    if (!window.confirm(`Are you sure you want to remove ${item.name} from the menu?`)) {
+      return;
+    }
+
+    try {
+      await deleteItem(item.id);
+      showNotification(`${item.name} removed from the menu`, 'success');
+    } catch (err) {
+      console.error('Menu item delete error:', err);
+      showNotification(err.response?.data?.message || 'Failed to delete menu item', 'error');
+    }
+  };
+
+  /**
+   * Saves one of the modifier lists
+   *
+   * @param {Object} section - Entry from MODIFIER_SECTIONS
+   * @param {Array<Object>} modifiers - The new list
+   */
+  const handleSaveModifiers = async (section, modifiers) => {
+    try {
+      setSavingSection(section.kind);
+      await saveModifiers(section.kind, modifiers);
+      showNotification(`${section.title} saved`, 'success');
+    } catch (err) {
+      console.error(`Menu ${section.kind} save error:`, err);
+      showNotification(err.response?.data?.message || `Failed to save ${section.title.toLowerCase()}`, 'error');
+    } finally {
+      setSavingSection(null);
+    }
+  };
+
+  /**
+   * Formats an item's prices for the table, e.g. "Small $10.00 · Large $16.00"
+   *
+   * @param {Object} item - Menu item
+   * @returns {string} Price summary
+   */
+  const describePrices = (item) => {
+    const sizes = getItemSizes(item, menu);
+    if (sizes.length === 0) return formatCurrency(item.price, settings);
+    return sizes.map(size => `${size.name} ${formatCurrency(item.prices[size.id], settings)}`).join(' · ');
+  };
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  return (
+    <div className="menu-page">
+      <div className="page-header">
+        <h1>Menu</h1>
+        <button onClick={() => setActiveForm({ type: 'create' })} disabled={Boolean(activeForm)}>
+          Add Menu Item
+        </button>
+      </div>
+
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      {activeForm && (
+        <MenuItemForm
+          item={activeForm.item}
+          menu={menu}
+          onSubmit={handleSaveItem}
+          onCancel={() => setActiveForm(null)}
+          isSubmitting={savingSection === 'item'}
+        />
+      )}
+
+      {isLoading && !menu.items.length ? (
+        <div className="loading-spinner">Loading menu...</div>
+      ) : menu.items.length === 0 ? (
+        <div className="no-orders-message">No menu items yet.</div>
+      ) : (
+        <table className="data-table menu-table">
+          <thead>
+            <tr>
+              <th>Item</th>
+              <th>Category</th>
+              <th>Prices</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {menu.items.map(item => (
+              <tr key={item.id}>
+                <td>{item.name}</td>
+                <td>{item.category}</td>
+                <td>{describePrices(item)}</td>
+                <td>
+                  <span className={`stock-badge ${item.active === false ? 'low' : 'ok'}`}>
+                    {item.active === false ? 'Unavailable' : 'Available'}
+                  </span>
+                </td>
+                <td className="row-actions">
+                  <button className="secondary-button" onClick={() => setActiveForm({ type: 'edit', item })} disabled={Boolean(activeForm)}>
+                    Edit
+                  </button>
+                  <button className="danger-button" onClick={() => handleDeleteItem(item)} disabled={Boolean(activeForm)}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="menu-modifiers">
+        {MODIFIER_SECTIONS.map(section => (
+          <MenuModifierEditor
+            key={section.kind}
+            title={section.title}
+            idPrefix={section.idPrefix}
+            modifiers={menu[section.kind]}
+            valueField={section.valueField}
+            onSave={(modifiers) => handleSaveModifiers(section, modifiers)}
+            isSaving={savingSection === section.kind}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MenuPage;
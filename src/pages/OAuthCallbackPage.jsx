@@ -0,0 +1,87 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import oauthService, { OAUTH_MESSAGE } from '../services/oauthService';
+
+/**
+ * OAuth Callback Page Component
+ *
+ * The redirect URI of every OAuth adapter. The provider sends the user here
+ * with an authorization code (or an error), and the page hands the code to
+ * the backend to finish connecting.
+ *
+ * When the flow ran in a popup, the result is posted to the Integrations page
+ * that opened it and the popup closes itself. After a full-page redirect the
+ * result is shown here with a link back to the Integrations page.
+ *
+ * @component
+ */
+const OAuthCallbackPage = () => {
+  const [searchParams] = useSearchParams();
+
+  /**
+   * Result of the code exchange
+   * - status: 'pending', 'success' or 'error'
+   * - connection: The new connection on success
+   * - message: Error text on failure
+   */
+  const [result, setResult] = useState({ status: 'pending' });
+
+  // The code can only be exchanged once, so skip StrictMode's second run
+  const startedRef = useRef(false);
+
+  useEffect(() => {
+    if (startedRef.current) return;
+    startedRef.current = true;
+
+    /**
+     * Reports the result to the opener window, if there is one
+     *
+     * @param {Object} message - Message to post
+     * @returns {boolean} True if the result was posted and the popup is closing
+     */
+    const notifyOpener = (message) => {
+      if (!window.opener || window.opener.closed) return false;
+      window.opener.postMessage(message, window.location.origin);
+      window.close();
+      return true;
+    };
+
+    const completeAuthorization = async () => {
+      try {
+        const connection = await oauthService.completeAuthorization(Object.fromEntries(searchParams));
+        notifyOpener({ type: OAUTH_MESSAGE.COMPLETE, connection });
+        setResult({ status: 'success', connection });
+      } catch (err) {
+        const message = err.response?.data?.message || err.message;
+        notifyOpener({ type: OAUTH_MESSAGE.ERROR, message });
+        setResult({ status: 'error', message });
+      }
+    };
+
+    completeAuthorization();
+  }, [searchParams]);
+
+  return (
+    <div className="oauth-callback-page">
+      <div className="oauth-callback-panel" role="status">
+        {result.status === 'pending' && <p>Finishing sign-in...</p>}
+
+        {result.status === 'success' && (
+          <div className="success-message">
+            Connected to {result.connection?.name || result.connection?.system || 'the system'}.
+          </div>
+        )}
+
+        {result.status === 'error' && (
+          <div className="error-message">Could not connect: {result.message}</div>
+        )}
+
+        {result.status !== 'pending' && (
+          <Link to="/integrations">Back to Integrations</Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OAuthCallbackPage;
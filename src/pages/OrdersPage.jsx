@@ -0,0 +1,365 @@
+import { useState, useEffect, useCallback } from 'react';
+import orderService from '../services/orderService';
+import { useAppContext } from '../contexts/AppContext';
+import useWebhookSubscription from '../hooks/useWebhookSubscription';
+import OrderForm from '../components/OrderForm';
+import OrderDetailDrawer from '../components/OrderDetailDrawer';
+import { ORDER_STATUSES, getStatusLabel } from '../utils/orderStatus';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import { getPaymentStatusLabel } from '../utils/payments';
+
+/**
+ * Webhook event types that change an order's payment status
+ * @constant {Array<string>}
+ */
+const PAYMENT_EVENTS = ['payment.received'];
+
+/**
+ * Orders Page Component
+ *
+ * Lists orders placed through the dashboard and lets staff move them through
+ * the fulfilment workflow. The page has two tabs:
+ * 1. Order List - Filterable list of orders with a detail drawer per order
+ * 2. New Order - The existing OrderForm for creating orders
+ *
+ * Status and date filters are applied by the backend; free-text search runs
+ * over the loaded orders (order ID, customer name, phone and address).
+ * Payment statuses update live from payment.received webhook events.
+ *
+ * @component
+ */
+const OrdersPage = () => {
+  const { showNotification } = useAppContext();
+
+  // =========================================================================
+  // State Management
+  // =========================================================================
+
+  /**
+   * Order list state
+   * - activeTab: Currently visible tab ('list' or 'new')
+   * - orders: Orders returned by the backend for the current filters
+   * - loading/error: Fetch status of the order list
+   */
+  const [activeTab, setActiveTab] = useState('list');
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Filter state
+   * - status: Status filter ('all' or a value from ORDER_STATUSES)
+   * - from/to: Inclusive order date range (YYYY-MM-DD)
+   * - search: Free-text search term
+   */
+  const [filters, setFilters] = useState({
+    status: 'all',
+    from: '',
+    to: '',
+    search: ''
+  });
+
+  /**
+   * Detail drawer state
+   * - selectedOrder: Order shown in the drawer, or null when closed
+   * - isUpdatingStatus: Loading state during a status transition
+   */
+  const [selectedOrder, setSelectedOrder] = useState(null);
+  const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
+
+  // =========================================================================
+  // Data Fetching
+  // =========================================================================
+
+  /**
+   * Fetches orders using the server-side filters (status and date range)
+   *
+   * @async
+   * @function fetchOrders
+   */
+  const fetchOrders = useCallback(async () => {
+    const params = {};
+    if (filters.status !== 'all') params.status = filters.status;
+    if (filters.from) params.from = filters.from;
+    if (filters.to) params.to = filters.to;
+
+    try {
+      setLoading(true);
+      const data = await orderService.getOrders(params);
+      setOrders(data);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching orders:', err);
+      setError('Failed to load orders. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters.status, filters.from, filters.to]);
+
+  useEffect(() => {
+    fetchOrders();
+  }, [fetchOrders]);
+
+  /**
+   * Replaces an order in the list and in the drawer if it is open
+   *
+   * @param {Object} order - The latest version of the order
+   */
+  const replaceOrder = useCallback((order) => {
+    setOrders(prev => prev.map(o => (o.id === order.id ? { ...o, ...order } : o)));
+    setSelectedOrder(prev => (prev?.id === order.id ? { ...prev, ...order } : prev));
+  }, []);
+
+  // =========================================================================
+  // Webhook Updates
+  // =========================================================================
+
+  /**
+   * Applies a payment.received event to the order it paid
+   * Events that only carry an order ID are resolved through the order service
+   *
+   * @param {Object} event - Webhook event
+   */
+  const handlePaymentEvent = useCallback(async (event) => {
+    const payload = event.payload || {};
+    let order = payload.order;
+
+    if (!order?.paymentStatus) {
+      const orderId = order?.id ?? payload.orderId;
+      if (orderId === undefined) return;
+      try {
+        order = await orderService.getOrder(orderId);
+      } catch (err) {
+        console.error(`Error loading order ${orderId} after a payment:`, err);
+        return;
+      }
+    }
+
+    replaceOrder(order);
+  }, [replaceOrder]);
+
+  useWebhookSubscription(PAYMENT_EVENTS, handlePaymentEvent);
+
+  // =========================================================================
+  // Event Handlers
+  // =========================================================================
+
+  /**
+   * Handles filter input changes
+   *
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+   */
+  const handleFilterChange = (e) => {
+    const { name, value } = e.target;
+    setFilters(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Moves an order to a new status and updates it in place
+   * Asks for confirmation before canceling an order
+   *
+   * @param {Object} order - The order to update
+   * @param {string} status - The requested status
+   */
+  const handleStatusChange = async (order, status) => {
+    if (status === 'canceled' && !window.confirm(`Are you sure you want to cancel order ${order.id}?`)) {
+      return;
+    }
+
+    try {
+      setIsUpdatingStatus(true);
+      const updatedOrder = await orderService.updateOrderStatus(order.id, status);
+      const mergedOrder = { ...order, ...updatedOrder, status };
+
+      setOrders(prev => prev.map(o => (o.id === order.id ? mergedOrder : o)));
+      setSelectedOrder(mergedOrder);
+      showNotification(`Order ${order.id} marked ${getStatusLabel(status)}`, 'success');
+    } catch (err) {
+      console.error('Order status update error:', err);
+      showNotification(err.response?.data?.message || 'Failed to update order status', 'error');
+    } finally {
+      setIsUpdatingStatus(false);
+    }
+  };
+
+  /**
+   * Updates an order's payment status after a payment or refund in the drawer
+   *
+   * @param {Object} order - The order that was paid or refunded
+   * @param {Object} paymentState - New payment state ({ paymentStatus, payments })
+   */
+  const handlePaymentChange = (order, paymentState) => {
+    replaceOrder({ id: order.id, paymentStatus: paymentState.paymentStatus });
+  };
+
+  /**
+   * Refreshes the list after a new order was submitted through OrderForm
+   */
+  const handleOrderCreated = () => {
+    fetchOrders();
+  };
+
+  /**
+   * Orders matching the free-text search term
+   *
+   * @type {Array}
+   */
+  const searchTerm = filters.search.trim().toLowerCase();
+  const visibleOrders = searchTerm
+    ? orders.filter(order =>
+      [order.id, order.customerName, order.customerPhone, order.deliveryAddress]
+        .filter(Boolean)
+        .some(value => String(value).toLowerCase().includes(searchTerm))
+    )
+    : orders;
+
+  // =========================================================================
+  // Component Render
+  // =========================================================================
+
+  return (
+    <div className="orders-page">
+      <div className="page-header">
+        <h1>Orders</h1>
+        <div className="tab-bar" role="tablist">
+          <button
+            role="tab"
+            aria-selected={activeTab === 'list'}
+            className={`tab-button ${activeTab === 'list' ? 'active' : ''}`}
+            onClick={() => setActiveTab('list')}
+          >
+            Order List
+          </button>
+          <button
+            role="tab"
+            aria-selected={activeTab === 'new'}
+            className={`tab-button ${activeTab === 'new' ? 'active' : ''}`}
+            onClick={() => setActiveTab('new')}
+          >
+            New Order
+          </button>
+        </div>
+      </div>
+
+      {activeTab === 'new' && (
+        <OrderForm onOrderCreated={handleOrderCreated} />
+      )}
+
+      {activeTab === 'list' && (
+        <div className="orders-list-section">
+          {/* Filters */}
+          <div className="orders-filters">
+            <div className="form-group">
+              <label htmlFor="order-status-filter">Status:</label>
+              <select
+                id="order-status-filter"
+                name="status"
+                value={filters.status}
+                onChange={handleFilterChange}
+              >
+                <option value="all">All Statuses</option>
+                {ORDER_STATUSES.map(status => (
+                  <option key={status} value={status}>{getStatusLabel(status)}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="order-from-filter">From:</label>
+              <input
+                type="date"
+                id="order-from-filter"
+                name="from"
+                value={filters.from}
+                onChange={handleFilterChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="order-to-filter">To:</label>
+              <input
+                type="date"
+                id="order-to-filter"
+                name="to"
+                value={filters.to}
+                onChange={handleFilterChange}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="order-search">Search:</label>
+              <input
+                type="search"
+                id="order-search"
+                name="search"
+                value={filters.search}
+                onChange={handleFilterChange}
+                placeholder="Order ID, customer, phone or address"
+              />
+            </div>
+          </div>
+
+          {error && (
+            <div className="error-message">{error}</div>
+          )}
+
+          {/* Order list */}
+          {loading ? (
+            <div className="loading-spinner">Loading orders...</div>
+          ) : visibleOrders.length === 0 ? (
+            <div className="no-orders-message">No orders found.</div>
+          ) : (
+            <table className="data-table orders-table">
+              <thead>
+                <tr>
+                  <th>Order</th>
+                  <th>Customer</th>
+                  <th>Placed</th>
+                  <th>Total</th>
+                  <th>Status</th>
+                  <th>Payment</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleOrders.map(order => (
+                  <tr
+                    key={order.id}
+                    className="clickable-row"
+                    onClick={() => setSelectedOrder(order)}
+                  >
+                    <td>{order.id}</td>
+                    <td>{order.customerName}</td>
+                    <td>{formatDateTime(order.createdAt)}</td>
+                    <td>{formatCurrency(order.total)}</td>
+                    <td>
+                      <span className={`order-status-badge ${order.status}`}>
+                        {getStatusLabel(order.status)}
+                      </span>
+                    </td>
+                    <td>
+                      <span className={`payment-status-badge ${order.paymentStatus || 'unpaid'}`}>
+                        {getPaymentStatusLabel(order.paymentStatus)}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {selectedOrder && (
+        <OrderDetailDrawer
+          order={selectedOrder}
+          onClose={() => setSelectedOrder(null)}
+          onStatusChange={handleStatusChange}
+          onPaymentChange={handlePaymentChange}
+          isUpdating={isUpdatingStatus}
+        />
+      )}
+    </div>
+  );
+};
+
+export default OrdersPage;
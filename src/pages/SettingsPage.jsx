@@ -0,0 +1,722 @@
+import { useState, useEffect, useCallback } from 'react';
+import settingsService, { DEFAULT_SETTINGS } from '../services/settingsService';
+import integrationService from '../services/integrationService';
+import useSettings from '../hooks/useSettings';
+import { useAppContext } from '../contexts/AppContext';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+import { DISCOUNT_TYPES } from '../utils/pricing';
+
+/**
+ * Timezones offered by the timezone selector
+ * An empty value uses the browser's timezone
+ *
+ * @constant {Array<Object>}
+ */
+const TIMEZONES = [
+  { value: '', label: 'Browser default' },
+  { value: 'America/New_York', label: 'Eastern (New York)' },
+  { value: 'America/Chicago', label: 'Central (Chicago)' },
+  { value: 'America/Denver', label: 'Mountain (Denver)' },
+  { value: 'America/Phoenix', label: 'Mountain - no DST (Phoenix)' },
+  { value: 'America/Los_Angeles', label: 'Pacific (Los Angeles)' },
+  { value: 'America/Anchorage', label: 'Alaska (Anchorage)' },
+  { value: 'Pacific/Honolulu', label: 'Hawaii (Honolulu)' },
+  { value: 'Europe/London', label: 'London' },
+  { value: 'UTC', label: 'UTC' }
+];
+
+/**
+ * Currencies offered by the currency selector
+ * @constant {Array<string>}
+ */
+const CURRENCIES = ['USD', 'CAD', 'EUR', 'GBP', 'AUD', 'MXN'];
+
+/**
+ * Checks that the backend base URL is a relative path or an http(s) URL
+ *
+ * @param {string} url - Base URL entered by the manager
+ * @returns {boolean} True if the URL can be used as the API base
+ */
+const isValidBaseUrl = (url) => url.startsWith('/') || /^https?:\/\/[^\s/]+/i.test(url);
+
+/**
+ * Settings Page Component
+ *
+ * Lets a manager edit the store-wide settings:
+ * 1. Store Profile - Store name, timezone and currency
+ * 2. Tax Rates - Named percentage rates applied to order subtotals
+ * 3. Coupons - Codes staff can apply to orders for a percentage or fixed discount
+ * 4. Delivery - Delivery fee, free delivery threshold and minimum order
+ * 5. Kitchen Display - Minutes before kitchen tickets show as warning and late
+ * 6. Order Routing - POS that receives new orders, and its fallback, per store location
+ * 7. Backend - Base URL used by every API service
+ *
+ * Settings are saved through the settings service, which stores the
+ * store-wide settings on the backend, shared by every terminal, and the
+ * backend URL and this dashboard's location on this device. Until the latest
+ * store settings have loaded, saving only stores this device's settings and
+ * loads again, so a stale copy can't overwrite the store settings while a
+ * wrong backend URL can still be fixed.
+ *
+ * @component
+ */
+const SettingsPage = () => {
+  const settings = useSettings();
+  const { showNotification } = useAppContext();
+
+  /**
+   * Form state
+   * - values: Draft settings being edited; saved settings are untouched until submit
+   * - error: Validation error shown above the form
+   * - loadError: Error message if the store settings fail to load
+   * - isLoaded: Whether the latest store settings are in the form
+   * - isSaving: Whether a save is in flight
+   * - adapters: Integration adapters orders can be routed to
+   */
+  const [values, setValues] = useState(settings);
+  const [error, setError] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [adapters, setAdapters] = useState([]);
+
+  /**
+   * Loads the latest store settings into the form
+   *
+   * @async
+   * @function fetchSettings
+   */
+  const fetchSettings = useCallback(async () => {
+    try {
+      setValues(await settingsService.loadSettings());
+      setLoadError(null);
+      setIsLoaded(true);
+    } catch {
+      setLoadError('Failed to load the store settings. Please try again later.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  /**
+   * Loads the adapters for the order routing selects
+   * Routing stays editable with the configured systems if this fails
+   */
+  useEffect(() => {
+    integrationService.getAdapters()
+      .then(setAdapters)
+      .catch(err => console.error('Error fetching adapters:', err));
+  }, []);
+
+  /**
+   * Handles changes to top-level text and select fields
+   *
+   * @param {React.ChangeEvent<HTMLInputElement|HTMLSelectElement>} e - Change event
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  /**
+   * Handles changes to the delivery fee rules
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   */
+  const handleDeliveryChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({
+      ...prev,
+      delivery: {
+        ...prev.delivery,
+        [name]: parseFloat(value) || 0
+      }
+    }));
+  };
+
+  /**
+   * Handles changes to the kitchen ticket timing
+   *
+   * @param {React.ChangeEvent<HTMLInputElement>} e - Change event
+   */
+  const handleKitchenChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({
+      ...prev,
+      kitchen: {
+        ...prev.kitchen,
+        [name]: parseInt(value, 10) || 0
+      }
+    }));
+  };
+
+  /**
+   * Updates a field of one tax rate
+   *
+   * @param {number} index - Index of the tax rate
+   * @param {string} field - Field to update (name, rate)
+   * @param {string|number} value - New value
+   */
+  const handleTaxRateChange = (index, field, value) => {
+    setValues(prev => ({
+      ...prev,
+      taxRates: prev.taxRates.map((tax, i) => (i === index ? { ...tax, [field]: value } : tax))
+    }));
+  };
+
+  /**
+   * Adds an empty tax rate
+   */
+  const addTaxRate = () => {
+    setValues(prev => ({
+      ...prev,
+      taxRates: [...prev.taxRates, { name: '', rate: 0 }]
+    }));
+  };
+
+  /**
+   * Removes a tax rate
+   *
+   * @param {number} index - Index of the tax rate to remove
+   */
+  const removeTaxRate = (index) => {
+    setValues(prev => ({
+      ...prev,
+      taxRates: prev.taxRates.filter((_, i) => i !== index)
+    }));
+  };
+
+  /**
+   * Updates a field of one coupon
+   *
+   * @param {number} index - Index of the coupon
+   * @param {string} field - Field to update (code, type, value, minimumSubtotal)
+   * @param {string|number} value - New value
+   */
+  const handleCouponChange = (index, field, value) => {
+    setValues(prev => ({
+      ...prev,
+      coupons: prev.coupons.map((coupon, i) => (i === index ? { ...coupon, [field]: value } : coupon))
+    }));
+  };
+
+  /**
+   * Adds an empty coupon
+   */
+  const addCoupon = () => {
+    setValues(prev => ({
+      ...prev,
+      coupons: [...prev.coupons, { code: '', type: DISCOUNT_TYPES.PERCENT, value: 0, minimumSubtotal: 0 }]
+    }));
+  };
+
+  /**
+   * Removes a coupon
+   *
+   * @param {number} index - Index of the coupon to remove
+   */
+  const removeCoupon = (index) => {
+    setValues(prev => ({
+      ...prev,
+      coupons: prev.coupons.filter((_, i) => i !== index)
+    }));
+  };
+
+  /**
+   * Handles changes to the default order routing
+   *
+   * @param {React.ChangeEvent<HTMLSelectElement>} e - Change event
+   */
+  const handleRoutingChange = (e) => {
+    const { name, value } = e.target;
+    setValues(prev => ({
+      ...prev,
+      orderRouting: {
+        ...prev.orderRouting,
+        [name]: value
+      }
+    }));
+  };
+
+  /**
+   * Updates a field of one location's routing rule
+   *
+   * @param {number} index - Index of the location
+   * @param {string} field - Field to update (name, primary, fallback)
+   * @param {string} value - New value
+   */
+  const handleLocationChange = (index, field, value) => {
+    setValues(prev => ({
+      ...prev,
+      orderRouting: {
+        ...prev.orderRouting,
+        locations: prev.orderRouting.locations.map((location, i) => (i === index ? { ...location, [field]: value } : location))
+      }
+    }));
+  };
+
+  /**
+   * Adds a location that uses the default routing
+   */
+  const addLocation = () => {
+    setValues(prev => ({
+      ...prev,
+      orderRouting: {
+        ...prev.orderRouting,
+        locations: [...prev.orderRouting.locations, { id: `loc_${crypto.randomUUID()}`, name: '', primary: '', fallback: '' }]
+      }
+    }));
+  };
+
+  /**
+   * Removes a location; this dashboard goes back to the default routing if it was the one removed
+   *
+   * @param {number} index - Index of the location to remove
+   */
+  const removeLocation = (index) => {
+    setValues(prev => {
+      const removed = prev.orderRouting.locations[index];
+      return {
+        ...prev,
+        orderRouting: {
+          ...prev.orderRouting,
+          locationId: prev.orderRouting.locationId === removed.id ? '' : prev.orderRouting.locationId,
+          locations: prev.orderRouting.locations.filter((_, i) => i !== index)
+        }
+      };
+    });
+  };
+
+  /**
+   * Validates the draft settings
+   *
+   * @returns {string|null} Error message, or null if the settings are valid
+   */
+  const validate = () => {
+    if (!values.storeName.trim()) {
+      return 'Store name is required';
+    }
+    if (values.taxRates.some(tax => !tax.name.trim())) {
+      return 'Every tax rate needs a name';
+    }
+    if (values.taxRates.some(tax => tax.rate < 0 || tax.rate > 100)) {
+      return 'Tax rates must be between 0 and 100%';
+    }
+    const couponCodes = values.coupons.map(coupon => coupon.code.trim().toUpperCase());
+    if (couponCodes.some(code => !code)) {
+      return 'Every coupon needs a code';
+    }
+    if (new Set(couponCodes).size !== couponCodes.length) {
+      return 'Coupon codes must be unique';
+    }
+    if (values.coupons.some(coupon => coupon.value <= 0 || (coupon.type === DISCOUNT_TYPES.PERCENT && coupon.value > 100))) {
+      return 'Coupon discounts must be above zero, and percentages at most 100%';
+    }
+    if (Object.values(values.delivery).some(amount => amount < 0)) {
+      return 'Delivery amounts cannot be negative';
+    }
+    if (values.kitchen.warnAfterMinutes < 1 || values.kitchen.lateAfterMinutes <= values.kitchen.warnAfterMinutes) {
+      return 'Kitchen late time must be after the warning time';
+    }
+    const routing = values.orderRouting;
+    if (!routing.primary) {
+      return 'Choose the system that receives orders';
+    }
+    if (routing.locations.some(location => !location.name.trim())) {
+      return 'Every location needs a name';
+    }
+    const rules = [routing, ...routing.locations.map(location => ({
+      primary: location.primary || routing.primary,
+      fallback: location.fallback || routing.fallback
+    }))];
+    if (rules.some(rule => rule.fallback && rule.fallback === rule.primary)) {
+      return 'The fallback system must differ from the primary system';
+    }
+    if (!isValidBaseUrl(values.apiBaseUrl.trim())) {
+      return 'API base URL must start with / or http(s)://';
+    }
+    return null;
+  };
+
+  /**
+   * Validates and saves the settings
+   *
+   * @async
+   * @param {React.FormEvent<HTMLFormElement>} e - Form submit event
+   */
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = validate();
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    const trimmed = {
+      ...values,
+      storeName: values.storeName.trim(),
+      apiBaseUrl: values.apiBaseUrl.trim(),
+      taxRates: values.taxRates.map(tax => ({ name: tax.name.trim(), rate: tax.rate })),
+      coupons: values.coupons.map(coupon => ({ ...coupon, code: coupon.code.trim().toUpperCase() })),
+      orderRouting: {
+        ...values.orderRouting,
+        locations: values.orderRouting.locations.map(location => ({ ...location, name: location.name.trim() }))
+      }
+    };
+
+    if (!isLoaded) {
+      settingsService.saveDeviceSettings(trimmed);
+      setError(null);
+      showNotification('Backend settings saved on this device', 'info');
+      await fetchSettings();
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      const saved = await settingsService.saveSettings(trimmed);
+      setValues(saved);
+      setError(null);
+      showNotification('Settings saved', 'success');
+    } catch (err) {
+      console.error('Error saving settings:', err);
+      showNotification('Failed to save settings', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Restores the default settings after confirmation
+   *
+   * @async
+   */
+  const handleReset = async () => {
+    if (!window.confirm('Restore the default settings?')) {
+      return;
+    }
+    try {
+      setIsSaving(true);
+      // Keep this device's backend so the defaults are saved where the store settings live
+      setValues(await settingsService.saveSettings({ ...DEFAULT_SETTINGS, apiBaseUrl: settings.apiBaseUrl }));
+      setError(null);
+      showNotification('Settings restored to defaults', 'info');
+    } catch (err) {
+      console.error('Error restoring settings:', err);
+      showNotification('Failed to restore the default settings', 'error');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Systems orders can be routed to: every adapter, plus configured systems
+   * the adapter list doesn't include (e.g. while it is loading)
+   */
+  const routing = values.orderRouting;
+  const routingSystems = [
+    ...adapters.map(adapter => ({ id: adapter.id, name: adapter.name })),
+    ...[routing.primary, routing.fallback, ...routing.locations.flatMap(l => [l.primary, l.fallback])]
+      .filter((system, index, systems) => system && systems.indexOf(system) === index)
+      .filter(system => !adapters.some(adapter => adapter.id === system))
+      .map(system => ({ id: system, name: system }))
+  ];
+
+  /**
+   * Renders the options of a routing system select
+   *
+   * @param {string} emptyLabel - Label of the empty option
+   * @returns {JSX.Element} Options
+   */
+  const renderSystemOptions = (emptyLabel) => (
+    <>
+      <option value="">{emptyLabel}</option>
+      {routingSystems.map(system => (
+        <option key={system.id} value={system.id}>{system.name}</option>
+      ))}
+    </>
+  );
+
+  return (
+    <div className="settings-page">
+      <div className="page-header">
+        <h1>Settings</h1>
+      </div>
+
+      {loadError && (
+        <div className="error-message">
+          {loadError}
+          <button onClick={fetchSettings} className="retry-button">
+            Retry
+          </button>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleSubmit} className="settings-form">
+        {/* Store Profile Section */}
+        <div className="form-section">
+          <h3>Store Profile</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="settings-store-name">Store Name:</label>
+              <input id="settings-store-name" name="storeName" value={values.storeName} onChange={handleChange} required />
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-timezone">Timezone:</label>
+              <select id="settings-timezone" name="timezone" value={values.timezone} onChange={handleChange}>
+                {TIMEZONES.map(zone => (
+                  <option key={zone.value} value={zone.value}>{zone.label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-currency">Currency:</label>
+              <select id="settings-currency" name="currency" value={values.currency} onChange={handleChange}>
+                {CURRENCIES.map(currency => (
+                  <option key={currency} value={currency}>{currency}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <p className="settings-preview">
+            Preview: {formatCurrency(1234.5, values)} &middot; {formatDateTime(Date.now(), values)}
+          </p>
+        </div>
+
+        {/* Tax Rates Section */}
+        <div className="form-section">
+          <h3>Tax Rates</h3>
+          {values.taxRates.length === 0 && (
+            <p className="no-tax-rates">No tax rates configured. Orders are not taxed.</p>
+          )}
+          {values.taxRates.map((tax, index) => (
+            <div key={index} className="item-row">
+              <div className="form-group">
+                <label htmlFor={`tax-name-${index}`}>Tax Name:</label>
+                <input
+                  id={`tax-name-${index}`}
+                  value={tax.name}
+                  onChange={(e) => handleTaxRateChange(index, 'name', e.target.value)}
+                  placeholder="State Sales Tax"
+                />
+              </div>
+              <div className="form-group price">
+                <label htmlFor={`tax-rate-${index}`}>Rate (%):</label>
+                <input
+                  id={`tax-rate-${index}`}
+                  type="number"
+                  min="0"
+                  max="100"
+                  step="any"
+                  value={tax.rate}
+                  onChange={(e) => handleTaxRateChange(index, 'rate', parseFloat(e.target.value) || 0)}
+                />
+              </div>
+              <button type="button" className="remove-item-button" onClick={() => removeTaxRate(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button type="button" className="add-item-button" onClick={addTaxRate}>
+            Add Tax Rate
+          </button>
+        </div>
+
+        {/* Coupons Section */}
+        <div className="form-section">
+          <h3>Coupons</h3>
+          {values.coupons.length === 0 && (
+            <p className="no-tax-rates">No coupons configured.</p>
+          )}
+          {values.coupons.map((coupon, index) => (
+            <div key={index} className="item-row coupon-row">
+              <div className="form-group">
+                <label htmlFor={`coupon-code-${index}`}>Code:</label>
+                <input
+                  id={`coupon-code-${index}`}
+                  value={coupon.code}
+                  onChange={(e) => handleCouponChange(index, 'code', e.target.value)}
+                  placeholder="PIZZA10"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor={`coupon-type-${index}`}>Type:</label>
+                <select
+                  id={`coupon-type-${index}`}
+                  value={coupon.type}
+                  onChange={(e) => handleCouponChange(index, 'type', e.target.value)}
+                >
+                  <option value={DISCOUNT_TYPES.PERCENT}>Percent (%)</option>
+                  <option value={DISCOUNT_TYPES.FIXED}>Fixed Amount</option>
+                </select>
+              </div>
+              <div className="form-group price">
+                <label htmlFor={`coupon-value-${index}`}>Value:</label>
+                <input
+                  id={`coupon-value-${index}`}
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={coupon.value}
+                  onChange={(e) => handleCouponChange(index, 'value', parseFloat(e.target.value) || 0)}
+                />
+              </div>
+              <div className="form-group price">
+                <label htmlFor={`coupon-minimum-${index}`}>Minimum Subtotal:</label>
+                <input
+                  id={`coupon-minimum-${index}`}
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={coupon.minimumSubtotal}
+                  onChange={(e) => handleCouponChange(index, 'minimumSubtotal', parseFloat(e.target.value) || 0)}
+                />
+              </div>
+              <button type="button" className="remove-item-button" onClick={() => removeCoupon(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button type="button" className="add-item-button" onClick={addCoupon}>
+            Add Coupon
+          </button>
+        </div>
+
+        {/* Delivery Section */}
+        <div className="form-section">
+          <h3>Delivery</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="settings-delivery-fee">Delivery Fee:</label>
+              <input id="settings-delivery-fee" name="fee" type="number" min="0" step="any" value={values.delivery.fee} onChange={handleDeliveryChange} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-free-delivery">Free Delivery Over:</label>
+              <input id="settings-free-delivery" name="freeDeliveryThreshold" type="number" min="0" step="any" value={values.delivery.freeDeliveryThreshold} onChange={handleDeliveryChange} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-minimum-order">Minimum Delivery Order:</label>
+              <input id="settings-minimum-order" name="minimumOrder" type="number" min="0" step="any" value={values.delivery.minimumOrder} onChange={handleDeliveryChange} />
+            </div>
+          </div>
+          <p className="settings-hint">Set Free Delivery Over to 0 to always charge the delivery fee.</p>
+        </div>
+
+        {/* Kitchen Section */}
+        <div className="form-section">
+          <h3>Kitchen Display</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="settings-kitchen-warn">Warn After (minutes):</label>
+              <input id="settings-kitchen-warn" name="warnAfterMinutes" type="number" min="1" value={values.kitchen.warnAfterMinutes} onChange={handleKitchenChange} />
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-kitchen-late">Late After (minutes):</label>
+              <input id="settings-kitchen-late" name="lateAfterMinutes" type="number" min="1" value={values.kitchen.lateAfterMinutes} onChange={handleKitchenChange} />
+            </div>
+          </div>
+          <p className="settings-hint">Tickets turn amber after the warning time and red once they are late.</p>
+        </div>
+
+        {/* Order Routing Section */}
+        <div className="form-section">
+          <h3>Order Routing</h3>
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="settings-routing-primary">Primary System:</label>
+              <select id="settings-routing-primary" name="primary" value={routing.primary} onChange={handleRoutingChange}>
+                {renderSystemOptions('Select a system')}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-routing-fallback">Fallback System:</label>
+              <select id="settings-routing-fallback" name="fallback" value={routing.fallback} onChange={handleRoutingChange}>
+                {renderSystemOptions('No fallback')}
+              </select>
+            </div>
+            <div className="form-group">
+              <label htmlFor="settings-routing-location">This Location:</label>
+              <select id="settings-routing-location" name="locationId" value={routing.locationId} onChange={handleRoutingChange}>
+                <option value="">Default routing</option>
+                {routing.locations.map(location => (
+                  <option key={location.id} value={location.id}>{location.name || 'Unnamed location'}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {routing.locations.map((location, index) => (
+            <div key={location.id} className="item-row location-row">
+              <div className="form-group">
+                <label htmlFor={`location-name-${index}`}>Location:</label>
+                <input
+                  id={`location-name-${index}`}
+                  value={location.name}
+                  onChange={(e) => handleLocationChange(index, 'name', e.target.value)}
+                  placeholder="Downtown"
+                />
+              </div>
+              <div className="form-group">
+                <label htmlFor={`location-primary-${index}`}>Primary:</label>
+                <select
+                  id={`location-primary-${index}`}
+                  value={location.primary}
+                  onChange={(e) => handleLocationChange(index, 'primary', e.target.value)}
+                >
+                  {renderSystemOptions('Default')}
+                </select>
+              </div>
+              <div className="form-group">
+                <label htmlFor={`location-fallback-${index}`}>Fallback:</label>
+                <select
+                  id={`location-fallback-${index}`}
+                  value={location.fallback}
+                  onChange={(e) => handleLocationChange(index, 'fallback', e.target.value)}
+                >
+                  {renderSystemOptions('Default')}
+                </select>
+              </div>
+              <button type="button" className="remove-item-button" onClick={() => removeLocation(index)}>
+                Remove
+              </button>
+            </div>
+          ))}
+          <button type="button" className="add-item-button" onClick={addLocation}>
+            Add Location
+          </button>
+          <p className="settings-hint">
+            New orders go to the primary system of this location. While it is disconnected or unreachable they go to the fallback.
+          </p>
+        </div>
+
+        {/* Backend Section */}
+        <div className="form-section">
+          <h3>Backend</h3>
+          <div className="form-group">
+            <label htmlFor="settings-api-base-url">API Base URL:</label>
+            <input id="settings-api-base-url" name="apiBaseUrl" value={values.apiBaseUrl} onChange={handleChange} placeholder="/api" />
+          </div>
+          <p className="settings-hint">All API requests are sent to this URL, e.g. {values.apiBaseUrl.replace(/\/+$/, '')}/orders.</p>
+        </div>
+
+        <div className="form-actions">
+          <button type="button" className="secondary-button" onClick={handleReset} disabled={!isLoaded || isSaving}>
+            Restore Defaults
+          </button>
+          <button type="submit" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save Settings'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SettingsPage;
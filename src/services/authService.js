@@ -0,0 +1,186 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all authentication endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/auth')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/auth`;
+
+/**
+ * localStorage key holding the JWT session token
+ * @constant {string}
+ */
+export const TOKEN_STORAGE_KEY = 'auth_token';
+
+/**
+ * Decodes the claims of a JWT without verifying its signature
+ * Signature verification is the backend's job; the client only reads the claims
+ *
+ * @function decodeToken
+ * @param {string} token - Encoded JWT
+ * @returns {Object|null} The token claims, or null if the token is malformed
+ */
+export const decodeToken = (token) => {
+  try {
+    const payload = token.split('.')[1];
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    const bytes = Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a JWT is malformed or past its expiry time
+ *
+ * @function isTokenExpired
+ * @param {string} token - Encoded JWT
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the token can no longer be used
+ */
+export const isTokenExpired = (token, now = Date.now()) => {
+  const claims = decodeToken(token);
+  if (!claims) return true;
+  return typeof claims.exp === 'number' && claims.exp * 1000 <= now;
+};
+
+/**
+ * Builds the signed-in user from the JWT claims
+ *
+ * @function getUserFromToken
+ * @param {string} token - Encoded JWT
+ * @returns {Object|null} User with id, name, email and role, or null if the token is malformed
+ */
+export const getUserFromToken = (token) => {
+  const claims = decodeToken(token);
+  if (!claims) return null;
+  return {
+    id: claims.sub,
+    name: claims.name || claims.email || claims.sub,
+    email: claims.email,
+    role: claims.role
+  };
+};
+
+/**
+ * Authentication Service
+ *
+ * This service handles the JWT session: signing in and out against the backend,
+ * storing the token in localStorage, and attaching it to outgoing API requests
+ * through an axios interceptor.
+ *
+ * @module authService
+ */
+const authService = {
+  /**
+   * Returns the stored session token
+   *
+   * @function getToken
+   * @returns {string|null} The JWT, or null when signed out
+   */
+  getToken: () => localStorage.getItem(TOKEN_STORAGE_KEY),
+
+  /**
+   * Stores the session token
+   *
+   * @function setToken
+   * @param {string} token - The JWT to store
+   */
+  setToken: (token) => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  },
+
+  /**
+   * Removes the stored session token
+   *
+   * @function clearToken
+   */
+  clearToken: () => {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  },
+
+  /**
+   * Signs in with a username and password and stores the returned token
+   *
+   * @async
+   * @function login
+   * @param {Object} credentials - Login credentials
+   * @param {string} credentials.username - Staff username or email
+   * @param {string} credentials.password - Staff password
+   * @returns {Promise<Object>} The signed-in user
+   * @throws {Error} If the credentials are rejected or the API request fails
+   * @example
+   * const user = await authService.login({ username: 'maria', password: 'secret' });
+   * // user = { id: 'u_1', name: 'Maria', role: 'manager' }
+   */
+  login: async (credentials) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/login`, credentials);
+      const { token, user } = response.data;
+      authService.setToken(token);
+      return user || getUserFromToken(token);
+    } catch (error) {
+      console.error('Error signing in:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Signs out on the backend and clears the stored token
+   * The token is cleared even if the backend call fails
+   *
+   * @async
+   * @function logout
+   */
+  logout: async () => {
+    try {
+      await axios.post(`${getBaseUrl()}/logout`);
+    } catch (error) {
+      console.error('Error signing out:', error);
+    } finally {
+      authService.clearToken();
+    }
+  },
+
+  /**
+   * Registers axios interceptors that attach the session token to every request
+   * and report 401 responses so the session can be ended
+   *
+   * @function installInterceptors
+   * @param {Function} [onUnauthorized] - Called when the backend rejects the token
+   * @returns {Function} Removes the interceptors again
+   */
+  installInterceptors: (onUnauthorized) => {
+    const requestInterceptor = axios.interceptors.request.use((config) => {
+      const token = authService.getToken();
+      if (token) {
+        config.headers = config.headers || {};
+        config.headers.Authorization = `Bearer ${token}`;
+      }
+      return config;
+    });
+
+    const responseInterceptor = axios.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        if (error.response?.status === 401 && authService.getToken()) {
+          authService.clearToken();
+          onUnauthorized?.();
+        }
+        return Promise.reject(error);
+      }
+    );
+
+    return () => {
+      axios.interceptors.request.eject(requestInterceptor);
+      axios.interceptors.response.eject(responseInterceptor);
+    };
+  }
+};
+
+export default authService;
@@ -0,0 +1,79 @@
+import customerService from './customerService';
+import loyaltyService from './loyaltyService';
+import orderOutbox, { LOYALTY_ENDPOINT } from './orderOutbox';
+
+/**
+ * Customer Activity
+ *
+ * Records what an accepted order means for its customer: their details are
+ * saved to the customer directory, then the reward redeemed and the points
+ * earned are written to their points ledger.
+ *
+ * Called both when OrderForm submits an order and when the order outbox
+ * replays one that was queued offline, so an order counts towards loyalty
+ * however it reached the POS. The ledger entries carry the order's
+ * idempotency key, so recording the same order twice is harmless.
+ *
+ * The customer already got the reward's discount from the POS, so a ledger
+ * write that fails is queued in the order outbox and retried like a queued
+ * order, rather than leaving the points unspent.
+ *
+ * @module customerActivity
+ */
+const customerActivity = {
+  /**
+   * Records the customer and loyalty activity of an accepted order
+   * A failed customer directory update is only logged; a failed ledger
+   * write is queued in the outbox and reported to the caller
+   *
+   * @async
+   * @function recordOrder
+   * @param {Object} order - Order payload as built by OrderForm; `loyalty` is
+   *   ({ rewardId, pointsRedeemed, pointsEarned }), or undefined while the program is off
+   * @param {Object} details - Submission details
+   * @param {string} [details.orderId] - Order ID from the POS
+   * @param {string} details.idempotencyKey - Idempotency key of the order submission
+   * @returns {Promise<boolean>} False if the points ledger write failed and was queued for retry
+   * @throws {Error} If the points ledger write failed and could not be queued either
+   * @example
+   * const recorded = await customerActivity.recordOrder(payload, { orderId: result.orderId, idempotencyKey });
+   */
+  recordOrder: async (order, { orderId, idempotencyKey }) => {
+    let saved = null;
+    try {
+      saved = await customerService.saveCustomer({
+        name: order.customerName,
+        phone: order.customerPhone,
+        email: order.customerEmail,
+        address: order.deliveryAddress?.trim()
+      });
+    } catch (error) {
+      console.error('Error saving customer activity:', error);
+    }
+
+    const customerId = order.customerId || saved?.id;
+    if (!order.loyalty || !customerId) return true;
+
+    const { rewardId, pointsRedeemed, pointsEarned } = order.loyalty;
+    const ledgerOrder = {
+      orderId,
+      idempotencyKey,
+      pointsEarned,
+      reward: rewardId ? { id: rewardId, points: pointsRedeemed } : undefined
+    };
+    try {
+      await loyaltyService.recordOrder(customerId, ledgerOrder);
+      return true;
+    } catch (error) {
+      console.error('Error recording loyalty activity, queuing it for retry:', error);
+      await orderOutbox.enqueue({
+        endpoint: LOYALTY_ENDPOINT,
+        data: { ...ledgerOrder, customerId, customerName: order.customerName },
+        idempotencyKey: `${idempotencyKey}:loyalty`
+      });
+      return false;
+    }
+  }
+};
+
+export default customerActivity;
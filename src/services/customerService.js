@@ -0,0 +1,213 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+import { CUSTOMER_SCHEMA, assertValid, partialSchema } from '../utils/validation';
+import {
+  normalizePhone,
+  normalizeEmail,
+  findMatchingCustomer,
+  mergeAddresses
+} from '../utils/customers';
+
+/**
+ * Returns the base URL for all customer endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/customers')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/customers`;
+
+/**
+ * Customer Service
+ *
+ * This service handles all communication with the backend customers API,
+ * providing methods to search the customer directory, look customers up by
+ * phone or email, read their order history and save their details.
+ *
+ * Phone numbers and email addresses are sent in normalized form (see
+ * utils/customers), so the same customer is found however the number was
+ * typed. saveCustomer updates an existing customer with the same phone or
+ * email instead of creating a duplicate.
+ *
+ * @module customerService
+ */
+const customerService = {
+  /**
+   * Fetches customers matching the given filters
+   *
+   * @async
+   * @function getCustomers
+   * @param {Object} [params] - Query filters
+   * @param {string} [params.search] - Name, phone or email to search for
+   * @returns {Promise<Array>} List of customers
+   * @throws {Error} If the API request fails
+   * @example
+   * const customers = await customerService.getCustomers({ search: 'jane' });
+   * // customers = [{ id: 'cus_1', name: 'Jane Doe', phone: '5551234567', orderCount: 12, lifetimeValue: 284.5, ... }]
+   */
+  getCustomers: async (params = {}) => {
+    try {
+      const response = await axios.get(getBaseUrl(), { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches a single customer
+   *
+   * @async
+   * @function getCustomer
+   * @param {string} customerId - The ID of the customer to fetch
+   * @returns {Promise<Object>} The customer
+   * @throws {Error} If the API request fails
+   */
+  getCustomer: async (customerId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/${customerId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching customer ${customerId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches a customer's orders
+   *
+   * @async
+   * @function getCustomerOrders
+   * @param {string} customerId - The ID of the customer
+   * @returns {Promise<Array>} The customer's orders, newest first
+   * @throws {Error} If the API request fails
+   */
+  getCustomerOrders: async (customerId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/${customerId}/orders`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching orders of customer ${customerId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Finds customers by phone number or email address
+   *
+   * @async
+   * @function lookupCustomers
+   * @param {Object} details - Contact details to match
+   * @param {string} [details.phone] - Phone number, in any format
+   * @param {string} [details.email] - Email address
+   * @returns {Promise<Array>} Customers with the same phone or email
+   * @throws {Error} If the API request fails
+   * @example
+   * const [customer] = await customerService.lookupCustomers({ phone: '(555) 123-4567' });
+   */
+  lookupCustomers: async ({ phone, email } = {}) => {
+    const params = {};
+    if (normalizePhone(phone)) params.phone = normalizePhone(phone);
+    if (normalizeEmail(email)) params.email = normalizeEmail(email);
+
+    try {
+      const response = await axios.get(`${getBaseUrl()}/lookup`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error looking up customers:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a customer
+   *
+   * @async
+   * @function createCustomer
+   * @param {Object} data - Customer fields ({ name, phone, email, addresses })
+   * @returns {Promise<Object>} The created customer including its ID
+   * @throws {ValidationError} If the name is missing or the phone or email is malformed
+   * @throws {Error} If the API request fails
+   */
+  createCustomer: async (data) => {
+    assertValid(CUSTOMER_SCHEMA, data);
+
+    try {
+      const response = await axios.post(getBaseUrl(), {
+        ...data,
+        phone: normalizePhone(data.phone),
+        email: normalizeEmail(data.email)
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error creating customer:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a customer
+   *
+   * @async
+   * @function updateCustomer
+   * @param {string} customerId - The ID of the customer to update
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} The updated customer
+   * @throws {ValidationError} If a field being updated is invalid
+   * @throws {Error} If the API request fails
+   */
+  updateCustomer: async (customerId, data) => {
+    assertValid(partialSchema(CUSTOMER_SCHEMA, data), data);
+
+    const normalized = { ...data };
+    if ('phone' in data) normalized.phone = normalizePhone(data.phone);
+    if ('email' in data) normalized.email = normalizeEmail(data.email);
+
+    try {
+      const response = await axios.put(`${getBaseUrl()}/${customerId}`, normalized);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating customer ${customerId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves a customer's details from an order
+   *
+   * Updates the customer with the same phone number or email address,
+   * filling in missing details and adding the delivery address to their
+   * saved addresses, or creates a new customer if there is none.
+   *
+   * @async
+   * @function saveCustomer
+   * @param {Object} details - Customer details
+   * @param {string} details.name - Customer name
+   * @param {string} [details.phone] - Phone number
+   * @param {string} [details.email] - Email address
+   * @param {string} [details.address] - Delivery address
+   * @returns {Promise<Object|null>} The saved customer, or null if there is no phone or email to identify them
+   * @throws {ValidationError} If the details are invalid; nothing is looked up or saved
+   * @throws {Error} If an API request fails
+   */
+  saveCustomer: async ({ name, phone, email, address }) => {
+    if (!normalizePhone(phone) && !normalizeEmail(email)) return null;
+    assertValid(CUSTOMER_SCHEMA, { name, phone, email });
+
+    const matches = await customerService.lookupCustomers({ phone, email });
+    const existing = findMatchingCustomer(matches, { phone, email });
+    const addresses = mergeAddresses(address ? [address] : [], existing?.addresses || []);
+
+    if (!existing) {
+      return customerService.createCustomer({ name, phone, email, addresses });
+    }
+    return customerService.updateCustomer(existing.id, {
+      name: name || existing.name,
+      phone: phone || existing.phone,
+      email: email || existing.email,
+      addresses
+    });
+  }
+};
+
+export default customerService;
@@ -0,0 +1,91 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all dashboard endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/dashboard')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/dashboard`;
+
+/**
+ * Dashboard Service
+ *
+ * This service handles all communication with the backend dashboard API,
+ * providing the aggregated KPIs and chart series shown on the dashboard page.
+ *
+ * @module dashboardService
+ */
+const dashboardService = {
+  /**
+   * Fetches the KPI summary for a reporting period
+   *
+   * @async
+   * @function getStats
+   * @param {string} [period='today'] - Reporting period (today, week, month, year)
+   * @returns {Promise<Object>} KPI values and their change versus the previous period
+   * @throws {Error} If the API request fails
+   * @example
+   * // Get today's KPIs
+   * const stats = await dashboardService.getStats('today');
+   * // stats = { totalSales: 12458, totalSalesChange: 12.5, orderCount: 324, ... }
+   */
+  getStats: async (period = 'today') => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/stats`, { params: { period } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching dashboard stats:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the sales trend series for a reporting period
+   *
+   * @async
+   * @function getSalesTrend
+   * @param {string} [period='today'] - Reporting period (today, week, month, year)
+   * @returns {Promise<Array>} Sales data points ordered by time
+   * @throws {Error} If the API request fails
+   * @example
+   * // Get the sales trend for the current week
+   * const trend = await dashboardService.getSalesTrend('week');
+   * // trend = [{ label: 'Mon', sales: 1840.5, orders: 48 }, ...]
+   */
+  getSalesTrend: async (period = 'today') => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/sales`, { params: { period } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching sales trend:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches order counts grouped by store location
+   *
+   * @async
+   * @function getOrdersByLocation
+   * @param {string} [period='today'] - Reporting period (today, week, month, year)
+   * @returns {Promise<Array>} Order counts per location
+   * @throws {Error} If the API request fails
+   * @example
+   * // Get order counts per location for the current month
+   * const locations = await dashboardService.getOrdersByLocation('month');
+   * // locations = [{ location: 'Downtown', orders: 142 }, ...]
+   */
+  getOrdersByLocation: async (period = 'today') => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/orders-by-location`, { params: { period } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching orders by location:', error);
+      throw error;
+    }
+  }
+};
+
+export default dashboardService;
@@ -0,0 +1,118 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all delivery endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/deliveries')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/deliveries`;
+
+/**
+ * Delivery Service
+ *
+ * This service handles all communication with the backend deliveries API,
+ * providing methods to list drivers, dispatch delivery runs and record when
+ * each stop on a run is delivered.
+ *
+ * A run is one trip by one driver:
+ * { id, driverId, status: 'out'|'completed', dispatchedAt, completedAt,
+ *   stops: [{ orderId, deliveredAt }] }
+ *
+ * @module deliveryService
+ */
+const deliveryService = {
+  /**
+   * Fetches all delivery drivers
+   *
+   * @async
+   * @function getDrivers
+   * @returns {Promise<Array>} List of drivers ({ id, name, phone, active })
+   * @throws {Error} If the API request fails
+   * @example
+   * const drivers = await deliveryService.getDrivers();
+   */
+  getDrivers: async () => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/drivers`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching drivers:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches delivery runs matching the given filters
+   *
+   * @async
+   * @function getRuns
+   * @param {Object} [params] - Query filters
+   * @param {string} [params.status] - Only return runs with this status ('out' or 'completed')
+   * @param {string} [params.from] - Only return runs dispatched on or after this date (YYYY-MM-DD)
+   * @returns {Promise<Array>} List of runs, newest first
+   * @throws {Error} If the API request fails
+   * @example
+   * // Get today's runs
+   * const runs = await deliveryService.getRuns({ from: '2025-04-29' });
+   */
+  getRuns: async (params = {}) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/runs`, { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching delivery runs:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sends a driver out with one or more orders
+   * The backend moves every order to in-delivery and stamps dispatchedAt
+   *
+   * @async
+   * @function dispatchRun
+   * @param {string} driverId - The driver taking the run
+   * @param {Array<string>} orderIds - Orders on the run, in stop order
+   * @returns {Promise<Object>} The created run
+   * @throws {Error} If the API request fails or an order is not ready
+   * @example
+   * await deliveryService.dispatchRun('drv_1', ['ORD-7845', 'ORD-7850']);
+   */
+  dispatchRun: async (driverId, orderIds) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/runs`, { driverId, orderIds });
+      return response.data;
+    } catch (error) {
+      console.error(`Error dispatching run for driver ${driverId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records that one stop on a run was delivered
+   * The backend moves the order to delivered, stamps deliveredAt and
+   * completes the run once every stop is delivered
+   *
+   * @async
+   * @function markDelivered
+   * @param {string} runId - The run the order is on
+   * @param {string} orderId - The delivered order
+   * @returns {Promise<Object>} The updated run
+   * @throws {Error} If the API request fails
+   * @example
+   * await deliveryService.markDelivered('run_12', 'ORD-7845');
+   */
+  markDelivered: async (runId, orderId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/runs/${runId}/stops/${orderId}/delivered`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error marking order ${orderId} delivered:`, error);
+      throw error;
+    }
+  }
+};
+
+export default deliveryService;
@@ -1,11 +1,24 @@
 import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+import { ORDER_ENDPOINT, mapOrderForSystem } from '../utils/orderMappers';
+import { ORDER_SCHEMA, assertValid } from '../utils/validation';
+import { getCredentialSchema } from '../utils/credentialFields';
 
 /**
- * Base API URL for all integration endpoints
- * This should be updated based on environment configuration
- * @constant {string}
+ * Returns the base URL for all integration endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/integration')
  */
-const API_BASE_URL = '/api/integration';
+const getBaseUrl = () => `${getApiBaseUrl()}/integration`;
+
+/**
+ * Validation schemas of the payloads sent in the dashboard's own model, by endpoint
+ * @constant {Object<string, Object>}
+ */
+const PAYLOAD_SCHEMAS = {
+  [ORDER_ENDPOINT]: ORDER_SCHEMA
+};
 
 /**
  * Integration Service
@@ -15,6 +28,8 @@ const API_BASE_URL = '/api/integration';
  * 
  * The service abstracts the complexity of API calls and error handling,
  * providing a clean interface for components to interact with backend integrations.
+ * Orders and credentials are validated with the same schemas as the forms
+ * before they are sent; orders are then converted into the target system's payload.
  * 
  * @module integrationService
  */
@@ -25,15 +40,16 @@ const integrationService = {
    * @async
    * @function getAdapters
    * @returns {Promise<Array>} List of available adapters with their configuration requirements
+   *   and the event types they publish (see utils/eventCatalog)
    * @throws {Error} If the API request fails
    * @example
    * // Get all available adapters
    * const adapters = await integrationService.getAdapters();
-   * // adapters = [{ id: 'square', name: 'Square POS', requiredCredentials: [...] }, ...]
+   * // adapters = [{ id: 'square', name: 'Square POS', requiredCredentials: [...], events: [...] }, ...]
    */
   getAdapters: async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/adapters`);
+      const response = await axios.get(`${getBaseUrl()}/adapters`);
       return response.data;
     } catch (error) {
       console.error('Error fetching adapters:', error);
@@ -55,7 +71,7 @@ const integrationService = {
    */
   getConnections: async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/connections`);
+      const response = await axios.get(`${getBaseUrl()}/connections`);
       return response.data;
     } catch (error) {
       console.error('Error fetching connections:', error);
@@ -70,16 +86,21 @@ const integrationService = {
    * @function connect
    * @param {string} system - The system identifier to connect to (e.g., 'square', 'sendgrid')
    * @param {Object} credentials - Authentication credentials for the system
+   * @param {Array<Object>} [fields=[]] - The adapter's credential fields (`requiredCredentials`),
+   *   checked with the same rules as the connect form
    * @returns {Promise<Object>} Connection details including connection ID and status
+   * @throws {ValidationError} If a credential is invalid; nothing is sent
    * @throws {Error} If the connection attempt fails or credentials are invalid
    * @example
    * // Connect to Square POS
    * const credentials = { apiKey: 'sk_test_123', locationId: 'L123' };
-   * const connection = await integrationService.connect('square', credentials);
+   * const connection = await integrationService.connect('square', credentials, adapter.requiredCredentials);
    */
-  connect: async (system, credentials) => {
+  connect: async (system, credentials, fields = []) => {
+    assertValid(getCredentialSchema(fields), credentials);
+
     try {
-      const response = await axios.post(`${API_BASE_URL}/connect/${system}`, credentials);
+      const response = await axios.post(`${getBaseUrl()}/connect/${system}`, credentials);
       return response.data;
     } catch (error) {
       console.error(`Error connecting to ${system}:`, error);
@@ -101,7 +122,7 @@ const integrationService = {
    */
   disconnect: async (connectionId) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/disconnect/${connectionId}`);
+      const response = await axios.post(`${getBaseUrl()}/disconnect/${connectionId}`);
       return response.data;
     } catch (error) {
       console.error(`Error disconnecting connection ${connectionId}:`, error);
@@ -109,6 +130,78 @@ const integrationService = {
     }
   },
 
+  /**
+   * Checks a connection now by making a lightweight call to the external system
+   * 
+   * @async
+   * @function testConnection
+   * @param {string} connectionId - The ID of the connection to test
+   * @returns {Promise<Object>} Check result ({ checkedAt, healthy, latencyMs, error })
+   * @throws {Error} If the test request fails (a failing connection still resolves with healthy: false)
+   * @example
+   * const result = await integrationService.testConnection('conn_123');
+   * // result = { checkedAt: '2025-04-29T12:00:00Z', healthy: true, latencyMs: 182, error: null }
+   */
+  testConnection: async (connectionId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/connections/${connectionId}/test`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error testing connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the history of periodic health checks of a connection
+   * 
+   * @async
+   * @function getConnectionHealth
+   * @param {string} connectionId - The ID of the connection
+   * @param {Object} [params] - Query options
+   * @param {number} [params.limit] - Maximum number of checks to return
+   * @returns {Promise<Array>} Health checks, newest first ({ checkedAt, healthy, latencyMs, error })
+   * @throws {Error} If the API request fails
+   * @example
+   * const history = await integrationService.getConnectionHealth('conn_123', { limit: 20 });
+   */
+  getConnectionHealth: async (connectionId, params = {}) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/connections/${connectionId}/health`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching health for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces the credentials of an existing connection without disconnecting it
+   * 
+   * @async
+   * @function updateCredentials
+   * @param {string} connectionId - The ID of the connection
+   * @param {Object} credentials - New authentication credentials for the system
+   * @param {Array<Object>} [fields=[]] - The adapter's credential fields (`requiredCredentials`)
+   * @returns {Promise<Object>} The updated connection
+   * @throws {ValidationError} If a credential is invalid; nothing is sent
+   * @throws {Error} If the credentials are rejected or the request fails
+   * @example
+   * // Replace an expired Square access token
+   * await integrationService.updateCredentials('conn_123', { apiKey: 'sk_live_456', locationId: 'L123' }, fields);
+   */
+  updateCredentials: async (connectionId, credentials, fields = []) => {
+    assertValid(getCredentialSchema(fields), credentials);
+
+    try {
+      const response = await axios.put(`${getBaseUrl()}/connections/${connectionId}/credentials`, credentials);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating credentials for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
   /**
    * Sends data to an external system through a specific endpoint
    * 
@@ -117,16 +210,28 @@ const integrationService = {
    * @param {string} system - The system identifier to send data to (e.g., 'square', 'sendgrid')
    * @param {string} endpoint - The endpoint to send data to (e.g., 'orders/create', 'email/send')
    * @param {Object} data - The data payload to send
+   * @param {Object} [options] - Request options
+   * @param {string} [options.idempotencyKey] - Sent as the Idempotency-Key header, so retrying
+   *   the same request never creates a second record in the external system
    * @returns {Promise<Object>} Result of the send operation
+   * @throws {ValidationError} If an order is invalid; nothing is sent
    * @throws {Error} If the send operation fails
    * @example
    * // Create an order in Square POS
    * const orderData = { customerName: 'John Doe', items: [...] };
-   * const result = await integrationService.send('square', 'orders/create', orderData);
+   * const result = await integrationService.send('square', 'orders/create', orderData, { idempotencyKey });
    */
-  send: async (system, endpoint, data) => {
+  send: async (system, endpoint, data, { idempotencyKey } = {}) => {
+    if (PAYLOAD_SCHEMAS[endpoint]) {
+      assertValid(PAYLOAD_SCHEMAS[endpoint], data);
+    }
+    const payload = endpoint === ORDER_ENDPOINT ? mapOrderForSystem(system, data) : data;
+
     try {
-      const response = await axios.post(`${API_BASE_URL}/send/${system}/${endpoint}`, data);
+      const url = `${getBaseUrl()}/send/${system}/${endpoint}`;
+      const response = idempotencyKey
+        ? await axios.post(url, payload, { headers: { 'Idempotency-Key': idempotencyKey } })
+        : await axios.post(url, payload);
       return response.data;
     } catch (error) {
       console.error(`Error sending data to ${system}/${endpoint}:`, error);
@@ -140,6 +245,7 @@ const integrationService = {
    * @async
    * @function getWebhooks
    * @returns {Promise<Array>} List of registered webhooks with their events
+   *   (each event carries `signature`, the backend's verification result; see utils/webhookSignature)
    * @throws {Error} If the API request fails
    * @example
    * // Get all webhooks and their events
@@ -147,7 +253,7 @@ const integrationService = {
    */
   getWebhooks: async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/webhooks`);
+      const response = await axios.get(`${getBaseUrl()}/webhooks`);
       return response.data;
     } catch (error) {
       console.error('Error fetching webhooks:', error);
@@ -155,6 +261,50 @@ const integrationService = {
     }
   },
 
+  /**
+   * Issues a ticket for opening the webhook event stream
+   * EventSource cannot send headers, so the stream is authenticated with this
+   * short-lived, single-use ticket instead of the session token
+   * 
+   * @async
+   * @function createStreamTicket
+   * @returns {Promise<Object>} The ticket ({ ticket, expiresAt })
+   * @throws {Error} If the API request fails
+   * @example
+   * const { ticket } = await integrationService.createStreamTicket();
+   */
+  createStreamTicket: async () => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/webhooks/stream/ticket`);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating webhook stream ticket:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Re-delivers a stored webhook event to the webhook registered for its path
+   * 
+   * @async
+   * @function replayWebhookEvent
+   * @param {string} eventId - The ID of the stored event to replay
+   * @returns {Promise<Object>} Delivery result (e.g., { delivered: true, statusCode: 200 })
+   * @throws {Error} If the event cannot be found or the replay request fails
+   * @example
+   * // Re-deliver a Square order event after fixing the handler
+   * const result = await integrationService.replayWebhookEvent('webhook_123');
+   */
+  replayWebhookEvent: async (eventId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/webhooks/events/${eventId}/replay`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error replaying webhook event ${eventId}:`, error);
+      throw error;
+    }
+  },
+
   /**
    * Registers a new webhook endpoint
    * 
@@ -164,25 +314,231 @@ const integrationService = {
    * @param {Object} options - Options for the webhook
    * @param {string} [options.description] - Description of the webhook's purpose
    * @param {Array<string>} [options.events] - List of events to subscribe to
+   * @param {Object} [options.retryPolicy] - How failed deliveries are retried (see utils/retryPolicy)
+   * @param {string} [options.signingSecret] - Secret used to sign the webhook's payloads (see utils/webhookSignature)
    * @returns {Promise<Object>} Result of the registration including webhook ID
    * @throws {Error} If the webhook registration fails
    * @example
    * // Register a webhook for order events
    * const options = {
    *   description: 'Webhook for order notifications',
-   *   events: ['order.created', 'order.updated']
+   *   events: ['order.created', 'order.updated'],
+   *   retryPolicy: { maxAttempts: 5, initialDelaySeconds: 30, backoffMultiplier: 2, maxDelaySeconds: 3600 },
+   *   signingSecret: generateSigningSecret()
    * };
    * await integrationService.registerWebhook('/api/webhooks/orders', options);
    */
   registerWebhook: async (path, options) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/webhooks/register`, { path, ...options });
+      const response = await axios.post(`${getBaseUrl()}/webhooks/register`, { path, ...options });
       return response.data;
     } catch (error) {
       console.error('Error registering webhook:', error);
       throw error;
     }
+  },
+
+  /**
+   * Fetches the webhooks registered with the backend
+   * 
+   * @async
+   * @function getRegisteredWebhooks
+   * @returns {Promise<Array>} Registered webhooks
+   *   ({ id, path, description, events, status, retryPolicy, secret, previousSecret, previousSecretExpiresAt })
+   * @throws {Error} If the API request fails
+   * @example
+   * const registrations = await integrationService.getRegisteredWebhooks();
+   */
+  getRegisteredWebhooks: async () => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/webhooks/registrations`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching registered webhooks:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a registered webhook
+   * 
+   * @async
+   * @function updateWebhook
+   * @param {string} webhookId - The ID of the registered webhook
+   * @param {Object} changes - Fields to change
+   * @param {string} [changes.description] - Description of the webhook's purpose
+   * @param {Array<string>} [changes.events] - Events to subscribe to
+   * @param {string} [changes.status] - 'active' to deliver events, 'paused' to hold them
+   * @returns {Promise<Object>} The updated registration
+   * @throws {Error} If the webhook cannot be found or the update fails
+   * @example
+   * // Pause deliveries while the receiver is down
+   * await integrationService.updateWebhook('webhook_123', { status: 'paused' });
+   */
+  updateWebhook: async (webhookId, changes) => {
+    try {
+      const response = await axios.patch(`${getBaseUrl()}/webhooks/${webhookId}`, changes);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating webhook ${webhookId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a registered webhook
+   * 
+   * @async
+   * @function deleteWebhook
+   * @param {string} webhookId - The ID of the registered webhook
+   * @returns {Promise<Object>} Result of the delete operation
+   * @throws {Error} If the webhook cannot be found or the request fails
+   * @example
+   * await integrationService.deleteWebhook('webhook_123');
+   */
+  deleteWebhook: async (webhookId) => {
+    try {
+      const response = await axios.delete(`${getBaseUrl()}/webhooks/${webhookId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting webhook ${webhookId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Delivers a sample event to a registered webhook
+   * 
+   * @async
+   * @function sendTestEvent
+   * @param {string} webhookId - The ID of the registered webhook
+   * @returns {Promise<Object>} Delivery result (e.g., { delivered: true, statusCode: 200, latencyMs: 120 })
+   * @throws {Error} If the webhook cannot be found or the request fails
+   * @example
+   * const result = await integrationService.sendTestEvent('webhook_123');
+   */
+  sendTestEvent: async (webhookId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/webhooks/${webhookId}/test`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error sending test event to webhook ${webhookId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces the signing secret of a registered webhook
+   * The previous secret keeps verifying payloads until the grace period ends
+   * 
+   * @async
+   * @function rotateWebhookSecret
+   * @param {string} webhookId - The ID of the registered webhook
+   * @param {string} secret - The new signing secret
+   * @param {number} gracePeriodSeconds - How long the previous secret stays valid
+   * @returns {Promise<Object>} The updated registration, including previousSecretExpiresAt
+   * @throws {Error} If the webhook cannot be found or the request fails
+   * @example
+   * // Rotate a secret, keeping the old one valid for a day
+   * await integrationService.rotateWebhookSecret('webhook_123', generateSigningSecret(), 86400);
+   */
+  rotateWebhookSecret: async (webhookId, secret, gracePeriodSeconds) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/webhooks/${webhookId}/secret`, { secret, gracePeriodSeconds });
+      return response.data;
+    } catch (error) {
+      console.error(`Error rotating secret for webhook ${webhookId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the delivery attempts made to a registered webhook
+   * 
+   * @async
+   * @function getWebhookDeliveries
+   * @param {string} webhookId - The ID of the registered webhook
+   * @param {Object} [params] - Query filters
+   * @param {string} [params.status] - Only return attempts with this status ('succeeded', 'failed', 'retrying')
+   * @returns {Promise<Array>} Delivery attempts, newest first
+   *   ({ id, eventId, eventType, attempt, status, statusCode, latencyMs, responseBody, attemptedAt, nextRetryAt })
+   * @throws {Error} If the API request fails
+   * @example
+   * // Get the failed deliveries of a webhook
+   * const attempts = await integrationService.getWebhookDeliveries('webhook_123', { status: 'failed' });
+   */
+  getWebhookDeliveries: async (webhookId, params = {}) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/webhooks/${webhookId}/deliveries`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching deliveries for webhook ${webhookId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches deliveries that used up every retry (the dead-letter queue)
+   * 
+   * @async
+   * @function getDeadLetters
+   * @returns {Promise<Array>} Dead letters, newest first
+   *   ({ id, webhookId, webhookPath, eventId, eventType, payload, attempts, lastStatusCode, lastError, lastResponseBody, failedAt })
+   * @throws {Error} If the API request fails
+   * @example
+   * const deadLetters = await integrationService.getDeadLetters();
+   */
+  getDeadLetters: async () => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/webhooks/dead-letters`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching dead letters:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Sends a dead letter through delivery again, with a fresh set of retries
+   * 
+   * @async
+   * @function redriveDeadLetter
+   * @param {string} deadLetterId - The ID of the dead letter
+   * @returns {Promise<Object>} Result of the new delivery attempt
+   * @throws {Error} If the dead letter cannot be found or the request fails
+   * @example
+   * await integrationService.redriveDeadLetter('dlq_42');
+   */
+  redriveDeadLetter: async (deadLetterId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/webhooks/dead-letters/${deadLetterId}/redrive`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error re-driving dead letter ${deadLetterId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Removes a dead letter without delivering it
+   * 
+   * @async
+   * @function discardDeadLetter
+   * @param {string} deadLetterId - The ID of the dead letter
+   * @returns {Promise<Object>} Result of the delete operation
+   * @throws {Error} If the request fails
+   * @example
+   * await integrationService.discardDeadLetter('dlq_42');
+   */
+  discardDeadLetter: async (deadLetterId) => {
+    try {
+      const response = await axios.delete(`${getBaseUrl()}/webhooks/dead-letters/${deadLetterId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error discarding dead letter ${deadLetterId}:`, error);
+      throw error;
+    }
   }
 };
 
-export default integrationService;
+export default integrationService;
\ No newline at end of file
@@ -0,0 +1,146 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all inventory endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/inventory')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/inventory`;
+
+/**
+ * Inventory Service
+ *
+ * This service handles all communication with the backend inventory API,
+ * providing methods to manage stock items and record quantity adjustments.
+ *
+ * @module inventoryService
+ */
+const inventoryService = {
+  /**
+   * Fetches inventory items matching the given filters
+   *
+   * @async
+   * @function getItems
+   * @param {Object} [params] - Query filters (e.g., { category: 'cheese' })
+   * @returns {Promise<Array>} List of inventory items
+   * @throws {Error} If the API request fails
+   * @example
+   * const items = await inventoryService.getItems();
+   * // items = [{ id: 1, name: 'Pizza Dough', quantity: 125, unit: 'balls', minLevel: 50, reorderLevel: 75 }, ...]
+   */
+  getItems: async (params = {}) => {
+    try {
+      const response = await axios.get(getBaseUrl(), { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching inventory items:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches a single inventory item
+   *
+   * @async
+   * @function getItem
+   * @param {string|number} itemId - The ID of the item to fetch
+   * @returns {Promise<Object>} The inventory item
+   * @throws {Error} If the API request fails
+   */
+  getItem: async (itemId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/${itemId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching inventory item ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a new inventory item
+   *
+   * @async
+   * @function createItem
+   * @param {Object} data - Item fields (name, category, unit, quantity, minLevel, reorderLevel, ...)
+   * @returns {Promise<Object>} The created item including its ID
+   * @throws {Error} If the API request fails
+   */
+  createItem: async (data) => {
+    try {
+      const response = await axios.post(getBaseUrl(), data);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating inventory item:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates an existing inventory item
+   * Quantity changes should go through adjustQuantity so they are recorded with a reason
+   *
+   * @async
+   * @function updateItem
+   * @param {string|number} itemId - The ID of the item to update
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} The updated item
+   * @throws {Error} If the API request fails
+   */
+  updateItem: async (itemId, data) => {
+    try {
+      const response = await axios.put(`${getBaseUrl()}/${itemId}`, data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating inventory item ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes an inventory item
+   *
+   * @async
+   * @function deleteItem
+   * @param {string|number} itemId - The ID of the item to delete
+   * @returns {Promise<Object>} Result of the delete operation
+   * @throws {Error} If the API request fails
+   */
+  deleteItem: async (itemId) => {
+    try {
+      const response = await axios.delete(`${getBaseUrl()}/${itemId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting inventory item ${itemId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Adjusts the stock quantity of an item and records the reason
+   *
+   * @async
+   * @function adjustQuantity
+   * @param {string|number} itemId - The ID of the item to adjust
+   * @param {number} adjustment - Signed quantity change (negative for usage or waste)
+   * @param {string} reason - Why the quantity changed (e.g., 'received', 'waste')
+   * @returns {Promise<Object>} The adjustment result including the new quantity
+   * @throws {Error} If the API request fails
+   * @example
+   * // Record 5 lbs of spoiled cheese
+   * await inventoryService.adjustQuantity(2, -5, 'waste');
+   */
+  adjustQuantity: async (itemId, adjustment, reason) => {
+    try {
+      const response = await axios.patch(`${getBaseUrl()}/${itemId}/quantity`, { adjustment, reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error adjusting quantity of inventory item ${itemId}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default inventoryService;
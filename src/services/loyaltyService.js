@@ -0,0 +1,143 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+import { LEDGER_ENTRY_TYPES } from '../utils/loyalty';
+
+/**
+ * Returns the base URL for all loyalty endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/loyalty')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/loyalty`;
+
+/**
+ * Loyalty Service
+ *
+ * This service handles all communication with the backend loyalty API,
+ * providing methods to read and save the program's earn and burn rules and
+ * to read and add to each customer's points ledger.
+ *
+ * Entries recorded for an order carry the order's idempotency key, so
+ * recording the same order twice doesn't earn or spend points twice.
+ *
+ * @module loyaltyService
+ */
+const loyaltyService = {
+  /**
+   * Fetches the loyalty program
+   *
+   * @async
+   * @function getProgram
+   * @returns {Promise<Object>} Program ({ enabled, pointsPerDollar, minimumOrder, rewards })
+   * @throws {Error} If the API request fails
+   */
+  getProgram: async () => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/program`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching loyalty program:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves the loyalty program
+   *
+   * @async
+   * @function updateProgram
+   * @param {Object} program - The complete program
+   * @returns {Promise<Object>} The saved program
+   * @throws {Error} If the API request fails
+   */
+  updateProgram: async (program) => {
+    try {
+      const response = await axios.put(`${getBaseUrl()}/program`, program);
+      return response.data;
+    } catch (error) {
+      console.error('Error saving loyalty program:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches a customer's points ledger
+   *
+   * @async
+   * @function getLedger
+   * @param {string} customerId - The ID of the customer
+   * @returns {Promise<Array>} Ledger entries, newest first ({ id, type, points, orderId, rewardId, note, createdAt })
+   * @throws {Error} If the API request fails
+   * @example
+   * const entries = await loyaltyService.getLedger('cus_1');
+   * // entries = [{ id: 'le_2', type: 'redeem', points: -100, rewardId: 'free-medium-pizza', ... }, ...]
+   */
+  getLedger: async (customerId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/customers/${customerId}/ledger`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching points ledger of customer ${customerId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Adds an entry to a customer's points ledger
+   *
+   * @async
+   * @function addLedgerEntry
+   * @param {string} customerId - The ID of the customer
+   * @param {Object} entry - Entry ({ type, points, orderId, rewardId, note, idempotencyKey })
+   * @returns {Promise<Object>} The recorded entry
+   * @throws {Error} If the API request fails, e.g. a redemption exceeds the balance
+   */
+  addLedgerEntry: async (customerId, entry) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/customers/${customerId}/ledger`, entry);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating points ledger of customer ${customerId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records the points earned and the reward redeemed on an order
+   * The redemption is recorded first, so the order's points can't pay for its own reward
+   *
+   * @async
+   * @function recordOrder
+   * @param {string} customerId - The ID of the customer
+   * @param {Object} order - Order details
+   * @param {string} [order.orderId] - Order ID from the backend
+   * @param {string} order.idempotencyKey - Idempotency key of the order submission
+   * @param {number} order.pointsEarned - Points earned on the order
+   * @param {Object} [order.reward] - Redeemed reward ({ id, points })
+   * @returns {Promise<Array<Object>>} The recorded entries
+   * @throws {Error} If an API request fails
+   */
+  recordOrder: async (customerId, { orderId, idempotencyKey, pointsEarned, reward }) => {
+    const entries = [];
+    if (reward) {
+      entries.push(await loyaltyService.addLedgerEntry(customerId, {
+        type: LEDGER_ENTRY_TYPES.REDEEM,
+        points: -reward.points,
+        rewardId: reward.id,
+        orderId,
+        idempotencyKey: `${idempotencyKey}:redeem`
+      }));
+    }
+    if (pointsEarned > 0) {
+      entries.push(await loyaltyService.addLedgerEntry(customerId, {
+        type: LEDGER_ENTRY_TYPES.EARN,
+        points: pointsEarned,
+        orderId,
+        idempotencyKey: `${idempotencyKey}:earn`
+      }));
+    }
+    return entries;
+  }
+};
+
+export default loyaltyService;
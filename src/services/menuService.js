@@ -0,0 +1,135 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all menu endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/menu')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/menu`;
+
+/**
+ * Menu Service
+ *
+ * This service handles all communication with the backend menu API. The menu
+ * catalog is made of:
+ * - items: Sellable products with a price per size (or a flat price)
+ * - sizes: Pizza sizes with the multiplier applied to topping prices
+ * - crusts: Crust options with their upcharge
+ * - toppings: Topping modifiers with their base price
+ *
+ * @module menuService
+ */
+const menuService = {
+  /**
+   * Fetches the full menu catalog
+   *
+   * @async
+   * @function getMenu
+   * @returns {Promise<Object>} Catalog with items, sizes, crusts and toppings
+   * @throws {Error} If the API request fails
+   * @example
+   * const menu = await menuService.getMenu();
+   * // menu = {
+   * //   items: [{ id: 'pepperoni', name: 'Pepperoni Pizza', prices: { small: 11, large: 17 }, includedToppings: ['pepperoni'], customizable: true, active: true }],
+   * //   sizes: [{ id: 'small', name: 'Small 10"', toppingMultiplier: 1 }],
+   * //   crusts: [{ id: 'thin', name: 'Thin', upcharge: 0 }],
+   * //   toppings: [{ id: 'pepperoni', name: 'Pepperoni', price: 1.5 }]
+   * // }
+   */
+  getMenu: async () => {
+    try {
+      const response = await axios.get(getBaseUrl());
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching menu:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Creates a menu item
+   *
+   * @async
+   * @function createItem
+   * @param {Object} item - Item fields (name, category, prices or price, includedToppings, customizable, active)
+   * @returns {Promise<Object>} The created item
+   * @throws {Error} If the API request fails
+   */
+  createItem: async (item) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/items`, item);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating menu item:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Updates a menu item
+   *
+   * @async
+   * @function updateItem
+   * @param {string} id - Item ID
+   * @param {Object} item - Fields to update
+   * @returns {Promise<Object>} The updated item
+   * @throws {Error} If the API request fails
+   */
+  updateItem: async (id, item) => {
+    try {
+      const response = await axios.put(`${getBaseUrl()}/items/${id}`, item);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating menu item ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Deletes a menu item
+   *
+   * @async
+   * @function deleteItem
+   * @param {string} id - Item ID
+   * @returns {Promise<Object>} Deletion result
+   * @throws {Error} If the API request fails
+   */
+  deleteItem: async (id) => {
+    try {
+      const response = await axios.delete(`${getBaseUrl()}/items/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting menu item ${id}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Replaces one of the modifier lists (sizes, crusts or toppings)
+   *
+   * @async
+   * @function saveModifiers
+   * @param {string} kind - Which list to replace ('sizes', 'crusts' or 'toppings')
+   * @param {Array<Object>} modifiers - The complete new list
+   * @returns {Promise<Array<Object>>} The saved list
+   * @throws {Error} If the API request fails
+   * @example
+   * await menuService.saveModifiers('crusts', [
+   *   { id: 'thin', name: 'Thin', upcharge: 0 },
+   *   { id: 'stuffed', name: 'Stuffed', upcharge: 2.5 }
+   * ]);
+   */
+  saveModifiers: async (kind, modifiers) => {
+    try {
+      const response = await axios.put(`${getBaseUrl()}/${kind}`, modifiers);
+      return response.data;
+    } catch (error) {
+      console.error(`Error saving menu ${kind}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default menuService;
@@ -0,0 +1,190 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+import {
+  generateCodeVerifier,
+  generateState,
+  createCodeChallenge,
+  buildAuthorizationUrl
+} from '../utils/pkce';
+
+/**
+ * Returns the base URL for all integration endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/integration')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/integration`;
+
+/**
+ * localStorage key holding the authorization requests waiting for a callback
+ * @constant {string}
+ */
+export const PENDING_STORAGE_KEY = 'oauth_pending_authorizations';
+
+/**
+ * How long an authorization request may wait for its callback (ms)
+ * @constant {number}
+ */
+export const PENDING_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Message types the callback page posts to the window that opened it
+ * @constant {Object<string, string>}
+ */
+export const OAUTH_MESSAGE = {
+  COMPLETE: 'oauth:complete',
+  ERROR: 'oauth:error'
+};
+
+/**
+ * Returns the redirect URI registered with OAuth providers
+ *
+ * @function getRedirectUri
+ * @returns {string} e.g. 'https://ops.example.com/oauth/callback'
+ */
+export const getRedirectUri = () => `${window.location.origin}/oauth/callback`;
+
+/**
+ * Reads the pending authorization requests, dropping expired ones
+ *
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object<string, Object>} Requests by state ({ adapterId, connectionId, codeVerifier, createdAt })
+ */
+const readPending = (now) => {
+  let pending = {};
+  try {
+    pending = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY)) || {};
+  } catch {
+    pending = {};
+  }
+  return Object.fromEntries(
+    Object.entries(pending).filter(([, request]) => now - request.createdAt < PENDING_TTL_MS)
+  );
+};
+
+/**
+ * Stores the pending authorization requests
+ *
+ * @param {Object<string, Object>} pending - Requests by state
+ */
+const writePending = (pending) => {
+  if (Object.keys(pending).length === 0) {
+    localStorage.removeItem(PENDING_STORAGE_KEY);
+  } else {
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+  }
+};
+
+/**
+ * OAuth Service
+ *
+ * This service runs the OAuth 2.0 authorization-code flow with PKCE for
+ * adapters that declare one (see utils/pkce). The browser only ever holds
+ * the one-time code and its verifier; the backend exchanges them for tokens,
+ * stores the tokens with the connection, and refreshes them.
+ *
+ * The code verifier is kept in localStorage, keyed by the request's state,
+ * so the callback page can finish the flow whether it runs in a popup or
+ * after a full-page redirect.
+ *
+ * @module oauthService
+ */
+const oauthService = {
+  /**
+   * Starts an authorization request for an adapter
+   *
+   * @async
+   * @function startAuthorization
+   * @param {Object} adapter - Adapter with an `oauth` declaration
+   * @param {Object} [options] - Request options
+   * @param {string} [options.connectionId] - Existing connection to re-authorize in place
+   * @returns {Promise<string>} URL of the provider's authorization page
+   * @example
+   * const url = await oauthService.startAuthorization(adapter);
+   * window.open(url, 'oauth-connect');
+   */
+  startAuthorization: async (adapter, { connectionId } = {}) => {
+    const now = Date.now();
+    const codeVerifier = generateCodeVerifier();
+    const state = generateState();
+    const codeChallenge = await createCodeChallenge(codeVerifier);
+
+    writePending({
+      ...readPending(now),
+      [state]: { adapterId: adapter.id, connectionId, codeVerifier, createdAt: now }
+    });
+
+    return buildAuthorizationUrl(adapter.oauth, {
+      redirectUri: getRedirectUri(),
+      state,
+      codeChallenge
+    });
+  },
+
+  /**
+   * Completes an authorization request from the callback's query parameters
+   * The pending request is removed first, so a code can only be used once
+   *
+   * @async
+   * @function completeAuthorization
+   * @param {Object} params - Callback query parameters
+   * @param {string} [params.code] - Authorization code
+   * @param {string} [params.state] - State of the request
+   * @param {string} [params.error] - Error code from the provider
+   * @param {string} [params.error_description] - Error text from the provider
+   * @returns {Promise<Object>} The new or re-authorized connection
+   * @throws {Error} If the provider refused, the request is unknown or expired, or the exchange fails
+   * @example
+   * const connection = await oauthService.completeAuthorization({ code, state });
+   * // connection = { id: 'conn_9', system: 'square', authType: 'oauth2', tokenExpiresAt: '...' }
+   */
+  completeAuthorization: async ({ code, state, error, error_description: errorDescription }) => {
+    const pending = readPending(Date.now());
+    const request = state ? pending[state] : undefined;
+    if (request) {
+      delete pending[state];
+    }
+    writePending(pending);
+
+    if (error) {
+      throw new Error(errorDescription || `Authorization was not granted (${error}).`);
+    }
+    if (!request || !code) {
+      throw new Error('This sign-in link has expired or was already used. Please try connecting again.');
+    }
+
+    try {
+      const response = await axios.post(`${getBaseUrl()}/oauth/${request.adapterId}/token`, {
+        code,
+        codeVerifier: request.codeVerifier,
+        redirectUri: getRedirectUri(),
+        connectionId: request.connectionId
+      });
+      return response.data;
+    } catch (err) {
+      console.error(`Error completing authorization for ${request.adapterId}:`, err);
+      throw err;
+    }
+  },
+
+  /**
+   * Asks the backend to refresh a connection's access token now
+   *
+   * @async
+   * @function refreshToken
+   * @param {string} connectionId - ID of the connection
+   * @returns {Promise<Object>} The updated connection, with its new tokenExpiresAt
+   * @throws {Error} If the refresh token was rejected or the API request fails
+   */
+  refreshToken: async (connectionId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/connections/${connectionId}/refresh`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error refreshing token for connection ${connectionId}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default oauthService;
@@ -0,0 +1,365 @@
+import integrationService from './integrationService';
+import orderRouter, { UNREACHABLE_STATUSES } from './orderRouter';
+import customerActivity from './customerActivity';
+import loyaltyService from './loyaltyService';
+import { ORDER_ENDPOINT } from '../utils/orderMappers';
+import { ValidationError } from '../utils/validation';
+
+/**
+ * IndexedDB database and object store holding queued orders
+ * @constant {string}
+ */
+export const OUTBOX_DB_NAME = 'pizza-ops';
+export const OUTBOX_STORE_NAME = 'outbox';
+
+/**
+ * localStorage key used when IndexedDB is not available
+ * @constant {string}
+ */
+export const OUTBOX_STORAGE_KEY = 'pizza_ops_outbox';
+
+/**
+ * Endpoint of queued points ledger writes (see customerActivity)
+ * These go to the loyalty API rather than a POS
+ * @constant {string}
+ */
+export const LOYALTY_ENDPOINT = 'loyalty/orders';
+
+/**
+ * How often queued orders are retried while they wait (ms)
+ * Covers a backend that is down while the browser still reports being online
+ * @constant {number}
+ */
+export const OUTBOX_RETRY_INTERVAL = 30000;
+
+/**
+ * Statuses of a queued submission
+ * - pending: Waiting to be sent
+ * - failed: Reached the backend but was rejected; needs a person to retry or discard it
+ * @constant {Object<string, string>}
+ */
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+/**
+ * Checks whether a failed request should be queued and retried later
+ * True when no response arrived (network down) or a gateway reported the backend unreachable.
+ * An invalid order never left the browser but would fail again, so it is not offline.
+ *
+ * @function isOfflineError
+ * @param {Error} error - Error thrown by axios, or a ValidationError
+ * @returns {boolean} True if the request never reached the backend
+ */
+export const isOfflineError = (error) =>
+  !(error instanceof ValidationError)
+  && (!error?.response || UNREACHABLE_STATUSES.includes(error.response.status));
+
+/**
+ * Creates a key that identifies one order submission across retries
+ *
+ * @function generateIdempotencyKey
+ * @returns {string} Random UUID
+ */
+export const generateIdempotencyKey = () => crypto.randomUUID();
+
+/**
+ * Wraps an IndexedDB request in a promise
+ *
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open database, shared by every call
+ * @type {Promise<IDBDatabase>|null}
+ */
+let databasePromise = null;
+
+/**
+ * Opens the outbox database, creating the object store on first use
+ *
+ * @returns {Promise<IDBDatabase>} The database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' });
+    };
+    databasePromise = requestToPromise(request);
+  }
+  return databasePromise;
+};
+
+/**
+ * Runs one request against the outbox object store
+ *
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} run - Called with the object store; returns the request
+ * @returns {Promise<*>} The request result
+ */
+const withStore = async (mode, run) => {
+  const database = await openDatabase();
+  return requestToPromise(run(database.transaction(OUTBOX_STORE_NAME, mode).objectStore(OUTBOX_STORE_NAME)));
+};
+
+/**
+ * Outbox storage in IndexedDB
+ * @type {Object}
+ */
+const indexedDbStorage = {
+  getAll: () => withStore('readonly', store => store.getAll()),
+  put: (entry) => withStore('readwrite', store => store.put(entry)),
+  remove: (id) => withStore('readwrite', store => store.delete(id))
+};
+
+/**
+ * Reads the outbox from localStorage
+ *
+ * @returns {Array<Object>} Stored entries
+ */
+const readLocalEntries = () => {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Outbox storage in localStorage, for browsers without IndexedDB
+ * @type {Object}
+ */
+const localStorageStorage = {
+  getAll: async () => readLocalEntries(),
+  put: async (entry) => {
+    const entries = readLocalEntries();
+    const index = entries.findIndex(item => item.id === entry.id);
+    // Update in place so entries queued in the same millisecond keep their order
+    if (index === -1) {
+      entries.push(entry);
+    } else {
+      entries[index] = entry;
+    }
+    localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries));
+  },
+  remove: async (id) => {
+    localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(readLocalEntries().filter(item => item.id !== id)));
+  }
+};
+
+/**
+ * Returns the storage used for the outbox
+ *
+ * @returns {Object} IndexedDB storage when available, otherwise localStorage
+ */
+const getStorage = () => (typeof indexedDB !== 'undefined' ? indexedDbStorage : localStorageStorage);
+
+/**
+ * Listeners notified whenever the outbox changes
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Replay in progress, so overlapping triggers don't send an order twice
+ * @type {Promise<Object>|null}
+ */
+let replayPromise = null;
+
+/**
+ * Tells every listener that the outbox changed
+ */
+const notify = () => {
+  listeners.forEach(listener => listener());
+};
+
+/**
+ * Records the customer and loyalty activity of a replayed order
+ * The order itself was sent, so a failure here is logged rather than
+ * treated as a failed replay
+ *
+ * @param {Object} entry - The sent entry
+ * @param {Object} result - Result from the POS
+ */
+const recordActivity = async (entry, result) => {
+  try {
+    await customerActivity.recordOrder(entry.data, { orderId: result?.orderId, idempotencyKey: entry.id });
+  } catch (error) {
+    console.error(`Error recording loyalty activity of queued order ${entry.id}:`, error);
+  }
+};
+
+/**
+ * Order Outbox Service
+ *
+ * A persistent local queue for submissions that could not reach the backend.
+ * Entries are kept in IndexedDB (or localStorage where IndexedDB is missing)
+ * so they survive a page reload, and are replayed in the order they were
+ * queued once the connection returns.
+ *
+ * Every entry carries the idempotency key of its original submission, and
+ * each replay sends the same key, so an order that did reach its POS before
+ * the connection dropped is not created a second time. Entries queued
+ * without a target system go through the order router when they are sent,
+ * so they reach whichever system is available by then. Once a queued order
+ * is accepted, its customer and loyalty activity is recorded with the same
+ * key (see customerActivity); if that fails, the points ledger write is
+ * queued here too and retried on later replays.
+ *
+ * @module orderOutbox
+ */
+const orderOutbox = {
+  /**
+   * Returns the queued submissions, oldest first
+   *
+   * @async
+   * @function getEntries
+   * @returns {Promise<Array<Object>>} Entries ({ id, system, endpoint, data, status, queuedAt, attempts, lastError })
+   */
+  getEntries: async () => {
+    const entries = await getStorage().getAll();
+    return [...entries].sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+  },
+
+  /**
+   * Queues a submission
+   *
+   * @async
+   * @function enqueue
+   * @param {Object} submission - The submission
+   * @param {string} [submission.system] - Target system (e.g., 'square'); leave out to route the order
+   *   when it is sent (see orderRouter)
+   * @param {string} submission.endpoint - Target endpoint (e.g., 'orders/create'), or LOYALTY_ENDPOINT
+   *   for a points ledger write
+   * @param {Object} submission.data - Payload
+   * @param {string} submission.idempotencyKey - Key of the original attempt; becomes the entry ID
+   * @returns {Promise<Object>} The queued entry
+   */
+  enqueue: async ({ system, endpoint, data, idempotencyKey }) => {
+    const entry = {
+      id: idempotencyKey,
+      system: system || null,
+      endpoint,
+      data,
+      status: OUTBOX_STATUS.PENDING,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null
+    };
+    await getStorage().put(entry);
+    notify();
+    return entry;
+  },
+
+  /**
+   * Removes a submission without sending it
+   *
+   * @async
+   * @function discard
+   * @param {string} id - Entry ID
+   */
+  discard: async (id) => {
+    await getStorage().remove(id);
+    notify();
+  },
+
+  /**
+   * Marks a rejected submission as pending again, so the next replay retries it
+   *
+   * @async
+   * @function retry
+   * @param {string} id - Entry ID
+   */
+  retry: async (id) => {
+    const entry = (await getStorage().getAll()).find(item => item.id === id);
+    if (!entry) return;
+    await getStorage().put({ ...entry, status: OUTBOX_STATUS.PENDING });
+    notify();
+  },
+
+  /**
+   * Sends the pending submissions in order
+   *
+   * Stops at the first one that still can't reach the backend, leaving it
+   * and the rest queued. A submission the backend rejects is marked failed
+   * and skipped by later replays until someone retries or discards it.
+   * Overlapping calls share the replay already in progress.
+   *
+   * @async
+   * @function replay
+   * @returns {Promise<{ sent: Array<Object>, failed: Array<Object>, remaining: number }>}
+   *   Sent entries with their results, entries rejected in this replay, and how many are still pending
+   */
+  replay: () => {
+    if (replayPromise) return replayPromise;
+
+    replayPromise = (async () => {
+      const storage = getStorage();
+      const sent = [];
+      const failed = [];
+      const pending = (await orderOutbox.getEntries()).filter(entry => entry.status === OUTBOX_STATUS.PENDING);
+
+      for (const [index, entry] of pending.entries()) {
+        try {
+          let result;
+          if (entry.endpoint === LOYALTY_ENDPOINT) {
+            result = await loyaltyService.recordOrder(entry.data.customerId, entry.data);
+          } else if (entry.system) {
+            result = await integrationService.send(entry.system, entry.endpoint, entry.data, { idempotencyKey: entry.id });
+          } else {
+            result = await orderRouter.routeOrder(entry.data, { idempotencyKey: entry.id });
+          }
+          await storage.remove(entry.id);
+          sent.push({ entry, result });
+          // Queued orders skipped this at submission, so their redeemed rewards and points are written now
+          if (entry.endpoint === ORDER_ENDPOINT) {
+            await recordActivity(entry, result);
+          }
+        } catch (error) {
+          const attempted = {
+            ...entry,
+            attempts: entry.attempts + 1,
+            lastError: error instanceof ValidationError
+              ? Object.values(error.errors).join('; ')
+              : error.response?.data?.message || error.message
+          };
+          if (isOfflineError(error)) {
+            await storage.put(attempted);
+            notify();
+            return { sent, failed, remaining: pending.length - index };
+          }
+          const rejected = { ...attempted, status: OUTBOX_STATUS.FAILED };
+          await storage.put(rejected);
+          failed.push(rejected);
+        }
+        notify();
+      }
+      return { sent, failed, remaining: 0 };
+    })().finally(() => {
+      replayPromise = null;
+    });
+
+    return replayPromise;
+  },
+
+  /**
+   * Subscribes to outbox changes
+   *
+   * @function subscribe
+   * @param {Function} listener - Called after every change
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+export default orderOutbox;
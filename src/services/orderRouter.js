@@ -0,0 +1,126 @@
+import integrationService from './integrationService';
+import settingsService from './settingsService';
+import { ORDER_ENDPOINT } from '../utils/orderMappers';
+
+/**
+ * HTTP gateway statuses that mean a request never reached its destination:
+ * the backend behind a proxy, or the POS behind the backend
+ * Only these move an order on to the fallback, and the order outbox keeps
+ * retrying requests that fail with them (see orderOutbox.isOfflineError)
+ * @constant {Array<number>}
+ */
+export const UNREACHABLE_STATUSES = [502, 503, 504];
+
+/**
+ * Thrown when no active connection can take an order
+ */
+export class OrderRoutingError extends Error {
+  /**
+   * @param {string} message - Explanation shown to staff
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'OrderRoutingError';
+  }
+}
+
+/**
+ * Returns the routing rule of a store location
+ * Fields a location leaves empty fall back to the default rule
+ *
+ * @function getRoutingRule
+ * @param {Object} routing - Order routing settings ({ locationId, primary, fallback, locations })
+ * @param {string} [locationId=routing.locationId] - Location to route for; defaults to this dashboard's location
+ * @returns {{ locationId: string, primary: string, fallback: string }} Rule
+ */
+export const getRoutingRule = (routing, locationId = routing.locationId) => {
+  const location = (routing.locations || []).find(l => l.id === locationId);
+  return {
+    locationId: location?.id || '',
+    primary: location?.primary || routing.primary,
+    fallback: location?.fallback || routing.fallback
+  };
+};
+
+/**
+ * Returns the systems an order can be sent to, in the order they are tried
+ * A system is skipped unless it has an active connection, so an order goes
+ * straight to the fallback while the primary is disconnected or in error.
+ *
+ * @function getRouteTargets
+ * @param {Object} rule - Routing rule from getRoutingRule()
+ * @param {Array<Object>} connections - Connections from getConnections()
+ * @returns {Array<{ system: string, isFallback: boolean }>} Targets, primary first
+ */
+export const getRouteTargets = (rule, connections) => {
+  const isActive = (system) => connections.some(c => c.system === system && c.status === 'active');
+  return [
+    { system: rule.primary, isFallback: false },
+    { system: rule.fallback, isFallback: true }
+  ].filter((target, index, targets) =>
+    target.system && isActive(target.system) && targets.findIndex(t => t.system === target.system) === index
+  );
+};
+
+/**
+ * Order Router
+ *
+ * Decides which POS or ordering system receives a new order and sends it.
+ * integrationService.send validates the order and converts it into that
+ * system's payload (see utils/orderMappers).
+ *
+ * The destination comes from the order routing settings: each store
+ * location can name a primary and a fallback system, and locations without
+ * their own rule use the default one. The fallback takes the order when the
+ * primary has no active connection, or when the backend reports the primary
+ * unreachable (502/503/504). Both attempts carry the same idempotency key.
+ *
+ * @module orderRouter
+ */
+const orderRouter = {
+  /**
+   * Routes and sends an order
+   *
+   * @async
+   * @function routeOrder
+   * @param {Object} order - Order in the dashboard's model
+   * @param {Object} options - Send options
+   * @param {string} options.idempotencyKey - Key of this order submission
+   * @param {Object} [options.settings] - Settings to route with; defaults to the saved settings
+   * @returns {Promise<Object>} Response of the system, with the `system` it was sent to and
+   *   whether that was the fallback (`isFallback`)
+   * @throws {OrderRoutingError} If neither system has an active connection
+   * @throws {ValidationError} If the order is invalid
+   * @throws {Error} If the connections can't be loaded or the last system tried fails
+   * @example
+   * const result = await orderRouter.routeOrder(order, { idempotencyKey });
+   * // result = { orderId: 'ORD-7845', status: 'created', system: 'clover', isFallback: true }
+   */
+  routeOrder: async (order, { idempotencyKey, settings = settingsService.getSettings() }) => {
+    const rule = getRoutingRule(settings.orderRouting);
+    const connections = await integrationService.getConnections();
+    const targets = getRouteTargets(rule, connections);
+
+    if (targets.length === 0) {
+      throw new OrderRoutingError(
+        `No active connection can take orders (${[rule.primary, rule.fallback].filter(Boolean).join(' or ')}). `
+        + 'Check the connections on the Integrations page.'
+      );
+    }
+
+    const routedOrder = rule.locationId ? { ...order, locationId: rule.locationId } : order;
+
+    for (const [index, target] of targets.entries()) {
+      try {
+        const result = await integrationService.send(target.system, ORDER_ENDPOINT, routedOrder, { idempotencyKey });
+        return { ...result, system: target.system, isFallback: target.isFallback };
+      } catch (error) {
+        const isLast = index === targets.length - 1;
+        if (isLast || !UNREACHABLE_STATUSES.includes(error.response?.status)) throw error;
+        console.error(`Order routing: ${target.system} is unavailable, trying ${targets[index + 1].system}`, error);
+      }
+    }
+  }
+};
+
+export default orderRouter;
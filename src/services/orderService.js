@@ -0,0 +1,135 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all order endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/orders')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/orders`;
+
+/**
+ * Order Service
+ *
+ * This service handles all communication with the backend orders API,
+ * providing methods to list orders, fetch order details and move orders
+ * through the fulfilment workflow.
+ *
+ * @module orderService
+ */
+const orderService = {
+  /**
+   * Fetches orders matching the given filters
+   *
+   * @async
+   * @function getOrders
+   * @param {Object} [params] - Query filters
+   * @param {string} [params.status] - Only return orders with this status
+   * @param {string} [params.from] - Only return orders placed on or after this date (YYYY-MM-DD)
+   * @param {string} [params.to] - Only return orders placed on or before this date (YYYY-MM-DD)
+   * @returns {Promise<Array>} List of orders, newest first
+   * @throws {Error} If the API request fails
+   * @example
+   * // Get all orders currently being prepared
+   * const orders = await orderService.getOrders({ status: 'preparing' });
+   */
+  getOrders: async (params = {}) => {
+    try {
+      const response = await axios.get(getBaseUrl(), { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching orders:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches a single order with its full details
+   *
+   * @async
+   * @function getOrder
+   * @param {string} orderId - The ID of the order to fetch
+   * @returns {Promise<Object>} Order details including items and status history
+   * @throws {Error} If the API request fails
+   * @example
+   * const order = await orderService.getOrder('ORD-7845');
+   */
+  getOrder: async (orderId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/${orderId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching order ${orderId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Moves an order to a new status
+   *
+   * @async
+   * @function updateOrderStatus
+   * @param {string} orderId - The ID of the order to update
+   * @param {string} status - The new status (see utils/orderStatus)
+   * @returns {Promise<Object>} The updated order
+   * @throws {Error} If the API request fails or the transition is rejected
+   * @example
+   * // Start preparing an order
+   * await orderService.updateOrderStatus('ORD-7845', 'preparing');
+   */
+  updateOrderStatus: async (orderId, status) => {
+    try {
+      const response = await axios.patch(`${getBaseUrl()}/${orderId}/status`, { status });
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating status of order ${orderId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Clears a ready order from the kitchen display
+   * The order stays ready for dispatch or pickup; the backend stamps `bumpedAt`
+   *
+   * @async
+   * @function bumpOrder
+   * @param {string} orderId - The ID of the order to bump
+   * @returns {Promise<Object>} The updated order
+   * @throws {Error} If the API request fails or the order is not ready
+   * @example
+   * await orderService.bumpOrder('ORD-7845');
+   */
+  bumpOrder: async (orderId) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/${orderId}/bump`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error bumping order ${orderId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Puts a bumped order back on the kitchen display
+   *
+   * @async
+   * @function recallOrder
+   * @param {string} orderId - The ID of the order to recall
+   * @returns {Promise<Object>} The updated order
+   * @throws {Error} If the API request fails or the order has left the kitchen
+   * @example
+   * await orderService.recallOrder('ORD-7845');
+   */
+  recallOrder: async (orderId) => {
+    try {
+      const response = await axios.delete(`${getBaseUrl()}/${orderId}/bump`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error recalling order ${orderId}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default orderService;
@@ -0,0 +1,109 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all order endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/orders')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/orders`;
+
+/**
+ * Payment Service
+ *
+ * This service handles all communication with the backend payments API,
+ * providing methods to read an order's payments, record a payment made with
+ * one or more tenders and refund a payment in full or in part.
+ *
+ * Every call that moves money sends an Idempotency-Key header, so retrying a
+ * request after a timeout never charges or refunds the customer twice.
+ * Each call resolves with the order's payment state:
+ *
+ *   { paymentStatus: 'partially-refunded', payments: [
+ *     { id: 'pay_1', method: 'cash', amount: 25, tendered: 30, refundedAmount: 5, createdAt: '...' }
+ *   ] }
+ *
+ * @module paymentService
+ */
+const paymentService = {
+  /**
+   * Fetches the payments recorded for an order
+   *
+   * @async
+   * @function getPayments
+   * @param {string} orderId - The ID of the order
+   * @returns {Promise<Object>} Payment state ({ paymentStatus, payments })
+   * @throws {Error} If the API request fails
+   */
+  getPayments: async (orderId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/${orderId}/payments`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching payments of order ${orderId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Records a payment made with one or more tenders
+   *
+   * @async
+   * @function recordPayment
+   * @param {string} orderId - The ID of the order
+   * @param {Array<Object>} tenders - Tenders ({ method, amount, tendered }); see utils/payments toPaymentTenders
+   * @param {string} idempotencyKey - Key of this payment attempt
+   * @returns {Promise<Object>} Payment state ({ paymentStatus, payments })
+   * @throws {Error} If the API request fails or a tender is declined
+   * @example
+   * // $10 by card and the rest of a $25 order in cash, $20 handed over
+   * await paymentService.recordPayment('ORD-7845', [
+   *   { method: 'card', amount: 10 },
+   *   { method: 'cash', amount: 15, tendered: 20 }
+   * ], idempotencyKey);
+   */
+  recordPayment: async (orderId, tenders, idempotencyKey) => {
+    try {
+      const response = await axios.post(
+        `${getBaseUrl()}/${orderId}/payments`,
+        { tenders },
+        { headers: { 'Idempotency-Key': idempotencyKey } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error recording payment of order ${orderId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Refunds a payment in full or in part
+   *
+   * @async
+   * @function refundPayment
+   * @param {string} orderId - The ID of the order
+   * @param {Object} refund - Refund details
+   * @param {string} refund.paymentId - The ID of the payment to refund
+   * @param {number} refund.amount - Amount to refund in major units
+   * @param {string} [refund.reason] - Why the customer was refunded
+   * @param {string} idempotencyKey - Key of this refund attempt
+   * @returns {Promise<Object>} Payment state ({ paymentStatus, payments })
+   * @throws {Error} If the API request fails or the amount exceeds what is refundable
+   */
+  refundPayment: async (orderId, refund, idempotencyKey) => {
+    try {
+      const response = await axios.post(
+        `${getBaseUrl()}/${orderId}/refunds`,
+        refund,
+        { headers: { 'Idempotency-Key': idempotencyKey } }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error refunding payment of order ${orderId}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default paymentService;
@@ -0,0 +1,268 @@
+import axios from 'axios';
+
+/**
+ * localStorage key holding this device's own settings (see getDeviceSettings)
+ * @constant {string}
+ */
+export const SETTINGS_STORAGE_KEY = 'pizza_ops_settings';
+
+/**
+ * Settings used until a manager saves their own
+ * @constant {Object}
+ */
+export const DEFAULT_SETTINGS = {
+  storeName: 'Pizza Ops',
+  timezone: '',
+  currency: 'USD',
+  taxRates: [],
+  coupons: [],
+  delivery: {
+    fee: 0,
+    freeDeliveryThreshold: 0,
+    minimumOrder: 0
+  },
+  kitchen: {
+    warnAfterMinutes: 10,
+    lateAfterMinutes: 20
+  },
+  orderRouting: {
+    locationId: '',
+    primary: 'square',
+    fallback: '',
+    locations: []
+  },
+  apiBaseUrl: '/api'
+};
+
+/**
+ * Store settings loaded from the backend; null until loaded
+ * @type {Object|null}
+ */
+let storeSettings = null;
+
+/**
+ * Cached settings so every reader gets the same object until settings change
+ * @type {Object|null}
+ */
+let cachedSettings = null;
+
+/**
+ * Listeners notified whenever settings are saved
+ * @type {Set<Function>}
+ */
+const listeners = new Set();
+
+/**
+ * Merges stored values over the defaults so newly added settings get a value
+ *
+ * @param {Object} stored - Settings read from storage
+ * @returns {Object} Complete settings object
+ */
+const withDefaults = (stored) => ({
+  ...DEFAULT_SETTINGS,
+  ...stored,
+  delivery: {
+    ...DEFAULT_SETTINGS.delivery,
+    ...stored?.delivery
+  },
+  kitchen: {
+    ...DEFAULT_SETTINGS.kitchen,
+    ...stored?.kitchen
+  },
+  orderRouting: {
+    ...DEFAULT_SETTINGS.orderRouting,
+    ...stored?.orderRouting
+  }
+});
+
+/**
+ * Picks the settings that belong to this device rather than the store:
+ * the backend base URL, needed before anything can be loaded, and the
+ * location this dashboard routes orders for
+ *
+ * @param {Object} settings - Complete settings
+ * @returns {{ apiBaseUrl: string, locationId: string }} Device settings
+ */
+const getDeviceSettings = (settings) => ({
+  apiBaseUrl: settings.apiBaseUrl,
+  locationId: settings.orderRouting?.locationId ?? ''
+});
+
+/**
+ * Picks the store-wide settings, shared by every terminal
+ *
+ * @param {Object} settings - Complete settings
+ * @returns {Object} Store settings (everything but the device settings)
+ */
+const getStoreSettings = (settings) => {
+  const { apiBaseUrl: _apiBaseUrl, ...store } = settings;
+  const { locationId: _locationId, ...orderRouting } = settings.orderRouting || {};
+  return { ...store, orderRouting };
+};
+
+/**
+ * Reads this device's settings from localStorage
+ *
+ * @returns {Object} Device settings, or the defaults if none are saved
+ */
+const readDeviceSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)) || {};
+    return {
+      apiBaseUrl: stored.apiBaseUrl ?? DEFAULT_SETTINGS.apiBaseUrl,
+      // Older versions saved every setting here, with the location under orderRouting
+      locationId: stored.locationId ?? stored.orderRouting?.locationId ?? ''
+    };
+  } catch (error) {
+    console.error('Error reading settings:', error);
+    return getDeviceSettings(DEFAULT_SETTINGS);
+  }
+};
+
+/**
+ * Rebuilds the cached settings and notifies subscribers
+ */
+const notify = () => {
+  cachedSettings = null;
+  const settings = settingsService.getSettings();
+  listeners.forEach(listener => listener(settings));
+};
+
+/**
+ * Settings Service
+ *
+ * Holds the settings edited on the Settings page and notifies subscribers
+ * when they change. Store-wide settings (store profile, timezone, currency,
+ * tax rates, coupons, delivery fee rules, kitchen ticket timing and order
+ * routing) live on the backend, so every terminal prices orders the same way;
+ * they are loaded when a user signs in (see loadSettings) and the defaults
+ * apply until then. Only this device's settings (the backend base URL and
+ * the location it routes orders for) are kept in localStorage. API services
+ * read the base URL from here on every request, so changes apply immediately.
+ *
+ * @module settingsService
+ */
+const settingsService = {
+  /**
+   * Returns the current settings
+   *
+   * @function getSettings
+   * @returns {Object} Store and device settings merged with the defaults
+   */
+  getSettings: () => {
+    if (!cachedSettings) {
+      const { apiBaseUrl, locationId } = readDeviceSettings();
+      const store = storeSettings || {};
+      cachedSettings = withDefaults({ ...store, apiBaseUrl, orderRouting: { ...store.orderRouting, locationId } });
+    }
+    return cachedSettings;
+  },
+
+  /**
+   * Loads the store settings from the backend and notifies subscribers
+   *
+   * @async
+   * @function loadSettings
+   * @returns {Promise<Object>} The current settings
+   * @throws {Error} If the API request fails; the previous settings stay in use
+   */
+  loadSettings: async () => {
+    try {
+      const response = await axios.get(`${getApiBaseUrl()}/settings`);
+      settingsService.setStoreSettings(response.data || {});
+      return settingsService.getSettings();
+    } catch (error) {
+      console.error('Error loading settings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves new settings and notifies subscribers
+   * The device settings are stored first, so the store settings are saved
+   * to the backend at the new base URL
+   *
+   * @async
+   * @function saveSettings
+   * @param {Object} settings - The complete settings
+   * @returns {Promise<Object>} The saved settings
+   * @throws {Error} If the API request fails
+   */
+  saveSettings: async (settings) => {
+    const complete = withDefaults(settings);
+    settingsService.saveDeviceSettings(complete);
+
+    try {
+      const response = await axios.put(`${getApiBaseUrl()}/settings`, getStoreSettings(complete));
+      settingsService.setStoreSettings(response.data || complete);
+      return settingsService.getSettings();
+    } catch (error) {
+      console.error('Error saving settings:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Saves only this device's settings (backend base URL and location) and notifies subscribers
+   * Lets a device whose base URL is wrong reach the backend that holds the store settings
+   *
+   * @function saveDeviceSettings
+   * @param {Object} settings - Settings holding apiBaseUrl and orderRouting.locationId
+   * @returns {Object} The current settings
+   */
+  saveDeviceSettings: (settings) => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(getDeviceSettings(withDefaults(settings))));
+    notify();
+    return settingsService.getSettings();
+  },
+
+  /**
+   * Replaces the store settings in use, without saving them, and notifies subscribers
+   * Device settings in the object are ignored
+   *
+   * @function setStoreSettings
+   * @param {Object} settings - Store settings, e.g. as returned by the backend
+   * @returns {Object} The current settings
+   */
+  setStoreSettings: (settings) => {
+    storeSettings = getStoreSettings(settings);
+    notify();
+    return settingsService.getSettings();
+  },
+
+  /**
+   * Forgets the loaded store settings and this device's settings, going back
+   * to the defaults on this device only
+   *
+   * @function resetSettings
+   * @returns {Object} The default settings
+   */
+  resetSettings: () => {
+    localStorage.removeItem(SETTINGS_STORAGE_KEY);
+    storeSettings = null;
+    notify();
+    return settingsService.getSettings();
+  },
+
+  /**
+   * Subscribes to settings changes
+   *
+   * @function subscribe
+   * @param {Function} listener - Called with the new settings after each save
+   * @returns {Function} Unsubscribes the listener
+   */
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+};
+
+/**
+ * Returns the configured backend base URL without a trailing slash
+ *
+ * @function getApiBaseUrl
+ * @returns {string} Base URL (e.g., '/api' or 'https://ops.example.com/api')
+ */
+export const getApiBaseUrl = () => settingsService.getSettings().apiBaseUrl.replace(/\/+$/, '');
+
+export default settingsService;
@@ -0,0 +1,152 @@
+import axios from 'axios';
+import { getApiBaseUrl } from './settingsService';
+
+/**
+ * Returns the base URL for all integration endpoints
+ * Built from the backend base URL configured on the Settings page
+ *
+ * @returns {string} Base URL (e.g., '/api/integration')
+ */
+const getBaseUrl = () => `${getApiBaseUrl()}/integration`;
+
+/**
+ * Sync Service
+ *
+ * This service handles data sync jobs between the dashboard and a connected
+ * system (see utils/sync): starting manual syncs, reading and changing each
+ * connection's sync schedule, loading the history of sync runs, and
+ * reviewing the conflicts a run found between local and POS data.
+ *
+ * @module syncService
+ */
+const syncService = {
+  /**
+   * Fetches the sync runs of a connection, newest first
+   *
+   * @async
+   * @function getSyncRuns
+   * @param {string} connectionId - ID of the connection
+   * @param {Object} [params] - Query parameters
+   * @param {number} [params.limit] - Maximum number of runs
+   * @returns {Promise<Array>} Sync runs
+   * @throws {Error} If the API request fails
+   * @example
+   * const runs = await syncService.getSyncRuns('conn_123', { limit: 20 });
+   * // runs = [{ id: 'sync_1', trigger: 'manual', status: 'succeeded', resources: { orders: { created: 3, ... } }, ... }]
+   */
+  getSyncRuns: async (connectionId, params = {}) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/connections/${connectionId}/syncs`, { params });
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching sync runs for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Starts a sync of a connection now
+   *
+   * @async
+   * @function startSync
+   * @param {string} connectionId - ID of the connection
+   * @param {Array<string>} resources - Resources to sync (see SYNC_RESOURCES)
+   * @returns {Promise<Object>} The new sync run, usually still running
+   * @throws {Error} If a sync is already running or the API request fails
+   */
+  startSync: async (connectionId, resources) => {
+    try {
+      const response = await axios.post(`${getBaseUrl()}/connections/${connectionId}/syncs`, { resources });
+      return response.data;
+    } catch (error) {
+      console.error(`Error starting sync for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the sync schedule of a connection
+   *
+   * @async
+   * @function getSyncSchedule
+   * @param {string} connectionId - ID of the connection
+   * @returns {Promise<Object>} Schedule ({ intervalMinutes, resources, nextRunAt })
+   * @throws {Error} If the API request fails
+   */
+  getSyncSchedule: async (connectionId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/connections/${connectionId}/sync-schedule`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching sync schedule for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Changes the sync schedule of a connection
+   *
+   * @async
+   * @function updateSyncSchedule
+   * @param {string} connectionId - ID of the connection
+   * @param {Object} schedule - New schedule
+   * @param {number} schedule.intervalMinutes - Minutes between syncs (0 for manual only)
+   * @param {Array<string>} schedule.resources - Resources synced on schedule
+   * @returns {Promise<Object>} The saved schedule, with its nextRunAt
+   * @throws {Error} If the API request fails
+   */
+  updateSyncSchedule: async (connectionId, schedule) => {
+    try {
+      const response = await axios.put(`${getBaseUrl()}/connections/${connectionId}/sync-schedule`, schedule);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating sync schedule for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetches the unresolved sync conflicts of a connection
+   *
+   * @async
+   * @function getConflicts
+   * @param {string} connectionId - ID of the connection
+   * @returns {Promise<Array>} Conflicts ({ id, resource, recordId, label, local, remote, detectedAt })
+   * @throws {Error} If the API request fails
+   */
+  getConflicts: async (connectionId) => {
+    try {
+      const response = await axios.get(`${getBaseUrl()}/connections/${connectionId}/sync-conflicts`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching sync conflicts for connection ${connectionId}:`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Resolves a sync conflict by keeping one side
+   *
+   * @async
+   * @function resolveConflict
+   * @param {string} connectionId - ID of the connection
+   * @param {string} conflictId - ID of the conflict
+   * @param {string} keep - Which version wins (see CONFLICT_RESOLUTIONS)
+   * @returns {Promise<Object>} The resolved conflict
+   * @throws {Error} If the API request fails
+   */
+  resolveConflict: async (connectionId, conflictId, keep) => {
+    try {
+      const response = await axios.post(
+        `${getBaseUrl()}/connections/${connectionId}/sync-conflicts/${conflictId}/resolve`,
+        { keep }
+      );
+      return response.data;
+    } catch (error) {
+      console.error(`Error resolving sync conflict ${conflictId}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default syncService;
@@ -0,0 +1,320 @@
+import integrationService from './integrationService';
+import { getApiBaseUrl } from './settingsService';
+import { getEventKey } from '../utils/webhookEvents';
+
+/**
+ * Connection states reported to status listeners
+ * @constant {Object<string, string>}
+ */
+export const STREAM_STATUS = {
+  CONNECTING: 'connecting',
+  LIVE: 'live',
+  POLLING: 'polling'
+};
+
+/**
+ * Stream tuning
+ * - initialDelay / maxDelay: Exponential backoff bounds between reconnects
+ * - fallbackAfter: Failed connection attempts before polling takes over
+ * - pollInterval: Polling interval while the stream is unavailable
+ * - maxSeenKeys: Number of event keys remembered for de-duplication
+ * @constant {Object}
+ */
+export const STREAM_OPTIONS = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  fallbackAfter: 3,
+  pollInterval: 15000,
+  maxSeenKeys: 500
+};
+
+/**
+ * Returns how long to wait before the next reconnect attempt
+ *
+ * @function getReconnectDelay
+ * @param {number} attempt - Number of consecutive failed attempts (0 for the first retry)
+ * @returns {number} Delay in milliseconds, doubling per attempt up to maxDelay
+ */
+export const getReconnectDelay = (attempt) =>
+  Math.min(STREAM_OPTIONS.initialDelay * 2 ** attempt, STREAM_OPTIONS.maxDelay);
+
+/**
+ * Returns an event's timestamp in milliseconds, or NaN if it has none
+ *
+ * @param {Object} event - Webhook event
+ * @returns {number} Timestamp
+ */
+const getEventTime = (event) => new Date(event.timestamp).getTime();
+
+/**
+ * Shared connection state
+ * One connection serves every subscriber; it opens with the first subscriber
+ * and closes when the last one leaves.
+ */
+const eventListeners = new Set();
+const statusListeners = new Set();
+let state = null;
+
+/**
+ * Creates the state for a fresh connection
+ *
+ * @returns {Object} Connection state
+ */
+const createState = () => ({
+  status: STREAM_STATUS.CONNECTING,
+  source: null,
+  attempts: 0,
+  reconnectTimer: null,
+  pollTimer: null,
+  lastEventId: null,
+  lastEventTime: null,
+  seenKeys: new Set(),
+  seeded: false
+});
+
+/**
+ * Updates the connection status and notifies status listeners
+ *
+ * @param {string} status - New status (see STREAM_STATUS)
+ */
+const setStatus = (status) => {
+  if (!state || state.status === status) return;
+  state.status = status;
+  statusListeners.forEach(listener => listener(status));
+};
+
+/**
+ * Remembers an event key, forgetting the oldest keys past maxSeenKeys
+ *
+ * @param {string} key - Event key
+ */
+const markSeen = (key) => {
+  state.seenKeys.add(key);
+  if (state.seenKeys.size > STREAM_OPTIONS.maxSeenKeys) {
+    state.seenKeys.delete(state.seenKeys.values().next().value);
+  }
+};
+
+/**
+ * Delivers an event to every subscriber unless it was already delivered
+ *
+ * @param {Object} event - Webhook event
+ */
+const emit = (event) => {
+  const key = getEventKey(event);
+  if (state.seenKeys.has(key)) return;
+  markSeen(key);
+
+  if (event.id) state.lastEventId = String(event.id);
+  const time = getEventTime(event);
+  if (!Number.isNaN(time)) state.lastEventTime = Math.max(state.lastEventTime ?? time, time);
+
+  eventListeners.forEach(listener => listener(event));
+};
+
+// =========================================================================
+// Polling Fallback
+// =========================================================================
+
+/**
+ * Fetches recent events and delivers the ones not seen yet, oldest first
+ *
+ * The first poll of a connection only records what already exists, unless
+ * events were streamed earlier; then everything newer than the last streamed
+ * event is delivered so nothing is lost while switching over.
+ *
+ * @async
+ */
+const poll = async () => {
+  const current = state;
+  try {
+    const events = await integrationService.getWebhooks();
+    if (state !== current) return;
+
+    let fresh = events.filter(event => !state.seenKeys.has(getEventKey(event)));
+    if (!state.seeded) {
+      const since = state.lastEventTime;
+      const missed = since === null ? [] : fresh.filter(event => getEventTime(event) > since);
+      fresh.filter(event => !missed.includes(event)).forEach(event => markSeen(getEventKey(event)));
+      fresh = missed;
+      state.seeded = true;
+    }
+
+    fresh
+      .sort((a, b) => (getEventTime(a) || 0) - (getEventTime(b) || 0))
+      .forEach(emit);
+  } catch (err) {
+    console.error('Error polling webhook events:', err);
+  }
+};
+
+/**
+ * Starts polling if it is not already running
+ */
+const startPolling = () => {
+  if (state.pollTimer) return;
+  setStatus(STREAM_STATUS.POLLING);
+  poll();
+  state.pollTimer = setInterval(poll, STREAM_OPTIONS.pollInterval);
+};
+
+/**
+ * Stops polling
+ */
+const stopPolling = () => {
+  clearInterval(state.pollTimer);
+  state.pollTimer = null;
+};
+
+// =========================================================================
+// Server-Sent Events
+// =========================================================================
+
+/**
+ * Builds the stream URL, resuming after the last event received
+ * EventSource cannot send headers, so the stream ticket goes in the query
+ * string; unlike the session token it is single-use and expires quickly
+ *
+ * @param {string} ticket - Stream ticket (see integrationService.createStreamTicket)
+ * @returns {string} Stream URL
+ */
+const getStreamUrl = (ticket) => {
+  const params = new URLSearchParams();
+  if (state.lastEventId) params.set('lastEventId', state.lastEventId);
+  params.set('ticket', ticket);
+  return `${getApiBaseUrl()}/integration/webhooks/stream?${params}`;
+};
+
+/**
+ * Schedules the next connection attempt with exponential backoff
+ * Polling takes over once fallbackAfter attempts in a row have failed
+ */
+const scheduleReconnect = () => {
+  const delay = getReconnectDelay(state.attempts);
+  state.attempts += 1;
+
+  if (state.attempts >= STREAM_OPTIONS.fallbackAfter) {
+    startPolling();
+  } else {
+    setStatus(STREAM_STATUS.CONNECTING);
+  }
+
+  state.reconnectTimer = setTimeout(connect, delay);
+};
+
+/**
+ * Opens the event stream with a fresh stream ticket
+ * Falls back to polling straight away when the browser has no EventSource;
+ * failing to get a ticket counts as a failed connection attempt
+ *
+ * @async
+ */
+const connect = async () => {
+  state.reconnectTimer = null;
+
+  if (typeof EventSource === 'undefined') {
+    startPolling();
+    return;
+  }
+
+  const current = state;
+  let ticket;
+  try {
+    ({ ticket } = await integrationService.createStreamTicket());
+  } catch (err) {
+    console.error('Error opening webhook stream:', err);
+    if (state === current) scheduleReconnect();
+    return;
+  }
+  if (state !== current) return;
+
+  const source = new EventSource(getStreamUrl(ticket));
+  state.source = source;
+
+  source.onopen = () => {
+    state.attempts = 0;
+    stopPolling();
+    setStatus(STREAM_STATUS.LIVE);
+  };
+
+  source.onmessage = (message) => {
+    try {
+      const event = JSON.parse(message.data);
+      emit(message.lastEventId && !event.id ? { ...event, id: message.lastEventId } : event);
+    } catch (err) {
+      console.error('Error parsing streamed webhook event:', err);
+    }
+  };
+
+  // Take over from EventSource's own retry so we control the backoff and resume point
+  source.onerror = () => {
+    source.close();
+    if (state?.source !== source) return;
+    state.source = null;
+    scheduleReconnect();
+  };
+};
+
+/**
+ * Closes the stream and stops every timer
+ */
+const disconnect = () => {
+  state.source?.close();
+  clearTimeout(state.reconnectTimer);
+  stopPolling();
+  state = null;
+};
+
+/**
+ * Webhook Stream
+ *
+ * Pushes new webhook events to subscribers as they arrive, using a
+ * Server-Sent Events stream from the integration API
+ * (GET /integration/webhooks/stream), opened with a single-use ticket from
+ * integrationService.createStreamTicket() so the session token never appears
+ * in a URL.
+ *
+ * - Dropped connections are retried with exponential backoff and resume after
+ *   the last event received (lastEventId)
+ * - Only when the stream is unavailable (no EventSource support, or several
+ *   failed attempts in a row) does it fall back to polling getWebhooks()
+ * - Every subscriber shares one connection, and each event is delivered once
+ *
+ * Only events that arrive after the connection opened are delivered; load
+ * history with integrationService.getWebhooks().
+ *
+ * @module webhookStream
+ */
+const webhookStream = {
+  /**
+   * Subscribes to new webhook events
+   *
+   * @function subscribe
+   * @param {Function} onEvent - Called with each new event
+   * @param {Function} [onStatus] - Called with the connection status (see STREAM_STATUS) now and on every change
+   * @returns {Function} Unsubscribe function
+   * @example
+   * const unsubscribe = webhookStream.subscribe(
+   *   (event) => console.log(event.type),
+   *   (status) => console.log(status)
+   * );
+   */
+  subscribe: (onEvent, onStatus) => {
+    eventListeners.add(onEvent);
+    if (onStatus) statusListeners.add(onStatus);
+
+    if (!state) {
+      state = createState();
+      connect();
+    }
+    onStatus?.(state.status);
+
+    return () => {
+      eventListeners.delete(onEvent);
+      if (onStatus) statusListeners.delete(onStatus);
+      if (eventListeners.size === 0 && state) disconnect();
+    };
+  }
+};
+
+export default webhookStream;
@@ -0,0 +1,128 @@
+// src/tests/App.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import App from '../App';
+import { AppProvider } from '../contexts/AppContext';
+import { AuthProvider } from '../contexts/AuthContext';
+import authService from '../services/authService';
+import settingsService from '../services/settingsService';
+
+// Mock the pages so routing can be tested in isolation
+vi.mock('../pages/DashboardPage', () => ({ default: () => <div>Dashboard Page</div> }));
+vi.mock('../pages/OrdersPage', () => ({ default: () => <div>Orders Page</div> }));
+vi.mock('../pages/CustomersPage', () => ({ default: () => <div>Customers Page</div> }));
+vi.mock('../pages/KitchenPage', () => ({ default: () => <div>Kitchen Page</div> }));
+vi.mock('../pages/DispatchPage', () => ({ default: () => <div>Dispatch Page</div> }));
+vi.mock('../pages/MenuPage', () => ({ default: () => <div>Menu Page</div> }));
+vi.mock('../pages/InventoryPage', () => ({ default: () => <div>Inventory Page</div> }));
+vi.mock('../pages/LoyaltyPage', () => ({ default: () => <div>Loyalty Page</div> }));
+vi.mock('../pages/IntegrationsPage', () => ({ default: () => <div>Integrations Page</div> }));
+vi.mock('../pages/SettingsPage', () => ({ default: () => <div>Settings Page</div> }));
+vi.mock('../pages/OAuthCallbackPage', () => ({ default: () => <div>OAuth Callback Page</div> }));
+
+/**
+ * Builds an unsigned JWT with the given claims
+ *
+ * @param {Object} claims - Token claims
+ * @returns {string} Encoded token
+ */
+const makeToken = (claims) => `header.${btoa(JSON.stringify(claims))}.signature`;
+
+/**
+ * Renders the app at the given path
+ *
+ * @param {string} path - Initial browser path
+ */
+const renderAt = (path) => {
+  window.history.pushState({}, '', path);
+  return render(
+    <AppProvider>
+      <AuthProvider>
+        <App />
+      </AuthProvider>
+    </AppProvider>
+  );
+};
+
+describe('App route guards', () => {
+  beforeEach(() => {
+    vi.restoreAllMocks();
+    localStorage.clear();
+    vi.spyOn(settingsService, 'loadSettings').mockResolvedValue(settingsService.getSettings());
+  });
+
+  it('should send signed-out users to the login page', () => {
+    renderAt('/integrations');
+
+    expect(screen.getByRole('button', { name: /Sign In/i })).toBeInTheDocument();
+    expect(screen.queryByText('Integrations Page')).not.toBeInTheDocument();
+  });
+
+  it('should only let cashiers reach the orders page', () => {
+    localStorage.setItem('auth_token', makeToken({ sub: 'u_2', name: 'Sam', role: 'cashier' }));
+
+    renderAt('/integrations');
+
+    expect(screen.getByText('Orders Page')).toBeInTheDocument();
+    expect(screen.getByText('Sam')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /Customers/i })).toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Loyalty/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Integrations/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Settings/i })).not.toBeInTheDocument();
+  });
+
+  it('should send kitchen staff to the kitchen display', () => {
+    localStorage.setItem('auth_token', makeToken({ sub: 'u_3', name: 'Lee', role: 'kitchen' }));
+
+    renderAt('/orders');
+
+    expect(screen.getByText('Kitchen Page')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /Kitchen/i })).toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Orders/i })).not.toBeInTheDocument();
+  });
+
+  it('should let managers open integrations and settings', () => {
+    localStorage.setItem('auth_token', makeToken({ sub: 'u_1', name: 'Maria', role: 'manager' }));
+
+    renderAt('/integrations');
+
+    expect(screen.getByText('Integrations Page')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: /Settings/i })).toBeInTheDocument();
+  });
+
+  it('should warn staff when the store settings fail to load', async () => {
+    localStorage.setItem('auth_token', makeToken({ sub: 'u_2', name: 'Sam', role: 'cashier' }));
+    settingsService.loadSettings.mockRejectedValue(new Error('Network error'));
+
+    renderAt('/orders');
+
+    expect(await screen.findByRole('alert')).toHaveTextContent(/Failed to load the store settings/i);
+    expect(screen.getByText('Orders Page')).toBeInTheDocument();
+  });
+
+  it('should render the OAuth callback without the app layout', () => {
+    localStorage.setItem('auth_token', makeToken({ sub: 'u_1', name: 'Maria', role: 'manager' }));
+
+    renderAt('/oauth/callback?code=abc&state=xyz');
+
+    expect(screen.getByText('OAuth Callback Page')).toBeInTheDocument();
+    expect(screen.queryByRole('link', { name: /Settings/i })).not.toBeInTheDocument();
+  });
+
+  it('should return to the requested page after signing in', async () => {
+    const user = userEvent.setup();
+    vi.spyOn(authService, 'login').mockResolvedValue({ id: 'u_1', name: 'Maria', role: 'manager' });
+
+    renderAt('/inventory');
+
+    await user.type(screen.getByLabelText(/Username/i), 'maria');
+    await user.type(screen.getByLabelText(/Password/i), 'secret');
+    await user.click(screen.getByRole('button', { name: /Sign In/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Inventory Page')).toBeInTheDocument();
+    });
+    expect(authService.login).toHaveBeenCalledWith({ username: 'maria', password: 'secret' });
+  });
+});
@@ -0,0 +1,177 @@
+// src/tests/ConnectionSync.test.jsx
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, within, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ConnectionSync from '../components/ConnectionSync';
+import syncService from '../services/syncService';
+import { RUNNING_POLL_INTERVAL } from '../utils/sync';
+
+// Mock the sync service
+vi.mock('../services/syncService', () => ({
+  default: {
+    getSyncRuns: vi.fn(),
+    startSync: vi.fn(),
+    getSyncSchedule: vi.fn(),
+    updateSyncSchedule: vi.fn(),
+    getConflicts: vi.fn(),
+    resolveConflict: vi.fn()
+  }
+}));
+
+describe('ConnectionSync', () => {
+  // Mock data for tests
+  const connection = { id: 'conn_123', name: 'Square POS', system: 'square', status: 'active' };
+
+  const runs = [
+    {
+      id: 'sync_2',
+      trigger: 'scheduled',
+      status: 'partial',
+      startedAt: '2025-04-29T12:00:00.000Z',
+      finishedAt: '2025-04-29T12:00:04.200Z',
+      resources: {
+        orders: { created: 3, updated: 1, failed: 1 },
+        catalog: {}
+      },
+      errors: [{ resource: 'orders', message: 'Order 1042 has no items' }],
+      conflicts: 1
+    },
+    {
+      id: 'sync_1',
+      trigger: 'manual',
+      status: 'succeeded',
+      startedAt: '2025-04-29T11:00:00.000Z',
+      finishedAt: '2025-04-29T11:00:00.850Z',
+      resources: { inventory: { updated: 12 } },
+      errors: []
+    }
+  ];
+
+  const conflicts = [
+    {
+      id: 'conflict_1',
+      resource: 'catalog',
+      recordId: 'item_7',
+      label: 'Margherita (Large)',
+      local: { name: 'Margherita', price: 14.99 },
+      remote: { name: 'Margherita', price: 15.49 },
+      detectedAt: '2025-04-29T12:00:03Z'
+    }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    syncService.getSyncRuns.mockResolvedValue(runs);
+    syncService.getConflicts.mockResolvedValue(conflicts);
+    syncService.getSyncSchedule.mockResolvedValue({ intervalMinutes: 60, resources: ['orders', 'catalog'], nextRunAt: '2025-04-29T13:00:00Z' });
+    syncService.resolveConflict.mockResolvedValue({ id: 'conflict_1', resolved: true });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should show the sync history timeline', async () => {
+    render(<ConnectionSync connection={connection} />);
+
+    const timeline = await screen.findByRole('list', { name: 'Sync history' });
+    const entries = within(timeline).getAllByRole('listitem').filter(item => item.classList.contains('sync-run'));
+    expect(entries).toHaveLength(2);
+
+    expect(entries[0]).toHaveTextContent('Scheduled');
+    expect(entries[0]).toHaveTextContent('Completed with errors');
+    expect(entries[0]).toHaveTextContent('4.2 s');
+    expect(entries[0]).toHaveTextContent('Orders: 3 created, 1 updated, 1 failed');
+    expect(entries[0]).toHaveTextContent('Catalog: no changes');
+    expect(entries[0]).toHaveTextContent('Orders: Order 1042 has no items');
+    expect(entries[0]).toHaveTextContent('1 conflict held for review');
+
+    expect(entries[1]).toHaveTextContent('Manual');
+    expect(entries[1]).toHaveTextContent('Inventory: 12 updated');
+    expect(entries[1]).toHaveTextContent('850 ms');
+    expect(syncService.getSyncRuns).toHaveBeenCalledWith('conn_123', { limit: 20 });
+  });
+
+  it('should start a manual sync of the chosen resources and poll until it finishes', async () => {
+    const onSyncComplete = vi.fn();
+    const running = { id: 'sync_3', trigger: 'manual', status: 'running', startedAt: '2025-04-29T12:10:00Z', resources: {} };
+    syncService.startSync.mockResolvedValue(running);
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    render(
+      <ConnectionSync
+        connection={connection}
+        adapter={{ id: 'square', syncResources: ['orders', 'catalog', 'inventory'] }}
+        onSyncComplete={onSyncComplete}
+      />
+    );
+
+    await screen.findByRole('list', { name: 'Sync history' });
+    expect(screen.queryByLabelText('Customers')).not.toBeInTheDocument();
+    await user.click(screen.getByLabelText('Catalog'));
+    await user.click(screen.getByRole('button', { name: 'Sync Now' }));
+
+    expect(syncService.startSync).toHaveBeenCalledWith('conn_123', ['orders', 'inventory']);
+    expect(screen.getByRole('button', { name: 'Syncing...' })).toBeDisabled();
+
+    // The next poll sees the run finished
+    syncService.getSyncRuns.mockResolvedValue([{ ...running, status: 'succeeded', finishedAt: '2025-04-29T12:10:02Z' }, ...runs]);
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(RUNNING_POLL_INTERVAL);
+    });
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Sync Now' })).toBeEnabled();
+    });
+    expect(onSyncComplete).toHaveBeenCalledWith('conn_123');
+  });
+
+  it('should show why a sync could not start', async () => {
+    syncService.startSync.mockRejectedValue({ response: { data: { message: 'A sync is already running' } } });
+    const user = userEvent.setup();
+    render(<ConnectionSync connection={connection} />);
+
+    await screen.findByRole('list', { name: 'Sync history' });
+    await user.click(screen.getByRole('button', { name: 'Sync Now' }));
+
+    expect(await screen.findByText('A sync is already running')).toBeInTheDocument();
+  });
+
+  it('should change the sync schedule', async () => {
+    syncService.updateSyncSchedule.mockResolvedValue({ intervalMinutes: 0, resources: ['orders', 'catalog'], nextRunAt: null });
+    const user = userEvent.setup();
+    render(<ConnectionSync connection={connection} />);
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Schedule:')).toHaveValue('60');
+    });
+    expect(screen.getByText(/Next sync/)).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Schedule:'), '0');
+
+    expect(syncService.updateSyncSchedule).toHaveBeenCalledWith('conn_123', {
+      intervalMinutes: 0,
+      resources: ['orders', 'catalog']
+    });
+    expect(await screen.findByText('Scheduled syncs turned off')).toBeInTheDocument();
+    expect(screen.queryByText(/Next sync/)).not.toBeInTheDocument();
+  });
+
+  it('should show conflicts side by side and resolve them', async () => {
+    const user = userEvent.setup();
+    render(<ConnectionSync connection={connection} />);
+
+    const section = await screen.findByRole('region', { name: 'Sync conflicts' });
+    expect(within(section).getByText('Conflicts to Review (1)')).toBeInTheDocument();
+    const row = within(section).getByText('price').closest('tr');
+    expect(row).toHaveTextContent('14.99');
+    expect(row).toHaveTextContent('15.49');
+    expect(within(section).queryByText('name')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Use POS version of Margherita (Large)' }));
+
+    expect(syncService.resolveConflict).toHaveBeenCalledWith('conn_123', 'conflict_1', 'remote');
+    expect(await screen.findByText('Resolved Margherita (Large)')).toBeInTheDocument();
+    expect(screen.queryByRole('region', { name: 'Sync conflicts' })).not.toBeInTheDocument();
+  });
+});
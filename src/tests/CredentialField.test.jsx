@@ -0,0 +1,78 @@
+// src/tests/CredentialField.test.jsx
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CredentialField from '../components/CredentialField';
+
+describe('CredentialField', () => {
+  it('should mask secrets until revealed', async () => {
+    const user = userEvent.setup();
+    render(
+      <CredentialField
+        field={{ name: 'apiKey', label: 'API Key', type: 'secret', required: true }}
+        value="sk_test_123"
+        onChange={vi.fn()}
+      />
+    );
+
+    const input = screen.getByLabelText('API Key:');
+    expect(input).toHaveAttribute('type', 'password');
+    expect(input).toHaveAttribute('autocomplete', 'off');
+
+    await user.click(screen.getByRole('button', { name: 'Show API Key' }));
+    expect(input).toHaveAttribute('type', 'text');
+    expect(screen.getByRole('button', { name: 'Hide API Key' })).toHaveAttribute('aria-pressed', 'true');
+
+    await user.click(screen.getByRole('button', { name: 'Hide API Key' }));
+    expect(input).toHaveAttribute('type', 'password');
+  });
+
+  it('should render a select for enum fields', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(
+      <CredentialField
+        field={{ name: 'environment', label: 'Environment', type: 'enum', required: true, options: ['sandbox', 'production'] }}
+        value="sandbox"
+        onChange={onChange}
+      />
+    );
+
+    await user.selectOptions(screen.getByLabelText('Environment:'), 'production');
+    expect(onChange).toHaveBeenCalledWith('environment', 'production');
+  });
+
+  it('should render a checkbox for boolean fields', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(
+      <CredentialField
+        field={{ name: 'sandboxMode', label: 'Sandbox mode', type: 'boolean' }}
+        value={false}
+        onChange={onChange}
+      />
+    );
+
+    await user.click(screen.getByLabelText('Sandbox mode'));
+    expect(onChange).toHaveBeenCalledWith('sandboxMode', true);
+  });
+
+  it('should show help text, the optional hint and errors', () => {
+    render(
+      <CredentialField
+        field={{ name: 'baseUrl', label: 'Base URL', type: 'url', description: 'Leave blank for the default region' }}
+        value="nope"
+        onChange={vi.fn()}
+        error="Base URL must be a valid http(s) URL"
+        idPrefix="conn_1-"
+      />
+    );
+
+    const input = screen.getByLabelText(/Base URL:/);
+    expect(input).toHaveAttribute('id', 'conn_1-baseUrl');
+    expect(input).toHaveAttribute('type', 'url');
+    expect(input).toHaveAttribute('aria-invalid', 'true');
+    expect(input).toHaveAccessibleDescription('Leave blank for the default region Base URL must be a valid http(s) URL');
+    expect(screen.getByText('(optional)')).toBeInTheDocument();
+  });
+});
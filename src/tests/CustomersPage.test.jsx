@@ -0,0 +1,116 @@
+// src/tests/CustomersPage.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CustomersPage from '../pages/CustomersPage';
+import customerService from '../services/customerService';
+import loyaltyService from '../services/loyaltyService';
+
+// Mock the customer service
+vi.mock('../services/customerService', () => ({
+  default: {
+    getCustomers: vi.fn(),
+    getCustomerOrders: vi.fn()
+  }
+}));
+
+// Mock the loyalty service
+vi.mock('../services/loyaltyService', () => ({
+  default: {
+    getLedger: vi.fn()
+  }
+}));
+
+describe('CustomersPage', () => {
+  // Mock data for tests
+  const mockCustomers = [
+    { id: 'cus_1', name: 'Jane Doe', phone: '5551234567', email: 'jane@example.com', addresses: ['12 Oak St'], orderCount: 2, lifetimeValue: 45.5, lastOrderAt: '2026-03-01T18:00:00Z' },
+    { id: 'cus_2', name: 'Sam Lee', phone: '5559876543', email: '', addresses: [], orderCount: 1, lifetimeValue: 12, lastOrderAt: '2026-02-01T18:00:00Z' },
+    { id: 'cus_3', name: 'Jane D.', phone: '+1 555 123 4567', email: '', addresses: [], orderCount: 1, lifetimeValue: 20, lastOrderAt: '2026-01-01T18:00:00Z' }
+  ];
+
+  const mockOrders = {
+    cus_1: [
+      { id: 'ORD-1', total: 30.5, status: 'delivered', deliveryAddress: '12 Oak St', createdAt: '2026-03-01T18:00:00Z' },
+      { id: 'ORD-2', total: 15, status: 'delivered', deliveryAddress: '9 Elm Ave', createdAt: '2026-02-15T18:00:00Z' }
+    ],
+    cus_3: [
+      { id: 'ORD-3', total: 20, status: 'delivered', createdAt: '2026-01-01T18:00:00Z' }
+    ]
+  };
+
+  // Reset mocks before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+    customerService.getCustomers.mockResolvedValue(mockCustomers);
+    customerService.getCustomerOrders.mockImplementation(async (id) => mockOrders[id] || []);
+    loyaltyService.getLedger.mockResolvedValue([
+      { id: 'le_1', type: 'earn', points: 30, orderId: 'ORD-1', createdAt: '2026-03-01T18:00:00Z' }
+    ]);
+  });
+
+  it('should list customers with duplicates merged', async () => {
+    render(<CustomersPage />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Jane Doe')).toBeInTheDocument();
+    });
+
+    expect(screen.getAllByRole('row')).toHaveLength(3);
+    expect(screen.queryByText('Jane D.')).not.toBeInTheDocument();
+    expect(screen.getByText('(555) 123-4567')).toBeInTheDocument();
+    expect(screen.getByText('$65.50')).toBeInTheDocument();
+  });
+
+  it('should search by name or phone number', async () => {
+    const user = userEvent.setup();
+    render(<CustomersPage />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Jane Doe')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText(/Search:/i), '987-65');
+
+    expect(screen.getByText('Sam Lee')).toBeInTheDocument();
+    expect(screen.queryByText('Jane Doe')).not.toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText(/Search:/i));
+    await user.type(screen.getByLabelText(/Search:/i), 'nobody');
+
+    expect(screen.getByText('No customers found.')).toBeInTheDocument();
+  });
+
+  it('should show the profile with order history, lifetime value and addresses', async () => {
+    const user = userEvent.setup();
+    render(<CustomersPage />);
+
+    await user.click(await screen.findByText('Jane Doe'));
+
+    const profile = screen.getByRole('dialog', { name: 'Customer Jane Doe' });
+    await waitFor(() => {
+      expect(within(profile).getByText('ORD-3')).toBeInTheDocument();
+    });
+
+    expect(customerService.getCustomerOrders).toHaveBeenCalledWith('cus_1');
+    expect(customerService.getCustomerOrders).toHaveBeenCalledWith('cus_3');
+    expect(within(profile).getByText('ORD-1')).toBeInTheDocument();
+    expect(profile).toHaveTextContent('Lifetime value: $65.50');
+    expect(profile).toHaveTextContent('Combined from 2 records');
+    expect(profile).toHaveTextContent('Points balance: 30');
+    expect(within(profile).queryByRole('form', { name: 'Adjust points' })).not.toBeInTheDocument();
+
+    const addresses = within(profile).getByRole('list', { name: 'Saved addresses' });
+    expect(within(addresses).getAllByRole('listitem').map(item => item.textContent)).toEqual(['12 Oak St', '9 Elm Ave']);
+
+    await user.click(within(profile).getByRole('button', { name: 'Close' }));
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('should show an error when the directory fails to load', async () => {
+    customerService.getCustomers.mockRejectedValue(new Error('Network error'));
+    render(<CustomersPage />);
+
+    expect(await screen.findByText('Failed to load customers. Please try again later.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,95 @@
+// src/tests/DashboardPage.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DashboardPage from '../pages/DashboardPage';
+import dashboardService from '../services/dashboardService';
+import { AppProvider } from '../contexts/AppContext';
+
+// Mock the dashboard service
+vi.mock('../services/dashboardService', () => ({
+  default: {
+    getStats: vi.fn(),
+    getSalesTrend: vi.fn(),
+    getOrdersByLocation: vi.fn()
+  }
+}));
+
+describe('DashboardPage', () => {
+  // Mock data for tests
+  const mockStats = {
+    totalSales: 12458,
+    totalSalesChange: 12.5,
+    orderCount: 324,
+    orderCountChange: 8.2,
+    averageOrderValue: 38.45,
+    averageOrderValueChange: 3.8,
+    satisfaction: 4.8,
+    satisfactionChange: -0.2
+  };
+
+  const renderPage = () => render(
+    <AppProvider>
+      <DashboardPage />
+    </AppProvider>
+  );
+
+  // Reset mocks before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+
+    // Default mock implementations
+    dashboardService.getStats.mockResolvedValue(mockStats);
+    dashboardService.getSalesTrend.mockResolvedValue([]);
+    dashboardService.getOrdersByLocation.mockResolvedValue([]);
+  });
+
+  it('should render KPI cards from the dashboard service', async () => {
+    renderPage();
+
+    // Wait for data to load
+    await waitFor(() => {
+      expect(screen.getByText('$12,458.00')).toBeInTheDocument();
+    });
+
+    // Check KPI values
+    expect(screen.getByText('324')).toBeInTheDocument();
+    expect(screen.getByText('$38.45')).toBeInTheDocument();
+    expect(screen.getByText('4.8/5')).toBeInTheDocument();
+    expect(screen.getByText(/0.2%/)).toHaveClass('negative');
+
+    // Check that all datasets were requested for the default period
+    expect(dashboardService.getStats).toHaveBeenCalledWith('today');
+    expect(dashboardService.getSalesTrend).toHaveBeenCalledWith('today');
+    expect(dashboardService.getOrdersByLocation).toHaveBeenCalledWith('today');
+  });
+
+  it('should refetch data when the period changes', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await waitFor(() => {
+      expect(dashboardService.getStats).toHaveBeenCalledTimes(1);
+    });
+
+    await user.selectOptions(screen.getByLabelText(/Period/i), 'week');
+
+    await waitFor(() => {
+      expect(dashboardService.getStats).toHaveBeenCalledWith('week');
+    });
+  });
+
+  it('should show an error message and notification when loading fails', async () => {
+    // Override the default mock to reject
+    dashboardService.getStats.mockRejectedValue(new Error('Network error'));
+
+    renderPage();
+
+    // Check for inline error and global notification
+    await waitFor(() => {
+      expect(screen.getByText(/Failed to load dashboard data. Please try again later/i)).toBeInTheDocument();
+    });
+    expect(screen.getByText('Failed to load dashboard data')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Retry/i })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,138 @@
+// src/tests/DeadLetterQueue.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DeadLetterQueue from '../components/DeadLetterQueue';
+import integrationService from '../services/integrationService';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getDeadLetters: vi.fn(),
+    redriveDeadLetter: vi.fn(),
+    discardDeadLetter: vi.fn()
+  }
+}));
+
+describe('DeadLetterQueue', () => {
+  // Mock data for tests
+  const deadLetters = [
+    {
+      id: 'dlq_1',
+      webhookId: 'webhook_1',
+      webhookPath: '/api/webhooks/orders',
+      eventId: 'evt_1',
+      eventType: 'order.created',
+      payload: { orderId: 'ORD-1', total: 24.99 },
+      attempts: 5,
+      lastStatusCode: 500,
+      lastError: 'Internal Server Error',
+      lastResponseBody: '{"error":"boom"}',
+      failedAt: '2025-04-29T12:00:00Z'
+    },
+    {
+      id: 'dlq_2',
+      webhookId: 'webhook_2',
+      webhookPath: '/api/webhooks/payments',
+      eventId: 'evt_2',
+      eventType: 'payment.received',
+      payload: { paymentId: 'PAY-1' },
+      attempts: 5,
+      lastError: 'Connection timed out',
+      failedAt: '2025-04-29T12:05:00Z'
+    }
+  ];
+
+  const getRow = (text) => screen.getByText(text).closest('tr');
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    integrationService.getDeadLetters.mockResolvedValue(deadLetters);
+    integrationService.redriveDeadLetter.mockResolvedValue({ delivered: true });
+    integrationService.discardDeadLetter.mockResolvedValue({ success: true });
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  it('should list failed deliveries', async () => {
+    render(<DeadLetterQueue />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Dead-Letter Queue (2)')).toBeInTheDocument();
+    });
+
+    expect(within(getRow('order.created')).getByText('500')).toBeInTheDocument();
+    expect(within(getRow('payment.received')).getByText(/Connection timed out/)).toBeInTheDocument();
+  });
+
+  it('should show the payload and last response when inspected', async () => {
+    const user = userEvent.setup();
+    render(<DeadLetterQueue />);
+
+    await waitFor(() => {
+      expect(screen.getByText('order.created')).toBeInTheDocument();
+    });
+
+    await user.click(within(getRow('order.created')).getByRole('button', { name: 'Inspect' }));
+
+    expect(screen.getByText('Last Response')).toBeInTheDocument();
+    expect(screen.getByText('{"error":"boom"}')).toBeInTheDocument();
+    expect(screen.getByText('"ORD-1"')).toBeInTheDocument();
+  });
+
+  it('should re-drive a dead letter and remove it from the queue', async () => {
+    const user = userEvent.setup();
+    render(<DeadLetterQueue />);
+
+    await waitFor(() => {
+      expect(screen.getByText('order.created')).toBeInTheDocument();
+    });
+
+    await user.click(within(getRow('order.created')).getByRole('button', { name: 'Re-drive' }));
+
+    expect(integrationService.redriveDeadLetter).toHaveBeenCalledWith('dlq_1');
+    await waitFor(() => {
+      expect(screen.getByText('Re-drove order.created to /api/webhooks/orders')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Dead-Letter Queue (1)')).toBeInTheDocument();
+  });
+
+  it('should keep a dead letter when re-driving fails', async () => {
+    integrationService.redriveDeadLetter.mockRejectedValue({
+      response: { data: { message: 'Webhook is paused' } }
+    });
+    const user = userEvent.setup();
+    render(<DeadLetterQueue />);
+
+    await waitFor(() => {
+      expect(screen.getByText('order.created')).toBeInTheDocument();
+    });
+
+    await user.click(within(getRow('order.created')).getByRole('button', { name: 'Re-drive' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Webhook is paused')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Dead-Letter Queue (2)')).toBeInTheDocument();
+  });
+
+  it('should discard a dead letter only after confirmation', async () => {
+    const user = userEvent.setup();
+    render(<DeadLetterQueue />);
+
+    await waitFor(() => {
+      expect(screen.getByText('payment.received')).toBeInTheDocument();
+    });
+
+    window.confirm.mockReturnValueOnce(false);
+    await user.click(within(getRow('payment.received')).getByRole('button', { name: 'Discard' }));
+    expect(integrationService.discardDeadLetter).not.toHaveBeenCalled();
+
+    await user.click(within(getRow('payment.received')).getByRole('button', { name: 'Discard' }));
+
+    expect(window.confirm).toHaveBeenLastCalledWith('Discard the failed delivery of evt_2? It will not be retried.');
+    expect(integrationService.discardDeadLetter).toHaveBeenCalledWith('dlq_2');
+    await waitFor(() => {
+      expect(screen.queryByText('payment.received')).not.toBeInTheDocument();
+    });
+  });
+});
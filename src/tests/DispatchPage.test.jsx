@@ -0,0 +1,168 @@
+// src/tests/DispatchPage.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DispatchPage from '../pages/DispatchPage';
+import orderService from '../services/orderService';
+import deliveryService from '../services/deliveryService';
+import integrationService from '../services/integrationService';
+import settingsService from '../services/settingsService';
+import { AppProvider } from '../contexts/AppContext';
+
+// Mock the order and delivery services
+vi.mock('../services/orderService', () => ({
+  default: {
+    getOrders: vi.fn()
+  }
+}));
+
+vi.mock('../services/deliveryService', () => ({
+  default: {
+    getDrivers: vi.fn(),
+    getRuns: vi.fn(),
+    dispatchRun: vi.fn(),
+    markDelivered: vi.fn()
+  }
+}));
+
+// Mock the integration service used for live webhook updates
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getWebhooks: vi.fn()
+  }
+}));
+
+describe('DispatchPage', () => {
+  // Mock data for tests
+  const readyOrders = [
+    { id: 'ORD-1', customerName: 'John Smith', status: 'ready', deliveryAddress: '1 Elm St, Springfield 62704', createdAt: '2025-04-29T12:00:00Z' },
+    { id: 'ORD-2', customerName: 'Sarah Johnson', status: 'ready', deliveryAddress: '7 Elm St, Springfield 62704', createdAt: '2025-04-29T12:05:00Z' },
+    { id: 'ORD-3', customerName: 'Mike Brown', status: 'ready', createdAt: '2025-04-29T12:06:00Z' }
+  ];
+  const deliveryOrders = [
+    { id: 'ORD-9', customerName: 'Amy Lee', status: 'in-delivery', deliveryAddress: '9 Oak Ave 62701', createdAt: '2025-04-29T11:30:00Z' }
+  ];
+  const drivers = [
+    { id: 'drv_1', name: 'Dana', active: true },
+    { id: 'drv_2', name: 'Eli', active: true }
+  ];
+  const runs = [
+    {
+      id: 'run_1',
+      driverId: 'drv_2',
+      status: 'out',
+      dispatchedAt: '2025-04-29T11:40:00Z',
+      stops: [{ orderId: 'ORD-9', deliveredAt: null }]
+    },
+    {
+      id: 'run_0',
+      driverId: 'drv_2',
+      status: 'completed',
+      dispatchedAt: '2025-04-29T11:00:00Z',
+      stops: [{ orderId: 'ORD-5', deliveredAt: '2025-04-29T11:18:00Z' }]
+    }
+  ];
+
+  const renderPage = () => render(
+    <AppProvider>
+      <DispatchPage />
+    </AppProvider>
+  );
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    settingsService.resetSettings();
+
+    orderService.getOrders.mockImplementation(async ({ status }) => (status === 'ready' ? readyOrders : deliveryOrders));
+    deliveryService.getDrivers.mockResolvedValue(drivers);
+    deliveryService.getRuns.mockResolvedValue(runs);
+    integrationService.getWebhooks.mockResolvedValue([]);
+  });
+
+  it('should list delivery orders waiting for a driver', async () => {
+    renderPage();
+
+    const waiting = await screen.findByRole('region', { name: 'Waiting for dispatch' });
+
+    expect(within(waiting).getByText('John Smith')).toBeInTheDocument();
+    expect(within(waiting).getByText('Sarah Johnson')).toBeInTheDocument();
+    // Pickup orders have no address and never reach dispatch
+    expect(within(waiting).queryByText('Mike Brown')).not.toBeInTheDocument();
+    expect(within(waiting).getByText('ZIP 62704: ORD-1, ORD-2')).toBeInTheDocument();
+  });
+
+  it('should list delivery orders bumped from the kitchen display', async () => {
+    const bumped = { ...readyOrders[0], id: 'ORD-4', customerName: 'Tom Green', bumpedAt: '2025-04-29T12:20:00Z' };
+    orderService.getOrders.mockImplementation(async ({ status }) => (status === 'ready' ? [bumped] : []));
+
+    renderPage();
+
+    const waiting = await screen.findByRole('region', { name: 'Waiting for dispatch' });
+    expect(within(waiting).getByText('Tom Green')).toBeInTheDocument();
+    expect(screen.getByLabelText('Select order ORD-4')).not.toBeChecked();
+  });
+
+  it('should dispatch a suggested batch with the chosen driver', async () => {
+    const user = userEvent.setup();
+    deliveryService.dispatchRun.mockResolvedValue({ id: 'run_2' });
+
+    renderPage();
+
+    await user.click(await screen.findByRole('button', { name: 'Select run ORD-1, ORD-2' }));
+    expect(screen.getByLabelText('Select order ORD-1')).toBeChecked();
+    expect(screen.getByLabelText('Select order ORD-2')).toBeChecked();
+
+    await user.selectOptions(screen.getByLabelText('Driver:'), 'drv_1');
+    await user.click(screen.getByRole('button', { name: 'Dispatch 2 Orders' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Dispatched 2 orders with Dana')).toBeInTheDocument();
+    });
+    expect(deliveryService.dispatchRun).toHaveBeenCalledWith('drv_1', ['ORD-1', 'ORD-2']);
+  });
+
+  it('should show open runs and mark stops delivered', async () => {
+    const user = userEvent.setup();
+    deliveryService.markDelivered.mockResolvedValue({
+      ...runs[0],
+      status: 'completed',
+      stops: [{ orderId: 'ORD-9', deliveredAt: '2025-04-29T12:10:00Z' }]
+    });
+
+    renderPage();
+
+    const run = await screen.findByRole('article', { name: 'Run run_1' });
+    expect(within(run).getByText('Eli')).toBeInTheDocument();
+    expect(within(run).getByText(/9 Oak Ave/)).toBeInTheDocument();
+
+    await user.click(within(run).getByRole('button', { name: 'Mark ORD-9 delivered' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Order ORD-9 delivered')).toBeInTheDocument();
+    });
+    expect(deliveryService.markDelivered).toHaveBeenCalledWith('run_1', 'ORD-9');
+    expect(screen.queryByRole('article', { name: 'Run run_1' })).not.toBeInTheDocument();
+  });
+
+  it('should show driver load and average delivery time', async () => {
+    renderPage();
+
+    const driversTable = await screen.findByRole('region', { name: 'Drivers' });
+    const eliRow = within(driversTable).getByText('Eli').closest('tr');
+    const danaRow = within(driversTable).getByText('Dana').closest('tr');
+
+    expect(within(eliRow).getByText('On Run')).toBeInTheDocument();
+    expect(within(eliRow).getByText('18 min')).toBeInTheDocument();
+    expect(within(danaRow).getByText('Available')).toBeInTheDocument();
+  });
+
+  it('should show an error when the board fails to load', async () => {
+    deliveryService.getDrivers.mockRejectedValue(new Error('Network error'));
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to load the dispatch board. Please try again later.')).toBeInTheDocument();
+    });
+  });
+});
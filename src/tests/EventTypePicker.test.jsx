@@ -0,0 +1,106 @@
+// src/tests/EventTypePicker.test.jsx
+import { describe, it, expect, vi } from 'vitest';
+import { useState } from 'react';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EventTypePicker from '../components/EventTypePicker';
+
+describe('EventTypePicker', () => {
+  // Mock data for tests
+  const catalog = [
+    {
+      id: 'square',
+      name: 'Square POS',
+      events: [
+        { type: 'order.created', description: 'An order was placed', examplePayload: { order_id: 'ORD-1', total: 1999 } },
+        { type: 'order.updated', description: 'An order changed' },
+        { type: 'payment.created', description: 'A payment was captured' }
+      ]
+    },
+    {
+      id: 'sendgrid',
+      name: 'SendGrid',
+      events: [{ type: 'email.bounced', description: 'An email bounced' }]
+    }
+  ];
+
+  // Keeps the selection in state like the forms that use the picker
+  const Harness = ({ initial = [], onChange = () => {} }) => {
+    const [value, setValue] = useState(initial);
+    return (
+      <EventTypePicker
+        catalog={catalog}
+        value={value}
+        onChange={(next) => {
+          setValue(next);
+          onChange(next);
+        }}
+      />
+    );
+  };
+
+  it('should group events by adapter with their descriptions', () => {
+    render(<Harness />);
+
+    const square = screen.getByRole('group', { name: 'Square POS' });
+    expect(within(square).getByRole('checkbox', { name: 'order.created' })).toBeInTheDocument();
+    expect(within(square).getByText('A payment was captured')).toBeInTheDocument();
+    expect(within(screen.getByRole('group', { name: 'SendGrid' })).getByRole('checkbox', { name: 'email.bounced' }))
+      .toBeInTheDocument();
+    expect(screen.getByText(/receives every event/)).toBeInTheDocument();
+  });
+
+  it('should filter events by search', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+
+    await user.type(screen.getByRole('searchbox', { name: 'Search events' }), 'bounce');
+
+    expect(screen.getByRole('checkbox', { name: 'email.bounced' })).toBeInTheDocument();
+    expect(screen.queryByRole('group', { name: 'Square POS' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('group', { name: 'Wildcards' })).not.toBeInTheDocument();
+
+    await user.clear(screen.getByRole('searchbox', { name: 'Search events' }));
+    await user.type(screen.getByRole('searchbox', { name: 'Search events' }), 'refund');
+    expect(screen.getByText('No events match your search.')).toBeInTheDocument();
+  });
+
+  it('should select event types and remove them from the chips', async () => {
+    const onChange = vi.fn();
+    const user = userEvent.setup();
+    render(<Harness onChange={onChange} />);
+
+    await user.click(screen.getByRole('checkbox', { name: 'order.created' }));
+    await user.click(screen.getByRole('checkbox', { name: 'email.bounced' }));
+    expect(onChange).toHaveBeenLastCalledWith(['order.created', 'email.bounced']);
+
+    await user.click(screen.getByRole('button', { name: 'Remove order.created' }));
+    expect(onChange).toHaveBeenLastCalledWith(['email.bounced']);
+    expect(screen.getByRole('checkbox', { name: 'order.created' })).not.toBeChecked();
+  });
+
+  it('should fold covered types into a wildcard', async () => {
+    const onChange = vi.fn();
+    const user = userEvent.setup();
+    render(<Harness initial={['order.created', 'payment.created']} onChange={onChange} />);
+
+    await user.click(screen.getByRole('checkbox', { name: /order\.\*/ }));
+
+    expect(onChange).toHaveBeenLastCalledWith(['payment.created', 'order.*']);
+    const updated = screen.getByRole('checkbox', { name: 'order.updated' });
+    expect(updated).toBeChecked();
+    expect(updated).toBeDisabled();
+    expect(screen.getByText('An order changed (included in order.*)')).toBeInTheDocument();
+  });
+
+  it('should show example payloads on demand', async () => {
+    const user = userEvent.setup();
+    render(<Harness />);
+
+    expect(screen.getAllByText('Example')).toHaveLength(1);
+    await user.click(screen.getByText('Example'));
+
+    expect(screen.getByRole('list', { name: 'Example order.created payload' })).toBeInTheDocument();
+    expect(screen.getByText('"ORD-1"')).toBeInTheDocument();
+  });
+});
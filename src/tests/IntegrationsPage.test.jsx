@@ -1,9 +1,11 @@
 // src/tests/IntegrationsPage.test.jsx
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import IntegrationsPage from '../pages/IntegrationsPage';
 import integrationService from '../services/integrationService';
+import oauthService from '../services/oauthService';
+import { DEFAULT_RETRY_POLICY } from '../utils/retryPolicy';
 
 // Mock the integration service
 vi.mock('../services/integrationService', () => ({
@@ -12,15 +14,48 @@ vi.mock('../services/integrationService', () => ({
     getConnections: vi.fn(),
     connect: vi.fn(),
     disconnect: vi.fn(),
+    testConnection: vi.fn(),
+    getConnectionHealth: vi.fn(),
+    updateCredentials: vi.fn(),
     registerWebhook: vi.fn()
   }
 }));
 
+// Mock the OAuth service, keeping its message constants
+vi.mock('../services/oauthService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  default: {
+    startAuthorization: vi.fn(),
+    refreshToken: vi.fn()
+  }
+}));
+
 // Mock the WebhookEventsComponent
 vi.mock('../components/WebhookEventsComponent', () => ({
   default: () => <div data-testid="webhook-events-component">Webhook Events Component</div>
 }));
 
+// Mock the delivery log and dead-letter queue, which load their own data
+vi.mock('../components/WebhookDeliveryLog', () => ({
+  default: () => <div data-testid="webhook-delivery-log">Webhook Delivery Log</div>
+}));
+
+vi.mock('../components/DeadLetterQueue', () => ({
+  default: () => <div data-testid="dead-letter-queue">Dead Letter Queue</div>
+}));
+
+vi.mock('../components/WebhookRegistrations', () => ({
+  default: () => <div data-testid="webhook-registrations">Webhook Registrations</div>
+}));
+
+vi.mock('../components/ConnectionSync', () => ({
+  default: () => <div data-testid="connection-sync">Connection Sync</div>
+}));
+
+vi.mock('../components/WebhookSigningSecrets', () => ({
+  default: () => <div data-testid="webhook-signing-secrets">Webhook Signing Secrets</div>
+}));
+
 describe('IntegrationsPage', () => {
   // Mock data for tests
   const mockAdapters = [
@@ -30,6 +65,11 @@ describe('IntegrationsPage', () => {
       requiredCredentials: [
         { name: 'apiKey', label: 'API Key', type: 'password', required: true },
         { name: 'locationId', label: 'Location ID', type: 'text', required: true }
+      ],
+      events: [
+        { type: 'order.created', description: 'An order was placed', examplePayload: { order_id: 'ORD-1' } },
+        { type: 'order.updated', description: 'An order changed' },
+        { type: 'payment.created', description: 'A payment was captured' }
       ]
     },
     {
@@ -61,6 +101,7 @@ describe('IntegrationsPage', () => {
     integrationService.getConnections.mockResolvedValue(mockConnections);
     integrationService.connect.mockResolvedValue({ id: 'conn_456', status: 'active' });
     integrationService.disconnect.mockResolvedValue({ success: true });
+    integrationService.getConnectionHealth.mockResolvedValue([]);
     integrationService.registerWebhook.mockResolvedValue({ id: 'webhook_123' });
     
     // Mock window.confirm
@@ -170,7 +211,7 @@ describe('IntegrationsPage', () => {
     expect(integrationService.connect).toHaveBeenCalledWith('square', {
       apiKey: 'test-api-key',
       locationId: 'test-location'
-    });
+    }, expect.arrayContaining([expect.objectContaining({ name: 'apiKey' })]));
     
     // Check if connections are refreshed
     expect(integrationService.getConnections).toHaveBeenCalledTimes(2); // Initial load + refresh
@@ -215,6 +256,71 @@ describe('IntegrationsPage', () => {
     });
   });
 
+  it('should validate typed credential fields before connecting', async () => {
+    integrationService.getAdapters.mockResolvedValue([{
+      id: 'stripe',
+      name: 'Stripe',
+      requiredCredentials: [
+        { name: 'apiKey', label: 'Secret Key', type: 'secret', required: true, pattern: 'sk_(test|live)_\\w+', patternMessage: 'Secret keys start with sk_test_ or sk_live_' },
+        { name: 'webhookUrl', label: 'Webhook URL', type: 'url' },
+        { name: 'mode', label: 'Mode', type: 'enum', required: true, options: ['test', 'live'], default: 'test' },
+        { name: 'capture', label: 'Capture payments automatically', type: 'boolean', default: true }
+      ]
+    }]);
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Stripe' })).toBeInTheDocument();
+    });
+    await user.selectOptions(screen.getByLabelText(/Select System/i), 'stripe');
+
+    expect(screen.getByLabelText('Mode:')).toHaveValue('test');
+    expect(screen.getByLabelText('Capture payments automatically')).toBeChecked();
+
+    await user.type(screen.getByLabelText('Secret Key:'), 'pk_live_oops');
+    await user.type(screen.getByLabelText(/Webhook URL:/), 'not-a-url');
+    await user.click(screen.getByRole('button', { name: 'Connect' }));
+
+    expect(integrationService.connect).not.toHaveBeenCalled();
+    expect(screen.getByText('Secret keys start with sk_test_ or sk_live_')).toBeInTheDocument();
+    expect(screen.getByText('Webhook URL must be a valid http(s) URL')).toBeInTheDocument();
+    expect(screen.queryByText(/pk_live_oops/)).not.toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText('Secret Key:'));
+    await user.type(screen.getByLabelText('Secret Key:'), 'sk_live_abc');
+    await user.clear(screen.getByLabelText(/Webhook URL:/));
+    await user.click(screen.getByLabelText('Capture payments automatically'));
+    await user.click(screen.getByRole('button', { name: 'Connect' }));
+
+    expect(integrationService.connect).toHaveBeenCalledWith('stripe', {
+      apiKey: 'sk_live_abc',
+      mode: 'test',
+      capture: false
+    }, expect.arrayContaining([expect.objectContaining({ name: 'apiKey' })]));
+  });
+
+  it('should not echo secrets back in connection errors', async () => {
+    integrationService.connect.mockRejectedValue({
+      response: { data: { message: 'API key sk_test_123 is not valid for this account' } }
+    });
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Select System/i)).toBeInTheDocument();
+    });
+    await user.selectOptions(screen.getByLabelText(/Select System/i), 'square');
+    await user.type(screen.getByLabelText('API Key:'), 'sk_test_123');
+    await user.type(screen.getByLabelText('Location ID:'), 'L1');
+    await user.click(screen.getByRole('button', { name: 'Connect' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('API key •••••••• is not valid for this account')).toBeInTheDocument();
+    });
+    expect(screen.queryByText(/sk_test_123/)).not.toBeInTheDocument();
+  });
+
   it('should handle disconnecting from a system', async () => {
     const user = userEvent.setup();
     render(<IntegrationsPage />);
@@ -243,6 +349,260 @@ describe('IntegrationsPage', () => {
     });
   });
 
+  it('should show health and a banner when a connection is failing', async () => {
+    integrationService.getConnectionHealth.mockResolvedValue([
+      { checkedAt: '2025-04-28T10:32:00Z', healthy: false, latencyMs: null, error: '401 Unauthorized' },
+      { checkedAt: '2025-04-28T10:31:00Z', healthy: true, latencyMs: 120 },
+      { checkedAt: '2025-04-28T10:30:00Z', healthy: true, latencyMs: 180 }
+    ]);
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('1 connection needs attention: Square POS (Degraded)');
+    });
+    
+    expect(integrationService.getConnectionHealth).toHaveBeenCalledWith('conn_123', { limit: 20 });
+    expect(screen.getByText(/67% of last 3 checks passed · avg 150 ms/)).toBeInTheDocument();
+    expect(screen.getByText(/Last error:/).closest('p')).toHaveTextContent('401 Unauthorized');
+  });
+  
+  it('should not show the banner while connections are healthy', async () => {
+    integrationService.getConnectionHealth.mockResolvedValue([
+      { checkedAt: '2025-04-28T10:30:00Z', healthy: true, latencyMs: 180 }
+    ]);
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByText('Healthy')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+  
+  it('should test a connection on demand', async () => {
+    integrationService.testConnection.mockResolvedValue({
+      checkedAt: '2025-04-28T10:35:00Z', healthy: false, latencyMs: null, error: 'Token expired'
+    });
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Test Connection' })).toBeInTheDocument();
+    });
+    await user.click(screen.getByRole('button', { name: 'Test Connection' }));
+    
+    expect(integrationService.testConnection).toHaveBeenCalledWith('conn_123');
+    await waitFor(() => {
+      expect(screen.getByText('Connection failed: Token expired')).toBeInTheDocument();
+    });
+    // The result is added to the health history
+    expect(screen.getByText('Health history')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Square POS (Degraded)');
+  });
+  
+  it('should re-authenticate a connection in place', async () => {
+    integrationService.updateCredentials.mockResolvedValue({ id: 'conn_123', status: 'active' });
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Re-authenticate' })).toBeInTheDocument();
+    });
+    await user.click(screen.getByRole('button', { name: 'Re-authenticate' }));
+    
+    const form = screen.getByRole('form', { name: 'Re-authenticate Square POS' });
+    await user.type(within(form).getByLabelText('API Key:'), 'sk_live_new');
+    await user.type(within(form).getByLabelText('Location ID:'), 'L123');
+    await user.click(within(form).getByRole('button', { name: 'Save Credentials' }));
+    
+    expect(integrationService.updateCredentials).toHaveBeenCalledWith('conn_123', {
+      apiKey: 'sk_live_new',
+      locationId: 'L123'
+    }, expect.arrayContaining([expect.objectContaining({ name: 'apiKey' })]));
+    await waitFor(() => {
+      expect(screen.getByText('Credentials updated')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('form', { name: 'Re-authenticate Square POS' })).not.toBeInTheDocument();
+    expect(integrationService.disconnect).not.toHaveBeenCalled();
+  });
+  
+  it('should keep the re-authenticate form open when credentials are rejected', async () => {
+    integrationService.updateCredentials.mockRejectedValue({ response: { data: { message: 'Invalid API key' } } });
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Re-authenticate' })).toBeInTheDocument();
+    });
+    await user.click(screen.getByRole('button', { name: 'Re-authenticate' }));
+    
+    const form = screen.getByRole('form', { name: 'Re-authenticate Square POS' });
+    await user.type(within(form).getByLabelText('API Key:'), 'bad');
+    await user.type(within(form).getByLabelText('Location ID:'), 'L123');
+    await user.click(within(form).getByRole('button', { name: 'Save Credentials' }));
+    
+    await waitFor(() => {
+      expect(within(form).getByText('Invalid API key')).toBeInTheDocument();
+    });
+  });
+
+  describe('OAuth adapters', () => {
+    const cloverAdapter = {
+      id: 'clover',
+      name: 'Clover',
+      requiredCredentials: [],
+      oauth: {
+        authorizationUrl: 'https://auth.example.test/authorize',
+        clientId: 'pizza-ops',
+        scopes: ['orders:read', 'orders:write']
+      }
+    };
+    const authorizationUrl = 'https://auth.example.test/authorize?state=abc';
+    
+    beforeEach(() => {
+      integrationService.getAdapters.mockResolvedValue([...mockAdapters, cloverAdapter]);
+      oauthService.startAuthorization.mockResolvedValue(authorizationUrl);
+    });
+    
+    /**
+     * Selects the OAuth adapter in the connect form
+     *
+     * @param {Object} user - userEvent instance
+     */
+    const selectClover = async (user) => {
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Clover' })).toBeInTheDocument();
+      });
+      await user.selectOptions(screen.getByLabelText(/Select System:/i), 'clover');
+    };
+    
+    it('should offer the provider sign-in instead of credential fields', async () => {
+      const user = userEvent.setup();
+      render(<IntegrationsPage />);
+      await selectClover(user);
+      
+      expect(screen.getByRole('button', { name: 'Connect with Clover' })).toBeInTheDocument();
+      expect(screen.getByText(/Access requested: orders:read, orders:write/)).toBeInTheDocument();
+      expect(screen.queryByText('Credentials')).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Connect' })).not.toBeInTheDocument();
+    });
+    
+    it('should open the sign-in popup and show the connection it reports', async () => {
+      vi.spyOn(window, 'open').mockReturnValue({ closed: false });
+      const user = userEvent.setup();
+      render(<IntegrationsPage />);
+      await selectClover(user);
+      
+      await user.click(screen.getByRole('button', { name: 'Connect with Clover' }));
+      
+      expect(oauthService.startAuthorization).toHaveBeenCalledWith(cloverAdapter, { connectionId: undefined });
+      expect(window.open).toHaveBeenCalledWith(authorizationUrl, 'oauth-connect', 'width=600,height=700');
+      expect(screen.getByText(/Waiting for sign-in with Clover/)).toBeInTheDocument();
+      
+      integrationService.getConnections.mockClear();
+      fireEvent(window, new MessageEvent('message', {
+        origin: window.location.origin,
+        data: { type: 'oauth:complete', connection: { id: 'conn_9', name: 'Clover', system: 'clover' } }
+      }));
+      
+      await waitFor(() => {
+        expect(screen.getByText('Successfully connected to Clover')).toBeInTheDocument();
+      });
+      expect(integrationService.getConnections).toHaveBeenCalled();
+    });
+    
+    it('should ignore messages from other origins and show sign-in errors', async () => {
+      vi.spyOn(window, 'open').mockReturnValue({ closed: false });
+      const user = userEvent.setup();
+      render(<IntegrationsPage />);
+      await selectClover(user);
+      await user.click(screen.getByRole('button', { name: 'Connect with Clover' }));
+      
+      fireEvent(window, new MessageEvent('message', {
+        origin: 'https://evil.example.test',
+        data: { type: 'oauth:complete', connection: { name: 'Clover' } }
+      }));
+      expect(screen.queryByText('Successfully connected to Clover')).not.toBeInTheDocument();
+      
+      fireEvent(window, new MessageEvent('message', {
+        origin: window.location.origin,
+        data: { type: 'oauth:error', message: 'The user denied access' }
+      }));
+      await waitFor(() => {
+        expect(screen.getByText('The user denied access')).toBeInTheDocument();
+      });
+    });
+    
+    it('should redirect the page when the popup is blocked', async () => {
+      vi.spyOn(window, 'open').mockReturnValue(null);
+      const assign = vi.fn();
+      vi.spyOn(window, 'location', 'get').mockReturnValue({ ...window.location, origin: window.location.origin, assign });
+      const user = userEvent.setup();
+      render(<IntegrationsPage />);
+      await selectClover(user);
+      
+      await user.click(screen.getByRole('button', { name: 'Connect with Clover' }));
+      
+      expect(assign).toHaveBeenCalledWith(authorizationUrl);
+    });
+    
+    it('should show token expiry and refresh the token on the connection card', async () => {
+      const expiresAt = new Date(Date.now() + 45 * 60 * 1000 + 30000).toISOString();
+      integrationService.getConnections.mockResolvedValue([{
+        id: 'conn_9',
+        name: 'Clover',
+        system: 'clover',
+        status: 'active',
+        authType: 'oauth2',
+        connectedAt: '2025-04-01T12:00:00Z',
+        tokenExpiresAt: expiresAt
+      }]);
+      oauthService.refreshToken.mockResolvedValue({
+        id: 'conn_9',
+        tokenExpiresAt: new Date(Date.now() + 2 * 60 * 60 * 1000 + 30000).toISOString()
+      });
+      const user = userEvent.setup();
+      render(<IntegrationsPage />);
+      
+      await waitFor(() => {
+        expect(screen.getByText(/expires in 45m/)).toBeInTheDocument();
+      });
+      await user.click(screen.getByRole('button', { name: 'Refresh Token' }));
+      
+      expect(oauthService.refreshToken).toHaveBeenCalledWith('conn_9');
+      await waitFor(() => {
+        expect(screen.getByText('Token refreshed')).toBeInTheDocument();
+      });
+      expect(screen.getByText(/expires in 2h/)).toBeInTheDocument();
+    });
+    
+    it('should re-authorize an OAuth connection through the provider', async () => {
+      vi.spyOn(window, 'open').mockReturnValue({ closed: false });
+      integrationService.getConnections.mockResolvedValue([{
+        id: 'conn_9',
+        name: 'Clover',
+        system: 'clover',
+        status: 'active',
+        authType: 'oauth2',
+        connectedAt: '2025-04-01T12:00:00Z',
+        tokenExpiresAt: '2000-01-01T00:00:00Z',
+        tokenRefreshError: 'invalid_grant'
+      }]);
+      const user = userEvent.setup();
+      render(<IntegrationsPage />);
+      
+      await waitFor(() => {
+        expect(screen.getByText('invalid_grant')).toBeInTheDocument();
+      });
+      expect(screen.getByText(/Token:/).parentElement).toHaveTextContent('expired');
+      expect(screen.getByRole('alert')).toHaveTextContent('Clover (Degraded)');
+      
+      await user.click(screen.getByRole('button', { name: 'Re-authenticate' }));
+      
+      expect(oauthService.startAuthorization).toHaveBeenCalledWith(cloverAdapter, { connectionId: 'conn_9' });
+      expect(screen.queryByRole('form', { name: 'Re-authenticate Clover' })).not.toBeInTheDocument();
+    });
+  });
+  
   it('should handle webhook registration', async () => {
     const user = userEvent.setup();
     render(<IntegrationsPage />);
@@ -256,9 +616,8 @@ describe('IntegrationsPage', () => {
     await user.type(screen.getByLabelText(/Webhook Path:/i), '/api/webhooks/orders');
     await user.type(screen.getByLabelText(/Description:/i), 'Webhook for order notifications');
     
-    // Select events (multi-select)
-    const eventsSelect = screen.getByLabelText(/Events/i);
-    await user.selectOptions(eventsSelect, ['order.created']);
+    // Select events from the catalog published by the adapters
+    await user.click(screen.getByRole('checkbox', { name: 'order.created' }));
     
     // Submit the form
     const registerButton = screen.getByRole('button', { name: /Register Webhook/i });
@@ -269,7 +628,9 @@ describe('IntegrationsPage', () => {
       '/api/webhooks/orders',
       {
         description: 'Webhook for order notifications',
-        events: ['order.created']
+        events: ['order.created'],
+        retryPolicy: DEFAULT_RETRY_POLICY,
+        signingSecret: expect.stringMatching(/^whsec_/)
       }
     );
     
@@ -279,6 +640,89 @@ describe('IntegrationsPage', () => {
     });
   });
 
+  it('should subscribe a webhook to a wildcard from the event catalog', async () => {
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('group', { name: 'Webhook events' })).toBeInTheDocument();
+    });
+    
+    // Events are grouped by the adapter that publishes them
+    const picker = screen.getByRole('group', { name: 'Webhook events' });
+    expect(within(picker).getByRole('group', { name: 'Square POS' })).toBeInTheDocument();
+    expect(within(picker).queryByRole('group', { name: 'SendGrid' })).not.toBeInTheDocument();
+    
+    await user.type(screen.getByLabelText(/Webhook Path:/i), '/api/webhooks/orders');
+    await user.click(within(picker).getByRole('checkbox', { name: 'order.created' }));
+    await user.click(within(picker).getByRole('checkbox', { name: /order\.\*/ }));
+    
+    // The wildcard replaces the event types it covers
+    expect(within(picker).getByRole('checkbox', { name: 'order.updated' })).toBeChecked();
+    expect(within(picker).getByRole('checkbox', { name: 'order.updated' })).toBeDisabled();
+    
+    await user.click(screen.getByRole('button', { name: /Register Webhook/i }));
+    
+    expect(integrationService.registerWebhook).toHaveBeenCalledWith(
+      '/api/webhooks/orders',
+      expect.objectContaining({ events: ['order.*'] })
+    );
+  });
+
+  it('should register a webhook with a custom retry policy', async () => {
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Webhook Path:/i)).toBeInTheDocument();
+    });
+    
+    // The schedule preview reflects the default policy
+    expect(screen.getByText('Retries after: 30s, 1m, 2m, 4m, then the dead-letter queue.')).toBeInTheDocument();
+    
+    await user.type(screen.getByLabelText(/Webhook Path:/i), '/api/webhooks/orders');
+    await user.clear(screen.getByLabelText(/Max Attempts:/i));
+    await user.type(screen.getByLabelText(/Max Attempts:/i), '3');
+    await user.clear(screen.getByLabelText(/Initial Delay/i));
+    await user.type(screen.getByLabelText(/Initial Delay/i), '10');
+    await user.clear(screen.getByLabelText(/Backoff Multiplier:/i));
+    await user.type(screen.getByLabelText(/Backoff Multiplier:/i), '3');
+    
+    expect(screen.getByText('Retries after: 10s, 30s, then the dead-letter queue.')).toBeInTheDocument();
+    
+    await user.click(screen.getByRole('button', { name: /Register Webhook/i }));
+    
+    expect(integrationService.registerWebhook).toHaveBeenCalledWith('/api/webhooks/orders', {
+      description: '',
+      events: [],
+      retryPolicy: { maxAttempts: 3, initialDelaySeconds: 10, backoffMultiplier: 3, maxDelaySeconds: 3600 },
+      signingSecret: expect.stringMatching(/^whsec_/)
+    });
+    
+    // The form goes back to the default policy
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Max Attempts:/i)).toHaveValue(5);
+    });
+  });
+
+  it('should not register a webhook with an invalid retry policy', async () => {
+    const user = userEvent.setup();
+    render(<IntegrationsPage />);
+    
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Webhook Path:/i)).toBeInTheDocument();
+    });
+    
+    await user.type(screen.getByLabelText(/Webhook Path:/i), '/api/webhooks/orders');
+    await user.clear(screen.getByLabelText(/Max Delay/i));
+    await user.type(screen.getByLabelText(/Max Delay/i), '5');
+    
+    await user.click(screen.getByRole('button', { name: /Register Webhook/i }));
+    
+    expect(screen.getAllByText('Max delay cannot be shorter than the initial delay').length).toBeGreaterThan(0);
+    expect(integrationService.registerWebhook).not.toHaveBeenCalled();
+  });
+
   it('should handle errors when registering a webhook', async () => {
     // Override the default mock to reject
     integrationService.registerWebhook.mockRejectedValue({
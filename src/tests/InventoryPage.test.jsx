@@ -0,0 +1,123 @@
+// src/tests/InventoryPage.test.jsx
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import InventoryPage from '../pages/InventoryPage';
+import inventoryService from '../services/inventoryService';
+import integrationService from '../services/integrationService';
+import { AppProvider } from '../contexts/AppContext';
+
+// Mock the inventory service
+vi.mock('../services/inventoryService', () => ({
+  default: {
+    getItems: vi.fn(),
+    getItem: vi.fn(),
+    createItem: vi.fn(),
+    updateItem: vi.fn(),
+    deleteItem: vi.fn(),
+    adjustQuantity: vi.fn()
+  }
+}));
+
+// Mock the integration service used for webhook events
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getWebhooks: vi.fn()
+  }
+}));
+
+describe('InventoryPage', () => {
+  // Mock data for tests
+  const mockItems = [
+    { id: 1, name: 'Pizza Dough', category: 'dough', quantity: 125, unit: 'balls', minLevel: 50, reorderLevel: 75 },
+    { id: 2, name: 'Mozzarella Cheese', category: 'cheese', quantity: 32, unit: 'lbs', minLevel: 15, reorderLevel: 40 },
+    { id: 3, name: 'Pepperoni', category: 'meat', quantity: 8, unit: 'lbs', minLevel: 10, reorderLevel: 20 }
+  ];
+
+  const renderPage = () => render(
+    <AppProvider>
+      <InventoryPage />
+    </AppProvider>
+  );
+
+  // Reset mocks before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+
+    // Default mock implementations
+    inventoryService.getItems.mockResolvedValue(mockItems);
+    integrationService.getWebhooks.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should render items with their stock status', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('Pizza Dough')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('In Stock')).toBeInTheDocument();
+    expect(screen.getByText('Reorder')).toBeInTheDocument();
+    expect(screen.getByText('Low Stock')).toBeInTheDocument();
+  });
+
+  it('should raise a low-stock notification after loading', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText(/1 item is at or below minimum stock/i)).toBeInTheDocument();
+    });
+  });
+
+  it('should require a reason when adjusting quantity', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    inventoryService.adjustQuantity.mockResolvedValue({ quantity: 12 });
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('Mozzarella Cheese')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getAllByRole('button', { name: 'Adjust' })[1]);
+    await user.type(screen.getByLabelText(/Adjustment/i), '-20');
+    await user.click(screen.getByRole('button', { name: /Record Adjustment/i }));
+
+    expect(screen.getByText(/Please record a reason/i)).toBeInTheDocument();
+    expect(inventoryService.adjustQuantity).not.toHaveBeenCalled();
+
+    await user.selectOptions(screen.getByLabelText(/Reason/i), 'waste');
+    await user.click(screen.getByRole('button', { name: /Record Adjustment/i }));
+
+    expect(inventoryService.adjustQuantity).toHaveBeenCalledWith(2, -20, 'waste');
+    await waitFor(() => {
+      expect(screen.getByText(/Mozzarella Cheese is low on stock \(12 lbs left\)/i)).toBeInTheDocument();
+    });
+  });
+
+  it('should refresh affected rows when an inventory.updated event arrives', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('125 balls')).toBeInTheDocument();
+    });
+
+    inventoryService.getItem.mockResolvedValue({ ...mockItems[0], quantity: 90 });
+    integrationService.getWebhooks.mockResolvedValue([
+      { id: 'evt_1', source: 'square', type: 'inventory.updated', payload: { itemId: 1 } }
+    ]);
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(15000);
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('90 balls')).toBeInTheDocument();
+    });
+    expect(inventoryService.getItem).toHaveBeenCalledWith(1);
+  });
+});
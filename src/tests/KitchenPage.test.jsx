@@ -0,0 +1,304 @@
+// src/tests/KitchenPage.test.jsx
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, within, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import KitchenPage from '../pages/KitchenPage';
+import orderService from '../services/orderService';
+import integrationService from '../services/integrationService';
+import settingsService from '../services/settingsService';
+import { AppProvider } from '../contexts/AppContext';
+import { getBumpStatus, isOnBoard, canRecall, getTicketUrgency, formatElapsed } from '../utils/kitchen';
+
+// Mock the order service
+vi.mock('../services/orderService', () => ({
+  default: {
+    getOrders: vi.fn(),
+    getOrder: vi.fn(),
+    updateOrderStatus: vi.fn(),
+    bumpOrder: vi.fn(),
+    recallOrder: vi.fn()
+  }
+}));
+
+// Mock the integration service used for live webhook updates
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getWebhooks: vi.fn()
+  }
+}));
+
+describe('KitchenPage', () => {
+  const NOW = new Date('2025-04-29T12:00:00Z').getTime();
+  const minutesAgo = (minutes) => new Date(NOW - minutes * 60000).toISOString();
+
+  // Mock data for tests
+  const mockOrders = [
+    {
+      id: 'ORD-1',
+      customerName: 'John Smith',
+      items: [{ name: 'Pepperoni Pizza', quantity: 2 }],
+      status: 'new',
+      deliveryAddress: '123 Main St',
+      createdAt: minutesAgo(3)
+    },
+    {
+      id: 'ORD-2',
+      customerName: 'Sarah Johnson',
+      items: [{ name: 'Veggie Supreme', quantity: 1 }],
+      status: 'preparing',
+      notes: 'Well done',
+      createdAt: minutesAgo(12)
+    },
+    {
+      id: 'ORD-3',
+      customerName: 'Mike Brown',
+      items: [{ name: 'Margherita', quantity: 1 }],
+      status: 'ready',
+      createdAt: minutesAgo(25)
+    }
+  ];
+
+  const renderPage = () => render(
+    <AppProvider>
+      <KitchenPage />
+    </AppProvider>
+  );
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    vi.setSystemTime(NOW);
+    localStorage.clear();
+    settingsService.resetSettings();
+
+    orderService.getOrders.mockResolvedValue(mockOrders);
+    integrationService.getWebhooks.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should show tickets at their stations with elapsed timers', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-1')).toBeInTheDocument();
+    });
+
+    expect(orderService.getOrders).toHaveBeenCalledWith({ status: 'new,preparing,ready' });
+    expect(within(screen.getByLabelText('Prep station')).getByText('John Smith')).toBeInTheDocument();
+    expect(within(screen.getByLabelText('Oven station')).getByText('Well done')).toBeInTheDocument();
+    expect(within(screen.getByLabelText('Expo station')).getByText('Mike Brown')).toBeInTheDocument();
+    expect(within(screen.getByLabelText('Ticket ORD-1')).getByRole('timer')).toHaveTextContent('3:00');
+  });
+
+  it('should color tickets by how long they have waited', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-1')).toHaveClass('on-time');
+    });
+    expect(screen.getByLabelText('Ticket ORD-2')).toHaveClass('warning');
+    expect(screen.getByLabelText('Ticket ORD-3')).toHaveClass('late');
+
+    // The timer keeps running, so the new order escalates on its own
+    act(() => {
+      vi.advanceTimersByTime(8 * 60000);
+    });
+
+    expect(screen.getByLabelText('Ticket ORD-1')).toHaveClass('warning');
+    expect(within(screen.getByLabelText('Ticket ORD-1')).getByRole('timer')).toHaveTextContent('11:00');
+  });
+
+  it('should bump a ticket to the next station', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    orderService.updateOrderStatus.mockResolvedValue({ id: 'ORD-1', status: 'preparing' });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-1')).toBeInTheDocument();
+    });
+
+    await user.click(within(screen.getByLabelText('Ticket ORD-1')).getByRole('button', { name: 'Start' }));
+
+    await waitFor(() => {
+      expect(within(screen.getByLabelText('Oven station')).getByLabelText('Ticket ORD-1')).toBeInTheDocument();
+    });
+    expect(orderService.updateOrderStatus).toHaveBeenCalledWith('ORD-1', 'preparing');
+  });
+
+  it('should clear tickets from expo through the order service and recall them', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    orderService.bumpOrder.mockResolvedValue({ ...mockOrders[2], bumpedAt: minutesAgo(0) });
+    orderService.recallOrder.mockResolvedValue({ ...mockOrders[2], bumpedAt: null });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-3')).toBeInTheDocument();
+    });
+
+    await user.click(within(screen.getByLabelText('Ticket ORD-3')).getByRole('button', { name: 'Bump' }));
+
+    await waitFor(() => {
+      expect(screen.queryByLabelText('Ticket ORD-3')).not.toBeInTheDocument();
+    });
+    // The order stays ready for dispatch or pickup
+    expect(orderService.bumpOrder).toHaveBeenCalledWith('ORD-3');
+    expect(orderService.updateOrderStatus).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: 'Recall' }));
+
+    await waitFor(() => {
+      expect(within(screen.getByLabelText('Expo station')).getByLabelText('Ticket ORD-3')).toBeInTheDocument();
+    });
+    expect(orderService.recallOrder).toHaveBeenCalledWith('ORD-3');
+    expect(screen.queryByText('Recently Bumped')).not.toBeInTheDocument();
+  });
+
+  it('should hide tickets bumped on another screen and stop offering recall once dispatched', async () => {
+    const bumped = { ...mockOrders[2], bumpedAt: minutesAgo(1) };
+    orderService.getOrders.mockResolvedValue([mockOrders[0], bumped]);
+    integrationService.getWebhooks
+      .mockResolvedValueOnce([])
+      .mockResolvedValue([
+        { id: 'evt_1', type: 'order.updated', payload: { order: { ...bumped, status: 'in-delivery' } } }
+      ]);
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Recall' })).toBeInTheDocument();
+    });
+    expect(screen.queryByLabelText('Ticket ORD-3')).not.toBeInTheDocument();
+
+    await act(async () => {
+      vi.advanceTimersByTime(15000);
+    });
+
+    await waitFor(() => {
+      expect(screen.queryByText('Recently Bumped')).not.toBeInTheDocument();
+    });
+    expect(orderService.recallOrder).not.toHaveBeenCalled();
+  });
+
+  it('should keep a ticket on expo when the bump fails', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    orderService.bumpOrder.mockRejectedValue(new Error('Network error'));
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-3')).toBeInTheDocument();
+    });
+
+    await user.click(within(screen.getByLabelText('Ticket ORD-3')).getByRole('button', { name: 'Bump' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to bump order ORD-3')).toBeInTheDocument();
+    });
+    expect(within(screen.getByLabelText('Expo station')).getByLabelText('Ticket ORD-3')).toBeInTheDocument();
+    expect(screen.queryByText('Recently Bumped')).not.toBeInTheDocument();
+  });
+
+  it('should filter tickets by station', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByRole('tab', { name: 'Oven (1)' })).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('tab', { name: 'Oven (1)' }));
+
+    expect(screen.getByLabelText('Ticket ORD-2')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Ticket ORD-1')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Ticket ORD-3')).not.toBeInTheDocument();
+  });
+
+  it('should apply live order webhooks', async () => {
+    const newOrder = {
+      id: 'ORD-4',
+      customerName: 'Amy Lee',
+      items: [{ name: 'Hawaiian', quantity: 1 }],
+      status: 'new',
+      createdAt: minutesAgo(0)
+    };
+    integrationService.getWebhooks
+      .mockResolvedValueOnce([])
+      .mockResolvedValue([
+        { id: 'evt_1', type: 'order.created', payload: { order: newOrder } },
+        { id: 'evt_2', type: 'order.updated', payload: { orderId: 'ORD-2' } }
+      ]);
+    orderService.getOrder.mockResolvedValue({ ...mockOrders[1], status: 'delivered' });
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-2')).toBeInTheDocument();
+    });
+
+    await act(async () => {
+      vi.advanceTimersByTime(15000);
+    });
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-4')).toBeInTheDocument();
+    });
+    await waitFor(() => {
+      expect(screen.queryByLabelText('Ticket ORD-2')).not.toBeInTheDocument();
+    });
+    expect(orderService.getOrder).toHaveBeenCalledWith('ORD-2');
+  });
+
+  it('should show an error when a bump fails', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    orderService.updateOrderStatus.mockRejectedValue(new Error('Network error'));
+
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByLabelText('Ticket ORD-2')).toBeInTheDocument();
+    });
+
+    await user.click(within(screen.getByLabelText('Ticket ORD-2')).getByRole('button', { name: 'Ready' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to bump order ORD-2')).toBeInTheDocument();
+    });
+    expect(within(screen.getByLabelText('Oven station')).getByLabelText('Ticket ORD-2')).toBeInTheDocument();
+  });
+});
+
+describe('kitchen rules', () => {
+  it('should move tickets through the stations', () => {
+    expect(getBumpStatus('new')).toBe('preparing');
+    expect(getBumpStatus('preparing')).toBe('ready');
+    expect(getBumpStatus('ready')).toBeNull();
+  });
+
+  it('should keep bumped orders off the board and recallable only while ready', () => {
+    expect(isOnBoard({ status: 'ready' })).toBe(true);
+    expect(isOnBoard({ status: 'ready', bumpedAt: '2025-04-29T12:00:00Z' })).toBe(false);
+    expect(isOnBoard({ status: 'in-delivery' })).toBe(false);
+    expect(canRecall({ status: 'ready' })).toBe(true);
+    expect(canRecall({ status: 'in-delivery' })).toBe(false);
+    expect(canRecall({ status: 'delivered' })).toBe(false);
+  });
+
+  it('should escalate urgency at the configured thresholds', () => {
+    const timing = { warnAfterMinutes: 5, lateAfterMinutes: 10 };
+    expect(getTicketUrgency(4 * 60000, timing)).toBe('on-time');
+    expect(getTicketUrgency(5 * 60000, timing)).toBe('warning');
+    expect(getTicketUrgency(10 * 60000, timing)).toBe('late');
+  });
+
+  it('should format elapsed time', () => {
+    expect(formatElapsed(65000)).toBe('1:05');
+    expect(formatElapsed(3725000)).toBe('1:02:05');
+    expect(formatElapsed(-1000)).toBe('0:00');
+  });
+});
@@ -0,0 +1,144 @@
+// src/tests/LoyaltyPage.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import LoyaltyPage from '../pages/LoyaltyPage';
+import loyaltyService from '../services/loyaltyService';
+import customerService from '../services/customerService';
+import menuService from '../services/menuService';
+import { AppProvider } from '../contexts/AppContext';
+
+// Mock the loyalty service
+vi.mock('../services/loyaltyService', () => ({
+  default: {
+    getProgram: vi.fn(),
+    updateProgram: vi.fn(),
+    getLedger: vi.fn(),
+    addLedgerEntry: vi.fn()
+  }
+}));
+
+// Mock the customer service
+vi.mock('../services/customerService', () => ({
+  default: {
+    getCustomers: vi.fn()
+  }
+}));
+
+// Mock the menu service
+vi.mock('../services/menuService', () => ({
+  default: {
+    getMenu: vi.fn()
+  }
+}));
+
+describe('LoyaltyPage', () => {
+  // Mock data for tests
+  const mockProgram = {
+    enabled: true,
+    pointsPerDollar: 1,
+    minimumOrder: 0,
+    rewards: [
+      { id: 'free-medium-pizza', name: 'Free medium pizza', points: 100, type: 'free_item', category: 'pizza', sizeId: 'medium', value: 0 }
+    ]
+  };
+
+  const mockMenu = {
+    items: [{ id: 'margherita', name: 'Margherita', category: 'pizza', prices: { medium: 12 } }],
+    sizes: [{ id: 'medium', name: 'Medium', toppingMultiplier: 1 }],
+    crusts: [],
+    toppings: []
+  };
+
+  const renderPage = () => render(
+    <AppProvider>
+      <LoyaltyPage />
+    </AppProvider>
+  );
+
+  // Reset mocks before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+    loyaltyService.getProgram.mockResolvedValue(mockProgram);
+    loyaltyService.updateProgram.mockImplementation(async (program) => program);
+    loyaltyService.getLedger.mockResolvedValue([
+      { id: 'le_1', type: 'earn', points: 30, orderId: 'ORD-1', createdAt: '2026-03-01T18:00:00Z' }
+    ]);
+    loyaltyService.addLedgerEntry.mockResolvedValue({ id: 'le_2' });
+    customerService.getCustomers.mockResolvedValue([
+      { id: 'cus_1', name: 'Jane Doe', phone: '5551234567', email: '' },
+      { id: 'cus_2', name: 'Sam Lee', phone: '5559876543', email: '' }
+    ]);
+    menuService.getMenu.mockResolvedValue(mockMenu);
+  });
+
+  it('should save earn rules and a new reward', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    expect(await screen.findByText('Free Medium pizza')).toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText(/Points per Dollar:/i));
+    await user.type(screen.getByLabelText(/Points per Dollar:/i), '2');
+    await user.click(screen.getByRole('button', { name: /Add Reward/i }));
+    await user.type(screen.getByLabelText('Name:', { selector: '#reward-name-1' }), '$5 off');
+    await user.clear(screen.getByLabelText('Points:', { selector: '#reward-points-1' }));
+    await user.type(screen.getByLabelText('Points:', { selector: '#reward-points-1' }), '250');
+    await user.clear(screen.getByLabelText('Value:', { selector: '#reward-value-1' }));
+    await user.type(screen.getByLabelText('Value:', { selector: '#reward-value-1' }), '5');
+    await user.click(screen.getByRole('button', { name: /Save Program/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Loyalty program saved')).toBeInTheDocument();
+    });
+    expect(loyaltyService.updateProgram).toHaveBeenCalledWith(expect.objectContaining({
+      pointsPerDollar: 2,
+      rewards: [
+        mockProgram.rewards[0],
+        expect.objectContaining({ name: '$5 off', points: 250, type: 'fixed', value: 5 })
+      ]
+    }));
+  });
+
+  it('should not save a reward without a name', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.click(await screen.findByRole('button', { name: /Add Reward/i }));
+    await user.click(screen.getByRole('button', { name: /Save Program/i }));
+
+    expect(screen.getByText('Every reward needs a name')).toBeInTheDocument();
+    expect(loyaltyService.updateProgram).not.toHaveBeenCalled();
+  });
+
+  it('should find a customer and adjust their points', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.type(await screen.findByLabelText(/Find Customer:/i), 'sam');
+    await user.click(await screen.findByRole('button', { name: /Sam Lee/ }));
+
+    const form = await screen.findByRole('form', { name: 'Adjust points' });
+    expect(screen.getByText(/Points balance:/).parentElement).toHaveTextContent('Points balance: 30');
+    expect(loyaltyService.getLedger).toHaveBeenCalledWith('cus_2');
+
+    await user.type(within(form).getByLabelText(/Points:/i), '-40');
+    await user.type(within(form).getByLabelText(/Note:/i), 'Refunded order');
+    await user.click(within(form).getByRole('button', { name: /Adjust Points/i }));
+
+    expect(screen.getByText('The balance cannot go below zero')).toBeInTheDocument();
+
+    await user.clear(within(form).getByLabelText(/Points:/i));
+    await user.type(within(form).getByLabelText(/Points:/i), '7');
+    await user.click(within(form).getByRole('button', { name: /Adjust Points/i }));
+
+    await waitFor(() => {
+      expect(loyaltyService.addLedgerEntry).toHaveBeenCalledWith('cus_2', {
+        type: 'adjust',
+        points: 7,
+        note: 'Refunded order'
+      });
+    });
+    expect(loyaltyService.getLedger).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,116 @@
+// src/tests/MenuPage.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MenuPage from '../pages/MenuPage';
+import menuService from '../services/menuService';
+import { AppProvider } from '../contexts/AppContext';
+
+// Mock the menu service
+vi.mock('../services/menuService', () => ({
+  default: {
+    getMenu: vi.fn(),
+    createItem: vi.fn(),
+    updateItem: vi.fn(),
+    deleteItem: vi.fn(),
+    saveModifiers: vi.fn()
+  }
+}));
+
+describe('MenuPage', () => {
+  // Mock data for tests
+  const mockMenu = {
+    items: [
+      { id: 'pepperoni', name: 'Pepperoni Pizza', category: 'pizza', prices: { small: 10.99, large: 16.99 }, includedToppings: ['pepperoni'], customizable: true, active: true },
+      { id: 'soda', name: 'Soda', category: 'drink', price: 2.5, customizable: false, active: false }
+    ],
+    sizes: [
+      { id: 'small', name: 'Small', toppingMultiplier: 1 },
+      { id: 'large', name: 'Large', toppingMultiplier: 1.5 }
+    ],
+    crusts: [{ id: 'thin', name: 'Thin', upcharge: 0 }],
+    toppings: [{ id: 'pepperoni', name: 'Pepperoni', price: 1.5 }]
+  };
+
+  const renderPage = () => render(
+    <AppProvider>
+      <MenuPage />
+    </AppProvider>
+  );
+
+  // Reset mocks before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+    menuService.getMenu.mockResolvedValue(mockMenu);
+  });
+
+  it('should list menu items with their prices', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('Pepperoni Pizza')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Small $10.99 · Large $16.99')).toBeInTheDocument();
+    expect(screen.getByText('$2.50')).toBeInTheDocument();
+    expect(screen.getByText('Unavailable')).toBeInTheDocument();
+  });
+
+  it('should create a sized menu item', async () => {
+    const user = userEvent.setup();
+    menuService.createItem.mockResolvedValue({ id: 'veggie', name: 'Veggie Pizza', prices: { large: 15 }, active: true });
+    renderPage();
+
+    await user.click(await screen.findByRole('button', { name: /Add Menu Item/i }));
+    const form = screen.getByRole('heading', { name: 'Add Menu Item' }).parentElement;
+    await user.type(within(form).getByLabelText(/^Name:/i), 'Veggie Pizza');
+    await user.type(within(form).getByLabelText(/Large Price:/i), '15');
+    await user.click(screen.getByRole('button', { name: /Save Item/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Veggie Pizza added to the menu')).toBeInTheDocument();
+    });
+    expect(menuService.createItem).toHaveBeenCalledWith(expect.objectContaining({
+      name: 'Veggie Pizza',
+      category: 'pizza',
+      prices: { large: 15 }
+    }));
+  });
+
+  it('should require a price before saving an item', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.click(await screen.findByRole('button', { name: /Add Menu Item/i }));
+    const form = screen.getByRole('heading', { name: 'Add Menu Item' }).parentElement;
+    await user.type(within(form).getByLabelText(/^Name:/i), 'Mystery Pizza');
+    await user.click(screen.getByRole('button', { name: /Save Item/i }));
+
+    expect(screen.getByText(/Enter a price for at least one size or a flat price/i)).toBeInTheDocument();
+    expect(menuService.createItem).not.toHaveBeenCalled();
+  });
+
+  it('should save crusts with IDs derived from their names', async () => {
+    const user = userEvent.setup();
+    menuService.saveModifiers.mockImplementation(async (kind, list) => list);
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByDisplayValue('Thin')).toBeInTheDocument();
+    });
+
+    const crustSection = screen.getByRole('heading', { name: 'Crusts' }).parentElement;
+    await user.click(within(crustSection).getByRole('button', { name: /Add Crust/i }));
+    await user.type(within(crustSection).getAllByLabelText(/Name:/i)[1], 'Stuffed Crust');
+    await user.type(within(crustSection).getAllByLabelText(/Upcharge:/i)[1], '2.5');
+    await user.click(within(crustSection).getByRole('button', { name: /Save Crusts/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Crusts saved')).toBeInTheDocument();
+    });
+    expect(menuService.saveModifiers).toHaveBeenCalledWith('crusts', [
+      { id: 'thin', name: 'Thin', upcharge: 0 },
+      { id: 'stuffed-crust', name: 'Stuffed Crust', upcharge: 2.5 }
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+// src/tests/OAuthCallbackPage.test.jsx
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import OAuthCallbackPage from '../pages/OAuthCallbackPage';
+import oauthService from '../services/oauthService';
+
+// Mock the OAuth service, keeping its message constants
+vi.mock('../services/oauthService', async (importOriginal) => ({
+  ...(await importOriginal()),
+  default: {
+    completeAuthorization: vi.fn()
+  }
+}));
+
+/**
+ * Renders the callback page at the given URL
+ *
+ * @param {string} url - Callback path and query string
+ */
+const renderCallback = (url) => render(
+  <MemoryRouter initialEntries={[url]}>
+    <OAuthCallbackPage />
+  </MemoryRouter>
+);
+
+describe('OAuthCallbackPage', () => {
+  const connection = { id: 'conn_9', name: 'Clover', system: 'clover' };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    oauthService.completeAuthorization.mockResolvedValue(connection);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    window.opener = null;
+  });
+
+  it('should report the connection to the opener and close the popup', async () => {
+    const postMessage = vi.fn();
+    window.opener = { closed: false, postMessage };
+    const close = vi.spyOn(window, 'close').mockImplementation(() => {});
+
+    renderCallback('/oauth/callback?code=abc&state=xyz');
+
+    await waitFor(() => {
+      expect(postMessage).toHaveBeenCalledWith({ type: 'oauth:complete', connection }, window.location.origin);
+    });
+    expect(oauthService.completeAuthorization).toHaveBeenCalledTimes(1);
+    expect(oauthService.completeAuthorization).toHaveBeenCalledWith({ code: 'abc', state: 'xyz' });
+    expect(close).toHaveBeenCalled();
+  });
+
+  it('should report errors to the opener', async () => {
+    oauthService.completeAuthorization.mockRejectedValue(new Error('The user denied access'));
+    const postMessage = vi.fn();
+    window.opener = { closed: false, postMessage };
+    vi.spyOn(window, 'close').mockImplementation(() => {});
+
+    renderCallback('/oauth/callback?error=access_denied&state=xyz');
+
+    await waitFor(() => {
+      expect(postMessage).toHaveBeenCalledWith(
+        { type: 'oauth:error', message: 'The user denied access' },
+        window.location.origin
+      );
+    });
+  });
+
+  it('should show the result after a full-page redirect', async () => {
+    renderCallback('/oauth/callback?code=abc&state=xyz');
+
+    expect(screen.getByText('Finishing sign-in...')).toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getByText('Connected to Clover.')).toBeInTheDocument();
+    });
+    expect(screen.getByRole('link', { name: 'Back to Integrations' })).toHaveAttribute('href', '/integrations');
+  });
+
+  it('should show why the exchange failed', async () => {
+    oauthService.completeAuthorization.mockRejectedValue({ response: { data: { message: 'invalid_grant' } } });
+
+    renderCallback('/oauth/callback?code=abc&state=xyz');
+
+    await waitFor(() => {
+      expect(screen.getByText('Could not connect: invalid_grant')).toBeInTheDocument();
+    });
+  });
+});
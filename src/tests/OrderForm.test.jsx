@@ -4,14 +4,52 @@ import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import OrderForm from '../components/OrderForm';
 import integrationService from '../services/integrationService';
+import menuService from '../services/menuService';
+import settingsService from '../services/settingsService';
+import orderOutbox, { LOYALTY_ENDPOINT } from '../services/orderOutbox';
+import customerService from '../services/customerService';
+import loyaltyService from '../services/loyaltyService';
+import paymentService from '../services/paymentService';
 
 // Mock the integration service
 vi.mock('../services/integrationService', () => ({
   default: {
+    getConnections: vi.fn(),
     send: vi.fn()
   }
 }));
 
+// Mock the customer service
+vi.mock('../services/customerService', () => ({
+  default: {
+    lookupCustomers: vi.fn(),
+    saveCustomer: vi.fn()
+  }
+}));
+
+// Mock the loyalty service
+vi.mock('../services/loyaltyService', () => ({
+  default: {
+    getProgram: vi.fn(),
+    getLedger: vi.fn(),
+    recordOrder: vi.fn()
+  }
+}));
+
+// Mock the payment service
+vi.mock('../services/paymentService', () => ({
+  default: {
+    recordPayment: vi.fn()
+  }
+}));
+
+// Mock the menu service
+vi.mock('../services/menuService', () => ({
+  default: {
+    getMenu: vi.fn()
+  }
+}));
+
 describe('OrderForm', () => {
   // Mock data for tests
   const mockOrderResponse = {
@@ -20,17 +58,61 @@ describe('OrderForm', () => {
     receiptUrl: 'https://receipt.example.com/order_123'
   };
 
+  const mockMenu = {
+    items: [
+      { id: 'pepperoni', name: 'Pepperoni Pizza', category: 'pizza', prices: { small: 10.99, large: 16.99 }, includedToppings: ['pepperoni'], customizable: true, active: true },
+      { id: 'soda', name: 'Soda', category: 'drink', price: 2.5, customizable: false, active: true },
+      { id: 'calzone', name: 'Calzone', category: 'pizza', price: 12, customizable: false, active: false }
+    ],
+    sizes: [
+      { id: 'small', name: 'Small', toppingMultiplier: 1 },
+      { id: 'large', name: 'Large', toppingMultiplier: 1.5 }
+    ],
+    crusts: [
+      { id: 'hand-tossed', name: 'Hand Tossed', upcharge: 0 },
+      { id: 'stuffed', name: 'Stuffed', upcharge: 2 }
+    ],
+    toppings: [
+      { id: 'pepperoni', name: 'Pepperoni', price: 1.5 },
+      { id: 'mushrooms', name: 'Mushrooms', price: 1 }
+    ]
+  };
+
+  const mockProgram = {
+    enabled: true,
+    pointsPerDollar: 1,
+    minimumOrder: 0,
+    rewards: [
+      { id: 'free-large-pizza', name: 'Free large pizza', points: 100, type: 'free_item', category: 'pizza', sizeId: 'large' },
+      { id: 'five-off', name: '$5 off', points: 300, type: 'fixed', value: 5 }
+    ]
+  };
+
   // Reset mocks before each test
   beforeEach(() => {
     vi.resetAllMocks();
     
     // Default mock implementation
+    integrationService.getConnections.mockResolvedValue([{ id: 'conn_1', system: 'square', status: 'active' }]);
     integrationService.send.mockResolvedValue(mockOrderResponse);
+    menuService.getMenu.mockResolvedValue(mockMenu);
+    customerService.lookupCustomers.mockResolvedValue([]);
+    customerService.saveCustomer.mockResolvedValue(null);
+    loyaltyService.getProgram.mockResolvedValue(mockProgram);
+    loyaltyService.getLedger.mockResolvedValue([]);
+    loyaltyService.recordOrder.mockResolvedValue([]);
+    settingsService.resetSettings();
+    localStorage.clear();
   });
 
-  it('should render the order form', () => {
+  it('should render the order form', async () => {
     render(<OrderForm />);
     
+    // Wait for the menu to load
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+    });
+    
     // Check if form sections are rendered
     expect(screen.getByText('Create New Order')).toBeInTheDocument();
     expect(screen.getByText('Customer Information')).toBeInTheDocument();
@@ -43,11 +125,14 @@ describe('OrderForm', () => {
     expect(screen.getByLabelText(/Phone:/i)).toBeInTheDocument();
     expect(screen.getByLabelText(/Item:/i)).toBeInTheDocument();
     expect(screen.getByLabelText(/Qty:/i)).toBeInTheDocument();
-    expect(screen.getByLabelText(/Price:/i)).toBeInTheDocument();
+    expect(screen.queryByLabelText(/Price:/i)).not.toBeInTheDocument();
     expect(screen.getByLabelText(/Delivery Address:/i)).toBeInTheDocument();
     expect(screen.getByLabelText(/Order Notes:/i)).toBeInTheDocument();
     expect(screen.getByLabelText(/Payment Method:/i)).toBeInTheDocument();
     
+    // Unavailable items are not offered
+    expect(screen.queryByRole('option', { name: 'Calzone' })).not.toBeInTheDocument();
+    
     // Check if buttons are rendered
     expect(screen.getByRole('button', { name: /Add Item/i })).toBeInTheDocument();
     expect(screen.getByRole('button', { name: /Submit Order/i })).toBeInTheDocument();
@@ -85,19 +170,550 @@ describe('OrderForm', () => {
     const user = userEvent.setup();
     render(<OrderForm />);
     
-    // Fill in item details
-    const itemNameInput = screen.getByLabelText(/Item:/i);
-    const quantityInput = screen.getByLabelText(/Qty:/i);
-    const priceInput = screen.getByLabelText(/Price:/i);
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+    });
     
-    await user.type(itemNameInput, 'Pizza');
+    // Pick an item; the first size and crust are selected by default
+    await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+    expect(screen.getByLabelText(/Size:/i)).toHaveValue('small');
+    
+    const quantityInput = screen.getByLabelText(/Qty:/i);
     await user.clear(quantityInput);
     await user.type(quantityInput, '2');
-    await user.clear(priceInput);
-    await user.type(priceInput, '10.99');
     
     // Check if total is calculated correctly
     const totalElement = screen.getByText(/Total:/i);
     expect(totalElement.textContent).toContain('21.98');
   });
+
+  it('should price sizes, crusts and extra toppings from the menu', async () => {
+    const user = userEvent.setup();
+    render(<OrderForm />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+    });
+    
+    await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+    await user.selectOptions(screen.getByLabelText(/Size:/i), 'large');
+    await user.selectOptions(screen.getByLabelText(/Crust:/i), 'stuffed');
+    
+    // Included toppings are checked and cannot be charged again
+    expect(screen.getByRole('checkbox', { name: /Pepperoni/i })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: /Pepperoni/i })).toBeDisabled();
+    await user.click(screen.getByRole('checkbox', { name: /Mushrooms/i }));
+    
+    // 16.99 large + 2.00 stuffed crust + 1.00 mushrooms × 1.5 large multiplier
+    expect(screen.getByLabelText('Line 1 price')).toHaveTextContent('$20.49');
+    expect(screen.getByText(/Total:/i).textContent).toContain('20.49');
+  });
+
+  it('should send catalog items with computed prices', async () => {
+    const user = userEvent.setup();
+    render(<OrderForm />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Soda' })).toBeInTheDocument();
+    });
+    
+    await user.type(screen.getByLabelText(/Name:/i), 'Jane Doe');
+    await user.selectOptions(screen.getByLabelText(/Item:/i), 'soda');
+    
+    // Flat-priced items have no size or crust choices
+    expect(screen.queryByLabelText(/Size:/i)).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/Crust:/i)).not.toBeInTheDocument();
+    
+    await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+    
+    await waitFor(() => {
+      expect(screen.getByText('Order Successfully Processed!')).toBeInTheDocument();
+    });
+    expect(integrationService.send).toHaveBeenCalledWith('square', 'orders/create', expect.objectContaining({
+      customerName: 'Jane Doe',
+      items: [expect.objectContaining({ itemId: 'soda', name: 'Soda', quantity: 1, price: 2.5 })]
+    }), { idempotencyKey: expect.any(String) });
+  });
+
+  it('should apply discounts, coupons and tips and send the breakdown', async () => {
+    const user = userEvent.setup();
+    settingsService.setStoreSettings({
+      ...settingsService.getSettings(),
+      taxRates: [{ name: 'Sales Tax', rate: 10 }],
+      coupons: [{ code: 'SAVE2', type: 'fixed', value: 2, minimumSubtotal: 10 }]
+    });
+    render(<OrderForm />);
+    
+    await waitFor(() => {
+      expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+    });
+    
+    await user.type(screen.getByLabelText(/Name:/i), 'Jane Doe');
+    await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+    await user.selectOptions(screen.getByLabelText(/Size:/i), 'large');
+    
+    // 10% off 16.99 = 1.70
+    await user.clear(screen.getByLabelText(/^Discount:/i));
+    await user.type(screen.getByLabelText(/^Discount:/i), '10');
+    expect(screen.getByText('Discount (10%)')).toBeInTheDocument();
+    
+    await user.type(screen.getByLabelText(/Coupon Code:/i), 'save2');
+    await user.click(screen.getByRole('button', { name: 'Apply' }));
+    expect(screen.getByText('Coupon SAVE2 applied')).toBeInTheDocument();
+    
+    await user.click(screen.getByRole('button', { name: '15%' }));
+    
+    // 16.99 - 1.70 - 2.00 = 13.29; tax 1.33; tip 15% of 13.29 = 1.99
+    expect(screen.getByText(/Total:/i).textContent).toContain('16.61');
+    
+    await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+    
+    await waitFor(() => {
+      expect(integrationService.send).toHaveBeenCalled();
+    });
+    const payload = integrationService.send.mock.calls[0][2];
+    expect(payload.couponCode).toBe('SAVE2');
+    expect(payload.total).toBe(16.61);
+    expect(payload.totals).toMatchObject({
+      subtotalCents: 1699,
+      discountCents: 370,
+      taxCents: 133,
+      tipCents: 199,
+      deliveryFeeCents: 0,
+      totalCents: 1661
+    });
+  });
+
+  it('should reject unknown coupon codes', async () => {
+    const user = userEvent.setup();
+    render(<OrderForm />);
+    
+    await user.type(screen.getByLabelText(/Coupon Code:/i), 'FREEPIZZA');
+    await user.click(screen.getByRole('button', { name: 'Apply' }));
+    
+    expect(screen.getByText('Coupon code not found')).toBeInTheDocument();
+  });
+
+  it('should show validation errors next to their fields', async () => {
+    const user = userEvent.setup();
+    render(<OrderForm />);
+    
+    await screen.findByRole('option', { name: 'Soda' });
+    await user.type(screen.getByLabelText(/Email:/i), 'jane@');
+    await user.type(screen.getByLabelText(/Phone:/i), '555-12');
+    await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+    
+    expect(screen.getByText('Please fix the highlighted fields.')).toBeInTheDocument();
+    expect(screen.getByText('Customer name is required')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Email:/i)).toHaveAccessibleDescription('Enter a valid email address');
+    expect(screen.getByLabelText(/Phone:/i)).toHaveAccessibleDescription('Enter a valid phone number');
+    expect(screen.getByText('Choose a menu item')).toBeInTheDocument();
+    expect(integrationService.send).not.toHaveBeenCalled();
+    
+    // Fixing a field clears its error
+    await user.type(screen.getByLabelText(/Name:/i), 'Jane Doe');
+    expect(screen.queryByText('Customer name is required')).not.toBeInTheDocument();
+  });
+
+  describe('offline queue', () => {
+    /**
+     * Fills in a one-line order and submits it
+     *
+     * @param {Object} user - userEvent instance
+     */
+    const submitOrder = async (user) => {
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Soda' })).toBeInTheDocument();
+      });
+      await user.type(screen.getByLabelText(/Name:/i), 'Jane Doe');
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'soda');
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+    };
+
+    it('should save the order to the outbox when the network is down', async () => {
+      const user = userEvent.setup();
+      integrationService.send.mockRejectedValue(new Error('Network Error'));
+      render(<OrderForm />);
+
+      await submitOrder(user);
+
+      expect(await screen.findByText(/saved offline/i)).toBeInTheDocument();
+      expect(screen.getByLabelText(/Name:/i)).toHaveValue('');
+
+      const entries = await orderOutbox.getEntries();
+      expect(entries).toHaveLength(1);
+      expect(entries[0]).toMatchObject({
+        id: integrationService.send.mock.calls[0][3].idempotencyKey,
+        system: null,
+        endpoint: 'orders/create',
+        data: expect.objectContaining({ customerName: 'Jane Doe' }),
+        status: 'pending'
+      });
+    });
+
+    it('should reuse the idempotency key when resubmitting after a server error', async () => {
+      const user = userEvent.setup();
+      integrationService.send
+        .mockRejectedValueOnce({ response: { status: 500, data: { message: 'Square timed out' } } })
+        .mockResolvedValueOnce(mockOrderResponse);
+      render(<OrderForm />);
+
+      await submitOrder(user);
+      expect(await screen.findByText('Square timed out')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+      await waitFor(() => {
+        expect(screen.getByText('Order Successfully Processed!')).toBeInTheDocument();
+      });
+
+      const [first, second] = integrationService.send.mock.calls;
+      expect(second[3].idempotencyKey).toBe(first[3].idempotencyKey);
+      expect(await orderOutbox.getEntries()).toEqual([]);
+    });
+
+    it('should use a new idempotency key after the order is rejected', async () => {
+      const user = userEvent.setup();
+      integrationService.send
+        .mockRejectedValueOnce({ response: { status: 422, data: { message: 'Item unavailable' } } })
+        .mockResolvedValueOnce(mockOrderResponse);
+      render(<OrderForm />);
+
+      await submitOrder(user);
+      expect(await screen.findByText('Item unavailable')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+      await waitFor(() => {
+        expect(integrationService.send).toHaveBeenCalledTimes(2);
+      });
+
+      const [first, second] = integrationService.send.mock.calls;
+      expect(second[3].idempotencyKey).not.toBe(first[3].idempotencyKey);
+    });
+  });
+
+  describe('order routing', () => {
+    /**
+     * Fills in the minimum order and submits it
+     *
+     * @param {Object} user - userEvent instance
+     */
+    const submitOrder = async (user) => {
+      await user.type(screen.getByLabelText(/Name:/i), 'Jane Doe');
+      await user.selectOptions(screen.getByLabelText(/Item:/i), await screen.findByRole('option', { name: 'Soda' }));
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+    };
+
+    beforeEach(() => {
+      settingsService.setStoreSettings({
+        ...settingsService.getSettings(),
+        orderRouting: { locationId: '', primary: 'square', fallback: 'clover', locations: [] }
+      });
+    });
+
+    it('should send the order to the fallback while the primary is unreachable', async () => {
+      const user = userEvent.setup();
+      integrationService.getConnections.mockResolvedValue([
+        { id: 'conn_1', system: 'square', status: 'active' },
+        { id: 'conn_2', system: 'clover', status: 'active' }
+      ]);
+      integrationService.send
+        .mockRejectedValueOnce({ response: { status: 503, data: { message: 'Square unavailable' } } })
+        .mockResolvedValueOnce(mockOrderResponse);
+      render(<OrderForm />);
+
+      await submitOrder(user);
+
+      expect(await screen.findByText('Order Successfully Processed!')).toBeInTheDocument();
+      expect(screen.getByText(/Sent to: clover \(fallback/i)).toBeInTheDocument();
+      const [first, second] = integrationService.send.mock.calls;
+      expect(second[0]).toBe('clover');
+      expect(second[2]).toMatchObject({ customerName: 'Jane Doe' });
+      expect(second[3].idempotencyKey).toBe(first[3].idempotencyKey);
+    });
+
+    it('should show an error when no connection can take the order', async () => {
+      const user = userEvent.setup();
+      integrationService.getConnections.mockResolvedValue([
+        { id: 'conn_1', system: 'square', status: 'error' }
+      ]);
+      render(<OrderForm />);
+
+      await submitOrder(user);
+
+      expect(await screen.findByText(/No active connection can take orders \(square or clover\)/i)).toBeInTheDocument();
+      expect(integrationService.send).not.toHaveBeenCalled();
+      expect(await orderOutbox.getEntries()).toEqual([]);
+    });
+  });
+
+  describe('customer lookup', () => {
+    const returningCustomer = {
+      id: 'cus_1',
+      name: 'Jane Doe',
+      phone: '5551234567',
+      email: 'jane@example.com',
+      addresses: ['12 Oak St', '9 Elm Ave'],
+      orderCount: 12
+    };
+
+    it('should fill in a returning customer found by phone number', async () => {
+      const user = userEvent.setup();
+      customerService.lookupCustomers.mockResolvedValue([returningCustomer]);
+      render(<OrderForm />);
+
+      await user.type(screen.getByLabelText(/Phone:/i), '(555) 123-4567');
+      await user.tab();
+
+      expect(await screen.findByText(/Returning customer: Jane Doe · 12 orders/)).toBeInTheDocument();
+      expect(customerService.lookupCustomers).toHaveBeenCalledWith({ phone: '(555) 123-4567' });
+      expect(screen.getByLabelText(/Name:/i)).toHaveValue('Jane Doe');
+      expect(screen.getByLabelText(/Email:/i)).toHaveValue('jane@example.com');
+      expect(screen.getByLabelText(/Delivery Address:/i)).toHaveValue('12 Oak St');
+
+      await user.selectOptions(screen.getByLabelText('Saved addresses'), '9 Elm Ave');
+      expect(screen.getByLabelText(/Delivery Address:/i)).toHaveValue('9 Elm Ave');
+    });
+
+    it('should keep what the cashier typed and skip short numbers', async () => {
+      const user = userEvent.setup();
+      customerService.lookupCustomers.mockResolvedValue([returningCustomer]);
+      render(<OrderForm />);
+
+      await user.type(screen.getByLabelText(/Phone:/i), '555-1234');
+      await user.tab();
+      expect(customerService.lookupCustomers).not.toHaveBeenCalled();
+
+      await user.type(screen.getByLabelText(/Name:/i), 'Janie');
+      await user.type(screen.getByLabelText(/Phone:/i), '567');
+      await user.tab();
+
+      expect(await screen.findByText(/Returning customer/)).toBeInTheDocument();
+      expect(screen.getByLabelText(/Name:/i)).toHaveValue('Janie');
+    });
+
+    it('should link the order to the customer and save their details', async () => {
+      const user = userEvent.setup();
+      customerService.lookupCustomers.mockResolvedValue([returningCustomer]);
+      render(<OrderForm />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Soda' })).toBeInTheDocument();
+      });
+      await user.type(screen.getByLabelText(/Phone:/i), '5551234567');
+      await user.tab();
+      await screen.findByText(/Returning customer/);
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'soda');
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Order Successfully Processed!')).toBeInTheDocument();
+      });
+      expect(integrationService.send.mock.calls[0][2]).toMatchObject({ customerId: 'cus_1', customerName: 'Jane Doe' });
+      expect(customerService.saveCustomer).toHaveBeenCalledWith({
+        name: 'Jane Doe',
+        phone: '5551234567',
+        email: 'jane@example.com',
+        address: '12 Oak St'
+      });
+    });
+  });
+
+  describe('loyalty', () => {
+    const returningCustomer = { id: 'cus_1', name: 'Jane Doe', phone: '5551234567', email: '', addresses: [] };
+
+    /**
+     * Looks up the returning customer and waits for their points balance
+     *
+     * @param {Object} user - userEvent instance
+     */
+    const lookUpCustomer = async (user) => {
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+      });
+      await user.type(screen.getByLabelText(/Phone:/i), '5551234567');
+      await user.tab();
+      await screen.findByText(/Jane Doe has 120 points/);
+    };
+
+    beforeEach(() => {
+      customerService.lookupCustomers.mockResolvedValue([returningCustomer]);
+      loyaltyService.getLedger.mockResolvedValue([
+        { id: 'le_1', type: 'adjust', points: 100, note: 'Paper card' },
+        { id: 'le_2', type: 'earn', points: 20, orderId: 'ORD-1' }
+      ]);
+    });
+
+    it('should redeem a free item reward as a discount line', async () => {
+      const user = userEvent.setup();
+      render(<OrderForm />);
+
+      await lookUpCustomer(user);
+      expect(loyaltyService.getLedger).toHaveBeenCalledWith('cus_1');
+
+      // Only rewards the balance covers are offered
+      expect(screen.queryByRole('option', { name: /\$5 off/ })).not.toBeInTheDocument();
+
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+      await user.selectOptions(screen.getByLabelText(/Size:/i), 'large');
+      await user.selectOptions(screen.getByLabelText(/Redeem Reward:/i), 'free-large-pizza');
+
+      expect(screen.getByText('Reward: Free large pizza')).toBeInTheDocument();
+      expect(screen.getByText(/Total:/i).textContent).toContain('0.00');
+
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+
+      await waitFor(() => {
+        expect(loyaltyService.recordOrder).toHaveBeenCalled();
+      });
+      const payload = integrationService.send.mock.calls[0][2];
+      expect(payload.totals.discounts).toEqual([
+        expect.objectContaining({ rewardId: 'free-large-pizza', amountCents: 1699 })
+      ]);
+      expect(payload.loyalty).toEqual({ rewardId: 'free-large-pizza', pointsRedeemed: 100, pointsEarned: 0 });
+      expect(loyaltyService.recordOrder).toHaveBeenCalledWith('cus_1', {
+        orderId: 'order_123',
+        idempotencyKey: integrationService.send.mock.calls[0][3].idempotencyKey,
+        pointsEarned: 0,
+        reward: expect.objectContaining({ id: 'free-large-pizza', points: 100 })
+      });
+    });
+
+    it('should warn staff and queue the reward when the points ledger write fails', async () => {
+      const user = userEvent.setup();
+      loyaltyService.recordOrder.mockRejectedValue(new Error('Network Error'));
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      render(<OrderForm />);
+
+      await lookUpCustomer(user);
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+      await user.selectOptions(screen.getByLabelText(/Size:/i), 'large');
+      await user.selectOptions(screen.getByLabelText(/Redeem Reward:/i), 'free-large-pizza');
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+
+      expect(await screen.findByRole('alert')).toHaveTextContent(/reward and points .* could not be saved yet/i);
+      const [entry] = await orderOutbox.getEntries();
+      expect(entry).toMatchObject({
+        endpoint: LOYALTY_ENDPOINT,
+        data: {
+          customerId: 'cus_1',
+          orderId: 'order_123',
+          idempotencyKey: integrationService.send.mock.calls[0][3].idempotencyKey,
+          reward: expect.objectContaining({ id: 'free-large-pizza', points: 100 })
+        }
+      });
+    });
+
+    it('should not submit a reward nothing in the order qualifies for', async () => {
+      const user = userEvent.setup();
+      render(<OrderForm />);
+
+      await lookUpCustomer(user);
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'soda');
+      await user.selectOptions(screen.getByLabelText(/Redeem Reward:/i), 'free-large-pizza');
+
+      expect(screen.getByText('Nothing in this order qualifies for this reward yet.')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+
+      expect(screen.getByText('Nothing in this order qualifies for the Free large pizza reward')).toBeInTheDocument();
+      expect(integrationService.send).not.toHaveBeenCalled();
+    });
+
+    it('should earn points for a new customer once they are saved', async () => {
+      const user = userEvent.setup();
+      customerService.lookupCustomers.mockResolvedValue([]);
+      customerService.saveCustomer.mockResolvedValue({ id: 'cus_9' });
+      render(<OrderForm />);
+
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+      });
+      await user.type(screen.getByLabelText(/Name:/i), 'Sam Lee');
+      await user.type(screen.getByLabelText(/Phone:/i), '5559876543');
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+      await user.selectOptions(screen.getByLabelText(/Size:/i), 'large');
+
+      expect(screen.getByText('This order earns 16 loyalty points.')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+
+      await waitFor(() => {
+        expect(loyaltyService.recordOrder).toHaveBeenCalledWith('cus_9', expect.objectContaining({
+          pointsEarned: 16,
+          reward: undefined
+        }));
+      });
+    });
+  });
+
+  describe('payment step', () => {
+    /**
+     * Fills in and submits a large pepperoni order without tax
+     *
+     * @param {Object} user - userEvent instance
+     * @param {string} [paymentMethod='card'] - Payment method to choose
+     */
+    const submitOrder = async (user, paymentMethod = 'card') => {
+      settingsService.setStoreSettings({ ...settingsService.getSettings(), taxRates: [] });
+      render(<OrderForm />);
+      await waitFor(() => {
+        expect(screen.getByRole('option', { name: 'Pepperoni Pizza' })).toBeInTheDocument();
+      });
+      await user.type(screen.getByLabelText(/Name:/i), 'Jane Doe');
+      await user.selectOptions(screen.getByLabelText(/Item:/i), 'pepperoni');
+      await user.selectOptions(screen.getByLabelText(/Size:/i), 'large');
+      await user.selectOptions(screen.getByLabelText(/Payment Method:/i), paymentMethod);
+      await user.click(screen.getByRole('button', { name: /Submit Order/i }));
+      await screen.findByText('Order Successfully Processed!');
+    };
+
+    it('should split a payment between card and cash and show the change', async () => {
+      const user = userEvent.setup();
+      paymentService.recordPayment.mockResolvedValue({ paymentStatus: 'paid', payments: [] });
+
+      await submitOrder(user);
+
+      expect(screen.getByText('Amount due:').parentElement).toHaveTextContent('$16.99');
+      await user.clear(screen.getByLabelText('Amount:'));
+      await user.type(screen.getByLabelText('Amount:'), '10');
+      expect(screen.getByText('Still due:').parentElement).toHaveTextContent('$6.99');
+
+      await user.click(screen.getByRole('button', { name: /Split Payment/i }));
+      await user.clear(screen.getByLabelText('Cash Received:'));
+      await user.type(screen.getByLabelText('Cash Received:'), '10');
+      expect(screen.getByText('Change due:').parentElement).toHaveTextContent('$3.01');
+
+      await user.click(screen.getByRole('button', { name: /Record Payment/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText('Payment: Paid')).toBeInTheDocument();
+      });
+      expect(screen.getByText('Change due: $3.01')).toBeInTheDocument();
+      expect(paymentService.recordPayment).toHaveBeenCalledWith('order_123', [
+        { method: 'card', amount: 10 },
+        { method: 'cash', amount: 6.99, tendered: 10 }
+      ], expect.any(String));
+    });
+
+    it('should not let a card pay more than is due', async () => {
+      const user = userEvent.setup();
+
+      await submitOrder(user, 'card');
+      await user.clear(screen.getByLabelText('Amount:'));
+      await user.type(screen.getByLabelText('Amount:'), '20');
+      await user.click(screen.getByRole('button', { name: /Record Payment/i }));
+
+      expect(screen.getByText('Only cash can be more than the amount due')).toBeInTheDocument();
+      expect(paymentService.recordPayment).not.toHaveBeenCalled();
+    });
+
+    it('should wait for online payments instead of taking payment', async () => {
+      const user = userEvent.setup();
+
+      await submitOrder(user, 'online');
+
+      expect(screen.getByText(/Waiting for the online payment/i)).toBeInTheDocument();
+      expect(screen.queryByRole('form', { name: 'Take payment' })).not.toBeInTheDocument();
+    });
+  });
 });
@@ -0,0 +1,291 @@
+// src/tests/OrdersPage.test.jsx
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, waitFor, within, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OrdersPage from '../pages/OrdersPage';
+import orderService from '../services/orderService';
+import paymentService from '../services/paymentService';
+import integrationService from '../services/integrationService';
+import { AppProvider } from '../contexts/AppContext';
+import { canTransition, getNextStatuses } from '../utils/orderStatus';
+
+// Mock the order service
+vi.mock('../services/orderService', () => ({
+  default: {
+    getOrders: vi.fn(),
+    getOrder: vi.fn(),
+    updateOrderStatus: vi.fn()
+  }
+}));
+
+// Mock the payment service
+vi.mock('../services/paymentService', () => ({
+  default: {
+    getPayments: vi.fn(),
+    recordPayment: vi.fn(),
+    refundPayment: vi.fn()
+  }
+}));
+
+// Mock the integration service used for live webhook updates
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getWebhooks: vi.fn()
+  }
+}));
+
+// Mock the OrderForm component
+vi.mock('../components/OrderForm', () => ({
+  default: () => <div data-testid="order-form">Order Form</div>
+}));
+
+describe('OrdersPage', () => {
+  // Mock data for tests
+  const mockOrders = [
+    {
+      id: 'ORD-7845',
+      customerName: 'John Smith',
+      customerPhone: '(555) 123-4567',
+      items: [{ name: 'Pepperoni Pizza', quantity: 2, price: 15.99 }],
+      total: 31.98,
+      status: 'new',
+      paymentMethod: 'card',
+      deliveryAddress: '123 Main St',
+      createdAt: '2025-04-29T10:30:00Z'
+    },
+    {
+      id: 'ORD-7846',
+      customerName: 'Sarah Johnson',
+      customerPhone: '(555) 234-5678',
+      items: [{ name: 'Veggie Supreme', quantity: 1, price: 12.99 }],
+      total: 12.99,
+      status: 'delivered',
+      paymentMethod: 'cash',
+      paymentStatus: 'paid',
+      createdAt: '2025-04-29T11:45:00Z'
+    }
+  ];
+
+  const renderPage = () => render(
+    <AppProvider>
+      <OrdersPage />
+    </AppProvider>
+  );
+
+  // Reset mocks before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+
+    // Default mock implementations
+    orderService.getOrders.mockResolvedValue(mockOrders);
+    orderService.updateOrderStatus.mockResolvedValue({ status: 'preparing' });
+    paymentService.getPayments.mockResolvedValue({ paymentStatus: 'unpaid', payments: [] });
+    integrationService.getWebhooks.mockResolvedValue([]);
+
+    // Mock window.confirm
+    vi.spyOn(window, 'confirm').mockImplementation(() => true);
+  });
+
+  it('should render the order list', async () => {
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('ORD-7845')).toBeInTheDocument();
+    });
+
+    expect(screen.getByText('Sarah Johnson')).toBeInTheDocument();
+    expect(screen.getByText('$31.98')).toBeInTheDocument();
+    expect(orderService.getOrders).toHaveBeenCalledWith({});
+  });
+
+  it('should pass status and date filters to the order service', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('ORD-7845')).toBeInTheDocument();
+    });
+
+    await user.selectOptions(screen.getByLabelText(/Status:/i), 'preparing');
+    await waitFor(() => {
+      expect(orderService.getOrders).toHaveBeenLastCalledWith({ status: 'preparing' });
+    });
+  });
+
+  it('should filter the loaded orders by search term', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('ORD-7845')).toBeInTheDocument();
+    });
+
+    await user.type(screen.getByLabelText(/Search:/i), 'sarah');
+
+    expect(screen.queryByText('ORD-7845')).not.toBeInTheDocument();
+    expect(screen.getByText('ORD-7846')).toBeInTheDocument();
+  });
+
+  it('should open the detail drawer and advance the order status', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('ORD-7845')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('John Smith'));
+
+    const drawer = screen.getByRole('dialog', { name: /Order ORD-7845/i });
+    expect(within(drawer).getByText('Deliver to:')).toBeInTheDocument();
+
+    await user.click(within(drawer).getByRole('button', { name: /Mark Preparing/i }));
+
+    expect(orderService.updateOrderStatus).toHaveBeenCalledWith('ORD-7845', 'preparing');
+    await waitFor(() => {
+      expect(screen.getByText(/Order ORD-7845 marked Preparing/i)).toBeInTheDocument();
+    });
+  });
+
+  it('should not offer status actions for closed orders', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await waitFor(() => {
+      expect(screen.getByText('ORD-7846')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('Sarah Johnson'));
+
+    const drawer = screen.getByRole('dialog', { name: /Order ORD-7846/i });
+    expect(within(drawer).queryByRole('button', { name: /Mark/i })).not.toBeInTheDocument();
+    expect(within(drawer).queryByRole('button', { name: /Cancel Order/i })).not.toBeInTheDocument();
+  });
+
+  it('should refund part of a payment', async () => {
+    const user = userEvent.setup();
+    paymentService.getPayments.mockResolvedValue({
+      paymentStatus: 'paid',
+      payments: [{ id: 'pay_1', method: 'cash', amount: 12.99, refundedAmount: 0, createdAt: '2025-04-29T11:50:00Z' }]
+    });
+    paymentService.refundPayment.mockResolvedValue({
+      paymentStatus: 'partially-refunded',
+      payments: [{ id: 'pay_1', method: 'cash', amount: 12.99, refundedAmount: 4, createdAt: '2025-04-29T11:50:00Z' }]
+    });
+    renderPage();
+
+    await user.click(await screen.findByText('Sarah Johnson'));
+
+    const drawer = screen.getByRole('dialog', { name: /Order ORD-7846/i });
+    const refundForm = await within(drawer).findByRole('form', { name: 'Refund' });
+    expect(within(drawer).queryByRole('form', { name: 'Take payment' })).not.toBeInTheDocument();
+
+    await user.selectOptions(within(refundForm).getByLabelText(/Payment:/i), 'pay_1');
+    expect(within(refundForm).getByLabelText(/Amount:/i)).toHaveValue(12.99);
+
+    await user.clear(within(refundForm).getByLabelText(/Amount:/i));
+    await user.type(within(refundForm).getByLabelText(/Amount:/i), '20');
+    await user.click(within(refundForm).getByRole('button', { name: 'Refund' }));
+    expect(within(refundForm).getByText('At most $12.99 of this payment can be refunded')).toBeInTheDocument();
+
+    await user.clear(within(refundForm).getByLabelText(/Amount:/i));
+    await user.type(within(refundForm).getByLabelText(/Amount:/i), '4');
+    await user.type(within(refundForm).getByLabelText(/Reason:/i), 'Missing drink');
+    await user.click(within(refundForm).getByRole('button', { name: 'Refund' }));
+
+    expect(window.confirm).toHaveBeenCalledWith('Refund $4.00 to the customer?');
+    expect(paymentService.refundPayment).toHaveBeenCalledWith(
+      'ORD-7846',
+      { paymentId: 'pay_1', amount: 4, reason: 'Missing drink' },
+      expect.any(String)
+    );
+    await waitFor(() => {
+      expect(within(screen.getByText('ORD-7846').closest('tr')).getByText('Partially Refunded')).toBeInTheDocument();
+    });
+  });
+
+  it('should take payment for an unpaid order from the drawer', async () => {
+    const user = userEvent.setup();
+    const paidState = {
+      paymentStatus: 'paid',
+      payments: [{ id: 'pay_2', method: 'card', amount: 31.98, refundedAmount: 0 }]
+    };
+    paymentService.getPayments
+      .mockResolvedValueOnce({ paymentStatus: 'unpaid', payments: [] })
+      .mockResolvedValue(paidState);
+    paymentService.recordPayment.mockResolvedValue(paidState);
+    renderPage();
+
+    await user.click(await screen.findByText('John Smith'));
+
+    const drawer = screen.getByRole('dialog', { name: /Order ORD-7845/i });
+    const paymentForm = await within(drawer).findByRole('form', { name: 'Take payment' });
+    await user.click(within(paymentForm).getByRole('button', { name: /Record Payment/i }));
+
+    expect(paymentService.recordPayment).toHaveBeenCalledWith(
+      'ORD-7845',
+      [{ method: 'card', amount: 31.98 }],
+      expect.any(String)
+    );
+    await waitFor(() => {
+      expect(within(drawer).getByRole('form', { name: 'Refund' })).toBeInTheDocument();
+    });
+    expect(within(drawer).queryByRole('form', { name: 'Take payment' })).not.toBeInTheDocument();
+    expect(within(screen.getByText('ORD-7845').closest('tr')).getByText('Paid')).toBeInTheDocument();
+  });
+
+  describe('live payments', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ shouldAdvanceTime: true });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should update the payment status from payment.received webhooks', async () => {
+      integrationService.getWebhooks
+        .mockResolvedValueOnce([])
+        .mockResolvedValue([
+          { id: 'evt_1', type: 'payment.received', payload: { orderId: 'ORD-7845', amount: 31.98 } }
+        ]);
+      orderService.getOrder.mockResolvedValue({ ...mockOrders[0], paymentStatus: 'paid' });
+
+      renderPage();
+
+      await waitFor(() => {
+        expect(screen.getByText('ORD-7845')).toBeInTheDocument();
+      });
+      const row = screen.getByText('ORD-7845').closest('tr');
+      expect(within(row).getByText('Unpaid')).toBeInTheDocument();
+
+      await act(async () => {
+        vi.advanceTimersByTime(15000);
+      });
+
+      await waitFor(() => {
+        expect(within(row).getByText('Paid')).toBeInTheDocument();
+      });
+      expect(orderService.getOrder).toHaveBeenCalledWith('ORD-7845');
+    });
+  });
+
+  it('should show the order form on the New Order tab', async () => {
+    const user = userEvent.setup();
+    renderPage();
+
+    await user.click(screen.getByRole('tab', { name: /New Order/i }));
+
+    expect(screen.getByTestId('order-form')).toBeInTheDocument();
+  });
+});
+
+describe('orderStatus', () => {
+  it('should follow the fulfilment workflow', () => {
+    expect(getNextStatuses('new')).toEqual(['preparing', 'canceled']);
+    expect(canTransition('ready', 'in-delivery')).toBe(true);
+    expect(canTransition('in-delivery', 'delivered')).toBe(true);
+    expect(canTransition('delivered', 'canceled')).toBe(false);
+    expect(canTransition('new', 'delivered')).toBe(false);
+  });
+});
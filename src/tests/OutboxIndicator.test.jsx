@@ -0,0 +1,87 @@
+// src/tests/OutboxIndicator.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, act } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OutboxIndicator from '../components/OutboxIndicator';
+import integrationService from '../services/integrationService';
+import orderOutbox from '../services/orderOutbox';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    send: vi.fn()
+  }
+}));
+
+describe('OutboxIndicator', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    localStorage.clear();
+  });
+
+  it('should render nothing while the outbox is empty', () => {
+    const { container } = render(<OutboxIndicator />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('should send queued orders when the connection returns', async () => {
+    integrationService.send.mockRejectedValue(new Error('Network Error'));
+    await orderOutbox.enqueue({
+      system: 'square',
+      endpoint: 'orders/create',
+      data: { customerName: 'Jane Doe', total: 12.5 },
+      idempotencyKey: 'key_1'
+    });
+
+    render(<OutboxIndicator />);
+
+    expect(await screen.findByRole('button', { name: 'Order outbox: 1 queued' })).toBeInTheDocument();
+    await waitFor(() => {
+      expect(integrationService.send).toHaveBeenCalledTimes(1);
+    });
+
+    integrationService.send.mockResolvedValue({ orderId: 'order_1' });
+    await act(async () => {
+      window.dispatchEvent(new Event('online'));
+    });
+
+    await waitFor(() => {
+      expect(screen.queryByRole('button', { name: /Order outbox/i })).not.toBeInTheDocument();
+    });
+    expect(integrationService.send).toHaveBeenLastCalledWith(
+      'square',
+      'orders/create',
+      { customerName: 'Jane Doe', total: 12.5 },
+      { idempotencyKey: 'key_1' }
+    );
+  });
+
+  it('should let rejected orders be retried or discarded', async () => {
+    const user = userEvent.setup();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    integrationService.send.mockRejectedValue({ response: { status: 422, data: { message: 'Item unavailable' } } });
+    await orderOutbox.enqueue({
+      system: 'square',
+      endpoint: 'orders/create',
+      data: { customerName: 'Jane Doe', total: 12.5 },
+      idempotencyKey: 'key_1'
+    });
+
+    render(<OutboxIndicator />);
+
+    await user.click(await screen.findByRole('button', { name: 'Order outbox: 1 failed' }));
+
+    const panel = screen.getByRole('dialog', { name: 'Order outbox' });
+    expect(panel).toHaveTextContent('Jane Doe');
+    expect(panel).toHaveTextContent('Item unavailable');
+
+    await user.click(screen.getByRole('button', { name: 'Discard' }));
+
+    expect(window.confirm).toHaveBeenCalledWith('Discard the order for Jane Doe? It will not be sent.');
+    await waitFor(() => {
+      expect(screen.queryByRole('dialog', { name: 'Order outbox' })).not.toBeInTheDocument();
+    });
+    expect(await orderOutbox.getEntries()).toEqual([]);
+  });
+});
@@ -0,0 +1,232 @@
+// src/tests/SettingsPage.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import userEvent from '@testing-library/user-event';
+import SettingsPage from '../pages/SettingsPage';
+import OrderForm from '../components/OrderForm';
+import settingsService, { SETTINGS_STORAGE_KEY } from '../services/settingsService';
+import integrationService from '../services/integrationService';
+import menuService from '../services/menuService';
+import { AppProvider } from '../contexts/AppContext';
+
+// Mock axios for the settings API, the integration service (routing adapters) and the menu service used by OrderForm
+vi.mock('axios');
+
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getAdapters: vi.fn(),
+    getConnections: vi.fn(),
+    send: vi.fn()
+  }
+}));
+
+vi.mock('../services/menuService', () => ({
+  default: {
+    getMenu: vi.fn()
+  }
+}));
+
+describe('SettingsPage', () => {
+  // Store settings held by the backend
+  let storedSettings;
+
+  // Renders the page and waits for the store settings to load
+  const renderPage = async () => {
+    render(
+      <AppProvider>
+        <SettingsPage />
+      </AppProvider>
+    );
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /Restore Defaults/i })).toBeEnabled();
+    });
+  };
+
+  // Start every test from the default settings
+  beforeEach(() => {
+    vi.resetAllMocks();
+    settingsService.resetSettings();
+    storedSettings = {};
+    axios.get.mockImplementation(async (url) => {
+      if (url.endsWith('/settings')) return { data: storedSettings };
+      throw new Error('Network error');
+    });
+    axios.put.mockImplementation(async (url, data) => ({ data }));
+    integrationService.getAdapters.mockResolvedValue([
+      { id: 'square', name: 'Square POS' },
+      { id: 'clover', name: 'Clover POS' }
+    ]);
+  });
+
+  it('should render the store settings from the backend', async () => {
+    storedSettings = {
+      storeName: 'Downtown Slice',
+      taxRates: [{ name: 'State Tax', rate: 6 }]
+    };
+
+    await renderPage();
+
+    expect(screen.getByLabelText(/Store Name:/i)).toHaveValue('Downtown Slice');
+    expect(screen.getByLabelText(/Tax Name:/i)).toHaveValue('State Tax');
+    expect(screen.getByLabelText(/Rate \(%\):/i)).toHaveValue(6);
+    expect(screen.getByLabelText(/API Base URL:/i)).toHaveValue('/api');
+  });
+
+  it('should save edited settings', async () => {
+    const user = userEvent.setup();
+    await renderPage();
+
+    await user.clear(screen.getByLabelText(/Store Name:/i));
+    await user.type(screen.getByLabelText(/Store Name:/i), 'Uptown Pies');
+    await user.selectOptions(screen.getByLabelText(/Timezone:/i), 'America/Chicago');
+    await user.click(screen.getByRole('button', { name: /Add Tax Rate/i }));
+    await user.type(screen.getByLabelText(/Tax Name:/i), 'Sales Tax');
+    await user.clear(screen.getByLabelText(/Rate \(%\):/i));
+    await user.type(screen.getByLabelText(/Rate \(%\):/i), '8.25');
+    await user.clear(screen.getByLabelText(/Delivery Fee:/i));
+    await user.type(screen.getByLabelText(/Delivery Fee:/i), '4');
+    await user.clear(screen.getByLabelText(/API Base URL:/i));
+    await user.type(screen.getByLabelText(/API Base URL:/i), 'https://ops.example.com/api');
+    await user.click(screen.getByRole('button', { name: /Save Settings/i }));
+
+    expect(await screen.findByText('Settings saved')).toBeInTheDocument();
+    expect(axios.put).toHaveBeenCalledWith('https://ops.example.com/api/settings', expect.objectContaining({
+      storeName: 'Uptown Pies',
+      taxRates: [{ name: 'Sales Tax', rate: 8.25 }]
+    }));
+    expect(settingsService.getSettings()).toMatchObject({
+      storeName: 'Uptown Pies',
+      timezone: 'America/Chicago',
+      taxRates: [{ name: 'Sales Tax', rate: 8.25 }],
+      delivery: { fee: 4 },
+      apiBaseUrl: 'https://ops.example.com/api'
+    });
+  });
+
+  it('should reject an invalid API base URL', async () => {
+    const user = userEvent.setup();
+    await renderPage();
+
+    await user.clear(screen.getByLabelText(/API Base URL:/i));
+    await user.type(screen.getByLabelText(/API Base URL:/i), 'ops.example.com');
+    await user.click(screen.getByRole('button', { name: /Save Settings/i }));
+
+    expect(screen.getByText(/API base URL must start with/i)).toBeInTheDocument();
+    expect(settingsService.getSettings().apiBaseUrl).toBe('/api');
+  });
+
+  it('should save coupons with upper-case codes', async () => {
+    const user = userEvent.setup();
+    await renderPage();
+
+    await user.click(screen.getByRole('button', { name: /Add Coupon/i }));
+    await user.type(screen.getByLabelText(/^Code:/i), 'lunch5');
+    await user.selectOptions(screen.getByLabelText(/^Type:/i), 'fixed');
+    await user.clear(screen.getByLabelText(/^Value:/i));
+    await user.type(screen.getByLabelText(/^Value:/i), '5');
+    await user.click(screen.getByRole('button', { name: /Save Settings/i }));
+
+    expect(await screen.findByText('Settings saved')).toBeInTheDocument();
+    expect(settingsService.getSettings().coupons).toEqual([
+      { code: 'LUNCH5', type: 'fixed', value: 5, minimumSubtotal: 0 }
+    ]);
+  });
+
+  it('should save order routing for each location', async () => {
+    const user = userEvent.setup();
+    await renderPage();
+
+    await screen.findAllByRole('option', { name: 'Clover POS' });
+    await user.selectOptions(screen.getByLabelText(/Fallback System:/i), 'clover');
+    await user.click(screen.getByRole('button', { name: /Add Location/i }));
+    await user.type(screen.getByLabelText(/^Location:/i), 'Downtown');
+    await user.selectOptions(screen.getByLabelText(/^Primary:/i), 'clover');
+    await user.selectOptions(screen.getByLabelText(/This Location:/i), 'Downtown');
+    await user.click(screen.getByRole('button', { name: /Save Settings/i }));
+
+    // Downtown sends to Clover first, so its inherited Clover fallback is rejected
+    expect(screen.getByText(/fallback system must differ/i)).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText(/^Fallback:/i), 'square');
+    await user.click(screen.getByRole('button', { name: /Save Settings/i }));
+    expect(await screen.findByText('Settings saved')).toBeInTheDocument();
+
+    const { orderRouting } = settingsService.getSettings();
+    expect(orderRouting).toMatchObject({
+      primary: 'square',
+      fallback: 'clover',
+      locations: [{ name: 'Downtown', primary: 'clover', fallback: 'square' }]
+    });
+    expect(orderRouting.locationId).toBe(orderRouting.locations[0].id);
+  });
+
+  it('should only save the device settings while the store settings fail to load', async () => {
+    const user = userEvent.setup();
+    axios.get.mockRejectedValue(new Error('Network error'));
+    render(
+      <AppProvider>
+        <SettingsPage />
+      </AppProvider>
+    );
+
+    expect(await screen.findByText(/Failed to load the store settings/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Restore Defaults/i })).toBeDisabled();
+
+    await user.clear(screen.getByLabelText(/API Base URL:/i));
+    await user.type(screen.getByLabelText(/API Base URL:/i), 'https://ops.example.com/api');
+    await user.click(screen.getByRole('button', { name: /Save Settings/i }));
+
+    expect(await screen.findByText('Backend settings saved on this device')).toBeInTheDocument();
+    expect(axios.put).not.toHaveBeenCalled();
+    expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY))).toEqual({
+      apiBaseUrl: 'https://ops.example.com/api',
+      locationId: ''
+    });
+    // The page retries the load against the new backend
+    expect(axios.get).toHaveBeenCalledWith('https://ops.example.com/api/settings');
+  });
+
+  it('should restore the defaults after confirmation', async () => {
+    const user = userEvent.setup();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    storedSettings = { storeName: 'Downtown Slice' };
+    await renderPage();
+
+    await user.click(screen.getByRole('button', { name: /Restore Defaults/i }));
+
+    await waitFor(() => {
+      expect(screen.getByLabelText(/Store Name:/i)).toHaveValue('Pizza Ops');
+    });
+    expect(axios.put).toHaveBeenCalledWith('/api/settings', expect.objectContaining({ storeName: 'Pizza Ops' }));
+    expect(settingsService.getSettings().storeName).toBe('Pizza Ops');
+  });
+
+  it('should apply tax rates and the delivery fee to order totals', async () => {
+    const user = userEvent.setup();
+    settingsService.setStoreSettings({
+      ...settingsService.getSettings(),
+      taxRates: [{ name: 'Sales Tax', rate: 10 }],
+      delivery: { fee: 5, freeDeliveryThreshold: 50, minimumOrder: 0 }
+    });
+    menuService.getMenu.mockResolvedValue({
+      items: [{ id: 'family-meal', name: 'Family Meal', price: 20, active: true }],
+      sizes: [],
+      crusts: [],
+      toppings: []
+    });
+    render(<OrderForm />);
+
+    await user.selectOptions(await screen.findByLabelText(/Item:/i), await screen.findByRole('option', { name: 'Family Meal' }));
+    expect(screen.getByText(/Total:/i).textContent).toContain('22.00');
+
+    await user.type(screen.getByLabelText(/Delivery Address:/i), '1 Main St');
+    expect(screen.getByText('Delivery Fee')).toBeInTheDocument();
+    expect(screen.getByText(/Total:/i).textContent).toContain('27.00');
+
+    // Orders at or above the threshold deliver for free
+    await user.clear(screen.getByLabelText(/Qty:/i));
+    await user.type(screen.getByLabelText(/Qty:/i), '3');
+    expect(screen.getByText(/Total:/i).textContent).toContain('66.00');
+  });
+});
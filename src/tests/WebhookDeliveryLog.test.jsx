@@ -0,0 +1,104 @@
+// src/tests/WebhookDeliveryLog.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import WebhookDeliveryLog from '../components/WebhookDeliveryLog';
+import integrationService from '../services/integrationService';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getRegisteredWebhooks: vi.fn(),
+    getWebhookDeliveries: vi.fn()
+  }
+}));
+
+describe('WebhookDeliveryLog', () => {
+  // Mock data for tests
+  const registrations = [
+    { id: 'webhook_1', path: '/api/webhooks/orders' },
+    { id: 'webhook_2', path: '/api/webhooks/payments' }
+  ];
+  const deliveries = [
+    {
+      id: 'att_2',
+      eventId: 'evt_1',
+      eventType: 'order.created',
+      attempt: 2,
+      status: 'retrying',
+      statusCode: 503,
+      latencyMs: 250,
+      responseBody: 'Service Unavailable',
+      attemptedAt: '2025-04-29T12:01:00Z',
+      nextRetryAt: '2025-04-29T12:02:00Z'
+    },
+    {
+      id: 'att_1',
+      eventId: 'evt_0',
+      eventType: 'order.updated',
+      attempt: 1,
+      status: 'succeeded',
+      statusCode: 200,
+      latencyMs: 50,
+      attemptedAt: '2025-04-29T12:00:00Z'
+    }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    integrationService.getRegisteredWebhooks.mockResolvedValue(registrations);
+    integrationService.getWebhookDeliveries.mockResolvedValue(deliveries);
+  });
+
+  it('should show the delivery attempts of the first webhook', async () => {
+    render(<WebhookDeliveryLog />);
+
+    await waitFor(() => {
+      expect(screen.getByText('order.created')).toBeInTheDocument();
+    });
+
+    expect(integrationService.getWebhookDeliveries).toHaveBeenCalledWith('webhook_1', {});
+    expect(screen.getByText('2 attempts · 50% succeeded · avg 150 ms')).toBeInTheDocument();
+
+    const retryRow = screen.getByText('order.created').closest('tr');
+    expect(within(retryRow).getByText('503')).toBeInTheDocument();
+    expect(within(retryRow).getByText('250 ms')).toBeInTheDocument();
+    expect(within(retryRow).getByText(/Next retry/)).toBeInTheDocument();
+    expect(within(retryRow).getByText('Service Unavailable')).toBeInTheDocument();
+  });
+
+  it('should reload when the webhook or status filter changes', async () => {
+    const user = userEvent.setup();
+    render(<WebhookDeliveryLog />);
+
+    await waitFor(() => {
+      expect(screen.getByText('order.created')).toBeInTheDocument();
+    });
+
+    await user.selectOptions(screen.getByLabelText('Webhook:'), 'webhook_2');
+    await user.selectOptions(screen.getByLabelText('Status:'), 'failed');
+
+    await waitFor(() => {
+      expect(integrationService.getWebhookDeliveries).toHaveBeenLastCalledWith('webhook_2', { status: 'failed' });
+    });
+  });
+
+  it('should say when no webhooks are registered', async () => {
+    integrationService.getRegisteredWebhooks.mockResolvedValue([]);
+    render(<WebhookDeliveryLog />);
+
+    await waitFor(() => {
+      expect(screen.getByText('No webhooks registered yet.')).toBeInTheDocument();
+    });
+    expect(integrationService.getWebhookDeliveries).not.toHaveBeenCalled();
+  });
+
+  it('should show an error when the log fails to load', async () => {
+    integrationService.getWebhookDeliveries.mockRejectedValue(new Error('Network error'));
+    render(<WebhookDeliveryLog />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Failed to load the delivery log.')).toBeInTheDocument();
+    });
+  });
+});
@@ -1,6 +1,6 @@
 // src/tests/WebhookEventsComponent.test.jsx
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import WebhookEventsComponent from '../components/WebhookEventsComponent';
 import integrationService from '../services/integrationService';
@@ -8,7 +8,9 @@ import integrationService from '../services/integrationService';
 // Mock the integration service
 vi.mock('../services/integrationService', () => ({
   default: {
-    getWebhooks: vi.fn()
+    getWebhooks: vi.fn(),
+    getRegisteredWebhooks: vi.fn(),
+    replayWebhookEvent: vi.fn()
   }
 }));
 
@@ -41,15 +43,20 @@ describe('WebhookEventsComponent', () => {
     }
   ];
 
+  // Returns the source shown on each event card, top to bottom
+  const getEventSources = () =>
+    Array.from(document.querySelectorAll('.event-source'), element => element.textContent);
+
   // Setup and teardown
   beforeEach(() => {
     vi.resetAllMocks();
     
     // Default mock implementation
     integrationService.getWebhooks.mockResolvedValue(mockWebhookEvents);
+    integrationService.getRegisteredWebhooks.mockResolvedValue([]);
     
-    // Mock setInterval and clearInterval
-    vi.useFakeTimers();
+    // Mock setInterval and clearInterval; let real time pass so waitFor can retry
+    vi.useFakeTimers({ shouldAdvanceTime: true });
   });
 
   afterEach(() => {
@@ -76,14 +83,13 @@ describe('WebhookEventsComponent', () => {
     });
     
     // Check if events are rendered
-    expect(screen.getByText('square')).toBeInTheDocument();
-    expect(screen.getByText('sendgrid')).toBeInTheDocument();
-    expect(screen.getByText('/api/webhooks/orders')).toBeInTheDocument();
-    expect(screen.getByText('/api/webhooks/emails')).toBeInTheDocument();
+    expect(getEventSources()).toEqual(['square', 'sendgrid', 'square']);
+    expect(screen.getByText('Path: /api/webhooks/orders')).toBeInTheDocument();
+    expect(screen.getByText('Path: /api/webhooks/emails')).toBeInTheDocument();
     
     // Check if payload is rendered
-    expect(screen.getByText('Payload:')).toBeInTheDocument();
-    expect(screen.getByText(/"orderId": "order_123"/)).toBeInTheDocument();
+    expect(screen.getAllByText('Payload:')).toHaveLength(3);
+    expect(screen.getByText('"order_123"')).toBeInTheDocument();
   });
 
   it('should render "no events" message when there are no events', async () => {
@@ -111,15 +117,14 @@ describe('WebhookEventsComponent', () => {
     });
     
     // Initially all events should be visible
-    expect(screen.getAllByText(/square|sendgrid/i)).toHaveLength(3);
+    expect(getEventSources()).toHaveLength(3);
     
     // Select filter
     const filterSelect = screen.getByLabelText(/Filter by source/i);
     await user.selectOptions(filterSelect, 'square');
     
     // Check if only square events are visible
-    expect(screen.getAllByText('square')).toHaveLength(2);
-    expect(screen.queryByText('sendgrid')).not.toBeInTheDocument();
+    expect(getEventSources()).toEqual(['square', 'square']);
   });
 
   it('should format timestamps correctly', async () => {
@@ -152,7 +157,8 @@ describe('WebhookEventsComponent', () => {
     });
   });
 
-  it('should poll for new events at regular intervals', async () => {
+  it('should fall back to polling when streaming is unavailable', async () => {
+    // happy-dom has no EventSource, so the stream polls instead
     render(<WebhookEventsComponent />);
     
     // Wait for initial data to load
@@ -160,20 +166,21 @@ describe('WebhookEventsComponent', () => {
       expect(screen.getByText('Recent Webhook Events')).toBeInTheDocument();
     });
     
-    // Verify initial call
-    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(1);
+    // One call loads the history, one records what already exists
+    expect(screen.getByRole('status')).toHaveTextContent('Polling');
+    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(2);
     
     // Fast-forward time by 15 seconds (polling interval)
     vi.advanceTimersByTime(15000);
     
-    // Verify second call
-    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(2);
+    // Verify the next poll
+    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(3);
     
     // Fast-forward time by another 15 seconds
     vi.advanceTimersByTime(15000);
     
-    // Verify third call
-    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(3);
+    // Verify the poll after that
+    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(4);
   });
 
   it('should update the UI when new events are received', async () => {
@@ -204,9 +211,12 @@ describe('WebhookEventsComponent', () => {
     
     // Wait for UI to update with new data
     await waitFor(() => {
-      expect(screen.getByText('stripe')).toBeInTheDocument();
-      expect(screen.getByText('/api/webhooks/subscriptions')).toBeInTheDocument();
+      expect(getEventSources()).toContain('stripe');
     });
+    
+    // The new event is added to the top without duplicating the others
+    expect(screen.getAllByText(/^Path: \//)[0]).toHaveTextContent('/api/webhooks/subscriptions');
+    expect(screen.getAllByText(/^Path: \//)).toHaveLength(4);
   });
 
   it('should clean up interval on component unmount', () => {
@@ -221,4 +231,179 @@ describe('WebhookEventsComponent', () => {
     // Verify clearInterval was called
     expect(clearIntervalSpy).toHaveBeenCalled();
   });
+
+  describe('inspector', () => {
+    const squareEvents = [
+      {
+        id: 'evt_2',
+        source: 'square',
+        type: 'order.updated',
+        timestamp: '2025-04-28T12:00:00Z',
+        path: '/api/webhooks/orders',
+        method: 'PUT',
+        payload: { order: { id: 'order_123', state: 'OPEN', total: 2599 } }
+      },
+      {
+        id: 'evt_1',
+        source: 'square',
+        type: 'order.created',
+        timestamp: '2025-04-28T11:00:00Z',
+        path: '/api/webhooks/orders',
+        method: 'POST',
+        payload: { order: { id: 'order_123', state: 'DRAFT', total: 2599, note: 'Ring bell' } }
+      },
+      {
+        id: 'evt_0',
+        source: 'sendgrid',
+        type: 'email.sent',
+        timestamp: '2025-04-27T09:00:00Z',
+        path: '/api/webhooks/emails',
+        method: 'POST',
+        payload: { emailId: 'email_456' }
+      }
+    ];
+
+    const renderInspector = async () => {
+      integrationService.getWebhooks.mockResolvedValue(squareEvents);
+      render(<WebhookEventsComponent />);
+      await waitFor(() => {
+        expect(screen.getByText('Recent Webhook Events')).toBeInTheDocument();
+      });
+    };
+
+    it('should filter by path, method, event type and time range', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      await renderInspector();
+
+      await user.selectOptions(screen.getByLabelText('Event type:'), 'order.created');
+      expect(getEventSources()).toEqual(['square']);
+      expect(screen.getByText('Showing 1 of 3 events')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Clear Filters' }));
+      await user.selectOptions(screen.getByLabelText('Path:'), '/api/webhooks/orders');
+      await user.selectOptions(screen.getByLabelText('Method:'), 'POST');
+      expect(screen.getAllByText('Method: POST')).toHaveLength(1);
+
+      await user.click(screen.getByRole('button', { name: 'Clear Filters' }));
+      await user.type(screen.getByLabelText('From:'), '2025-04-28T00:00');
+      expect(getEventSources()).toEqual(['square', 'square']);
+    });
+
+    it('should search inside payloads', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      await renderInspector();
+
+      await user.type(screen.getByLabelText('Search payloads:'), 'ring BELL');
+
+      expect(screen.getByText('Showing 1 of 3 events')).toBeInTheDocument();
+      expect(screen.getByText('Method: POST')).toBeInTheDocument();
+    });
+
+    it('should show payloads as a collapsible tree', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      await renderInspector();
+
+      const tree = screen.getByRole('list', { name: 'Payload of evt_1' });
+      const [rootToggle, orderToggle] = within(tree).getAllByRole('button');
+
+      expect(within(tree).getByText('{4 keys}')).toBeInTheDocument();
+
+      await user.click(orderToggle);
+      expect(within(tree).getByText('"Ring bell"')).toBeInTheDocument();
+
+      await user.click(rootToggle);
+      expect(within(tree).getByText('{1 key}')).toBeInTheDocument();
+    });
+
+    it('should diff two selected events side by side', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      await renderInspector();
+
+      const checkboxes = screen.getAllByRole('checkbox', { name: 'Compare' });
+      await user.click(checkboxes[0]);
+      await user.click(checkboxes[1]);
+
+      const diff = screen.getByRole('region', { name: 'Payload diff' });
+      const stateRow = within(diff).getByText('order.state').closest('tr');
+      // The older event is on the left
+      expect(within(stateRow).getByText('"DRAFT"')).toBeInTheDocument();
+      expect(within(stateRow).getByText('"OPEN"')).toBeInTheDocument();
+      expect(within(diff).getByText('order.note').closest('tr')).toHaveClass('diff-removed');
+      expect(within(diff).queryByText('order.total')).not.toBeInTheDocument();
+
+      await user.click(within(diff).getByRole('button', { name: 'Close Diff' }));
+      expect(screen.queryByRole('region', { name: 'Payload diff' })).not.toBeInTheDocument();
+    });
+
+    it('should replay an event to its webhook', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      integrationService.replayWebhookEvent.mockResolvedValue({ delivered: true, statusCode: 200 });
+      await renderInspector();
+
+      await user.click(screen.getAllByRole('button', { name: 'Replay' })[1]);
+
+      await waitFor(() => {
+        expect(screen.getByText('Replayed (HTTP 200)')).toBeInTheDocument();
+      });
+      expect(window.confirm).toHaveBeenCalledWith('Replay event evt_1 to /api/webhooks/orders?');
+      expect(integrationService.replayWebhookEvent).toHaveBeenCalledWith('evt_1');
+    });
+
+    it('should show why a replay failed', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      integrationService.replayWebhookEvent.mockRejectedValue({ response: { data: { message: 'No webhook registered' } } });
+      await renderInspector();
+
+      await user.click(screen.getAllByRole('button', { name: 'Replay' })[0]);
+
+      await waitFor(() => {
+        expect(screen.getByText('Replay failed: No webhook registered')).toBeInTheDocument();
+      });
+    });
+  });
+
+  describe('signature verification', () => {
+    // Event as stored by the backend, with its verification result
+    const signedEvent = (id, signature) => ({
+      ...mockWebhookEvents[0],
+      id,
+      source: 'stripe',
+      signature
+    });
+
+    it('should show the verification result from the backend', async () => {
+      integrationService.getWebhooks.mockResolvedValue([
+        signedEvent('evt_good', { verified: true, scheme: 'stripe', reason: 'Signature verified' }),
+        signedEvent('evt_forged', { verified: false, scheme: 'stripe', reason: 'Signature does not match' }),
+        signedEvent('evt_unsigned', { verified: false, scheme: null, reason: 'No signature header' })
+      ]);
+
+      render(<WebhookEventsComponent />);
+
+      await waitFor(() => {
+        expect(screen.getAllByText(/^(Verified|Unverified)$/)).toHaveLength(3);
+      });
+
+      const badges = Array.from(document.querySelectorAll('.signature-badge'), badge => [badge.textContent, badge.title]);
+      expect(badges).toEqual([
+        ['Verified', 'Signature verified'],
+        ['Unverified', 'Signature does not match'],
+        ['Unverified', 'No signature header']
+      ]);
+    });
+
+    it('should show events without a verification result as unverified', async () => {
+      render(<WebhookEventsComponent />);
+
+      await waitFor(() => {
+        expect(getEventSources()).toHaveLength(3);
+      });
+
+      const badges = Array.from(document.querySelectorAll('.signature-badge'), badge => [badge.textContent, badge.title]);
+      expect(badges).toEqual(Array(3).fill(['Unverified', 'Signature not checked']));
+      expect(integrationService.getRegisteredWebhooks).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,172 @@
+// src/tests/WebhookRegistrations.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import WebhookRegistrations from '../components/WebhookRegistrations';
+import integrationService from '../services/integrationService';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getRegisteredWebhooks: vi.fn(),
+    updateWebhook: vi.fn(),
+    deleteWebhook: vi.fn(),
+    sendTestEvent: vi.fn()
+  }
+}));
+
+describe('WebhookRegistrations', () => {
+  // Mock data for tests
+  const registrations = [
+    {
+      id: 'webhook_1',
+      path: '/api/webhooks/orders',
+      description: 'Order notifications',
+      events: ['order.created', 'order.updated'],
+      status: 'active'
+    },
+    {
+      id: 'webhook_2',
+      path: '/api/webhooks/stock',
+      description: '',
+      events: [],
+      status: 'paused'
+    }
+  ];
+
+  const catalog = [
+    {
+      id: 'square',
+      name: 'Square POS',
+      events: [
+        { type: 'order.created', description: 'An order was placed' },
+        { type: 'order.updated', description: 'An order changed' },
+        { type: 'payment.received', description: 'A payment was captured' }
+      ]
+    }
+  ];
+
+  const getRow = (path) => screen.getByText(path).closest('tr');
+
+  const renderRegistrations = async (props = {}) => {
+    render(<WebhookRegistrations catalog={catalog} {...props} />);
+    await waitFor(() => {
+      expect(screen.getByText('/api/webhooks/orders')).toBeInTheDocument();
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    integrationService.getRegisteredWebhooks.mockResolvedValue(registrations);
+    integrationService.updateWebhook.mockImplementation(async (id, changes) => ({ id, ...changes }));
+    integrationService.deleteWebhook.mockResolvedValue({ success: true });
+    integrationService.sendTestEvent.mockResolvedValue({ delivered: true, statusCode: 200, latencyMs: 85 });
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  it('should list registrations with their events and status', async () => {
+    await renderRegistrations();
+
+    const orders = getRow('/api/webhooks/orders');
+    expect(within(orders).getByText('Order notifications')).toBeInTheDocument();
+    expect(within(orders).getByText('order.created, order.updated')).toBeInTheDocument();
+    expect(within(orders).getByText('Active')).toBeInTheDocument();
+
+    const stock = getRow('/api/webhooks/stock');
+    expect(within(stock).getByText('All events')).toBeInTheDocument();
+    expect(within(stock).getByText('Paused')).toBeInTheDocument();
+    expect(within(stock).getByRole('button', { name: 'Send test event to /api/webhooks/stock' })).toBeDisabled();
+  });
+
+  it('should edit the event subscriptions inline', async () => {
+    const onChange = vi.fn();
+    const user = userEvent.setup();
+    await renderRegistrations({ onChange });
+
+    await user.click(screen.getByRole('button', { name: 'Edit /api/webhooks/orders' }));
+    const picker = screen.getByRole('group', { name: 'Events for /api/webhooks/orders' });
+    await user.click(within(picker).getByRole('checkbox', { name: 'order.updated' }));
+    await user.click(within(picker).getByRole('checkbox', { name: 'payment.received' }));
+    await user.clear(screen.getByLabelText('Description for /api/webhooks/orders'));
+    await user.type(screen.getByLabelText('Description for /api/webhooks/orders'), 'Orders and payments');
+    await user.click(screen.getByRole('button', { name: 'Save' }));
+
+    expect(integrationService.updateWebhook).toHaveBeenCalledWith('webhook_1', {
+      description: 'Orders and payments',
+      events: ['order.created', 'payment.received']
+    });
+    await waitFor(() => {
+      expect(screen.getByText('order.created, payment.received')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Updated /api/webhooks/orders')).toBeInTheDocument();
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  it('should discard inline edits on cancel', async () => {
+    const user = userEvent.setup();
+    await renderRegistrations();
+
+    await user.click(screen.getByRole('button', { name: 'Edit /api/webhooks/orders' }));
+    await user.clear(screen.getByLabelText('Description for /api/webhooks/orders'));
+    await user.click(screen.getByRole('button', { name: 'Cancel' }));
+
+    expect(screen.getByText('Order notifications')).toBeInTheDocument();
+    expect(integrationService.updateWebhook).not.toHaveBeenCalled();
+  });
+
+  it('should pause and resume webhooks', async () => {
+    const user = userEvent.setup();
+    await renderRegistrations();
+
+    await user.click(screen.getByRole('button', { name: 'Pause /api/webhooks/orders' }));
+    expect(integrationService.updateWebhook).toHaveBeenCalledWith('webhook_1', { status: 'paused' });
+    await waitFor(() => {
+      expect(within(getRow('/api/webhooks/orders')).getByText('Paused')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Resume /api/webhooks/stock' }));
+    expect(integrationService.updateWebhook).toHaveBeenCalledWith('webhook_2', { status: 'active' });
+    await waitFor(() => {
+      expect(within(getRow('/api/webhooks/stock')).getByText('Active')).toBeInTheDocument();
+    });
+  });
+
+  it('should delete a webhook after confirmation', async () => {
+    const onChange = vi.fn();
+    const user = userEvent.setup();
+    await renderRegistrations({ onChange });
+
+    await user.click(screen.getByRole('button', { name: 'Delete /api/webhooks/stock' }));
+
+    expect(window.confirm).toHaveBeenCalledWith('Delete the webhook at /api/webhooks/stock? It will stop receiving events.');
+    expect(integrationService.deleteWebhook).toHaveBeenCalledWith('webhook_2');
+    await waitFor(() => {
+      expect(screen.queryByText('/api/webhooks/stock')).not.toBeInTheDocument();
+    });
+    expect(onChange).toHaveBeenCalled();
+  });
+
+  it('should show the result of a test event', async () => {
+    const user = userEvent.setup();
+    await renderRegistrations();
+
+    await user.click(screen.getByRole('button', { name: 'Send test event to /api/webhooks/orders' }));
+
+    expect(integrationService.sendTestEvent).toHaveBeenCalledWith('webhook_1');
+    await waitFor(() => {
+      expect(screen.getByText('Test delivered (HTTP 200, 85 ms)')).toBeInTheDocument();
+    });
+  });
+
+  it('should show why a test event failed', async () => {
+    integrationService.sendTestEvent.mockRejectedValue({ response: { data: { message: 'Connection refused' } } });
+    const user = userEvent.setup();
+    await renderRegistrations();
+
+    await user.click(screen.getByRole('button', { name: 'Send test event to /api/webhooks/orders' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Test failed: Connection refused')).toBeInTheDocument();
+    });
+  });
+});
@@ -0,0 +1,84 @@
+// src/tests/WebhookSigningSecrets.test.jsx
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import WebhookSigningSecrets from '../components/WebhookSigningSecrets';
+import integrationService from '../services/integrationService';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getRegisteredWebhooks: vi.fn(),
+    rotateWebhookSecret: vi.fn()
+  }
+}));
+
+describe('WebhookSigningSecrets', () => {
+  // Mock data for tests
+  const registration = { id: 'webhook_1', path: '/api/webhooks/orders', secret: 'whsec_currentAbCd' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    integrationService.getRegisteredWebhooks.mockResolvedValue([registration]);
+    integrationService.rotateWebhookSecret.mockImplementation(async (id, secret) => ({
+      ...registration,
+      secret,
+      previousSecret: registration.secret,
+      previousSecretExpiresAt: new Date(Date.now() + 86400000).toISOString()
+    }));
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  it('should mask secrets until revealed', async () => {
+    const user = userEvent.setup();
+    render(<WebhookSigningSecrets />);
+
+    await waitFor(() => {
+      expect(screen.getByText('whsec_••••••••AbCd')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Reveal secret for /api/webhooks/orders' }));
+    expect(screen.getByText('whsec_currentAbCd')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Hide secret for /api/webhooks/orders' }));
+    expect(screen.queryByText('whsec_currentAbCd')).not.toBeInTheDocument();
+  });
+
+  it('should rotate a secret and keep the previous one valid for a grace period', async () => {
+    const user = userEvent.setup();
+    render(<WebhookSigningSecrets />);
+
+    await waitFor(() => {
+      expect(screen.getByText('/api/webhooks/orders')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Rotate secret for /api/webhooks/orders' }));
+
+    expect(window.confirm).toHaveBeenCalledWith(
+      'Rotate the signing secret for /api/webhooks/orders? The current secret keeps working for 24 hours.'
+    );
+    const [id, newSecret, grace] = integrationService.rotateWebhookSecret.mock.calls[0];
+    expect(id).toBe('webhook_1');
+    expect(newSecret).toMatch(/^whsec_/);
+    expect(grace).toBe(86400);
+
+    await waitFor(() => {
+      expect(screen.getByText(newSecret)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/Previous secret valid until/)).toBeInTheDocument();
+    expect(screen.getByText(/Rotated the signing secret/)).toBeInTheDocument();
+  });
+
+  it('should not rotate without confirmation', async () => {
+    window.confirm.mockReturnValue(false);
+    const user = userEvent.setup();
+    render(<WebhookSigningSecrets />);
+
+    await waitFor(() => {
+      expect(screen.getByText('/api/webhooks/orders')).toBeInTheDocument();
+    });
+    await user.click(screen.getByRole('button', { name: 'Rotate secret for /api/webhooks/orders' }));
+
+    expect(integrationService.rotateWebhookSecret).not.toHaveBeenCalled();
+  });
+});
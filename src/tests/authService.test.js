@@ -0,0 +1,105 @@
+// src/tests/authService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import authService, { decodeToken, isTokenExpired, getUserFromToken } from '../services/authService';
+
+// Mock axios
+vi.mock('axios');
+
+/**
+ * Builds an unsigned JWT with the given claims
+ *
+ * @param {Object} claims - Token claims
+ * @returns {string} Encoded token
+ */
+const makeToken = (claims) => `header.${btoa(JSON.stringify(claims))}.signature`;
+
+describe('Auth Service', () => {
+  // Reset mocks and storage before each test
+  beforeEach(() => {
+    vi.resetAllMocks();
+    localStorage.clear();
+  });
+
+  // Clean up after each test
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('token helpers', () => {
+    it('should decode token claims', () => {
+      const token = makeToken({ sub: 'u_1', name: 'Maria', role: 'manager' });
+
+      expect(decodeToken(token)).toEqual({ sub: 'u_1', name: 'Maria', role: 'manager' });
+      expect(getUserFromToken(token)).toEqual({ id: 'u_1', name: 'Maria', email: undefined, role: 'manager' });
+    });
+
+    it('should treat malformed and expired tokens as expired', () => {
+      const now = Date.now();
+
+      expect(isTokenExpired('not-a-token')).toBe(true);
+      expect(isTokenExpired(makeToken({ exp: Math.floor(now / 1000) - 60 }), now)).toBe(true);
+      expect(isTokenExpired(makeToken({ exp: Math.floor(now / 1000) + 60 }), now)).toBe(false);
+    });
+  });
+
+  describe('login', () => {
+    it('should store the token and return the user', async () => {
+      const token = makeToken({ sub: 'u_2', name: 'Sam', role: 'cashier' });
+      axios.post.mockResolvedValueOnce({ data: { token } });
+
+      const user = await authService.login({ username: 'sam', password: 'secret' });
+
+      expect(axios.post).toHaveBeenCalledWith('/api/auth/login', { username: 'sam', password: 'secret' });
+      expect(localStorage.getItem('auth_token')).toBe(token);
+      expect(user.role).toBe('cashier');
+    });
+
+    it('should handle errors when signing in', async () => {
+      const mockError = new Error('Invalid credentials');
+      axios.post.mockRejectedValueOnce(mockError);
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      await expect(authService.login({ username: 'sam', password: 'wrong' })).rejects.toThrow();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error signing in:', mockError);
+      expect(localStorage.getItem('auth_token')).toBeNull();
+    });
+  });
+
+  describe('logout', () => {
+    it('should clear the token even if the backend call fails', async () => {
+      localStorage.setItem('auth_token', 'token');
+      axios.post.mockRejectedValueOnce(new Error('Network error'));
+
+      await authService.logout();
+
+      expect(localStorage.getItem('auth_token')).toBeNull();
+    });
+  });
+
+  describe('installInterceptors', () => {
+    it('should attach the bearer token to outgoing requests', () => {
+      localStorage.setItem('auth_token', 'abc.def.ghi');
+
+      authService.installInterceptors();
+      const [attachToken] = axios.interceptors.request.use.mock.calls[0];
+
+      expect(attachToken({ url: '/api/integration/adapters', headers: {} }).headers.Authorization)
+        .toBe('Bearer abc.def.ghi');
+    });
+
+    it('should end the session when the backend rejects the token', async () => {
+      localStorage.setItem('auth_token', 'abc.def.ghi');
+      const onUnauthorized = vi.fn();
+
+      authService.installInterceptors(onUnauthorized);
+      const [, handleError] = axios.interceptors.response.use.mock.calls.at(-1);
+      const error = { response: { status: 401 } };
+
+      await expect(handleError(error)).rejects.toBe(error);
+      expect(onUnauthorized).toHaveBeenCalled();
+      expect(localStorage.getItem('auth_token')).toBeNull();
+    });
+  });
+});
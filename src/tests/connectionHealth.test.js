@@ -0,0 +1,70 @@
+// src/tests/connectionHealth.test.js
+import { describe, it, expect } from 'vitest';
+import { getHealthStatus, getTokenState, needsAttention, summarizeHealth, HEALTH_STATUS } from '../utils/connectionHealth';
+
+describe('connectionHealth', () => {
+  const connection = { id: 'conn_1', status: 'active' };
+  const ok = (latencyMs = 100) => ({ checkedAt: '2025-04-29T12:00:00Z', healthy: true, latencyMs });
+  const failed = (error = 'Timeout') => ({ checkedAt: '2025-04-29T12:01:00Z', healthy: false, latencyMs: null, error });
+
+  it('should be unknown before the first check', () => {
+    expect(getHealthStatus(connection, [])).toBe(HEALTH_STATUS.UNKNOWN);
+    expect(getHealthStatus(connection)).toBe(HEALTH_STATUS.UNKNOWN);
+  });
+
+  it('should be healthy when the latest check passed quickly', () => {
+    expect(getHealthStatus(connection, [ok(), failed()])).toBe(HEALTH_STATUS.HEALTHY);
+  });
+
+  it('should be degraded after a failure or a slow check', () => {
+    expect(getHealthStatus(connection, [failed(), ok()])).toBe(HEALTH_STATUS.DEGRADED);
+    expect(getHealthStatus(connection, [ok(2500)])).toBe(HEALTH_STATUS.DEGRADED);
+  });
+
+  it('should be down after consecutive failures', () => {
+    expect(getHealthStatus(connection, [failed(), failed(), failed(), ok()])).toBe(HEALTH_STATUS.DOWN);
+    expect(getHealthStatus(connection, [failed(), failed()], { slowLatencyMs: 2000, downAfterFailures: 2 }))
+      .toBe(HEALTH_STATUS.DOWN);
+  });
+
+  it('should follow the connection status when it reports a problem', () => {
+    expect(getHealthStatus({ ...connection, status: 'expired' }, [ok()])).toBe(HEALTH_STATUS.DEGRADED);
+    expect(getHealthStatus({ ...connection, status: 'error' }, [])).toBe(HEALTH_STATUS.DOWN);
+  });
+
+  it('should report the OAuth token expiry', () => {
+    const now = Date.parse('2025-04-29T12:00:00Z');
+    expect(getTokenState(connection, now)).toBeNull();
+    expect(getTokenState({ ...connection, tokenExpiresAt: '2025-04-29T13:00:00Z' }, now)).toEqual({
+      secondsLeft: 3600, expired: false, expiringSoon: false, refreshFailed: false
+    });
+    expect(getTokenState({ ...connection, tokenExpiresAt: '2025-04-29T12:04:00Z' }, now).expiringSoon).toBe(true);
+    expect(getTokenState({ ...connection, tokenExpiresAt: '2025-04-29T11:59:00Z' }, now).expired).toBe(true);
+  });
+
+  it('should be degraded when the OAuth token expired or failed to refresh', () => {
+    expect(getHealthStatus({ ...connection, tokenExpiresAt: '2000-01-01T00:00:00Z' }, [ok()]))
+      .toBe(HEALTH_STATUS.DEGRADED);
+    expect(getHealthStatus({ ...connection, tokenExpiresAt: '2999-01-01T00:00:00Z', tokenRefreshError: 'invalid_grant' }, [ok()]))
+      .toBe(HEALTH_STATUS.DEGRADED);
+    expect(getHealthStatus({ ...connection, tokenExpiresAt: '2999-01-01T00:00:00Z' }, [ok()]))
+      .toBe(HEALTH_STATUS.HEALTHY);
+  });
+
+  it('should flag degraded and down connections', () => {
+    expect(needsAttention(HEALTH_STATUS.DEGRADED)).toBe(true);
+    expect(needsAttention(HEALTH_STATUS.DOWN)).toBe(true);
+    expect(needsAttention(HEALTH_STATUS.HEALTHY)).toBe(false);
+    expect(needsAttention(HEALTH_STATUS.UNKNOWN)).toBe(false);
+  });
+
+  it('should summarize uptime, latency and the last error', () => {
+    const history = [ok(100), failed('401 Unauthorized'), ok(300), failed('Timeout')];
+    expect(summarizeHealth(history)).toEqual({
+      uptimePercent: 50,
+      averageLatencyMs: 200,
+      lastError: history[1]
+    });
+    expect(summarizeHealth([])).toEqual({ uptimePercent: null, averageLatencyMs: null, lastError: null });
+  });
+});
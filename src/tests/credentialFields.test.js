@@ -0,0 +1,89 @@
+// src/tests/credentialFields.test.js
+import { describe, it, expect, vi } from 'vitest';
+import {
+  getFieldType,
+  getInitialCredentials,
+  validateCredentialField,
+  validateCredentials,
+  toCredentialPayload,
+  redactSecrets,
+  REDACTED
+} from '../utils/credentialFields';
+
+describe('credentialFields', () => {
+  const fields = [
+    { name: 'apiKey', label: 'API Key', type: 'secret', required: true, pattern: 'sk_(test|live)_[A-Za-z0-9]+', patternMessage: 'API keys start with sk_test_ or sk_live_' },
+    { name: 'baseUrl', label: 'Base URL', type: 'url' },
+    { name: 'environment', label: 'Environment', type: 'enum', required: true, options: ['sandbox', { value: 'production', label: 'Production' }], default: 'sandbox' },
+    { name: 'sandboxMode', label: 'Sandbox mode', type: 'boolean', default: true },
+    { name: 'port', label: 'Port', type: 'number', min: 1, max: 65535 }
+  ];
+
+  it('should treat legacy password fields as secrets and unknown types as text', () => {
+    expect(getFieldType({ type: 'password' })).toBe('secret');
+    expect(getFieldType({ type: 'textarea' })).toBe('text');
+    expect(getFieldType({})).toBe('text');
+  });
+
+  it('should start from each field\'s default', () => {
+    expect(getInitialCredentials(fields)).toEqual({
+      apiKey: '',
+      baseUrl: '',
+      environment: 'sandbox',
+      sandboxMode: true,
+      port: ''
+    });
+    expect(getInitialCredentials()).toEqual({});
+  });
+
+  it('should validate required fields, patterns and types without repeating values', () => {
+    const [apiKey, baseUrl, environment, , port] = fields;
+    expect(validateCredentialField(apiKey, '  ')).toBe('API Key is required');
+    expect(validateCredentialField(apiKey, 'pk_live_abc')).toBe('API keys start with sk_test_ or sk_live_');
+    expect(validateCredentialField(apiKey, 'sk_live_abc123')).toBeNull();
+    expect(validateCredentialField(baseUrl, '')).toBeNull();
+    expect(validateCredentialField(baseUrl, 'ftp://files.example.test')).toBe('Base URL must be a valid http(s) URL');
+    expect(validateCredentialField(baseUrl, 'not a url')).toBe('Base URL must be a valid http(s) URL');
+    expect(validateCredentialField(environment, 'staging')).toBe('Environment must be one of the listed options');
+    expect(validateCredentialField(port, '0')).toBe('Port must be at least 1');
+    expect(validateCredentialField(port, '70000')).toBe('Port must be at most 65535');
+    expect(validateCredentialField(port, 'abc')).toBe('Port must be a number');
+  });
+
+  it('should skip a pattern that does not compile instead of throwing', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const field = { name: 'merchantId', label: 'Merchant ID', required: true, pattern: 'MID-([0-9]+' };
+
+    expect(validateCredentialField(field, 'anything')).toBeNull();
+    expect(validateCredentialField(field, '')).toBe('Merchant ID is required');
+    expect(validateCredentials([field], { merchantId: 'MID-1' })).toEqual({});
+
+    // Compiled, and reported, once
+    expect(consoleSpy).toHaveBeenCalledTimes(1);
+    expect(consoleSpy).toHaveBeenCalledWith('Ignoring invalid credential pattern MID-([0-9]+:', expect.any(SyntaxError));
+    consoleSpy.mockRestore();
+  });
+
+  it('should collect errors by field name', () => {
+    expect(validateCredentials(fields, { apiKey: 'oops', environment: 'production', port: '8080' }))
+      .toEqual({ apiKey: 'API keys start with sk_test_ or sk_live_' });
+    expect(validateCredentials(fields, { apiKey: 'sk_test_1', environment: 'sandbox' })).toEqual({});
+  });
+
+  it('should build the payload with trimmed text, numbers and no empty optional fields', () => {
+    expect(toCredentialPayload(fields, {
+      apiKey: ' sk_test_1 ',
+      baseUrl: '',
+      environment: 'production',
+      sandboxMode: false,
+      port: '8080'
+    })).toEqual({ apiKey: 'sk_test_1', environment: 'production', sandboxMode: false, port: 8080 });
+  });
+
+  it('should redact secret values from messages', () => {
+    expect(redactSecrets('Key sk_test_123 was revoked', fields, { apiKey: 'sk_test_123', environment: 'sandbox' }))
+      .toBe(`Key ${REDACTED} was revoked`);
+    expect(redactSecrets('Environment sandbox is closed', fields, { apiKey: 'abc', environment: 'sandbox' }))
+      .toBe('Environment sandbox is closed');
+  });
+});
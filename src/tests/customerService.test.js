@@ -0,0 +1,114 @@
+// src/tests/customerService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import customerService from '../services/customerService';
+
+// Mock axios
+vi.mock('axios');
+
+describe('Customer Service', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should fetch customers and their orders', async () => {
+    axios.get
+      .mockResolvedValueOnce({ data: [{ id: 'cus_1' }] })
+      .mockResolvedValueOnce({ data: [{ id: 'ORD-1' }] });
+
+    expect(await customerService.getCustomers({ search: 'jane' })).toEqual([{ id: 'cus_1' }]);
+    expect(await customerService.getCustomerOrders('cus_1')).toEqual([{ id: 'ORD-1' }]);
+
+    expect(axios.get).toHaveBeenNthCalledWith(1, '/api/customers', { params: { search: 'jane' } });
+    expect(axios.get).toHaveBeenNthCalledWith(2, '/api/customers/cus_1/orders');
+  });
+
+  it('should look customers up by normalized phone and email', async () => {
+    axios.get.mockResolvedValueOnce({ data: [] });
+
+    await customerService.lookupCustomers({ phone: '+1 (555) 123-4567', email: ' Jane@Example.com' });
+
+    expect(axios.get).toHaveBeenCalledWith('/api/customers/lookup', {
+      params: { phone: '5551234567', email: 'jane@example.com' }
+    });
+  });
+
+  it('should update the matching customer instead of creating a duplicate', async () => {
+    axios.get.mockResolvedValueOnce({
+      data: [{ id: 'cus_1', name: 'Jane', phone: '5551234567', email: '', addresses: ['12 Oak St'] }]
+    });
+    axios.put.mockResolvedValueOnce({ data: { id: 'cus_1' } });
+
+    await customerService.saveCustomer({
+      name: 'Jane Doe',
+      phone: '555-123-4567',
+      email: 'Jane@Example.com',
+      address: '9 Elm Ave'
+    });
+
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(axios.put).toHaveBeenCalledWith('/api/customers/cus_1', {
+      name: 'Jane Doe',
+      phone: '5551234567',
+      email: 'jane@example.com',
+      addresses: ['9 Elm Ave', '12 Oak St']
+    });
+  });
+
+  it('should create a customer when there is no match', async () => {
+    axios.get.mockResolvedValueOnce({ data: [] });
+    axios.post.mockResolvedValueOnce({ data: { id: 'cus_2' } });
+
+    const customer = await customerService.saveCustomer({ name: 'Sam', phone: '(555) 987-6543', email: '', address: '' });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/customers', {
+      name: 'Sam',
+      phone: '5559876543',
+      email: '',
+      addresses: []
+    });
+    expect(customer).toEqual({ id: 'cus_2' });
+  });
+
+  it('should not save customers without a phone or email', async () => {
+    expect(await customerService.saveCustomer({ name: 'Walk-in', phone: '', email: '' })).toBeNull();
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid customer details before sending them', async () => {
+    await expect(customerService.createCustomer({ name: '', phone: '555', email: '' })).rejects.toMatchObject({
+      name: 'ValidationError',
+      errors: { name: 'Customer name is required', phone: 'Enter a valid phone number' }
+    });
+    await expect(customerService.updateCustomer('cus_1', { email: 'jane@' })).rejects.toMatchObject({
+      errors: { email: 'Enter a valid email address' }
+    });
+    await expect(customerService.saveCustomer({ name: 'Jane', phone: '5551234567', email: 'jane@' }))
+      .rejects.toMatchObject({ errors: { email: 'Enter a valid email address' } });
+
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(axios.put).not.toHaveBeenCalled();
+  });
+
+  it('should only check the fields being updated', async () => {
+    axios.put.mockResolvedValueOnce({ data: { id: 'cus_1' } });
+
+    await customerService.updateCustomer('cus_1', { addresses: ['12 Oak St'] });
+
+    expect(axios.put).toHaveBeenCalledWith('/api/customers/cus_1', { addresses: ['12 Oak St'] });
+  });
+
+  it('should handle errors when looking up customers', async () => {
+    const mockError = new Error('Network error');
+    axios.get.mockRejectedValueOnce(mockError);
+    const consoleSpy = vi.spyOn(console, 'error');
+
+    await expect(customerService.lookupCustomers({ phone: '5551234567' })).rejects.toThrow('Network error');
+    expect(consoleSpy).toHaveBeenCalledWith('Error looking up customers:', mockError);
+  });
+});
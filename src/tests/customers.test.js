@@ -0,0 +1,92 @@
+// src/tests/customers.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  normalizePhone,
+  normalizeEmail,
+  formatPhone,
+  findMatchingCustomer,
+  dedupeCustomers,
+  matchesCustomerSearch,
+  summarizeCustomerOrders,
+  getSavedAddresses
+} from '../utils/customers';
+
+describe('customers', () => {
+  it('should normalize phone numbers and emails', () => {
+    expect(normalizePhone('(555) 123-4567')).toBe('5551234567');
+    expect(normalizePhone('+1 555.123.4567')).toBe('5551234567');
+    expect(normalizePhone('')).toBe('');
+    expect(normalizeEmail(' Jane@Example.COM ')).toBe('jane@example.com');
+    expect(formatPhone('5551234567')).toBe('(555) 123-4567');
+    expect(formatPhone('12345')).toBe('12345');
+  });
+
+  it('should match customers by phone first, then email', () => {
+    const customers = [
+      { id: 'cus_1', phone: '5550000000', email: 'jane@example.com' },
+      { id: 'cus_2', phone: '5551234567', email: 'other@example.com' }
+    ];
+
+    expect(findMatchingCustomer(customers, { phone: '555-123-4567', email: 'jane@example.com' }).id).toBe('cus_2');
+    expect(findMatchingCustomer(customers, { phone: '555-999-9999', email: 'JANE@example.com' }).id).toBe('cus_1');
+    expect(findMatchingCustomer(customers, { phone: '', email: '' })).toBeNull();
+  });
+
+  it('should merge records sharing a phone or email, transitively', () => {
+    const merged = dedupeCustomers([
+      { id: 'cus_1', name: 'Jane', phone: '5551234567', email: '', addresses: ['12 Oak St'], orderCount: 2, lifetimeValue: 40.1, lastOrderAt: '2026-01-01T00:00:00Z' },
+      { id: 'cus_2', name: 'Sam', phone: '5559876543', email: 'sam@example.com', orderCount: 1, lifetimeValue: 10 },
+      { id: 'cus_3', name: 'Jane Doe', phone: '', email: 'jane@example.com', addresses: ['12 oak st', '9 Elm Ave'], orderCount: 1, lifetimeValue: 20.2, lastOrderAt: '2026-02-01T00:00:00Z' },
+      { id: 'cus_4', name: 'J. Doe', phone: '+1 (555) 123-4567', email: 'Jane@Example.com', orderCount: 0, lifetimeValue: 0 }
+    ]);
+
+    expect(merged).toHaveLength(2);
+    expect(merged[0]).toMatchObject({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      phone: '5551234567',
+      addresses: ['12 oak st', '9 Elm Ave'],
+      orderCount: 3,
+      lifetimeValue: 60.3
+    });
+    expect(merged[0].mergedIds).toEqual(expect.arrayContaining(['cus_1', 'cus_3', 'cus_4']));
+    expect(merged[1].mergedIds).toEqual(['cus_2']);
+  });
+
+  it('should search by name, email or phone digits', () => {
+    const customer = { name: 'Jane Doe', email: 'jane@example.com', phone: '5551234567' };
+
+    expect(matchesCustomerSearch(customer, 'doe')).toBe(true);
+    expect(matchesCustomerSearch(customer, 'EXAMPLE')).toBe(true);
+    expect(matchesCustomerSearch(customer, '(555) 123')).toBe(true);
+    expect(matchesCustomerSearch(customer, 'sam')).toBe(false);
+    expect(matchesCustomerSearch(customer, '')).toBe(true);
+  });
+
+  it('should summarize order history without canceled orders', () => {
+    const summary = summarizeCustomerOrders([
+      { total: 20.1, status: 'delivered', createdAt: '2026-01-01T00:00:00Z' },
+      { total: 10.2, status: 'delivered', createdAt: '2026-03-01T00:00:00Z' },
+      { total: 99, status: 'canceled', createdAt: '2026-02-01T00:00:00Z' }
+    ]);
+
+    expect(summary).toEqual({
+      orderCount: 2,
+      lifetimeValue: 30.3,
+      averageOrderValue: 15.15,
+      lastOrderAt: '2026-03-01T00:00:00Z'
+    });
+    expect(summarizeCustomerOrders([]).averageOrderValue).toBeNull();
+  });
+
+  it('should list saved addresses before addresses from recent orders', () => {
+    const addresses = getSavedAddresses({ addresses: ['12 Oak St'] }, [
+      { deliveryAddress: '9 Elm Ave', createdAt: '2026-01-01T00:00:00Z' },
+      { deliveryAddress: '12  oak st', createdAt: '2026-02-01T00:00:00Z' },
+      { deliveryAddress: '', createdAt: '2026-03-01T00:00:00Z' },
+      { deliveryAddress: '4 Pine Rd', createdAt: '2026-04-01T00:00:00Z' }
+    ]);
+
+    expect(addresses).toEqual(['12 Oak St', '4 Pine Rd', '9 Elm Ave']);
+  });
+});
@@ -0,0 +1,69 @@
+// src/tests/dispatch.test.js
+import { describe, it, expect } from 'vitest';
+import { getZipCode, suggestBatches, getDriverStats, formatMinutes } from '../utils/dispatch';
+
+describe('dispatch', () => {
+  const order = (id, address, minute) => ({
+    id,
+    deliveryAddress: address,
+    createdAt: `2025-04-29T12:${String(minute).padStart(2, '0')}:00Z`
+  });
+
+  it('should read the ZIP code from an address', () => {
+    expect(getZipCode('123 Main St, Springfield, IL 62704')).toBe('62704');
+    expect(getZipCode('1600 Route 12345 Rd, Springfield 62704-1234')).toBe('62704');
+    expect(getZipCode('Back door by the park')).toBeNull();
+    expect(getZipCode(undefined)).toBeNull();
+  });
+
+  it('should batch orders in the same ZIP code, oldest first', () => {
+    const batches = suggestBatches([
+      order('A', '1 Elm St 62704', 5),
+      order('B', '9 Oak Ave 62701', 1),
+      order('C', '2 Elm St 62704', 2),
+      order('D', 'Rear entrance', 3)
+    ]);
+
+    expect(batches).toEqual([
+      { key: '62704-0', zipCode: '62704', orderIds: ['C', 'A'] },
+      { key: 'D', zipCode: null, orderIds: ['D'] },
+      { key: '62701-0', zipCode: '62701', orderIds: ['B'] }
+    ]);
+  });
+
+  it('should split large ZIP code batches into runs of at most maxStops', () => {
+    const orders = ['A', 'B', 'C'].map((id, i) => order(id, `${i} Elm St 62704`, i));
+
+    expect(suggestBatches(orders, 2).map(batch => batch.orderIds)).toEqual([['A', 'B'], ['C']]);
+  });
+
+  it('should summarise driver load and average delivery time', () => {
+    const drivers = [{ id: 'drv_1' }, { id: 'drv_2' }];
+    const runs = [
+      {
+        id: 'run_1',
+        driverId: 'drv_1',
+        status: 'completed',
+        dispatchedAt: '2025-04-29T12:00:00Z',
+        stops: [
+          { orderId: 'A', deliveredAt: '2025-04-29T12:20:00Z' },
+          { orderId: 'B', deliveredAt: '2025-04-29T12:30:00Z' }
+        ]
+      },
+      {
+        id: 'run_2',
+        driverId: 'drv_1',
+        status: 'out',
+        dispatchedAt: '2025-04-29T13:00:00Z',
+        stops: [{ orderId: 'C', deliveredAt: null }]
+      }
+    ];
+
+    const stats = getDriverStats(drivers, runs);
+
+    expect(stats.drv_1).toEqual({ openStops: 1, deliveredCount: 2, averageDeliveryMs: 25 * 60000 });
+    expect(stats.drv_2).toEqual({ openStops: 0, deliveredCount: 0, averageDeliveryMs: null });
+    expect(formatMinutes(stats.drv_1.averageDeliveryMs)).toBe('25 min');
+    expect(formatMinutes(null)).toBe('—');
+  });
+});
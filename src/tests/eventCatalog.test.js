@@ -0,0 +1,61 @@
+// src/tests/eventCatalog.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  buildEventCatalog,
+  getWildcards,
+  matchesEventPattern,
+  getCoveringWildcard,
+  normalizeSubscriptions,
+  searchEventCatalog
+} from '../utils/eventCatalog';
+
+describe('eventCatalog', () => {
+  const adapters = [
+    {
+      id: 'square',
+      name: 'Square POS',
+      events: [
+        { type: 'payment.created', description: 'A payment was captured' },
+        { type: 'order.created', description: 'An order was placed' },
+        { type: 'order.item.added', description: 'An item was added to an order' }
+      ]
+    },
+    { id: 'sendgrid', name: 'SendGrid', events: [{ type: 'email.bounced', description: 'An email bounced' }] },
+    { id: 'legacy', name: 'Legacy POS' }
+  ];
+  const catalog = buildEventCatalog(adapters);
+
+  it('should group event types by adapter, sorted, skipping adapters without events', () => {
+    expect(catalog.map(group => group.id)).toEqual(['square', 'sendgrid']);
+    expect(catalog[0].events.map(event => event.type)).toEqual(['order.created', 'order.item.added', 'payment.created']);
+  });
+
+  it('should offer one wildcard per namespace', () => {
+    expect(getWildcards(catalog)).toEqual(['email.*', 'order.*', 'payment.*']);
+  });
+
+  it('should match event types against patterns', () => {
+    expect(matchesEventPattern('order.created', 'order.created')).toBe(true);
+    expect(matchesEventPattern('order.item.added', 'order.*')).toBe(true);
+    expect(matchesEventPattern('orders.created', 'order.*')).toBe(false);
+    expect(matchesEventPattern('payment.created', 'order.*')).toBe(false);
+    expect(matchesEventPattern('anything', '*')).toBe(true);
+  });
+
+  it('should drop duplicates and types covered by a wildcard', () => {
+    expect(getCoveringWildcard('order.created', ['order.*'])).toBe('order.*');
+    expect(getCoveringWildcard('order.*', ['order.*'])).toBeUndefined();
+    expect(normalizeSubscriptions(['order.created', 'payment.created', 'order.*', 'payment.created']))
+      .toEqual(['payment.created', 'order.*']);
+  });
+
+  it('should search types and descriptions', () => {
+    expect(searchEventCatalog(catalog, '  ')).toBe(catalog);
+    expect(searchEventCatalog(catalog, 'BOUNCE')).toEqual([
+      { id: 'sendgrid', name: 'SendGrid', events: [{ type: 'email.bounced', description: 'An email bounced' }] }
+    ]);
+    expect(searchEventCatalog(catalog, 'item').flatMap(group => group.events.map(event => event.type)))
+      .toEqual(['order.item.added']);
+    expect(searchEventCatalog(catalog, 'refund')).toEqual([]);
+  });
+});
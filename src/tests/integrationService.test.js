@@ -166,7 +166,7 @@ describe('Integration Service', () => {
       // Mock data
       const system = 'square';
       const endpoint = 'orders/create';
-      const data = { customerName: 'John Doe', items: [] };
+      const data = { customerName: 'John Doe', items: [{ itemId: 'soda', name: 'Soda', quantity: 1, price: 2.5 }] };
       const mockResponse = { orderId: 'order_123', status: 'success' };
 
       // Setup mock response
@@ -180,11 +180,22 @@ describe('Integration Service', () => {
       expect(result).toEqual(mockResponse);
     });
 
+    it('should send the idempotency key as a header', async () => {
+      const data = { customerName: 'John Doe', items: [{ itemId: 'soda', name: 'Soda', quantity: 1, price: 2.5 }] };
+      axios.post.mockResolvedValueOnce({ data: { orderId: 'order_123' } });
+
+      await integrationService.send('square', 'orders/create', data, { idempotencyKey: 'key_123' });
+
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/send/square/orders/create', data, {
+        headers: { 'Idempotency-Key': 'key_123' }
+      });
+    });
+
     it('should handle errors when sending data to a system', async () => {
       // Mock data
       const system = 'square';
       const endpoint = 'orders/create';
-      const data = { customerName: 'John Doe', items: [] };
+      const data = { customerName: 'John Doe', items: [{ itemId: 'soda', name: 'Soda', quantity: 1, price: 2.5 }] };
       
       // Setup mock error
       const mockError = new Error('Invalid order data');
@@ -199,6 +210,31 @@ describe('Integration Service', () => {
       // Verify error was logged
       expect(consoleSpy).toHaveBeenCalledWith(`Error sending data to ${system}/${endpoint}:`, mockError);
     });
+
+    it('should reject an invalid order without sending it', async () => {
+      const data = { customerName: '', customerEmail: 'john@', items: [{ name: 'Soda', quantity: 0, price: 2.5 }] };
+
+      await expect(integrationService.send('square', 'orders/create', data)).rejects.toMatchObject({
+        name: 'ValidationError',
+        errors: {
+          customerName: 'Customer name is required',
+          customerEmail: 'Enter a valid email address',
+          'items.0.quantity': 'Quantity must be at least 1'
+        }
+      });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('should convert orders into the payload of the target system', async () => {
+      const data = { customerName: 'John Doe', items: [{ itemId: 'soda', name: 'Soda', quantity: 2, price: 2.5 }] };
+      axios.post.mockResolvedValueOnce({ data: { orderId: 'order_123' } });
+
+      await integrationService.send('clover', 'orders/create', data);
+
+      const [url, payload] = axios.post.mock.calls[0];
+      expect(url).toBe('/api/integration/send/clover/orders/create');
+      expect(payload.orderCart.lineItems).toEqual([{ name: 'Soda', price: 250, unitQty: 2000, itemRefId: 'soda' }]);
+    });
   });
 
   describe('getWebhooks', () => {
@@ -236,6 +272,70 @@ describe('Integration Service', () => {
     });
   });
 
+  describe('createStreamTicket', () => {
+    it('should request a stream ticket successfully', async () => {
+      // Mock data
+      const mockTicket = { ticket: 'tkt_123', expiresAt: '2025-04-28T10:16:00Z' };
+
+      // Setup mock response
+      axios.post.mockResolvedValueOnce({ data: mockTicket });
+
+      // Call the method
+      const result = await integrationService.createStreamTicket();
+
+      // Assertions
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/webhooks/stream/ticket');
+      expect(result).toEqual(mockTicket);
+    });
+
+    it('should handle errors when requesting a stream ticket', async () => {
+      // Setup mock error
+      const mockError = new Error('Unauthorized');
+      axios.post.mockRejectedValueOnce(mockError);
+
+      // Spy on console.error
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      // Call the method and expect it to throw
+      await expect(integrationService.createStreamTicket()).rejects.toThrow();
+
+      // Verify error was logged
+      expect(consoleSpy).toHaveBeenCalledWith('Error creating webhook stream ticket:', mockError);
+    });
+  });
+
+  describe('replayWebhookEvent', () => {
+    it('should replay a stored event successfully', async () => {
+      // Mock data
+      const mockResult = { delivered: true, statusCode: 200 };
+
+      // Setup mock response
+      axios.post.mockResolvedValueOnce({ data: mockResult });
+
+      // Call the method
+      const result = await integrationService.replayWebhookEvent('webhook_123');
+
+      // Assertions
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/webhooks/events/webhook_123/replay');
+      expect(result).toEqual(mockResult);
+    });
+
+    it('should handle errors when replaying an event', async () => {
+      // Setup mock error
+      const mockError = new Error('Event not found');
+      axios.post.mockRejectedValueOnce(mockError);
+
+      // Spy on console.error
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      // Call the method and expect it to throw
+      await expect(integrationService.replayWebhookEvent('webhook_404')).rejects.toThrow();
+
+      // Verify error was logged
+      expect(consoleSpy).toHaveBeenCalledWith('Error replaying webhook event webhook_404:', mockError);
+    });
+  });
+
   describe('registerWebhook', () => {
     it('should register a webhook successfully', async () => {
       // Mock data
@@ -279,4 +379,159 @@ describe('Integration Service', () => {
       expect(consoleSpy).toHaveBeenCalledWith('Error registering webhook:', mockError);
     });
   });
+
+  describe('connection health', () => {
+    it('should test a connection', async () => {
+      const mockResult = { checkedAt: '2025-04-29T12:00:00Z', healthy: true, latencyMs: 182, error: null };
+      axios.post.mockResolvedValueOnce({ data: mockResult });
+
+      const result = await integrationService.testConnection('conn_123');
+
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/connections/conn_123/test');
+      expect(result).toEqual(mockResult);
+    });
+
+    it('should fetch the health history of a connection', async () => {
+      axios.get.mockResolvedValueOnce({ data: [] });
+
+      await integrationService.getConnectionHealth('conn_123', { limit: 20 });
+
+      expect(axios.get).toHaveBeenCalledWith('/api/integration/connections/conn_123/health', { params: { limit: 20 } });
+    });
+
+    it('should update credentials in place', async () => {
+      axios.put.mockResolvedValueOnce({ data: { id: 'conn_123', status: 'active' } });
+
+      const result = await integrationService.updateCredentials('conn_123', { apiKey: 'sk_live_456' });
+
+      expect(axios.put).toHaveBeenCalledWith('/api/integration/connections/conn_123/credentials', { apiKey: 'sk_live_456' });
+      expect(result).toEqual({ id: 'conn_123', status: 'active' });
+    });
+
+    it('should check credentials against the adapter fields before sending them', async () => {
+      const fields = [
+        { name: 'apiKey', label: 'API Key', type: 'secret', required: true, pattern: 'sk_(test|live)_[A-Za-z0-9]+' },
+        { name: 'port', label: 'Port', type: 'number', min: 1, max: 65535 }
+      ];
+
+      await expect(integrationService.connect('square', { port: 70000 }, fields)).rejects.toMatchObject({
+        name: 'ValidationError',
+        errors: { apiKey: 'API Key is required', port: 'Port must be at most 65535' }
+      });
+      await expect(integrationService.updateCredentials('conn_123', { apiKey: 'pk_live_1' }, fields))
+        .rejects.toMatchObject({ errors: { apiKey: 'API Key is not in the expected format' } });
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(axios.put).not.toHaveBeenCalled();
+
+      axios.put.mockResolvedValueOnce({ data: { id: 'conn_123', status: 'active' } });
+      await integrationService.updateCredentials('conn_123', { apiKey: 'sk_live_1', port: 443 }, fields);
+      expect(axios.put).toHaveBeenCalledTimes(1);
+    });
+
+    it('should handle errors when updating credentials', async () => {
+      const mockError = new Error('Invalid API key');
+      axios.put.mockRejectedValueOnce(mockError);
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      await expect(integrationService.updateCredentials('conn_123', {})).rejects.toThrow();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error updating credentials for connection conn_123:', mockError);
+    });
+  });
+
+  describe('webhook deliveries', () => {
+    it('should fetch registered webhooks', async () => {
+      const mockRegistrations = [{ id: 'webhook_123', path: '/api/webhooks/orders' }];
+      axios.get.mockResolvedValueOnce({ data: mockRegistrations });
+
+      const result = await integrationService.getRegisteredWebhooks();
+
+      expect(axios.get).toHaveBeenCalledWith('/api/integration/webhooks/registrations');
+      expect(result).toEqual(mockRegistrations);
+    });
+
+    it('should update, delete and test a registered webhook', async () => {
+      axios.patch.mockResolvedValueOnce({ data: { id: 'webhook_123', status: 'paused' } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true } });
+      axios.post.mockResolvedValueOnce({ data: { delivered: true, statusCode: 200 } });
+
+      expect(await integrationService.updateWebhook('webhook_123', { status: 'paused' }))
+        .toEqual({ id: 'webhook_123', status: 'paused' });
+      expect(await integrationService.deleteWebhook('webhook_123')).toEqual({ success: true });
+      expect(await integrationService.sendTestEvent('webhook_123')).toEqual({ delivered: true, statusCode: 200 });
+
+      expect(axios.patch).toHaveBeenCalledWith('/api/integration/webhooks/webhook_123', { status: 'paused' });
+      expect(axios.delete).toHaveBeenCalledWith('/api/integration/webhooks/webhook_123');
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/webhooks/webhook_123/test');
+    });
+
+    it('should handle errors when updating a webhook', async () => {
+      const mockError = new Error('Webhook not found');
+      axios.patch.mockRejectedValueOnce(mockError);
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      await expect(integrationService.updateWebhook('webhook_404', { events: [] })).rejects.toThrow();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error updating webhook webhook_404:', mockError);
+    });
+
+    it('should rotate the signing secret of a webhook', async () => {
+      const mockRegistration = { id: 'webhook_123', secret: 'whsec_new', previousSecret: 'whsec_old' };
+      axios.post.mockResolvedValueOnce({ data: mockRegistration });
+
+      const result = await integrationService.rotateWebhookSecret('webhook_123', 'whsec_new', 86400);
+
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/webhooks/webhook_123/secret', {
+        secret: 'whsec_new',
+        gracePeriodSeconds: 86400
+      });
+      expect(result).toEqual(mockRegistration);
+    });
+
+    it('should fetch the delivery attempts of a webhook with filters', async () => {
+      const mockDeliveries = [{ id: 'att_1', status: 'failed', statusCode: 500 }];
+      axios.get.mockResolvedValueOnce({ data: mockDeliveries });
+
+      const result = await integrationService.getWebhookDeliveries('webhook_123', { status: 'failed' });
+
+      expect(axios.get).toHaveBeenCalledWith('/api/integration/webhooks/webhook_123/deliveries', {
+        params: { status: 'failed' }
+      });
+      expect(result).toEqual(mockDeliveries);
+    });
+
+    it('should handle errors when fetching delivery attempts', async () => {
+      const mockError = new Error('Network error');
+      axios.get.mockRejectedValueOnce(mockError);
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      await expect(integrationService.getWebhookDeliveries('webhook_123')).rejects.toThrow();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error fetching deliveries for webhook webhook_123:', mockError);
+    });
+
+    it('should fetch, re-drive and discard dead letters', async () => {
+      axios.get.mockResolvedValueOnce({ data: [{ id: 'dlq_42' }] });
+      axios.post.mockResolvedValueOnce({ data: { delivered: true } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true } });
+
+      expect(await integrationService.getDeadLetters()).toEqual([{ id: 'dlq_42' }]);
+      expect(await integrationService.redriveDeadLetter('dlq_42')).toEqual({ delivered: true });
+      expect(await integrationService.discardDeadLetter('dlq_42')).toEqual({ success: true });
+
+      expect(axios.get).toHaveBeenCalledWith('/api/integration/webhooks/dead-letters');
+      expect(axios.post).toHaveBeenCalledWith('/api/integration/webhooks/dead-letters/dlq_42/redrive');
+      expect(axios.delete).toHaveBeenCalledWith('/api/integration/webhooks/dead-letters/dlq_42');
+    });
+
+    it('should handle errors when re-driving a dead letter', async () => {
+      const mockError = new Error('Dead letter not found');
+      axios.post.mockRejectedValueOnce(mockError);
+      const consoleSpy = vi.spyOn(console, 'error');
+
+      await expect(integrationService.redriveDeadLetter('dlq_404')).rejects.toThrow();
+
+      expect(consoleSpy).toHaveBeenCalledWith('Error re-driving dead letter dlq_404:', mockError);
+    });
+  });
 });
@@ -0,0 +1,29 @@
+// src/tests/jsonDiff.test.js
+import { describe, it, expect } from 'vitest';
+import { diffJson } from '../utils/jsonDiff';
+
+describe('diffJson', () => {
+  it('should report added, removed and changed keys with their paths', () => {
+    const before = { status: 'new', customer: { name: 'Ann', phone: '555' }, items: [{ sku: 'PEP' }] };
+    const after = { status: 'ready', customer: { name: 'Ann' }, items: [{ sku: 'PEP' }, { sku: 'VEG' }], paid: true };
+
+    expect(diffJson(before, after)).toEqual([
+      { path: 'status', type: 'changed', before: 'new', after: 'ready' },
+      { path: 'customer.phone', type: 'removed', before: '555', after: undefined },
+      { path: 'items[1]', type: 'added', before: undefined, after: { sku: 'VEG' } },
+      { path: 'paid', type: 'added', before: undefined, after: true }
+    ]);
+  });
+
+  it('should report a change of shape as one change', () => {
+    expect(diffJson({ total: { cents: 100 } }, { total: 1 })).toEqual([
+      { path: 'total', type: 'changed', before: { cents: 100 }, after: 1 }
+    ]);
+    expect(diffJson([1], { 0: 1 })).toHaveLength(1);
+  });
+
+  it('should find no changes between equal values', () => {
+    expect(diffJson({ a: [1, { b: null }] }, { a: [1, { b: null }] })).toEqual([]);
+    expect(diffJson(NaN, NaN)).toEqual([]);
+  });
+});
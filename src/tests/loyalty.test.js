@@ -0,0 +1,116 @@
+// src/tests/loyalty.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  REWARD_TYPES,
+  DEFAULT_LOYALTY_PROGRAM,
+  calculatePointsEarned,
+  getAvailableRewards,
+  calculateRewardCents,
+  describeReward,
+  getLedgerBalance,
+  validateLoyaltyProgram
+} from '../utils/loyalty';
+import { calculateOrderTotals } from '../utils/pricing';
+
+describe('loyalty', () => {
+  const menu = {
+    items: [
+      { id: 'margherita', name: 'Margherita', category: 'pizza', prices: { medium: 12, large: 15 } },
+      { id: 'pepperoni', name: 'Pepperoni', category: 'pizza', prices: { medium: 13.5, large: 16.99 } },
+      { id: 'knots', name: 'Garlic Knots', category: 'side', price: 5.25 }
+    ],
+    sizes: [
+      { id: 'medium', name: 'Medium', toppingMultiplier: 1 },
+      { id: 'large', name: 'Large', toppingMultiplier: 1.5 }
+    ],
+    crusts: [],
+    toppings: []
+  };
+
+  const freePizza = DEFAULT_LOYALTY_PROGRAM.rewards[0];
+
+  it('should earn points on whole dollars of the discounted subtotal', () => {
+    const program = { enabled: true, pointsPerDollar: 2, minimumOrder: 10 };
+
+    expect(calculatePointsEarned(program, 1899)).toBe(36);
+    expect(calculatePointsEarned(program, 999)).toBe(0);
+    expect(calculatePointsEarned({ ...program, pointsPerDollar: 0.5 }, 1500)).toBe(7);
+    expect(calculatePointsEarned({ ...program, enabled: false }, 5000)).toBe(0);
+    expect(calculatePointsEarned(null, 5000)).toBe(0);
+  });
+
+  it('should offer only the rewards the balance covers, cheapest first', () => {
+    const program = {
+      enabled: true,
+      rewards: [
+        { id: 'big', points: 250 },
+        freePizza,
+        { id: 'broken', points: 0 }
+      ]
+    };
+
+    expect(getAvailableRewards(program, 99)).toEqual([]);
+    expect(getAvailableRewards(program, 300).map(reward => reward.id)).toEqual(['free-medium-pizza', 'big']);
+    expect(getAvailableRewards({ ...program, enabled: false }, 300)).toEqual([]);
+  });
+
+  it('should take the priciest matching item off for a free item reward', () => {
+    const lines = [
+      { itemId: 'margherita', sizeId: 'medium', quantity: 1, toppings: [] },
+      { itemId: 'pepperoni', sizeId: 'medium', quantity: 2, toppings: [] },
+      { itemId: 'pepperoni', sizeId: 'large', quantity: 1, toppings: [] },
+      { itemId: 'knots', quantity: 1 }
+    ];
+
+    expect(calculateRewardCents(freePizza, lines, menu, 10000)).toBe(1350);
+    expect(calculateRewardCents({ ...freePizza, sizeId: '' }, lines, menu, 10000)).toBe(1699);
+    expect(calculateRewardCents(freePizza, lines, menu, 1000)).toBe(1000);
+    expect(calculateRewardCents(freePizza, [lines[3]], menu, 525)).toBe(0);
+    expect(calculateRewardCents(null, lines, menu, 10000)).toBe(0);
+  });
+
+  it('should price fixed and percent rewards like a coupon', () => {
+    expect(calculateRewardCents({ type: REWARD_TYPES.FIXED, value: 5 }, [], menu, 2000)).toBe(500);
+    expect(calculateRewardCents({ type: REWARD_TYPES.PERCENT, value: 10 }, [], menu, 2599)).toBe(260);
+  });
+
+  it('should describe rewards', () => {
+    expect(describeReward(freePizza, menu)).toBe('Free Medium pizza');
+    expect(describeReward({ type: REWARD_TYPES.FREE_ITEM }, menu)).toBe('Free item');
+    expect(describeReward({ type: REWARD_TYPES.FIXED, value: 5 })).toBe('$5.00 off');
+    expect(describeReward({ type: REWARD_TYPES.PERCENT, value: 15 })).toBe('15% off');
+  });
+
+  it('should add up the ledger balance', () => {
+    expect(getLedgerBalance([{ points: 120 }, { points: -100 }, { points: 7 }])).toBe(27);
+    expect(getLedgerBalance([])).toBe(0);
+  });
+
+  it('should validate the program before saving', () => {
+    expect(validateLoyaltyProgram(DEFAULT_LOYALTY_PROGRAM)).toBeNull();
+    expect(validateLoyaltyProgram({ ...DEFAULT_LOYALTY_PROGRAM, pointsPerDollar: 0 }))
+      .toBe('Points per dollar must be above zero');
+    expect(validateLoyaltyProgram({ ...DEFAULT_LOYALTY_PROGRAM, rewards: [{ ...freePizza, name: ' ' }] }))
+      .toBe('Every reward needs a name');
+    expect(validateLoyaltyProgram({ ...DEFAULT_LOYALTY_PROGRAM, rewards: [{ ...freePizza, points: 2.5 }] }))
+      .toBe('Rewards must cost a whole number of points above zero');
+    expect(validateLoyaltyProgram({
+      ...DEFAULT_LOYALTY_PROGRAM,
+      rewards: [{ id: 'r', name: 'Half off', points: 500, type: REWARD_TYPES.PERCENT, value: 150 }]
+    })).toBe('Reward discounts must be above zero, and percentages at most 100%');
+  });
+
+  it('should apply a redeemed reward as a discount line after the coupon', () => {
+    const totals = calculateOrderTotals({
+      lineTotalsCents: [1500],
+      coupon: { code: 'SAVE10', type: 'fixed', value: 10 },
+      reward: { id: 'free-medium-pizza', name: 'Free medium pizza', amountCents: 1200 }
+    }, { taxRates: [] });
+
+    expect(totals.discounts).toEqual([
+      expect.objectContaining({ label: 'Coupon SAVE10', amountCents: 1000 }),
+      { label: 'Reward: Free medium pizza', type: 'reward', rewardId: 'free-medium-pizza', amountCents: 500 }
+    ]);
+    expect(totals.totalCents).toBe(0);
+  });
+});
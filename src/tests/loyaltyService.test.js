@@ -0,0 +1,65 @@
+// src/tests/loyaltyService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import loyaltyService from '../services/loyaltyService';
+
+// Mock axios
+vi.mock('axios');
+
+describe('Loyalty Service', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should read and save the program', async () => {
+    const program = { enabled: true, pointsPerDollar: 1, minimumOrder: 0, rewards: [] };
+    axios.get.mockResolvedValueOnce({ data: program });
+    axios.put.mockResolvedValueOnce({ data: program });
+
+    expect(await loyaltyService.getProgram()).toEqual(program);
+    expect(await loyaltyService.updateProgram(program)).toEqual(program);
+
+    expect(axios.get).toHaveBeenCalledWith('/api/loyalty/program');
+    expect(axios.put).toHaveBeenCalledWith('/api/loyalty/program', program);
+  });
+
+  it('should read and add to a customer ledger', async () => {
+    axios.get.mockResolvedValueOnce({ data: [{ id: 'le_1', points: 30 }] });
+    axios.post.mockResolvedValueOnce({ data: { id: 'le_2', points: 5 } });
+
+    expect(await loyaltyService.getLedger('cus_1')).toEqual([{ id: 'le_1', points: 30 }]);
+    await loyaltyService.addLedgerEntry('cus_1', { type: 'adjust', points: 5, note: 'Paper card' });
+
+    expect(axios.get).toHaveBeenCalledWith('/api/loyalty/customers/cus_1/ledger');
+    expect(axios.post).toHaveBeenCalledWith('/api/loyalty/customers/cus_1/ledger', {
+      type: 'adjust',
+      points: 5,
+      note: 'Paper card'
+    });
+  });
+
+  it('should record the redemption before the points earned on an order', async () => {
+    axios.post.mockImplementation(async (url, entry) => ({ data: entry }));
+
+    const entries = await loyaltyService.recordOrder('cus_1', {
+      orderId: 'ORD-9',
+      idempotencyKey: 'key-1',
+      pointsEarned: 12,
+      reward: { id: 'free-medium-pizza', points: 100 }
+    });
+
+    expect(entries).toEqual([
+      { type: 'redeem', points: -100, rewardId: 'free-medium-pizza', orderId: 'ORD-9', idempotencyKey: 'key-1:redeem' },
+      { type: 'earn', points: 12, orderId: 'ORD-9', idempotencyKey: 'key-1:earn' }
+    ]);
+  });
+
+  it('should skip empty ledger entries', async () => {
+    expect(await loyaltyService.recordOrder('cus_1', { idempotencyKey: 'key-1', pointsEarned: 0 })).toEqual([]);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+// src/tests/menuPricing.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  getItemSizes,
+  createLineForItem,
+  calculateUnitPrice,
+  calculateLineTotal,
+  describeLine,
+  toOrderItem
+} from '../utils/menuPricing';
+
+describe('menuPricing', () => {
+  const menu = {
+    items: [
+      { id: 'margherita', name: 'Margherita', prices: { small: 9.5, medium: 12, large: 15 }, includedToppings: ['basil'], customizable: true },
+      { id: 'knots', name: 'Garlic Knots', price: 5.25, customizable: false }
+    ],
+    sizes: [
+      { id: 'small', name: 'Small', toppingMultiplier: 1 },
+      { id: 'medium', name: 'Medium', toppingMultiplier: 1.25 },
+      { id: 'large', name: 'Large', toppingMultiplier: 1.5 }
+    ],
+    crusts: [
+      { id: 'thin', name: 'Thin', upcharge: 0 },
+      { id: 'deep', name: 'Deep Dish', upcharge: 3 }
+    ],
+    toppings: [
+      { id: 'basil', name: 'Basil', price: 0.5 },
+      { id: 'olives', name: 'Olives', price: 1.1 }
+    ]
+  };
+
+  it('should list only the sizes an item is priced in', () => {
+    const item = { ...menu.items[0], prices: { large: 15 } };
+    expect(getItemSizes(item, menu).map(size => size.id)).toEqual(['large']);
+    expect(getItemSizes(menu.items[1], menu)).toEqual([]);
+  });
+
+  it('should default new lines to the first size and crust', () => {
+    expect(createLineForItem('margherita', menu, 2)).toEqual({
+      itemId: 'margherita',
+      sizeId: 'small',
+      crustId: 'thin',
+      toppingIds: [],
+      quantity: 2
+    });
+    expect(createLineForItem('knots', menu)).toMatchObject({ sizeId: '', crustId: '' });
+  });
+
+  it('should add crust upcharges and scale extra toppings by size', () => {
+    const line = { itemId: 'margherita', sizeId: 'large', crustId: 'deep', toppingIds: ['olives', 'basil'], quantity: 2 };
+
+    // 15 + 3 + 1.10 × 1.5 (basil is included)
+    expect(calculateUnitPrice(line, menu)).toBe(19.65);
+    expect(calculateLineTotal(line, menu)).toBe(39.3);
+  });
+
+  it('should use the flat price for unsized items', () => {
+    expect(calculateUnitPrice({ itemId: 'knots', sizeId: '', toppingIds: [], quantity: 3 }, menu)).toBe(5.25);
+  });
+
+  it('should return null for incomplete lines', () => {
+    expect(calculateUnitPrice({ itemId: '', toppingIds: [], quantity: 1 }, menu)).toBeNull();
+    expect(calculateUnitPrice({ itemId: 'margherita', sizeId: 'huge', toppingIds: [], quantity: 1 }, menu)).toBeNull();
+    expect(calculateLineTotal({ itemId: '', toppingIds: [], quantity: 1 }, menu)).toBe(0);
+  });
+
+  it('should describe lines and convert them to order items', () => {
+    const line = { itemId: 'margherita', sizeId: 'medium', crustId: 'thin', toppingIds: ['olives'], quantity: 1 };
+
+    expect(describeLine(line, menu)).toBe('Medium Margherita (Thin, + Olives)');
+    expect(toOrderItem(line, menu)).toEqual({
+      itemId: 'margherita',
+      name: 'Medium Margherita (Thin, + Olives)',
+      sizeId: 'medium',
+      crustId: 'thin',
+      toppingIds: ['olives'],
+      quantity: 1,
+      price: 13.38
+    });
+  });
+});
@@ -0,0 +1,170 @@
+// src/tests/oauthService.test.js
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { setupServer } from 'msw/node';
+import { http, HttpResponse } from 'msw';
+import oauthService, { getRedirectUri, PENDING_STORAGE_KEY, PENDING_TTL_MS } from '../services/oauthService';
+import { createCodeChallenge } from '../utils/pkce';
+import settingsService from '../services/settingsService';
+
+/**
+ * Local mock authorization server
+ *
+ * Plays both sides of the exchange: the provider's authorization endpoint,
+ * which remembers the PKCE challenge and redirects back with a one-time
+ * code, and the backend's token endpoint, which only accepts the code with
+ * the verifier matching that challenge.
+ */
+const AUTHORIZATION_URL = 'https://auth.example.test/authorize';
+const issuedCodes = new Map();
+const tokenRequests = [];
+let nextCode = 1;
+
+const server = setupServer(
+  http.get(AUTHORIZATION_URL, ({ request }) => {
+    const params = new URL(request.url).searchParams;
+    if (params.get('client_id') !== 'pizza-ops' || params.get('code_challenge_method') !== 'S256') {
+      const denied = new URL(params.get('redirect_uri'));
+      denied.searchParams.set('error', 'invalid_request');
+      denied.searchParams.set('state', params.get('state'));
+      return HttpResponse.json({ location: denied.toString() });
+    }
+
+    const code = `code-${nextCode++}`;
+    issuedCodes.set(code, { challenge: params.get('code_challenge'), redirectUri: params.get('redirect_uri') });
+    const callback = new URL(params.get('redirect_uri'));
+    callback.searchParams.set('code', code);
+    callback.searchParams.set('state', params.get('state'));
+    return HttpResponse.json({ location: callback.toString() });
+  }),
+
+  http.post('/api/integration/oauth/:adapterId/token', async ({ request, params }) => {
+    const body = await request.json();
+    tokenRequests.push(body);
+    const issued = issuedCodes.get(body.code);
+    issuedCodes.delete(body.code);
+    if (!issued || issued.redirectUri !== body.redirectUri
+      || issued.challenge !== await createCodeChallenge(body.codeVerifier)) {
+      return HttpResponse.json({ message: 'invalid_grant' }, { status: 400 });
+    }
+    return HttpResponse.json({
+      id: body.connectionId || 'conn_9',
+      system: params.adapterId,
+      name: 'Clover',
+      authType: 'oauth2',
+      tokenExpiresAt: '2025-04-29T13:00:00Z'
+    });
+  }),
+
+  http.post('/api/integration/connections/:connectionId/refresh', ({ params }) => {
+    if (params.connectionId === 'conn_revoked') {
+      return HttpResponse.json({ message: 'Refresh token was revoked' }, { status: 401 });
+    }
+    return HttpResponse.json({ id: params.connectionId, tokenExpiresAt: '2025-04-29T14:00:00Z' });
+  })
+);
+
+const adapter = {
+  id: 'clover',
+  name: 'Clover',
+  oauth: { authorizationUrl: AUTHORIZATION_URL, clientId: 'pizza-ops', scopes: ['orders:read'] }
+};
+
+/**
+ * Follows an authorization URL through the mock provider
+ *
+ * @param {string} url - Authorization URL
+ * @returns {Promise<Object>} Query parameters of the callback URL
+ */
+const authorize = async (url) => {
+  const response = await fetch(url);
+  const { location } = await response.json();
+  return Object.fromEntries(new URL(location).searchParams);
+};
+
+describe('oauthService', () => {
+  beforeAll(() => server.listen({ onUnhandledRequest: 'error' }));
+  afterAll(() => server.close());
+
+  beforeEach(() => {
+    localStorage.clear();
+    settingsService.resetSettings();
+    issuedCodes.clear();
+    tokenRequests.length = 0;
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    server.resetHandlers();
+    vi.restoreAllMocks();
+  });
+
+  it('should connect through the authorization code flow with PKCE', async () => {
+    const url = await oauthService.startAuthorization(adapter);
+    expect(new URL(url).searchParams.get('redirect_uri')).toBe(getRedirectUri());
+
+    const connection = await oauthService.completeAuthorization(await authorize(url));
+
+    expect(connection).toMatchObject({ id: 'conn_9', system: 'clover', authType: 'oauth2' });
+    expect(tokenRequests[0].codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(localStorage.getItem(PENDING_STORAGE_KEY)).toBeNull();
+  });
+
+  it('should re-authorize an existing connection in place', async () => {
+    const url = await oauthService.startAuthorization(adapter, { connectionId: 'conn_5' });
+
+    const connection = await oauthService.completeAuthorization(await authorize(url));
+
+    expect(connection.id).toBe('conn_5');
+    expect(tokenRequests[0].connectionId).toBe('conn_5');
+  });
+
+  it('should only let a callback be used once', async () => {
+    const params = await authorize(await oauthService.startAuthorization(adapter));
+    await oauthService.completeAuthorization(params);
+
+    await expect(oauthService.completeAuthorization(params)).rejects.toThrow(/expired or was already used/);
+    expect(tokenRequests).toHaveLength(1);
+  });
+
+  it('should reject callbacks for unknown or expired requests', async () => {
+    const now = Date.now();
+    vi.spyOn(Date, 'now').mockReturnValue(now);
+    const params = await authorize(await oauthService.startAuthorization(adapter));
+
+    Date.now.mockReturnValue(now + PENDING_TTL_MS + 1);
+    await expect(oauthService.completeAuthorization(params)).rejects.toThrow(/expired/);
+    await expect(oauthService.completeAuthorization({ code: 'code-x', state: 'forged' })).rejects.toThrow(/expired/);
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  it('should surface errors from the provider and drop the request', async () => {
+    const url = new URL(await oauthService.startAuthorization(adapter));
+    url.searchParams.set('client_id', 'someone-else');
+
+    const params = await authorize(url.toString());
+
+    await expect(oauthService.completeAuthorization(params)).rejects.toThrow('Authorization was not granted (invalid_request).');
+    await expect(oauthService.completeAuthorization({ error: 'access_denied', error_description: 'The user denied access' }))
+      .rejects.toThrow('The user denied access');
+    expect(localStorage.getItem(PENDING_STORAGE_KEY)).toBeNull();
+  });
+
+  it('should fail the exchange when the verifier does not match the challenge', async () => {
+    const params = await authorize(await oauthService.startAuthorization(adapter));
+    const pending = JSON.parse(localStorage.getItem(PENDING_STORAGE_KEY));
+    pending[params.state].codeVerifier = 'tampered-verifier';
+    localStorage.setItem(PENDING_STORAGE_KEY, JSON.stringify(pending));
+
+    await expect(oauthService.completeAuthorization(params)).rejects.toMatchObject({
+      response: { status: 400, data: { message: 'invalid_grant' } }
+    });
+  });
+
+  it('should refresh a connection token', async () => {
+    await expect(oauthService.refreshToken('conn_9')).resolves.toEqual({
+      id: 'conn_9',
+      tokenExpiresAt: '2025-04-29T14:00:00Z'
+    });
+    await expect(oauthService.refreshToken('conn_revoked')).rejects.toMatchObject({ response: { status: 401 } });
+  });
+});
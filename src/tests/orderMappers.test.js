@@ -0,0 +1,98 @@
+// src/tests/orderMappers.test.js
+import { describe, it, expect } from 'vitest';
+import { mapOrderForSystem } from '../utils/orderMappers';
+import { toCents } from '../utils/money';
+
+describe('orderMappers', () => {
+  const order = {
+    customerName: 'Jane van Dyke',
+    customerPhone: '5551234567',
+    customerEmail: '',
+    items: [{ itemId: 'pepperoni', name: 'Large Pepperoni Pizza', quantity: 2, price: 14.99 }],
+    notes: 'Extra napkins',
+    deliveryAddress: '12 Oak St',
+    total: 36.64,
+    totals: { discounts: [{ label: 'PIZZA10', amountCents: 300 }], taxCents: 216, deliveryFeeCents: 500, tipCents: 250 }
+  };
+
+  it('should send the order unchanged to Square and systems without a mapper', () => {
+    expect(mapOrderForSystem('square', order)).toBe(order);
+    expect(mapOrderForSystem('doordash', order)).toBe(order);
+  });
+
+  it('should map an order to a Clover order in cents', () => {
+    expect(mapOrderForSystem('clover', order)).toEqual({
+      orderCart: {
+        title: 'Jane van Dyke',
+        note: 'Extra napkins\nDeliver to: 12 Oak St',
+        lineItems: [
+          { name: 'Large Pepperoni Pizza', price: 1499, unitQty: 2000, itemRefId: 'pepperoni' },
+          { name: 'Delivery Fee', price: 500, unitQty: 1000 }
+        ],
+        discounts: [{ name: 'PIZZA10', amount: -300 }],
+        customers: [{
+          firstName: 'Jane',
+          lastName: 'van Dyke',
+          phoneNumbers: [{ phoneNumber: '5551234567' }],
+          emailAddresses: []
+        }]
+      },
+      taxAmount: 216,
+      tipAmount: 250
+    });
+  });
+
+  it('should charge the order total on Clover', () => {
+    const { orderCart, taxAmount, tipAmount } = mapOrderForSystem('clover', order);
+    const linesCents = orderCart.lineItems.reduce((sum, line) => sum + (line.price * line.unitQty) / 1000, 0);
+    const discountCents = orderCart.discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+    expect(linesCents + discountCents + taxAmount + tipAmount).toBe(toCents(order.total));
+  });
+
+  it('should charge the order total on Toast', () => {
+    const [check] = mapOrderForSystem('toast', order).checks;
+    const sum = (amounts) => amounts.reduce((total, amount) => total + toCents(amount), 0);
+
+    expect(check.appliedServiceCharges).toEqual([
+      { name: 'Delivery Fee', chargeAmount: 5, gratuity: false },
+      { name: 'Tip', chargeAmount: 2.5, gratuity: true }
+    ]);
+    expect(
+      sum(check.selections.map(selection => selection.price * selection.quantity))
+      - sum(check.appliedDiscounts.map(discount => discount.discountAmount))
+      + sum(check.appliedServiceCharges.map(charge => charge.chargeAmount))
+      + toCents(check.taxAmount)
+    ).toBe(toCents(order.total));
+  });
+
+  it('should send routed orders to their location on Clover and Toast', () => {
+    const routed = { ...order, customerId: 'cust_42', locationId: 'loc_downtown' };
+
+    const clover = mapOrderForSystem('clover', routed);
+    expect(clover.merchantId).toBe('loc_downtown');
+    expect(clover.orderCart.customers[0].externalId).toBe('cust_42');
+
+    const toast = mapOrderForSystem('toast', routed);
+    expect(toast.restaurantGuid).toBe('loc_downtown');
+    expect(toast.checks[0].customer.externalId).toBe('cust_42');
+
+    // Unrouted orders go to the account's default location
+    expect(mapOrderForSystem('clover', order).merchantId).toBeUndefined();
+    expect(mapOrderForSystem('toast', order).restaurantGuid).toBeUndefined();
+  });
+
+  it('should map an order to a Toast delivery check', () => {
+    const payload = mapOrderForSystem('toast', order);
+
+    expect(payload.diningOption).toEqual({ behavior: 'DELIVERY' });
+    expect(payload.deliveryInfo).toEqual({ address1: '12 Oak St' });
+    expect(payload.checks[0]).toMatchObject({
+      customer: { firstName: 'Jane', lastName: 'van Dyke', phone: '5551234567', email: undefined },
+      selections: [{ externalId: 'pepperoni', displayName: 'Large Pepperoni Pizza', quantity: 2, price: 14.99 }],
+      appliedDiscounts: [{ name: 'PIZZA10', discountAmount: 3 }],
+      specialRequest: 'Extra napkins\nDeliver to: 12 Oak St'
+    });
+    expect(mapOrderForSystem('toast', { ...order, deliveryAddress: '' }).diningOption).toEqual({ behavior: 'TAKE_OUT' });
+  });
+});
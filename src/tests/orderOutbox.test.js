@@ -0,0 +1,229 @@
+// src/tests/orderOutbox.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import integrationService from '../services/integrationService';
+import customerService from '../services/customerService';
+import loyaltyService from '../services/loyaltyService';
+import orderOutbox, { isOfflineError, LOYALTY_ENDPOINT, OUTBOX_STATUS } from '../services/orderOutbox';
+import { ValidationError } from '../utils/validation';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getConnections: vi.fn(),
+    send: vi.fn()
+  }
+}));
+
+// Mock the customer service used to record customer activity
+vi.mock('../services/customerService', () => ({
+  default: {
+    saveCustomer: vi.fn()
+  }
+}));
+
+/**
+ * Queues an order for the given customer
+ *
+ * @param {string} id - Idempotency key
+ * @param {string} customerName - Customer name
+ * @returns {Promise<Object>} Queued entry
+ */
+const queueOrder = (id, customerName) => orderOutbox.enqueue({
+  system: 'square',
+  endpoint: 'orders/create',
+  data: { customerName, total: 12.5 },
+  idempotencyKey: id
+});
+
+describe('Order Outbox', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    localStorage.clear();
+  });
+
+  it('should tell offline errors from rejections', () => {
+    expect(isOfflineError(new Error('Network Error'))).toBe(true);
+    expect(isOfflineError({ response: { status: 503 } })).toBe(true);
+    expect(isOfflineError({ response: { status: 500 } })).toBe(false);
+    expect(isOfflineError({ response: { status: 422 } })).toBe(false);
+    expect(isOfflineError(new ValidationError({ items: 'Add at least one item' }))).toBe(false);
+  });
+
+  it('should keep queued orders across reloads, oldest first', async () => {
+    vi.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z') });
+    await queueOrder('key_1', 'Jane');
+    vi.setSystemTime(new Date('2026-03-01T12:01:00Z'));
+    await queueOrder('key_2', 'Sam');
+    vi.useRealTimers();
+
+    const entries = await orderOutbox.getEntries();
+
+    expect(entries.map(entry => entry.id)).toEqual(['key_1', 'key_2']);
+    expect(entries[0]).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 0, lastError: null });
+  });
+
+  it('should replay in order with the original idempotency keys', async () => {
+    await queueOrder('key_1', 'Jane');
+    await queueOrder('key_2', 'Sam');
+    integrationService.send.mockResolvedValue({ orderId: 'order_1' });
+
+    const result = await orderOutbox.replay();
+
+    expect(integrationService.send.mock.calls).toEqual([
+      ['square', 'orders/create', { customerName: 'Jane', total: 12.5 }, { idempotencyKey: 'key_1' }],
+      ['square', 'orders/create', { customerName: 'Sam', total: 12.5 }, { idempotencyKey: 'key_2' }]
+    ]);
+    expect(result.sent).toHaveLength(2);
+    expect(result.remaining).toBe(0);
+    expect(await orderOutbox.getEntries()).toEqual([]);
+  });
+
+  it('should route orders queued without a system when replaying them', async () => {
+    await orderOutbox.enqueue({ endpoint: 'orders/create', data: { customerName: 'Jane', total: 12.5 }, idempotencyKey: 'key_1' });
+    integrationService.getConnections.mockResolvedValue([{ id: 'conn_1', system: 'square', status: 'active' }]);
+    integrationService.send.mockResolvedValue({ orderId: 'order_1' });
+
+    const result = await orderOutbox.replay();
+
+    expect(integrationService.send).toHaveBeenCalledWith(
+      'square', 'orders/create', { customerName: 'Jane', total: 12.5 }, { idempotencyKey: 'key_1' }
+    );
+    expect(result.sent).toHaveLength(1);
+  });
+
+  it('should record the reward and points of a queued order once it is sent', async () => {
+    await orderOutbox.enqueue({
+      endpoint: 'orders/create',
+      data: {
+        customerId: 'cus_1',
+        customerName: 'Jane',
+        items: [{ itemId: 'pepperoni', name: 'Large Pepperoni Pizza', quantity: 2, price: 16.99 }],
+        total: 16.99,
+        loyalty: { rewardId: 'free-large-pizza', pointsRedeemed: 100, pointsEarned: 16 }
+      },
+      idempotencyKey: 'key_1'
+    });
+    integrationService.getConnections.mockResolvedValue([{ id: 'conn_1', system: 'square', status: 'active' }]);
+    integrationService.send.mockResolvedValue({ orderId: 'order_1' });
+    customerService.saveCustomer.mockResolvedValue(null);
+    const addLedgerEntry = vi.spyOn(loyaltyService, 'addLedgerEntry').mockImplementation(async (_, entry) => entry);
+
+    await orderOutbox.replay();
+
+    expect(addLedgerEntry.mock.calls).toEqual([
+      ['cus_1', { type: 'redeem', points: -100, rewardId: 'free-large-pizza', orderId: 'order_1', idempotencyKey: 'key_1:redeem' }],
+      ['cus_1', { type: 'earn', points: 16, orderId: 'order_1', idempotencyKey: 'key_1:earn' }]
+    ]);
+  });
+
+  it('should queue a points ledger write that fails and retry it on the next replay', async () => {
+    await orderOutbox.enqueue({
+      system: 'square',
+      endpoint: 'orders/create',
+      data: {
+        customerId: 'cus_1',
+        customerName: 'Jane',
+        total: 0,
+        loyalty: { rewardId: 'free-large-pizza', pointsRedeemed: 100, pointsEarned: 0 }
+      },
+      idempotencyKey: 'key_1'
+    });
+    integrationService.send.mockResolvedValue({ orderId: 'order_1' });
+    customerService.saveCustomer.mockResolvedValue(null);
+    const addLedgerEntry = vi.spyOn(loyaltyService, 'addLedgerEntry').mockRejectedValueOnce(new Error('Network Error'));
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await orderOutbox.replay();
+
+    // The order went through, so only the ledger write waits in the outbox
+    expect(integrationService.send).toHaveBeenCalledTimes(1);
+    const [entry] = await orderOutbox.getEntries();
+    expect(entry).toMatchObject({
+      id: 'key_1:loyalty',
+      endpoint: LOYALTY_ENDPOINT,
+      status: OUTBOX_STATUS.PENDING,
+      data: { customerId: 'cus_1', customerName: 'Jane', orderId: 'order_1', idempotencyKey: 'key_1' }
+    });
+
+    addLedgerEntry.mockImplementation(async (_, ledgerEntry) => ledgerEntry);
+    const result = await orderOutbox.replay();
+
+    expect(addLedgerEntry).toHaveBeenLastCalledWith('cus_1', {
+      type: 'redeem', points: -100, rewardId: 'free-large-pizza', orderId: 'order_1', idempotencyKey: 'key_1:redeem'
+    });
+    expect(integrationService.send).toHaveBeenCalledTimes(1);
+    expect(result.sent).toHaveLength(1);
+    expect(await orderOutbox.getEntries()).toEqual([]);
+  });
+
+  it('should mark invalid orders failed instead of retrying them', async () => {
+    await orderOutbox.enqueue({
+      system: 'square',
+      endpoint: 'orders/create',
+      data: { customerName: 'Jane', items: [] },
+      idempotencyKey: 'key_1'
+    });
+    integrationService.send.mockRejectedValue(new ValidationError({ items: 'Add at least one item' }));
+
+    const result = await orderOutbox.replay();
+
+    expect(result.failed).toHaveLength(1);
+    expect(result.failed[0]).toMatchObject({ status: OUTBOX_STATUS.FAILED, lastError: 'Add at least one item' });
+  });
+
+  it('should stop replaying while the backend is still unreachable', async () => {
+    await queueOrder('key_1', 'Jane');
+    await queueOrder('key_2', 'Sam');
+    integrationService.send.mockRejectedValue(new Error('Network Error'));
+
+    const result = await orderOutbox.replay();
+
+    expect(integrationService.send).toHaveBeenCalledTimes(1);
+    expect(result).toEqual({ sent: [], failed: [], remaining: 2 });
+    const [first] = await orderOutbox.getEntries();
+    expect(first).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 1, lastError: 'Network Error' });
+  });
+
+  it('should mark rejected orders failed and carry on', async () => {
+    await queueOrder('key_1', 'Jane');
+    await queueOrder('key_2', 'Sam');
+    integrationService.send
+      .mockRejectedValueOnce({ response: { status: 422, data: { message: 'Item unavailable' } } })
+      .mockResolvedValueOnce({ orderId: 'order_2' });
+
+    const result = await orderOutbox.replay();
+
+    expect(result.failed).toEqual([expect.objectContaining({ id: 'key_1', status: OUTBOX_STATUS.FAILED })]);
+    expect(result.sent).toHaveLength(1);
+
+    // Failed orders wait for someone to retry them
+    await orderOutbox.replay();
+    expect(integrationService.send).toHaveBeenCalledTimes(2);
+
+    await orderOutbox.retry('key_1');
+    const [entry] = await orderOutbox.getEntries();
+    expect(entry).toMatchObject({ status: OUTBOX_STATUS.PENDING, lastError: 'Item unavailable' });
+  });
+
+  it('should share a replay already in progress', async () => {
+    await queueOrder('key_1', 'Jane');
+    integrationService.send.mockResolvedValue({ orderId: 'order_1' });
+
+    await Promise.all([orderOutbox.replay(), orderOutbox.replay()]);
+
+    expect(integrationService.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should notify subscribers of changes', async () => {
+    const listener = vi.fn();
+    const unsubscribe = orderOutbox.subscribe(listener);
+
+    await queueOrder('key_1', 'Jane');
+    await orderOutbox.discard('key_1');
+    unsubscribe();
+    await queueOrder('key_2', 'Sam');
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect((await orderOutbox.getEntries()).map(entry => entry.id)).toEqual(['key_2']);
+  });
+});
@@ -0,0 +1,97 @@
+// src/tests/orderRouter.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import integrationService from '../services/integrationService';
+import orderRouter, { getRoutingRule, getRouteTargets, OrderRoutingError } from '../services/orderRouter';
+
+// Mock the integration service
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getConnections: vi.fn(),
+    send: vi.fn()
+  }
+}));
+
+describe('orderRouter', () => {
+  const routing = {
+    locationId: '',
+    primary: 'square',
+    fallback: 'clover',
+    locations: [
+      { id: 'loc_downtown', name: 'Downtown', primary: 'toast', fallback: '' },
+      { id: 'loc_airport', name: 'Airport', primary: '', fallback: '' }
+    ]
+  };
+  const settings = { orderRouting: routing };
+  const order = { customerName: 'Jane Doe', items: [{ itemId: 'soda', name: 'Soda', quantity: 1, price: 2.5 }], total: 2.5 };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    integrationService.getConnections.mockResolvedValue([
+      { id: 'conn_1', system: 'square', status: 'active' },
+      { id: 'conn_2', system: 'clover', status: 'active' }
+    ]);
+    integrationService.send.mockResolvedValue({ orderId: 'ORD-1', status: 'created' });
+  });
+
+  it('should inherit the default rule where a location leaves a field empty', () => {
+    expect(getRoutingRule(routing)).toEqual({ locationId: '', primary: 'square', fallback: 'clover' });
+    expect(getRoutingRule(routing, 'loc_downtown')).toEqual({ locationId: 'loc_downtown', primary: 'toast', fallback: 'clover' });
+    expect(getRoutingRule(routing, 'loc_airport')).toEqual({ locationId: 'loc_airport', primary: 'square', fallback: 'clover' });
+  });
+
+  it('should only target systems with an active connection', () => {
+    const connections = [
+      { system: 'square', status: 'error' },
+      { system: 'clover', status: 'active' }
+    ];
+
+    expect(getRouteTargets({ primary: 'square', fallback: 'clover' }, connections)).toEqual([
+      { system: 'clover', isFallback: true }
+    ]);
+    expect(getRouteTargets({ primary: 'clover', fallback: 'clover' }, connections)).toEqual([
+      { system: 'clover', isFallback: false }
+    ]);
+  });
+
+  it('should send the order to the primary system', async () => {
+    const result = await orderRouter.routeOrder(order, { idempotencyKey: 'key_1', settings });
+
+    expect(integrationService.send).toHaveBeenCalledTimes(1);
+    expect(integrationService.send).toHaveBeenCalledWith('square', 'orders/create', order, { idempotencyKey: 'key_1' });
+    expect(result).toEqual({ orderId: 'ORD-1', status: 'created', system: 'square', isFallback: false });
+  });
+
+  it('should fall back with the same key while the primary is unreachable', async () => {
+    integrationService.send.mockRejectedValueOnce({ response: { status: 503 } });
+
+    const result = await orderRouter.routeOrder(order, { idempotencyKey: 'key_1', settings });
+
+    expect(integrationService.send.mock.calls[1]).toEqual(['clover', 'orders/create', order, { idempotencyKey: 'key_1' }]);
+    expect(result).toMatchObject({ system: 'clover', isFallback: true });
+  });
+
+  it('should not fall back when the primary rejects the order', async () => {
+    const rejection = { response: { status: 422, data: { message: 'Item unavailable' } } };
+    integrationService.send.mockRejectedValueOnce(rejection);
+
+    await expect(orderRouter.routeOrder(order, { idempotencyKey: 'key_1', settings })).rejects.toBe(rejection);
+    expect(integrationService.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('should tag orders with the dashboard location', async () => {
+    await orderRouter.routeOrder(order, {
+      idempotencyKey: 'key_1',
+      settings: { orderRouting: { ...routing, locationId: 'loc_airport' } }
+    });
+
+    expect(integrationService.send.mock.calls[0][2]).toEqual({ ...order, locationId: 'loc_airport' });
+  });
+
+  it('should throw a routing error when no connection can take orders', async () => {
+    integrationService.getConnections.mockResolvedValue([{ system: 'square', status: 'disconnected' }]);
+
+    await expect(orderRouter.routeOrder(order, { idempotencyKey: 'key_1', settings }))
+      .rejects.toBeInstanceOf(OrderRoutingError);
+    expect(integrationService.send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+// src/tests/paymentService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import paymentService from '../services/paymentService';
+
+// Mock axios
+vi.mock('axios');
+
+describe('Payment Service', () => {
+  const paymentState = { paymentStatus: 'paid', payments: [{ id: 'pay_1', method: 'card', amount: 20 }] };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should fetch the payments of an order', async () => {
+    axios.get.mockResolvedValueOnce({ data: paymentState });
+
+    expect(await paymentService.getPayments('ORD-1')).toEqual(paymentState);
+    expect(axios.get).toHaveBeenCalledWith('/api/orders/ORD-1/payments');
+  });
+
+  it('should record payments and refunds with an idempotency key', async () => {
+    axios.post.mockResolvedValue({ data: paymentState });
+    const tenders = [{ method: 'card', amount: 10 }, { method: 'cash', amount: 10, tendered: 20 }];
+
+    await paymentService.recordPayment('ORD-1', tenders, 'key-1');
+    await paymentService.refundPayment('ORD-1', { paymentId: 'pay_1', amount: 5 }, 'key-2');
+
+    expect(axios.post).toHaveBeenNthCalledWith(1, '/api/orders/ORD-1/payments', { tenders }, {
+      headers: { 'Idempotency-Key': 'key-1' }
+    });
+    expect(axios.post).toHaveBeenNthCalledWith(2, '/api/orders/ORD-1/refunds', { paymentId: 'pay_1', amount: 5 }, {
+      headers: { 'Idempotency-Key': 'key-2' }
+    });
+  });
+
+  it('should rethrow declined payments', async () => {
+    const error = { response: { status: 402, data: { message: 'Card declined' } } };
+    axios.post.mockRejectedValueOnce(error);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(paymentService.recordPayment('ORD-1', [], 'key-1')).rejects.toBe(error);
+  });
+});
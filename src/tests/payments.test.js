@@ -0,0 +1,77 @@
+// src/tests/payments.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  getPaymentStatusLabel,
+  summarizeTenders,
+  validateTenders,
+  toPaymentTenders,
+  getRefundableCents,
+  summarizePayments,
+  validateRefund
+} from '../utils/payments';
+
+describe('payments', () => {
+  it('should give change only from cash tenders', () => {
+    expect(summarizeTenders(2500, [{ method: 'card', amount: 10 }, { method: 'cash', amount: 20 }])).toEqual({
+      tenderedCents: 3000,
+      remainingCents: 0,
+      changeCents: 500,
+      overpaidCents: 0
+    });
+    expect(summarizeTenders(2500, [{ method: 'card', amount: 30 }, { method: 'cash', amount: 2 }])).toEqual({
+      tenderedCents: 3200,
+      remainingCents: 0,
+      changeCents: 200,
+      overpaidCents: 500
+    });
+    expect(summarizeTenders(1699, [{ method: 'cash', amount: '10' }])).toEqual({
+      tenderedCents: 1000,
+      remainingCents: 699,
+      changeCents: 0,
+      overpaidCents: 0
+    });
+  });
+
+  it('should validate tenders', () => {
+    expect(validateTenders(1000, [{ method: 'cash', amount: 20 }])).toBeNull();
+    expect(validateTenders(1000, [{ method: 'card', amount: 4 }])).toBeNull();
+    expect(validateTenders(1000, [{ method: 'card', amount: '' }])).toBe('Enter the amount of at least one tender');
+    expect(validateTenders(1000, [{ method: 'cash', amount: -5 }])).toBe('Tender amounts cannot be negative');
+    expect(validateTenders(1000, [{ method: 'card', amount: 12 }])).toBe('Only cash can be more than the amount due');
+  });
+
+  it('should take the change off the cash tenders', () => {
+    expect(toPaymentTenders(1699, [
+      { method: 'cash', amount: 5 },
+      { method: 'card', amount: 10 },
+      { method: 'cash', amount: 5 }
+    ])).toEqual([
+      { method: 'cash', amount: 5, tendered: 5 },
+      { method: 'card', amount: 10 },
+      { method: 'cash', amount: 1.99, tendered: 5 }
+    ]);
+    expect(toPaymentTenders(1000, [
+      { method: 'card', amount: 10 },
+      { method: 'cash', amount: 5 }
+    ])).toEqual([{ method: 'card', amount: 10 }]);
+  });
+
+  it('should add up payments and what is left to refund', () => {
+    const payments = [
+      { id: 'pay_1', method: 'card', amount: 10, refundedAmount: 2.5 },
+      { id: 'pay_2', method: 'cash', amount: 6.99 }
+    ];
+
+    expect(summarizePayments(payments)).toEqual({ paidCents: 1699, refundedCents: 250, netCents: 1449 });
+    expect(getRefundableCents(payments[0])).toBe(750);
+    expect(validateRefund(payments[0], 7.5)).toBeNull();
+    expect(validateRefund(payments[0], 8)).toBe('At most $7.50 of this payment can be refunded');
+    expect(validateRefund(payments[0], 0)).toBe('Refund amount must be above zero');
+    expect(validateRefund(undefined, 5)).toBe('Choose the payment to refund');
+  });
+
+  it('should label payment statuses', () => {
+    expect(getPaymentStatusLabel('partially-refunded')).toBe('Partially Refunded');
+    expect(getPaymentStatusLabel()).toBe('Unpaid');
+  });
+});
@@ -0,0 +1,50 @@
+// src/tests/pkce.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  generateCodeVerifier,
+  generateState,
+  createCodeChallenge,
+  supportsOAuth,
+  buildAuthorizationUrl
+} from '../utils/pkce';
+
+describe('pkce', () => {
+  it('should generate unpadded base64url verifiers and states', () => {
+    const verifier = generateCodeVerifier();
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(generateCodeVerifier()).not.toBe(verifier);
+    expect(generateState()).toMatch(/^[A-Za-z0-9_-]{22}$/);
+  });
+
+  it('should derive the S256 challenge from RFC 7636', async () => {
+    await expect(createCodeChallenge('dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk'))
+      .resolves.toBe('E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM');
+  });
+
+  it('should only treat adapters with an authorization URL and client ID as OAuth', () => {
+    expect(supportsOAuth({ oauth: { authorizationUrl: 'https://auth.example.test/authorize', clientId: 'abc' } }))
+      .toBe(true);
+    expect(supportsOAuth({ oauth: { authorizationUrl: 'https://auth.example.test/authorize' } })).toBe(false);
+    expect(supportsOAuth({ requiredCredentials: [] })).toBe(false);
+    expect(supportsOAuth(undefined)).toBe(false);
+  });
+
+  it('should build the authorization request URL', () => {
+    const url = new URL(buildAuthorizationUrl(
+      { authorizationUrl: 'https://auth.example.test/authorize?tenant=pizza', clientId: 'pizza-ops', scopes: ['orders:read', 'orders:write'] },
+      { redirectUri: 'http://localhost:3000/oauth/callback', state: 'state-1', codeChallenge: 'challenge-1' }
+    ));
+
+    expect(url.origin + url.pathname).toBe('https://auth.example.test/authorize');
+    expect(Object.fromEntries(url.searchParams)).toEqual({
+      tenant: 'pizza',
+      response_type: 'code',
+      client_id: 'pizza-ops',
+      redirect_uri: 'http://localhost:3000/oauth/callback',
+      scope: 'orders:read orders:write',
+      state: 'state-1',
+      code_challenge: 'challenge-1',
+      code_challenge_method: 'S256'
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// src/tests/pricing.test.js
+import { describe, it, expect } from 'vitest';
+import { toCents, fromCents, percentOf, multiplyCents } from '../utils/money';
+import { calculateOrderTotals, calculateDiscountCents, findCoupon, getCouponError } from '../utils/pricing';
+
+describe('money', () => {
+  it('should convert amounts to integer cents without float noise', () => {
+    expect(toCents(19.99)).toBe(1999);
+    expect(toCents('4.35')).toBe(435);
+    expect(toCents(1.005)).toBe(101);
+    expect(toCents(-2.5)).toBe(-250);
+    expect(toCents(undefined)).toBe(0);
+    expect(fromCents(1999)).toBe(19.99);
+  });
+
+  it('should round percentages and multipliers to the nearest cent', () => {
+    expect(percentOf(1999, 8.25)).toBe(165);
+    expect(percentOf(1000, 8.875)).toBe(89);
+    expect(multiplyCents(110, 1.25)).toBe(138);
+  });
+});
+
+describe('pricing', () => {
+  const settings = {
+    taxRates: [
+      { name: 'State Tax', rate: 6 },
+      { name: 'City Tax', rate: 2.25 }
+    ],
+    delivery: { fee: 3.99, freeDeliveryThreshold: 40, minimumOrder: 0 }
+  };
+
+  it('should add tax to the subtotal', () => {
+    const totals = calculateOrderTotals({ lineTotalsCents: [1099, 1099] }, settings);
+
+    expect(totals.subtotalCents).toBe(2198);
+    expect(totals.taxes).toEqual([
+      { name: 'State Tax', rate: 6, amountCents: 132 },
+      { name: 'City Tax', rate: 2.25, amountCents: 49 }
+    ]);
+    expect(totals.totalCents).toBe(2198 + 132 + 49);
+  });
+
+  it('should apply the manual discount before the coupon and tax the discounted subtotal', () => {
+    const totals = calculateOrderTotals({
+      lineTotalsCents: [3000],
+      discount: { type: 'percent', value: 10 },
+      coupon: { code: 'FIVE', type: 'fixed', value: 5 }
+    }, settings);
+
+    expect(totals.discounts.map(discount => discount.amountCents)).toEqual([300, 500]);
+    expect(totals.discountCents).toBe(800);
+    expect(totals.taxableCents).toBe(2200);
+    expect(totals.taxCents).toBe(132 + 50);
+  });
+
+  it('should never discount more than the subtotal', () => {
+    const totals = calculateOrderTotals({
+      lineTotalsCents: [800],
+      discount: { type: 'fixed', value: 5 },
+      coupon: { code: 'BIG', type: 'fixed', value: 20 }
+    }, settings);
+
+    expect(totals.discountCents).toBe(800);
+    expect(totals.totalCents).toBe(0);
+  });
+
+  it('should charge delivery below the free delivery threshold only', () => {
+    expect(calculateOrderTotals({ lineTotalsCents: [2000], isDelivery: true }, settings).deliveryFeeCents).toBe(399);
+    expect(calculateOrderTotals({ lineTotalsCents: [4000], isDelivery: true }, settings).deliveryFeeCents).toBe(0);
+    expect(calculateOrderTotals({ lineTotalsCents: [2000] }, settings).deliveryFeeCents).toBe(0);
+  });
+
+  it('should calculate percentage and fixed tips', () => {
+    const percentTip = calculateOrderTotals({ lineTotalsCents: [2198], tip: { type: 'percent', value: 15 } }, settings);
+    expect(percentTip.tipCents).toBe(330);
+
+    const fixedTip = calculateOrderTotals({ lineTotalsCents: [2198], tip: { type: 'fixed', value: 4 } }, settings);
+    expect(fixedTip.tipCents).toBe(400);
+    expect(fixedTip.totalCents).toBe(2198 + 181 + 400);
+  });
+
+  it('should ignore coupons the order does not qualify for', () => {
+    const coupon = { code: 'BIGORDER', type: 'percent', value: 20, minimumSubtotal: 50 };
+
+    expect(getCouponError(coupon, 2000)).toMatch(/at least \$50.00/);
+    expect(calculateOrderTotals({ lineTotalsCents: [2000], coupon }, settings).discountCents).toBe(0);
+    expect(calculateOrderTotals({ lineTotalsCents: [5000], coupon }, settings).discountCents).toBe(1000);
+  });
+
+  it('should look up coupons case-insensitively', () => {
+    const coupons = [{ code: 'PIZZA10', type: 'percent', value: 10 }];
+
+    expect(findCoupon(coupons, ' pizza10 ')).toBe(coupons[0]);
+    expect(findCoupon(coupons, 'nope')).toBeUndefined();
+    expect(getCouponError(undefined, 1000)).toBe('Coupon code not found');
+    expect(calculateDiscountCents({ type: 'percent', value: 150 }, 1000)).toBe(1000);
+  });
+});
@@ -0,0 +1,33 @@
+// src/tests/retryPolicy.test.js
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RETRY_POLICY, computeRetrySchedule, getRetryPolicyError, formatDelay } from '../utils/retryPolicy';
+
+describe('retryPolicy', () => {
+  it('should back off exponentially up to the max delay', () => {
+    expect(computeRetrySchedule(DEFAULT_RETRY_POLICY)).toEqual([30, 60, 120, 240]);
+    expect(computeRetrySchedule({ maxAttempts: 6, initialDelaySeconds: 60, backoffMultiplier: 3, maxDelaySeconds: 600 }))
+      .toEqual([60, 180, 540, 600, 600]);
+  });
+
+  it('should schedule no retries for a single attempt', () => {
+    expect(computeRetrySchedule({ ...DEFAULT_RETRY_POLICY, maxAttempts: 1 })).toEqual([]);
+  });
+
+  it('should validate the policy', () => {
+    expect(getRetryPolicyError(DEFAULT_RETRY_POLICY)).toBeNull();
+    expect(getRetryPolicyError({ ...DEFAULT_RETRY_POLICY, maxAttempts: 2.5 })).toMatch(/whole number from 1 to 20/);
+    expect(getRetryPolicyError({ ...DEFAULT_RETRY_POLICY, maxAttempts: 21 })).toMatch(/whole number from 1 to 20/);
+    expect(getRetryPolicyError({ ...DEFAULT_RETRY_POLICY, initialDelaySeconds: '' })).toBe('Initial delay must be greater than zero');
+    expect(getRetryPolicyError({ ...DEFAULT_RETRY_POLICY, backoffMultiplier: 0.5 })).toBe('Backoff multiplier must be at least 1');
+    expect(getRetryPolicyError({ ...DEFAULT_RETRY_POLICY, maxDelaySeconds: 10 }))
+      .toBe('Max delay cannot be shorter than the initial delay');
+  });
+
+  it('should format delays', () => {
+    expect(formatDelay(45)).toBe('45s');
+    expect(formatDelay(120)).toBe('2m');
+    expect(formatDelay(90)).toBe('1m 30s');
+    expect(formatDelay(3600)).toBe('1h');
+    expect(formatDelay(5400)).toBe('1h 30m');
+  });
+});
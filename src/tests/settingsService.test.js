@@ -0,0 +1,130 @@
+// src/tests/settingsService.test.js
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import axios from 'axios';
+import settingsService, { DEFAULT_SETTINGS, SETTINGS_STORAGE_KEY, getApiBaseUrl } from '../services/settingsService';
+import integrationService from '../services/integrationService';
+import { formatCurrency, formatDateTime } from '../utils/formatters';
+
+// Mock axios
+vi.mock('axios');
+
+describe('settingsService', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+    settingsService.resetSettings();
+  });
+
+  it('should return the defaults until the store settings are loaded', () => {
+    expect(settingsService.getSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('should load the store settings from the backend and notify subscribers', async () => {
+    const listener = vi.fn();
+    const unsubscribe = settingsService.subscribe(listener);
+    settingsService.saveDeviceSettings({ ...DEFAULT_SETTINGS, orderRouting: { locationId: 'loc_downtown' } });
+    axios.get.mockResolvedValue({
+      data: {
+        storeName: 'Downtown',
+        taxRates: [{ name: 'Sales Tax', rate: 8 }],
+        orderRouting: { primary: 'clover', locations: [{ id: 'loc_downtown', name: 'Downtown' }] }
+      }
+    });
+
+    const loaded = await settingsService.loadSettings();
+
+    expect(axios.get).toHaveBeenCalledWith('/api/settings');
+    expect(loaded).toMatchObject({
+      storeName: 'Downtown',
+      taxRates: [{ name: 'Sales Tax', rate: 8 }],
+      delivery: DEFAULT_SETTINGS.delivery,
+      orderRouting: { primary: 'clover', locationId: 'loc_downtown' }
+    });
+    expect(listener).toHaveBeenLastCalledWith(loaded);
+    unsubscribe();
+  });
+
+  it('should keep the previous settings when loading fails', async () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    settingsService.setStoreSettings({ ...DEFAULT_SETTINGS, storeName: 'Downtown' });
+    axios.get.mockRejectedValue(new Error('Network error'));
+
+    await expect(settingsService.loadSettings()).rejects.toThrow('Network error');
+
+    expect(settingsService.getSettings().storeName).toBe('Downtown');
+    expect(consoleSpy).toHaveBeenCalledWith('Error loading settings:', expect.any(Error));
+    consoleSpy.mockRestore();
+  });
+
+  it('should save store settings to the backend and keep only device settings locally', async () => {
+    const listener = vi.fn();
+    const unsubscribe = settingsService.subscribe(listener);
+    axios.put.mockImplementation(async (url, data) => ({ data }));
+
+    const saved = await settingsService.saveSettings({
+      ...DEFAULT_SETTINGS,
+      storeName: 'Downtown',
+      delivery: { fee: 3.5 },
+      orderRouting: { ...DEFAULT_SETTINGS.orderRouting, locationId: 'loc_downtown' }
+    });
+
+    const [url, body] = axios.put.mock.calls[0];
+    expect(url).toBe('/api/settings');
+    expect(body).toMatchObject({ storeName: 'Downtown', delivery: { fee: 3.5, freeDeliveryThreshold: 0, minimumOrder: 0 } });
+    expect(body).not.toHaveProperty('apiBaseUrl');
+    expect(body.orderRouting).not.toHaveProperty('locationId');
+
+    expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY))).toEqual({ apiBaseUrl: '/api', locationId: 'loc_downtown' });
+    expect(saved).toMatchObject({ storeName: 'Downtown', orderRouting: { locationId: 'loc_downtown' } });
+    expect(listener).toHaveBeenLastCalledWith(saved);
+    unsubscribe();
+  });
+
+  it('should keep the device settings saved by older versions', () => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+      ...DEFAULT_SETTINGS,
+      storeName: 'Downtown',
+      apiBaseUrl: 'https://ops.example.com/api',
+      orderRouting: { ...DEFAULT_SETTINGS.orderRouting, locationId: 'loc_downtown' }
+    }));
+    settingsService.setStoreSettings({});
+
+    expect(settingsService.getSettings()).toMatchObject({
+      storeName: 'Pizza Ops',
+      apiBaseUrl: 'https://ops.example.com/api',
+      orderRouting: { locationId: 'loc_downtown' }
+    });
+  });
+
+  it('should send API requests to the configured base URL', async () => {
+    settingsService.saveDeviceSettings({ ...DEFAULT_SETTINGS, apiBaseUrl: 'https://ops.example.com/api/' });
+    axios.get.mockResolvedValue({ data: [] });
+
+    await integrationService.getAdapters();
+
+    expect(getApiBaseUrl()).toBe('https://ops.example.com/api');
+    expect(axios.get).toHaveBeenCalledWith('https://ops.example.com/api/integration/adapters');
+  });
+});
+
+describe('formatters', () => {
+  beforeEach(() => {
+    settingsService.resetSettings();
+  });
+
+  it('should format amounts in the configured currency', () => {
+    expect(formatCurrency(12.5)).toBe('$12.50');
+
+    settingsService.setStoreSettings({ ...DEFAULT_SETTINGS, currency: 'EUR' });
+    expect(formatCurrency(12.5)).toBe('€12.50');
+  });
+
+  it('should format timestamps in the configured timezone', () => {
+    const timestamp = '2024-01-15T18:30:00Z';
+
+    settingsService.setStoreSettings({ ...DEFAULT_SETTINGS, timezone: 'America/New_York' });
+    expect(formatDateTime(timestamp)).toContain('1:30:00 PM');
+
+    settingsService.setStoreSettings({ ...DEFAULT_SETTINGS, timezone: 'UTC' });
+    expect(formatDateTime(timestamp)).toContain('6:30:00 PM');
+  });
+});
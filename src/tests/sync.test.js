@@ -0,0 +1,34 @@
+// src/tests/sync.test.js
+import { describe, it, expect } from 'vitest';
+import { summarizeSyncRun, formatSyncDuration, isSyncRunning } from '../utils/sync';
+
+describe('sync', () => {
+  it('should total record counts across resources and compute the duration', () => {
+    expect(summarizeSyncRun({
+      startedAt: '2025-04-29T12:00:00.000Z',
+      finishedAt: '2025-04-29T12:00:04.200Z',
+      resources: {
+        orders: { created: 3, updated: 1, failed: 1 },
+        catalog: { updated: 2, skipped: 5 }
+      }
+    })).toEqual({ created: 3, updated: 3, skipped: 5, failed: 1, durationMs: 4200 });
+  });
+
+  it('should have no duration while a run is in progress', () => {
+    expect(summarizeSyncRun({ startedAt: '2025-04-29T12:00:00Z', status: 'running' }))
+      .toEqual({ created: 0, updated: 0, skipped: 0, failed: 0, durationMs: null });
+  });
+
+  it('should format durations', () => {
+    expect(formatSyncDuration(850)).toBe('850 ms');
+    expect(formatSyncDuration(4200)).toBe('4.2 s');
+    expect(formatSyncDuration(185000)).toBe('3m 5s');
+    expect(formatSyncDuration(null)).toBe('—');
+  });
+
+  it('should detect a running sync', () => {
+    expect(isSyncRunning([{ status: 'succeeded' }, { status: 'running' }])).toBe(true);
+    expect(isSyncRunning([{ status: 'failed' }])).toBe(false);
+    expect(isSyncRunning()).toBe(false);
+  });
+});
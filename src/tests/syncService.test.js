@@ -0,0 +1,73 @@
+// src/tests/syncService.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import axios from 'axios';
+import syncService from '../services/syncService';
+
+// Mock axios
+vi.mock('axios');
+
+describe('Sync Service', () => {
+  beforeEach(() => {
+    vi.resetAllMocks();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should fetch the sync runs of a connection', async () => {
+    axios.get.mockResolvedValueOnce({ data: [{ id: 'sync_1' }] });
+
+    const runs = await syncService.getSyncRuns('conn_123', { limit: 20 });
+
+    expect(axios.get).toHaveBeenCalledWith('/api/integration/connections/conn_123/syncs', { params: { limit: 20 } });
+    expect(runs).toEqual([{ id: 'sync_1' }]);
+  });
+
+  it('should start a sync of the given resources', async () => {
+    axios.post.mockResolvedValueOnce({ data: { id: 'sync_2', status: 'running' } });
+
+    const run = await syncService.startSync('conn_123', ['orders', 'catalog']);
+
+    expect(axios.post).toHaveBeenCalledWith('/api/integration/connections/conn_123/syncs', { resources: ['orders', 'catalog'] });
+    expect(run.status).toBe('running');
+  });
+
+  it('should read and update the sync schedule', async () => {
+    axios.get.mockResolvedValueOnce({ data: { intervalMinutes: 60 } });
+    axios.put.mockResolvedValueOnce({ data: { intervalMinutes: 15 } });
+
+    await syncService.getSyncSchedule('conn_123');
+    await syncService.updateSyncSchedule('conn_123', { intervalMinutes: 15, resources: ['orders'] });
+
+    expect(axios.get).toHaveBeenCalledWith('/api/integration/connections/conn_123/sync-schedule');
+    expect(axios.put).toHaveBeenCalledWith('/api/integration/connections/conn_123/sync-schedule', {
+      intervalMinutes: 15,
+      resources: ['orders']
+    });
+  });
+
+  it('should list and resolve conflicts', async () => {
+    axios.get.mockResolvedValueOnce({ data: [] });
+    axios.post.mockResolvedValueOnce({ data: { id: 'conflict_1', resolved: true } });
+
+    await syncService.getConflicts('conn_123');
+    await syncService.resolveConflict('conn_123', 'conflict_1', 'local');
+
+    expect(axios.get).toHaveBeenCalledWith('/api/integration/connections/conn_123/sync-conflicts');
+    expect(axios.post).toHaveBeenCalledWith(
+      '/api/integration/connections/conn_123/sync-conflicts/conflict_1/resolve',
+      { keep: 'local' }
+    );
+  });
+
+  it('should log and rethrow errors', async () => {
+    const mockError = new Error('A sync is already running');
+    axios.post.mockRejectedValueOnce(mockError);
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(syncService.startSync('conn_123', ['orders'])).rejects.toThrow('A sync is already running');
+
+    expect(consoleSpy).toHaveBeenCalledWith('Error starting sync for connection conn_123:', mockError);
+  });
+});
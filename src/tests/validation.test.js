@@ -0,0 +1,72 @@
+// src/tests/validation.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  ValidationError,
+  required,
+  email,
+  phone,
+  validate,
+  assertValid,
+  validateOrder,
+  validateCustomer
+} from '../utils/validation';
+
+describe('validation', () => {
+  it('should accept common email and phone formats', () => {
+    const checkEmail = email('bad email');
+    const checkPhone = phone('bad phone');
+
+    expect(checkEmail('')).toBeNull();
+    expect(checkEmail(' Jane@Example.com ')).toBeNull();
+    expect(checkEmail('jane@example')).toBe('bad email');
+    expect(checkPhone('(555) 123-4567')).toBeNull();
+    expect(checkPhone('+1 555.123.4567')).toBeNull();
+    expect(checkPhone('555-1234')).toBe('bad phone');
+    expect(checkPhone('555 123 4567 ext 2')).toBe('bad phone');
+  });
+
+  it('should report the first failing rule of each field', () => {
+    const schema = { code: [required('Code is required'), value => (value.length < 3 ? 'Too short' : null)] };
+
+    expect(validate(schema, { code: '' })).toEqual({ code: 'Code is required' });
+    expect(validate(schema, { code: 'ab' })).toEqual({ code: 'Too short' });
+    expect(validate(schema, { code: 'abc' })).toEqual({});
+  });
+
+  it('should key order item errors by their index', () => {
+    expect(validateOrder({
+      customerName: 'Jane Doe',
+      customerPhone: '555',
+      items: [
+        { name: 'Soda', quantity: 1, price: 2.5 },
+        { name: '', quantity: 1.5, price: null }
+      ]
+    })).toEqual({
+      customerPhone: 'Enter a valid phone number',
+      'items.1.name': 'Choose a menu item',
+      'items.1.quantity': 'Quantity must be at least 1',
+      'items.1.price': 'Price must be above zero'
+    });
+    expect(validateOrder({ customerName: 'Jane Doe', items: [] })).toEqual({ items: 'Add at least one item' });
+  });
+
+  it('should validate customers with the same rules as orders', () => {
+    expect(validateCustomer({ name: ' ', email: 'jane@', phone: '5551234567' })).toEqual({
+      name: 'Customer name is required',
+      email: 'Enter a valid email address'
+    });
+  });
+
+  it('should throw a ValidationError with the field errors', () => {
+    const schema = { name: [required('Name is required')] };
+
+    expect(() => assertValid(schema, { name: 'Jane' })).not.toThrow();
+    try {
+      assertValid(schema, { name: '' });
+      throw new Error('expected a ValidationError');
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors).toEqual({ name: 'Name is required' });
+    }
+  });
+});
@@ -0,0 +1,27 @@
+// src/tests/webhookSignature.test.js
+import { describe, it, expect } from 'vitest';
+import {
+  generateSigningSecret,
+  maskSecret,
+  getActiveSecrets
+} from '../utils/webhookSignature';
+
+describe('webhookSignature', () => {
+  it('should generate distinct prefixed secrets and mask them', () => {
+    const first = generateSigningSecret();
+    expect(first).toMatch(/^whsec_[A-Za-z0-9_-]{43}$/);
+    expect(generateSigningSecret()).not.toBe(first);
+    expect(maskSecret('whsec_abcdefghWXYZ')).toBe('whsec_••••••••WXYZ');
+  });
+
+  it('should accept the previous secret only during the grace period', () => {
+    const registration = {
+      secret: 'whsec_new',
+      previousSecret: 'whsec_old',
+      previousSecretExpiresAt: '2025-04-30T12:00:00Z'
+    };
+    expect(getActiveSecrets(registration, Date.parse('2025-04-30T11:00:00Z'))).toEqual(['whsec_new', 'whsec_old']);
+    expect(getActiveSecrets(registration, Date.parse('2025-04-30T13:00:00Z'))).toEqual(['whsec_new']);
+    expect(getActiveSecrets(undefined)).toEqual([]);
+  });
+});
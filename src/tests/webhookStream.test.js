@@ -0,0 +1,203 @@
+// src/tests/webhookStream.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import webhookStream, { STREAM_STATUS, getReconnectDelay } from '../services/webhookStream';
+import integrationService from '../services/integrationService';
+import { TOKEN_STORAGE_KEY } from '../services/authService';
+
+// Mock the integration service used for stream tickets and the polling fallback
+vi.mock('../services/integrationService', () => ({
+  default: {
+    getWebhooks: vi.fn(),
+    createStreamTicket: vi.fn()
+  }
+}));
+
+/**
+ * Minimal EventSource stand-in that tests drive by hand
+ */
+class FakeEventSource {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeEventSource.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  open() {
+    this.onopen?.();
+  }
+
+  send(event, lastEventId = '') {
+    this.onmessage?.({ data: JSON.stringify(event), lastEventId });
+  }
+
+  fail() {
+    this.onerror?.();
+  }
+}
+
+describe('webhookStream', () => {
+  const latest = () => FakeEventSource.instances.at(-1);
+  let unsubscribers;
+
+  // Subscribes and waits for the stream ticket, so the connection is open
+  const subscribe = async (onEvent = vi.fn(), onStatus = vi.fn()) => {
+    unsubscribers.push(webhookStream.subscribe(onEvent, onStatus));
+    await vi.advanceTimersByTimeAsync(0);
+    return { onEvent, onStatus };
+  };
+
+  beforeEach(() => {
+    vi.resetAllMocks();
+    vi.useFakeTimers();
+    vi.stubGlobal('EventSource', FakeEventSource);
+    FakeEventSource.instances = [];
+    unsubscribers = [];
+    localStorage.clear();
+    integrationService.getWebhooks.mockResolvedValue([]);
+    integrationService.createStreamTicket.mockResolvedValue({ ticket: 'tkt_1' });
+  });
+
+  afterEach(() => {
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('should back off exponentially up to the maximum delay', () => {
+    expect(getReconnectDelay(0)).toBe(1000);
+    expect(getReconnectDelay(1)).toBe(2000);
+    expect(getReconnectDelay(3)).toBe(8000);
+    expect(getReconnectDelay(10)).toBe(30000);
+  });
+
+  it('should deliver streamed events once to every subscriber over one connection', async () => {
+    const first = await subscribe();
+    const second = await subscribe();
+
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(latest().url).toBe('/api/integration/webhooks/stream?ticket=tkt_1');
+
+    latest().open();
+    latest().send({ id: 'evt_1', type: 'order.created' });
+    latest().send({ id: 'evt_1', type: 'order.created' });
+
+    expect(first.onStatus).toHaveBeenLastCalledWith(STREAM_STATUS.LIVE);
+    expect(first.onEvent).toHaveBeenCalledTimes(1);
+    expect(second.onEvent).toHaveBeenCalledWith({ id: 'evt_1', type: 'order.created' });
+    expect(integrationService.getWebhooks).not.toHaveBeenCalled();
+  });
+
+  it('should reconnect with backoff and resume after the last event with a new ticket', async () => {
+    await subscribe();
+    latest().open();
+    latest().send({ type: 'order.created' }, 'evt_7');
+    latest().fail();
+
+    expect(latest().closed).toBe(true);
+
+    integrationService.createStreamTicket.mockResolvedValue({ ticket: 'tkt_2' });
+    await vi.advanceTimersByTimeAsync(999);
+    expect(FakeEventSource.instances).toHaveLength(1);
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(FakeEventSource.instances).toHaveLength(2);
+    expect(latest().url).toBe('/api/integration/webhooks/stream?lastEventId=evt_7&ticket=tkt_2');
+    expect(integrationService.createStreamTicket).toHaveBeenCalledTimes(2);
+
+    // The second failure in a row waits twice as long
+    latest().fail();
+    await vi.advanceTimersByTimeAsync(1999);
+    expect(FakeEventSource.instances).toHaveLength(2);
+    await vi.advanceTimersByTimeAsync(1);
+    expect(FakeEventSource.instances).toHaveLength(3);
+  });
+
+  it('should never put the session token in the stream URL', async () => {
+    localStorage.setItem(TOKEN_STORAGE_KEY, 'session.jwt.token');
+    await subscribe();
+
+    expect(latest().url).not.toContain('session.jwt.token');
+    expect(latest().url).not.toContain('access_token');
+  });
+
+  it('should retry with backoff when no stream ticket can be issued', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    integrationService.createStreamTicket.mockRejectedValueOnce(new Error('Network Error'));
+    const { onStatus } = await subscribe();
+
+    expect(FakeEventSource.instances).toHaveLength(0);
+    expect(onStatus).toHaveBeenLastCalledWith(STREAM_STATUS.CONNECTING);
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(FakeEventSource.instances).toHaveLength(1);
+    expect(latest().url).toBe('/api/integration/webhooks/stream?ticket=tkt_1');
+  });
+
+  it('should fall back to polling when the stream keeps failing and stop once it recovers', async () => {
+    const { onEvent, onStatus } = await subscribe();
+
+    latest().fail();
+    await vi.advanceTimersByTimeAsync(1000);
+    latest().fail();
+    await vi.advanceTimersByTimeAsync(2000);
+
+    expect(integrationService.getWebhooks).not.toHaveBeenCalled();
+
+    latest().fail();
+
+    expect(onStatus).toHaveBeenLastCalledWith(STREAM_STATUS.POLLING);
+    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(1);
+
+    // New events found while polling are delivered
+    integrationService.getWebhooks.mockResolvedValue([{ id: 'evt_2', type: 'order.updated' }]);
+    await vi.advanceTimersByTimeAsync(4000);
+    expect(FakeEventSource.instances).toHaveLength(4);
+
+    await vi.advanceTimersByTimeAsync(11000);
+    expect(onEvent).toHaveBeenCalledWith({ id: 'evt_2', type: 'order.updated' });
+
+    // The stream comes back, so polling stops
+    latest().open();
+    const polls = integrationService.getWebhooks.mock.calls.length;
+    await vi.advanceTimersByTimeAsync(60000);
+
+    expect(onStatus).toHaveBeenLastCalledWith(STREAM_STATUS.LIVE);
+    expect(integrationService.getWebhooks).toHaveBeenCalledTimes(polls);
+  });
+
+  it('should poll straight away when EventSource is not supported', async () => {
+    vi.stubGlobal('EventSource', undefined);
+    integrationService.getWebhooks.mockResolvedValue([{ id: 'evt_old', type: 'order.created' }]);
+
+    const { onEvent, onStatus } = await subscribe();
+
+    // Events that existed before subscribing are not replayed
+    expect(onStatus).toHaveBeenLastCalledWith(STREAM_STATUS.POLLING);
+    expect(onEvent).not.toHaveBeenCalled();
+
+    integrationService.getWebhooks.mockResolvedValue([
+      { id: 'evt_new', type: 'order.created', timestamp: '2025-04-28T10:30:00Z' },
+      { id: 'evt_older', type: 'order.created', timestamp: '2025-04-28T10:20:00Z' },
+      { id: 'evt_old', type: 'order.created' }
+    ]);
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(onEvent.mock.calls.map(([event]) => event.id)).toEqual(['evt_older', 'evt_new']);
+  });
+
+  it('should close the connection when the last subscriber leaves', async () => {
+    await subscribe();
+    latest().open();
+
+    unsubscribers.pop()();
+
+    expect(latest().closed).toBe(true);
+  });
+});
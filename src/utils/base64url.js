@@ -0,0 +1,27 @@
+/**
+ * Base64url Encoding
+ *
+ * URL-safe base64 without padding (RFC 4648 §5), used for generated secrets
+ * and for OAuth PKCE values.
+ *
+ * @module base64url
+ */
+
+/**
+ * Encodes bytes as unpadded base64url
+ *
+ * @function toBase64Url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} base64url text
+ */
+export const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Returns base64url text of cryptographically random bytes
+ *
+ * @function randomBase64Url
+ * @param {number} byteLength - Number of random bytes
+ * @returns {string} base64url text
+ */
+export const randomBase64Url = (byteLength) => toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
@@ -0,0 +1,137 @@
+/**
+ * Connection Health
+ *
+ * The backend checks every integration connection periodically and keeps a
+ * history of the results: { checkedAt, healthy, latencyMs, error }. These
+ * helpers turn that history (newest first) into a health status and summary.
+ *
+ * Connections made through OAuth also carry their access token's expiry
+ * (`tokenExpiresAt`) and the outcome of the backend's last refresh
+ * (`tokenRefreshedAt`, `tokenRefreshError`).
+ *
+ * @module connectionHealth
+ */
+
+/**
+ * Health statuses of a connection
+ * @constant {Object<string, string>}
+ */
+export const HEALTH_STATUS = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  DOWN: 'down',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Display labels for each health status
+ * @constant {Object<string, string>}
+ */
+export const HEALTH_LABELS = {
+  [HEALTH_STATUS.HEALTHY]: 'Healthy',
+  [HEALTH_STATUS.DEGRADED]: 'Degraded',
+  [HEALTH_STATUS.DOWN]: 'Down',
+  [HEALTH_STATUS.UNKNOWN]: 'Not checked'
+};
+
+/**
+ * Health check tuning
+ * - pollInterval: How often the history is reloaded (ms)
+ * - historySize: Number of checks kept per connection
+ * - slowLatencyMs: A successful check slower than this counts as degraded
+ * - downAfterFailures: Consecutive failed checks before a connection is down
+ * - tokenWarningSeconds: An OAuth token expiring sooner than this is flagged
+ * @constant {Object}
+ */
+export const HEALTH_CHECK_OPTIONS = {
+  pollInterval: 60000,
+  historySize: 20,
+  slowLatencyMs: 2000,
+  downAfterFailures: 3,
+  tokenWarningSeconds: 300
+};
+
+/**
+ * Returns the state of a connection's OAuth access token
+ *
+ * @function getTokenState
+ * @param {Object} connection - Connection from getConnections()
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @param {Object} [options=HEALTH_CHECK_OPTIONS] - Thresholds
+ * @returns {{ secondsLeft: number, expired: boolean, expiringSoon: boolean, refreshFailed: boolean }|null}
+ *   Token state, or null if the connection has no token expiry
+ */
+export const getTokenState = (connection, now = Date.now(), options = HEALTH_CHECK_OPTIONS) => {
+  const expiresAt = new Date(connection.tokenExpiresAt).getTime();
+  if (!connection.tokenExpiresAt || !Number.isFinite(expiresAt)) return null;
+
+  const secondsLeft = Math.round((expiresAt - now) / 1000);
+  return {
+    secondsLeft,
+    expired: secondsLeft <= 0,
+    expiringSoon: secondsLeft > 0 && secondsLeft <= options.tokenWarningSeconds,
+    refreshFailed: Boolean(connection.tokenRefreshError)
+  };
+};
+
+/**
+ * Returns the health status of a connection
+ *
+ * Expired credentials (including an expired OAuth token or a failed token
+ * refresh) make a connection degraded and a connection in the 'error' state
+ * is down, whatever its checks say. Otherwise the status comes from the most
+ * recent checks.
+ *
+ * @function getHealthStatus
+ * @param {Object} connection - Connection from getConnections()
+ * @param {Array<Object>} [history=[]] - Health checks, newest first
+ * @param {Object} [options=HEALTH_CHECK_OPTIONS] - Thresholds
+ * @returns {string} One of HEALTH_STATUS
+ */
+export const getHealthStatus = (connection, history = [], options = HEALTH_CHECK_OPTIONS) => {
+  if (connection.status === 'error') return HEALTH_STATUS.DOWN;
+  if (connection.status === 'expired') return HEALTH_STATUS.DEGRADED;
+  const token = getTokenState(connection, Date.now(), options);
+  if (token && (token.expired || token.refreshFailed)) return HEALTH_STATUS.DEGRADED;
+  if (history.length === 0) return HEALTH_STATUS.UNKNOWN;
+
+  const firstHealthy = history.findIndex(check => check.healthy);
+  const consecutiveFailures = firstHealthy === -1 ? history.length : firstHealthy;
+  if (consecutiveFailures >= options.downAfterFailures) return HEALTH_STATUS.DOWN;
+  if (consecutiveFailures > 0 || history[0].latencyMs > options.slowLatencyMs) return HEALTH_STATUS.DEGRADED;
+  return HEALTH_STATUS.HEALTHY;
+};
+
+/**
+ * Checks whether a health status should be brought to the operator's attention
+ *
+ * @function needsAttention
+ * @param {string} status - One of HEALTH_STATUS
+ * @returns {boolean} True for degraded and down connections
+ */
+export const needsAttention = (status) =>
+  status === HEALTH_STATUS.DEGRADED || status === HEALTH_STATUS.DOWN;
+
+/**
+ * Summarizes a health history
+ *
+ * @function summarizeHealth
+ * @param {Array<Object>} [history=[]] - Health checks, newest first
+ * @returns {{ uptimePercent: number|null, averageLatencyMs: number|null, lastError: Object|null }}
+ *   Share of successful checks, average latency of successful checks, and the most recent failed check
+ */
+export const summarizeHealth = (history = []) => {
+  if (history.length === 0) {
+    return { uptimePercent: null, averageLatencyMs: null, lastError: null };
+  }
+
+  const successes = history.filter(check => check.healthy);
+  const latencies = successes.map(check => check.latencyMs).filter(Number.isFinite);
+  return {
+    uptimePercent: Math.round((successes.length / history.length) * 100),
+    averageLatencyMs: latencies.length
+      ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length)
+      : null,
+    lastError: history.find(check => !check.healthy) || null
+  };
+};
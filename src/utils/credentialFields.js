@@ -0,0 +1,232 @@
+/**
+ * Adapter Credential Fields
+ *
+ * Adapters describe the credentials they need in `requiredCredentials`:
+ *
+ *   {
+ *     name: 'apiKey',
+ *     label: 'API Key',
+ *     type: 'secret',            // secret | text | url | enum | boolean | number
+ *     required: true,
+ *     pattern: 'sk_(test|live)_[A-Za-z0-9]+',
+ *     patternMessage: 'API keys start with sk_test_ or sk_live_',
+ *     description: 'Found under Developers → API keys',
+ *     options: [{ value: 'sandbox', label: 'Sandbox' }],  // enum only
+ *     min: 1, max: 65535,        // number only
+ *     default: 'sandbox'
+ *   }
+ *
+ * Older adapters use `type: 'password'`, which is treated as a secret. Any
+ * other unknown type is treated as free text.
+ *
+ * Validation messages name the field but never repeat its value, so secrets
+ * can't leak into the page through an error.
+ *
+ * @module credentialFields
+ */
+
+import { validate } from './validation';
+
+/**
+ * Supported credential field types
+ * @constant {Object<string, string>}
+ */
+export const CREDENTIAL_FIELD_TYPES = {
+  SECRET: 'secret',
+  TEXT: 'text',
+  URL: 'url',
+  ENUM: 'enum',
+  BOOLEAN: 'boolean',
+  NUMBER: 'number'
+};
+
+/**
+ * Text shown in place of a secret value
+ * @constant {string}
+ */
+export const REDACTED = '••••••••';
+
+/**
+ * Returns the type of a credential field
+ *
+ * @function getFieldType
+ * @param {Object} field - Credential field from the adapter
+ * @returns {string} One of CREDENTIAL_FIELD_TYPES
+ */
+export const getFieldType = (field) => {
+  if (field.type === 'password') return CREDENTIAL_FIELD_TYPES.SECRET;
+  return Object.values(CREDENTIAL_FIELD_TYPES).includes(field.type) ? field.type : CREDENTIAL_FIELD_TYPES.TEXT;
+};
+
+/**
+ * Returns the options of an enum field as { value, label } pairs
+ * Options may be given as plain strings
+ *
+ * @function getFieldOptions
+ * @param {Object} field - Credential field from the adapter
+ * @returns {Array<{ value: string, label: string }>} Options
+ */
+export const getFieldOptions = (field) =>
+  (field.options || []).map(option => (typeof option === 'string' ? { value: option, label: option } : option));
+
+/**
+ * Returns the starting form values for a set of credential fields
+ *
+ * @function getInitialCredentials
+ * @param {Array<Object>} [fields=[]] - Credential fields from the adapter
+ * @returns {Object<string, string|boolean>} Values by field name
+ */
+export const getInitialCredentials = (fields = []) => {
+  const values = {};
+  fields.forEach(field => {
+    if (getFieldType(field) === CREDENTIAL_FIELD_TYPES.BOOLEAN) {
+      values[field.name] = Boolean(field.default);
+    } else {
+      values[field.name] = field.default !== undefined ? String(field.default) : '';
+    }
+  });
+  return values;
+};
+
+/**
+ * Compiled field patterns by source; null for a pattern that does not compile
+ * @type {Map<string, RegExp|null>}
+ */
+const compiledPatterns = new Map();
+
+/**
+ * Compiles a field's pattern to match the whole value, once per pattern
+ * Patterns come from the adapter, so one that does not compile is logged and
+ * skipped rather than breaking the form
+ *
+ * @param {string} pattern - Regular expression source from the adapter
+ * @returns {RegExp|null} The compiled pattern, or null if it is invalid
+ */
+const compilePattern = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(`^(?:${pattern})$`);
+    } catch (error) {
+      console.error(`Ignoring invalid credential pattern ${pattern}:`, error);
+    }
+    compiledPatterns.set(pattern, regex);
+  }
+  return compiledPatterns.get(pattern);
+};
+
+/**
+ * Validates one credential value
+ *
+ * @function validateCredentialField
+ * @param {Object} field - Credential field from the adapter
+ * @param {string|number|boolean} value - Form value, or the value in a credential payload
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+export const validateCredentialField = (field, value) => {
+  const type = getFieldType(field);
+  const label = field.label || field.name;
+
+  if (type === CREDENTIAL_FIELD_TYPES.BOOLEAN) return null;
+
+  // Payloads from toCredentialPayload carry numbers as numbers
+  const text = typeof value === 'string' || typeof value === 'number' ? String(value).trim() : '';
+  if (!text) {
+    return field.required ? `${label} is required` : null;
+  }
+
+  if (type === CREDENTIAL_FIELD_TYPES.URL) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      return `${label} must be a valid http(s) URL`;
+    }
+  }
+
+  if (type === CREDENTIAL_FIELD_TYPES.NUMBER) {
+    const number = Number(text);
+    if (!Number.isFinite(number)) return `${label} must be a number`;
+    if (field.min !== undefined && number < field.min) return `${label} must be at least ${field.min}`;
+    if (field.max !== undefined && number > field.max) return `${label} must be at most ${field.max}`;
+  }
+
+  if (type === CREDENTIAL_FIELD_TYPES.ENUM
+    && !getFieldOptions(field).some(option => option.value === text)) {
+    return `${label} must be one of the listed options`;
+  }
+
+  const pattern = field.pattern ? compilePattern(field.pattern) : null;
+  if (pattern && !pattern.test(text)) {
+    return field.patternMessage || `${label} is not in the expected format`;
+  }
+
+  return null;
+};
+
+/**
+ * Builds the validation schema of an adapter's credentials (see utils/validation)
+ *
+ * @function getCredentialSchema
+ * @param {Array<Object>} [fields=[]] - Credential fields from the adapter
+ * @returns {Object<string, Array<Function>>} Rules by field name
+ */
+export const getCredentialSchema = (fields = []) =>
+  Object.fromEntries(fields.map(field => [field.name, [value => validateCredentialField(field, value)]]));
+
+/**
+ * Validates a set of credential values
+ *
+ * @function validateCredentials
+ * @param {Array<Object>} [fields=[]] - Credential fields from the adapter
+ * @param {Object} values - Form values by field name
+ * @returns {Object<string, string>} Error messages by field name; empty when all are valid
+ */
+export const validateCredentials = (fields = [], values = {}) => validate(getCredentialSchema(fields), values);
+
+/**
+ * Converts form values into the credentials sent to the backend
+ * Text is trimmed, numbers are sent as numbers, and empty optional fields are left out
+ *
+ * @function toCredentialPayload
+ * @param {Array<Object>} [fields=[]] - Credential fields from the adapter
+ * @param {Object} values - Form values by field name
+ * @returns {Object} Credentials by field name
+ */
+export const toCredentialPayload = (fields = [], values = {}) => {
+  const payload = {};
+  fields.forEach(field => {
+    const type = getFieldType(field);
+    const value = values[field.name];
+    if (type === CREDENTIAL_FIELD_TYPES.BOOLEAN) {
+      payload[field.name] = Boolean(value);
+      return;
+    }
+
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text) return;
+    payload[field.name] = type === CREDENTIAL_FIELD_TYPES.NUMBER ? Number(text) : text;
+  });
+  return payload;
+};
+
+/**
+ * Removes secret values from a message before it is shown
+ * Backends sometimes quote the rejected key in their error text
+ *
+ * @function redactSecrets
+ * @param {string} message - Message to show
+ * @param {Array<Object>} [fields=[]] - Credential fields from the adapter
+ * @param {Object} [values={}] - Form values by field name
+ * @returns {string} The message with every secret value replaced by REDACTED
+ */
+export const redactSecrets = (message, fields = [], values = {}) =>
+  fields
+    .filter(field => getFieldType(field) === CREDENTIAL_FIELD_TYPES.SECRET)
+    .map(field => (typeof values[field.name] === 'string' ? values[field.name].trim() : ''))
+    // Very short values would blank out ordinary words
+    .filter(secret => secret.length >= 4)
+    .reduce((text, secret) => text.split(secret).join(REDACTED), message);
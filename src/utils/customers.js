@@ -0,0 +1,240 @@
+/**
+ * Customers
+ *
+ * Helpers for the customer directory. A customer is identified by their
+ * phone number and email address, compared in normalized form, so
+ * '(555) 123-4567' and '+1 555.123.4567' are the same customer, as are
+ * 'Jane@Example.com ' and 'jane@example.com'. Records that share either one
+ * are duplicates of the same person.
+ *
+ * Customer records from the backend look like:
+ * { id, name, phone, email, addresses: [string], orderCount, lifetimeValue, lastOrderAt }
+ *
+ * @module customers
+ */
+
+import { toCents, fromCents } from './money';
+
+/**
+ * Digits in a phone number with its country code, for US numbers
+ * @constant {number}
+ */
+const PHONE_WITH_COUNTRY_CODE_LENGTH = 11;
+
+/**
+ * Fewest digits a phone number needs before it is looked up
+ * @constant {number}
+ */
+export const MIN_LOOKUP_PHONE_DIGITS = 10;
+
+/**
+ * Order statuses that don't count towards a customer's spend
+ * @constant {Array<string>}
+ */
+const EXCLUDED_ORDER_STATUSES = ['canceled'];
+
+/**
+ * Normalizes a phone number to its digits, without the US country code
+ *
+ * @function normalizePhone
+ * @param {string} [phone] - Phone number as entered
+ * @returns {string} Digits only (e.g., '5551234567'), or '' if there are none
+ * @example
+ * normalizePhone('+1 (555) 123-4567'); // '5551234567'
+ */
+export const normalizePhone = (phone) => {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits.length === PHONE_WITH_COUNTRY_CODE_LENGTH && digits.startsWith('1')
+    ? digits.slice(1)
+    : digits;
+};
+
+/**
+ * Normalizes an email address for comparison
+ *
+ * @function normalizeEmail
+ * @param {string} [email] - Email address as entered
+ * @returns {string} Trimmed, lowercase address, or '' if empty
+ */
+export const normalizeEmail = (email) => String(email ?? '').trim().toLowerCase();
+
+/**
+ * Normalizes an address for comparison, ignoring case and spacing
+ *
+ * @function normalizeAddress
+ * @param {string} [address] - Address as entered
+ * @returns {string} Normalized address
+ */
+export const normalizeAddress = (address) =>
+  String(address ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Formats a phone number for display
+ * Ten-digit numbers become '(555) 123-4567'; anything else is shown as entered
+ *
+ * @function formatPhone
+ * @param {string} [phone] - Phone number
+ * @returns {string} Formatted phone number
+ */
+export const formatPhone = (phone) => {
+  const digits = normalizePhone(phone);
+  if (digits.length !== 10) return phone || '';
+  return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+};
+
+/**
+ * Returns the keys identifying a customer
+ *
+ * @function getCustomerKeys
+ * @param {Object} customer - Customer or contact details ({ phone, email })
+ * @returns {Array<string>} Keys such as 'phone:5551234567' and 'email:jane@example.com'
+ */
+export const getCustomerKeys = ({ phone, email }) => {
+  const keys = [];
+  const normalizedPhone = normalizePhone(phone);
+  const normalizedEmail = normalizeEmail(email);
+  if (normalizedPhone) keys.push(`phone:${normalizedPhone}`);
+  if (normalizedEmail) keys.push(`email:${normalizedEmail}`);
+  return keys;
+};
+
+/**
+ * Finds the customer with the same phone number or email address
+ *
+ * @function findMatchingCustomer
+ * @param {Array<Object>} customers - Known customers
+ * @param {Object} details - Contact details ({ phone, email })
+ * @returns {Object|null} The matching customer, phone matches first
+ */
+export const findMatchingCustomer = (customers, details) => {
+  const [firstKey, ...otherKeys] = getCustomerKeys(details);
+  if (!firstKey) return null;
+  return customers.find(customer => getCustomerKeys(customer).includes(firstKey))
+    || customers.find(customer => getCustomerKeys(customer).some(key => otherKeys.includes(key)))
+    || null;
+};
+
+/**
+ * Merges addresses, dropping ones that only differ in case or spacing
+ *
+ * @function mergeAddresses
+ * @param {...Array<string>} lists - Address lists, most preferred first
+ * @returns {Array<string>} Unique, non-empty addresses in their original form
+ */
+export const mergeAddresses = (...lists) => {
+  const seen = new Set();
+  return lists.flat().filter(address => {
+    const key = normalizeAddress(address);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Merges customer records that share a phone number or email address
+ *
+ * Records are grouped transitively (A shares a phone with B, B shares an
+ * email with C: all three are one customer). The merged record keeps the
+ * details of the most recently active record, fills gaps from the others,
+ * adds up order counts and spend, and lists every source ID in `mergedIds`.
+ *
+ * @function dedupeCustomers
+ * @param {Array<Object>} customers - Customer records
+ * @returns {Array<Object>} One record per customer, in the order first seen
+ */
+export const dedupeCustomers = (customers) => {
+  const groups = [];
+  const groupByKey = new Map();
+
+  customers.forEach(customer => {
+    const keys = getCustomerKeys(customer);
+    const matched = [...new Set(keys.map(key => groupByKey.get(key)).filter(Boolean))];
+    const [group, ...others] = matched.length > 0 ? matched : [{ records: [], keys: new Set() }];
+    if (matched.length === 0) groups.push(group);
+
+    // Fold any other groups this record links to into the first one
+    others.forEach(other => {
+      group.records.push(...other.records);
+      other.keys.forEach(key => group.keys.add(key));
+      groups.splice(groups.indexOf(other), 1);
+    });
+    group.records.push(customer);
+    keys.forEach(key => group.keys.add(key));
+    group.keys.forEach(key => groupByKey.set(key, group));
+  });
+
+  return groups.map(({ records }) => {
+    if (records.length === 1) return { ...records[0], mergedIds: [records[0].id] };
+
+    const byActivity = [...records].sort((a, b) =>
+      (new Date(b.lastOrderAt).getTime() || 0) - (new Date(a.lastOrderAt).getTime() || 0));
+    const [primary] = byActivity;
+    return {
+      ...primary,
+      name: primary.name || byActivity.find(record => record.name)?.name || '',
+      phone: primary.phone || byActivity.find(record => record.phone)?.phone || '',
+      email: primary.email || byActivity.find(record => record.email)?.email || '',
+      addresses: mergeAddresses(...byActivity.map(record => record.addresses || [])),
+      orderCount: records.reduce((sum, record) => sum + (record.orderCount || 0), 0),
+      lifetimeValue: fromCents(records.reduce((sum, record) => sum + toCents(record.lifetimeValue), 0)),
+      mergedIds: records.map(record => record.id)
+    };
+  });
+};
+
+/**
+ * Checks whether a customer matches a directory search term
+ * Phone numbers match on their digits, so '555-12' finds '(555) 123-4567'
+ *
+ * @function matchesCustomerSearch
+ * @param {Object} customer - Customer record
+ * @param {string} term - Search term
+ * @returns {boolean} True if the name, email or phone contains the term
+ */
+export const matchesCustomerSearch = (customer, term) => {
+  const text = term.trim().toLowerCase();
+  if (!text) return true;
+  const digits = text.replace(/\D/g, '');
+  const isPhoneSearch = digits.length > 0 && /^[\d\s()+.-]+$/.test(text);
+  return [customer.name, customer.email].some(value => String(value || '').toLowerCase().includes(text))
+    || (isPhoneSearch && String(customer.phone || '').replace(/\D/g, '').includes(digits));
+};
+
+/**
+ * Summarizes a customer's order history
+ * Canceled orders are listed but don't count towards the totals
+ *
+ * @function summarizeCustomerOrders
+ * @param {Array<Object>} orders - The customer's orders ({ total, status, createdAt })
+ * @returns {{ orderCount: number, lifetimeValue: number, averageOrderValue: number|null, lastOrderAt: string|null }}
+ *   Order count, total spend, average order value and date of the latest order
+ */
+export const summarizeCustomerOrders = (orders) => {
+  const counted = orders.filter(order => !EXCLUDED_ORDER_STATUSES.includes(order.status));
+  const totalCents = counted.reduce((sum, order) => sum + toCents(order.total), 0);
+  const latest = orders.reduce((last, order) =>
+    (!last || new Date(order.createdAt) > new Date(last) ? order.createdAt : last), null);
+  return {
+    orderCount: counted.length,
+    lifetimeValue: fromCents(totalCents),
+    averageOrderValue: counted.length > 0 ? fromCents(Math.round(totalCents / counted.length)) : null,
+    lastOrderAt: latest
+  };
+};
+
+/**
+ * Returns a customer's saved delivery addresses
+ * Addresses saved on the profile come first, then ones used on past orders, newest first
+ *
+ * @function getSavedAddresses
+ * @param {Object} customer - Customer record
+ * @param {Array<Object>} [orders=[]] - The customer's orders
+ * @returns {Array<string>} Unique addresses
+ */
+export const getSavedAddresses = (customer, orders = []) => {
+  const fromOrders = [...orders]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map(order => order.deliveryAddress);
+  return mergeAddresses(customer.addresses || [], fromOrders);
+};
@@ -0,0 +1,126 @@
+/**
+ * Delivery Dispatch Rules
+ *
+ * Helpers for the dispatch board: grouping nearby orders into suggested runs
+ * and summarising each driver's load and delivery times.
+ *
+ * Orders count as nearby when their delivery addresses share a ZIP code.
+ * Addresses without a ZIP code are always suggested as single-stop runs.
+ *
+ * @module dispatch
+ */
+
+/**
+ * Default number of stops suggested per run
+ * @constant {number}
+ */
+export const DEFAULT_MAX_STOPS = 3;
+
+/**
+ * Extracts the five-digit ZIP code from a delivery address
+ *
+ * @function getZipCode
+ * @param {string} address - Delivery address
+ * @returns {string|null} ZIP code, or null if the address has none
+ * @example
+ * getZipCode('123 Main St, Springfield, IL 62704-1234'); // '62704'
+ */
+export const getZipCode = (address) => {
+  const matches = String(address || '').match(/\b\d{5}(?:-\d{4})?\b/g);
+  return matches ? matches[matches.length - 1].slice(0, 5) : null;
+};
+
+/**
+ * Groups orders waiting for delivery into suggested runs
+ * Orders in the same ZIP code are batched, oldest first, up to maxStops per run
+ *
+ * @function suggestBatches
+ * @param {Array<Object>} orders - Orders waiting for a driver
+ * @param {number} [maxStops=DEFAULT_MAX_STOPS] - Maximum stops per run
+ * @returns {Array<{ key: string, zipCode: string|null, orderIds: Array<string> }>} Suggested runs, largest first
+ */
+export const suggestBatches = (orders, maxStops = DEFAULT_MAX_STOPS) => {
+  const byZip = new Map();
+  const batches = [];
+
+  [...orders]
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    .forEach(order => {
+      const zipCode = getZipCode(order.deliveryAddress);
+      if (!zipCode) {
+        batches.push({ key: order.id, zipCode: null, orderIds: [order.id] });
+        return;
+      }
+      if (!byZip.has(zipCode)) byZip.set(zipCode, []);
+      byZip.get(zipCode).push(order.id);
+    });
+
+  byZip.forEach((orderIds, zipCode) => {
+    for (let i = 0; i < orderIds.length; i += maxStops) {
+      batches.push({ key: `${zipCode}-${i / maxStops}`, zipCode, orderIds: orderIds.slice(i, i + maxStops) });
+    }
+  });
+
+  return batches.sort((a, b) => b.orderIds.length - a.orderIds.length);
+};
+
+/**
+ * Returns how long a stop took from dispatch to delivery
+ *
+ * @function getDeliveryDuration
+ * @param {Object} run - The run the stop belongs to
+ * @param {Object} stop - The delivered stop
+ * @returns {number|null} Duration in milliseconds, or null if not delivered yet
+ */
+export const getDeliveryDuration = (run, stop) => {
+  if (!stop.deliveredAt || !run.dispatchedAt) return null;
+  return new Date(stop.deliveredAt) - new Date(run.dispatchedAt);
+};
+
+/**
+ * Summarises each driver's current load and delivery history
+ *
+ * @function getDriverStats
+ * @param {Array<Object>} drivers - Drivers
+ * @param {Array<Object>} runs - Delivery runs
+ * @returns {Object<string, { openStops: number, deliveredCount: number, averageDeliveryMs: number|null }>}
+ *   Stats keyed by driver ID
+ */
+export const getDriverStats = (drivers, runs) => {
+  const stats = Object.fromEntries(drivers.map(driver => [
+    driver.id,
+    { openStops: 0, deliveredCount: 0, averageDeliveryMs: null, totalDeliveryMs: 0 }
+  ]));
+
+  runs.forEach(run => {
+    const driverStats = stats[run.driverId];
+    if (!driverStats) return;
+
+    run.stops.forEach(stop => {
+      const duration = getDeliveryDuration(run, stop);
+      if (duration === null) {
+        driverStats.openStops += 1;
+      } else {
+        driverStats.deliveredCount += 1;
+        driverStats.totalDeliveryMs += duration;
+      }
+    });
+  });
+
+  return Object.fromEntries(Object.entries(stats).map(([driverId, { totalDeliveryMs, ...driverStats }]) => [
+    driverId,
+    {
+      ...driverStats,
+      averageDeliveryMs: driverStats.deliveredCount ? totalDeliveryMs / driverStats.deliveredCount : null
+    }
+  ]));
+};
+
+/**
+ * Formats a duration in whole minutes for display
+ *
+ * @function formatMinutes
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} e.g. '24 min', or '—' when there is no duration
+ */
+export const formatMinutes = (ms) => (ms === null || ms === undefined ? '—' : `${Math.round(ms / 60000)} min`);
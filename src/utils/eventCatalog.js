@@ -0,0 +1,103 @@
+/**
+ * Webhook Event Catalog
+ *
+ * Every adapter returned by integrationService.getAdapters() publishes the
+ * event types it can send:
+ *
+ *   { id: 'square', name: 'Square POS', events: [
+ *     { type: 'order.created', description: 'An order was placed', examplePayload: {...} }
+ *   ] }
+ *
+ * A webhook subscribes to event types or to wildcards: 'order.*' matches
+ * every type in the order namespace (including 'order.item.added').
+ * An empty subscription list means every event.
+ *
+ * @module eventCatalog
+ */
+
+/**
+ * Groups the published event types by adapter
+ *
+ * @function buildEventCatalog
+ * @param {Array<Object>} adapters - Adapters from getAdapters()
+ * @returns {Array<{ id: string, name: string, events: Array<Object> }>} Groups with
+ *   at least one event, events sorted by type
+ */
+export const buildEventCatalog = (adapters) =>
+  adapters
+    .filter(adapter => adapter.events?.length > 0)
+    .map(adapter => ({
+      id: adapter.id,
+      name: adapter.name,
+      events: [...adapter.events].sort((a, b) => a.type.localeCompare(b.type))
+    }));
+
+/**
+ * Returns the wildcard subscriptions available in a catalog, one per namespace
+ *
+ * @function getWildcards
+ * @param {Array<Object>} catalog - Catalog from buildEventCatalog()
+ * @returns {Array<string>} Sorted wildcards, e.g. ['customer.*', 'order.*']
+ */
+export const getWildcards = (catalog) => {
+  const namespaces = catalog.flatMap(group => group.events
+    .filter(event => event.type.includes('.'))
+    .map(event => event.type.split('.')[0]));
+  return [...new Set(namespaces)].sort().map(namespace => `${namespace}.*`);
+};
+
+/**
+ * Checks whether a subscription pattern matches an event type
+ *
+ * @function matchesEventPattern
+ * @param {string} type - Event type, e.g. 'order.created'
+ * @param {string} pattern - Event type, 'namespace.*' or '*'
+ * @returns {boolean} True if the pattern matches the type
+ */
+export const matchesEventPattern = (type, pattern) => {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+  return type === pattern;
+};
+
+/**
+ * Returns the wildcard in a subscription list that covers an event type
+ *
+ * @function getCoveringWildcard
+ * @param {string} type - Event type
+ * @param {Array<string>} subscriptions - Subscribed types and wildcards
+ * @returns {string|undefined} The covering wildcard, if any
+ */
+export const getCoveringWildcard = (type, subscriptions) =>
+  subscriptions.find(pattern => pattern !== type && pattern.endsWith('*') && matchesEventPattern(type, pattern));
+
+/**
+ * Removes duplicates and event types already covered by a wildcard
+ *
+ * @function normalizeSubscriptions
+ * @param {Array<string>} subscriptions - Subscribed types and wildcards
+ * @returns {Array<string>} The normalized list, in the original order
+ */
+export const normalizeSubscriptions = (subscriptions) =>
+  [...new Set(subscriptions)].filter(pattern => !getCoveringWildcard(pattern, subscriptions));
+
+/**
+ * Filters a catalog by a search query matched against types and descriptions
+ *
+ * @function searchEventCatalog
+ * @param {Array<Object>} catalog - Catalog from buildEventCatalog()
+ * @param {string} query - Search text (case-insensitive)
+ * @returns {Array<Object>} Groups with their matching events, without empty groups
+ */
+export const searchEventCatalog = (catalog, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return catalog;
+  return catalog
+    .map(group => ({
+      ...group,
+      events: group.events.filter(event =>
+        event.type.toLowerCase().includes(needle)
+        || (event.description || '').toLowerCase().includes(needle))
+    }))
+    .filter(group => group.events.length > 0);
+};
@@ -0,0 +1,49 @@
+import settingsService from '../services/settingsService';
+
+/**
+ * Display Formatters
+ *
+ * Formats money and timestamps using the currency and timezone configured on
+ * the Settings page, so every screen shows them the same way.
+ *
+ * @module formatters
+ */
+
+/**
+ * Locale used for number and date formatting
+ * @constant {string}
+ */
+const LOCALE = 'en-US';
+
+/**
+ * Formats an amount in the store currency
+ *
+ * @function formatCurrency
+ * @param {number} amount - Amount in major units (e.g., dollars)
+ * @param {Object} [settings] - Settings to use; defaults to the saved settings
+ * @returns {string} Formatted amount (e.g., '$12.50')
+ */
+export const formatCurrency = (amount, settings = settingsService.getSettings()) =>
+  new Intl.NumberFormat(LOCALE, {
+    style: 'currency',
+    currency: settings.currency || 'USD'
+  }).format(Number(amount) || 0);
+
+/**
+ * Formats a timestamp as a date and time in the store timezone
+ * Falls back to the browser timezone when none is configured
+ *
+ * @function formatDateTime
+ * @param {string|number|Date} timestamp - The timestamp to format
+ * @param {Object} [settings] - Settings to use; defaults to the saved settings
+ * @returns {string} Formatted date/time string
+ */
+export const formatDateTime = (timestamp, settings = settingsService.getSettings()) => {
+  const options = settings.timezone ? { timeZone: settings.timezone } : {};
+  try {
+    return new Date(timestamp).toLocaleString(LOCALE, options);
+  } catch {
+    // Unknown timezone identifiers throw a RangeError
+    return new Date(timestamp).toLocaleString(LOCALE);
+  }
+};
@@ -0,0 +1,81 @@
+/**
+ * JSON Diff
+ *
+ * Compares two JSON values and lists what changed, for comparing webhook
+ * payloads side by side.
+ *
+ * @module jsonDiff
+ */
+
+/**
+ * Kinds of change reported by diffJson
+ * @constant {Object<string, string>}
+ */
+export const CHANGE_TYPES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed'
+};
+
+/**
+ * Checks whether a value is an object or array that diffJson descends into
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects and arrays
+ */
+const isContainer = (value) => value !== null && typeof value === 'object';
+
+/**
+ * Appends a key to a path, using [n] for array indexes
+ *
+ * @param {string} path - Parent path
+ * @param {string|number} key - Object key or array index
+ * @param {boolean} isArray - Whether the parent is an array
+ * @returns {string} Child path (e.g., 'order.items[0].name')
+ */
+const joinPath = (path, key, isArray) => {
+  if (isArray) return `${path}[${key}]`;
+  return path ? `${path}.${key}` : String(key);
+};
+
+/**
+ * Lists the differences between two JSON values
+ *
+ * Objects and arrays are compared key by key; anything else is compared by
+ * value. A value that changes between a container and a primitive (or
+ * between an object and an array) is reported as one change.
+ *
+ * @function diffJson
+ * @param {*} before - The first value
+ * @param {*} after - The second value
+ * @param {string} [path=''] - Path of the values (used when recursing)
+ * @returns {Array<{ path: string, type: string, before: *, after: * }>} Changes in document order
+ * @example
+ * diffJson({ status: 'new', total: 10 }, { status: 'ready', total: 10, paid: true });
+ * // [{ path: 'status', type: 'changed', before: 'new', after: 'ready' },
+ * //  { path: 'paid', type: 'added', before: undefined, after: true }]
+ */
+export const diffJson = (before, after, path = '') => {
+  const bothContainers = isContainer(before) && isContainer(after)
+    && Array.isArray(before) === Array.isArray(after);
+
+  if (!bothContainers) {
+    return Object.is(before, after)
+      ? []
+      : [{ path, type: CHANGE_TYPES.CHANGED, before, after }];
+  }
+
+  const isArray = Array.isArray(before);
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys.flatMap(key => {
+    const childPath = joinPath(path, key, isArray);
+    if (!(key in after)) {
+      return [{ path: childPath, type: CHANGE_TYPES.REMOVED, before: before[key], after: undefined }];
+    }
+    if (!(key in before)) {
+      return [{ path: childPath, type: CHANGE_TYPES.ADDED, before: undefined, after: after[key] }];
+    }
+    return diffJson(before[key], after[key], childPath);
+  });
+};
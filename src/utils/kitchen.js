@@ -0,0 +1,114 @@
+/**
+ * Kitchen Display Rules
+ *
+ * Maps the order workflow onto kitchen stations and decides when a ticket is
+ * running late. Each station works the orders in one status:
+ * - Prep: new orders waiting to be made
+ * - Oven: orders being prepared and baked
+ * - Expo: finished orders waiting to be checked and handed off
+ *
+ * Bumping a ticket moves it to the next station (new → preparing → ready);
+ * bumping from expo stamps the order `bumpedAt`, which clears it from every
+ * kitchen screen. The order stays ready for dispatch or pickup to take over.
+ *
+ * @module kitchen
+ */
+
+import { canTransition } from './orderStatus';
+
+/**
+ * Kitchen stations in line order
+ * @constant {Array<Object>}
+ */
+export const KITCHEN_STATIONS = [
+  { id: 'prep', label: 'Prep', status: 'new', bumpLabel: 'Start' },
+  { id: 'oven', label: 'Oven', status: 'preparing', bumpLabel: 'Ready' },
+  { id: 'expo', label: 'Expo', status: 'ready', bumpLabel: 'Bump' }
+];
+
+/**
+ * Order statuses that appear on the kitchen display
+ * @constant {Array<string>}
+ */
+export const KITCHEN_STATUSES = KITCHEN_STATIONS.map(station => station.status);
+
+/**
+ * Default minutes after which a ticket is shown as warning and late
+ * @constant {Object}
+ */
+export const DEFAULT_KITCHEN_TIMING = {
+  warnAfterMinutes: 10,
+  lateAfterMinutes: 20
+};
+
+/**
+ * Returns the station that works orders in a status
+ *
+ * @function getStationForStatus
+ * @param {string} status - Order status
+ * @returns {Object|undefined} The station, or undefined if the order is not on the board
+ */
+export const getStationForStatus = (status) => KITCHEN_STATIONS.find(station => station.status === status);
+
+/**
+ * Returns the status a ticket moves to when bumped
+ *
+ * @function getBumpStatus
+ * @param {string} status - Current order status
+ * @returns {string|null} Next status, or null when the ticket leaves the board (expo)
+ */
+export const getBumpStatus = (status) => {
+  const index = KITCHEN_STATUSES.indexOf(status);
+  return index >= 0 && index < KITCHEN_STATUSES.length - 1 ? KITCHEN_STATUSES[index + 1] : null;
+};
+
+/**
+ * Checks whether an order belongs on the kitchen board
+ *
+ * @function isOnBoard
+ * @param {Object} order - Order
+ * @returns {boolean} True for open kitchen orders not yet bumped from expo
+ */
+export const isOnBoard = (order) => KITCHEN_STATUSES.includes(order.status) && !order.bumpedAt;
+
+/**
+ * Checks whether a bumped ticket can go back on expo
+ * Once dispatch or pickup has moved the order on, it cannot return to ready
+ *
+ * @function canRecall
+ * @param {Object} order - Bumped order
+ * @returns {boolean} True while the order is, or may return to, ready
+ */
+export const canRecall = (order) => order.status === 'ready' || canTransition(order.status, 'ready');
+
+/**
+ * Classifies how late a ticket is
+ *
+ * @function getTicketUrgency
+ * @param {number} elapsedMs - Time since the order was placed
+ * @param {Object} [timing=DEFAULT_KITCHEN_TIMING] - Warning and late thresholds in minutes
+ * @returns {string} 'on-time', 'warning' or 'late'
+ */
+export const getTicketUrgency = (elapsedMs, timing = DEFAULT_KITCHEN_TIMING) => {
+  const minutes = elapsedMs / 60000;
+  if (minutes >= timing.lateAfterMinutes) return 'late';
+  if (minutes >= timing.warnAfterMinutes) return 'warning';
+  return 'on-time';
+};
+
+/**
+ * Formats an elapsed time as m:ss (or h:mm:ss past an hour)
+ *
+ * @function formatElapsed
+ * @param {number} elapsedMs - Elapsed time in milliseconds
+ * @returns {string} Formatted timer, e.g. '7:05'
+ */
+export const formatElapsed = (elapsedMs) => {
+  const totalSeconds = Math.max(0, Math.floor(elapsedMs / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+    : `${minutes}:${seconds}`;
+};
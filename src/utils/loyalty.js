@@ -0,0 +1,206 @@
+import { toCents } from './money';
+import { findById, calculateUnitPriceCents } from './menuPricing';
+import { DISCOUNT_TYPES, calculateDiscountCents } from './pricing';
+import { formatCurrency } from './formatters';
+
+/**
+ * Loyalty Program Rules
+ *
+ * Customers earn points on every order and spend them on rewards. The
+ * program is configured on the Loyalty page:
+ *
+ * - Earn rule: `pointsPerDollar` points for each whole dollar of the
+ *   discounted subtotal (before tax, delivery fee and tip), on orders of at
+ *   least `minimumOrder`
+ * - Burn rules: reward tiers such as a free medium pizza at 100 points, a
+ *   fixed amount off or a percentage off
+ *
+ * A redeemed reward becomes a discount line on the order (see
+ * calculateOrderTotals). Points balances live in a per-customer ledger of
+ * earn, redeem and adjust entries.
+ *
+ * @module loyalty
+ */
+
+/**
+ * Kinds of reward a customer can redeem
+ * - free_item: The price of one matching item (by menu category and size)
+ * - fixed: An amount off the order
+ * - percent: A percentage off the order
+ * @constant {Object<string, string>}
+ */
+export const REWARD_TYPES = {
+  FREE_ITEM: 'free_item',
+  FIXED: DISCOUNT_TYPES.FIXED,
+  PERCENT: DISCOUNT_TYPES.PERCENT
+};
+
+/**
+ * Display labels for each reward type
+ * @constant {Object<string, string>}
+ */
+export const REWARD_TYPE_LABELS = {
+  [REWARD_TYPES.FREE_ITEM]: 'Free Item',
+  [REWARD_TYPES.FIXED]: 'Fixed Amount',
+  [REWARD_TYPES.PERCENT]: 'Percent (%)'
+};
+
+/**
+ * Kinds of points ledger entry
+ * - earn: Points earned on an order
+ * - redeem: Points spent on a reward (negative)
+ * - adjust: Manual correction by a manager, e.g. carrying over a paper punch card
+ * @constant {Object<string, string>}
+ */
+export const LEDGER_ENTRY_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  ADJUST: 'adjust'
+};
+
+/**
+ * Display labels for each ledger entry type
+ * @constant {Object<string, string>}
+ */
+export const LEDGER_ENTRY_LABELS = {
+  [LEDGER_ENTRY_TYPES.EARN]: 'Earned',
+  [LEDGER_ENTRY_TYPES.REDEEM]: 'Redeemed',
+  [LEDGER_ENTRY_TYPES.ADJUST]: 'Adjusted'
+};
+
+/**
+ * Program used until a manager saves their own
+ * @constant {Object}
+ */
+export const DEFAULT_LOYALTY_PROGRAM = {
+  enabled: true,
+  pointsPerDollar: 1,
+  minimumOrder: 0,
+  rewards: [
+    { id: 'free-medium-pizza', name: 'Free medium pizza', points: 100, type: REWARD_TYPES.FREE_ITEM, category: 'pizza', sizeId: 'medium', value: 0 }
+  ]
+};
+
+/**
+ * Calculates the points an order earns
+ *
+ * @function calculatePointsEarned
+ * @param {Object} program - Loyalty program
+ * @param {number} taxableCents - Discounted subtotal of the order in cents
+ * @returns {number} Whole points earned
+ * @example
+ * calculatePointsEarned({ enabled: true, pointsPerDollar: 2, minimumOrder: 0 }, 1899); // 36
+ */
+export const calculatePointsEarned = (program, taxableCents) => {
+  if (!program?.enabled || taxableCents < toCents(program.minimumOrder)) return 0;
+  return Math.max(0, Math.floor(Math.floor(taxableCents / 100) * (Number(program.pointsPerDollar) || 0)));
+};
+
+/**
+ * Returns the rewards a customer has enough points for, cheapest first
+ *
+ * @function getAvailableRewards
+ * @param {Object} program - Loyalty program
+ * @param {number} balance - Customer's points balance
+ * @returns {Array<Object>} Redeemable rewards
+ */
+export const getAvailableRewards = (program, balance) => {
+  if (!program?.enabled) return [];
+  return (program.rewards || [])
+    .filter(reward => reward.points > 0 && reward.points <= balance)
+    .sort((a, b) => a.points - b.points);
+};
+
+/**
+ * Checks whether an order line is eligible for a free item reward
+ *
+ * @param {Object} reward - Free item reward ({ category, sizeId })
+ * @param {Object} line - Order line
+ * @param {Object} menu - Menu catalog
+ * @returns {boolean} True if the line's item and size match the reward
+ */
+const lineMatchesReward = (reward, line, menu) => {
+  const item = findById(menu.items, line.itemId);
+  if (!item) return false;
+  if (reward.category && item.category !== reward.category) return false;
+  if (reward.sizeId && line.sizeId !== reward.sizeId) return false;
+  return true;
+};
+
+/**
+ * Calculates the discount a reward gives on an order
+ *
+ * A free item reward takes off the unit price of the most expensive matching
+ * line; percentage and fixed rewards work like a coupon. The discount never
+ * exceeds what is left of the subtotal.
+ *
+ * @function calculateRewardCents
+ * @param {Object} reward - Reward from the program
+ * @param {Array<Object>} lines - Order lines
+ * @param {Object} menu - Menu catalog
+ * @param {number} baseCents - Subtotal left after other discounts
+ * @returns {number} Discount in cents; 0 if nothing in the order qualifies
+ */
+export const calculateRewardCents = (reward, lines, menu, baseCents) => {
+  if (!reward) return 0;
+  if (reward.type !== REWARD_TYPES.FREE_ITEM) {
+    return calculateDiscountCents(reward, baseCents);
+  }
+
+  const prices = lines
+    .filter(line => line.quantity > 0 && lineMatchesReward(reward, line, menu))
+    .map(line => calculateUnitPriceCents(line, menu) ?? 0);
+  return Math.min(Math.max(0, ...prices), baseCents);
+};
+
+/**
+ * Describes what a reward gives, for pickers and the program editor
+ *
+ * @function describeReward
+ * @param {Object} reward - Reward from the program
+ * @param {Object} [menu] - Menu catalog, for size names
+ * @returns {string} e.g. 'Free Medium pizza', '$5.00 off' or '10% off'
+ */
+export const describeReward = (reward, menu) => {
+  if (reward.type === REWARD_TYPES.PERCENT) return `${reward.value}% off`;
+  if (reward.type === REWARD_TYPES.FIXED) return `${formatCurrency(reward.value)} off`;
+  const size = findById(menu?.sizes, reward.sizeId)?.name || reward.sizeId;
+  return ['Free', size, reward.category || 'item'].filter(Boolean).join(' ');
+};
+
+/**
+ * Adds up the points in a ledger
+ *
+ * @function getLedgerBalance
+ * @param {Array<Object>} entries - Ledger entries ({ points })
+ * @returns {number} Points balance
+ */
+export const getLedgerBalance = (entries) =>
+  entries.reduce((sum, entry) => sum + (Number(entry.points) || 0), 0);
+
+/**
+ * Validates a loyalty program before it is saved
+ *
+ * @function validateLoyaltyProgram
+ * @param {Object} program - Program being edited
+ * @returns {string|null} Error message, or null if the program is valid
+ */
+export const validateLoyaltyProgram = (program) => {
+  if (!(program.pointsPerDollar > 0)) {
+    return 'Points per dollar must be above zero';
+  }
+  if (program.minimumOrder < 0) {
+    return 'Minimum order cannot be negative';
+  }
+  if (program.rewards.some(reward => !reward.name.trim())) {
+    return 'Every reward needs a name';
+  }
+  if (program.rewards.some(reward => !Number.isInteger(reward.points) || reward.points <= 0)) {
+    return 'Rewards must cost a whole number of points above zero';
+  }
+  if (program.rewards.some(reward => reward.type !== REWARD_TYPES.FREE_ITEM
+    && (reward.value <= 0 || (reward.type === REWARD_TYPES.PERCENT && reward.value > 100)))) {
+    return 'Reward discounts must be above zero, and percentages at most 100%';
+  }
+  return null;
+};
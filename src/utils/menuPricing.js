@@ -0,0 +1,198 @@
+import { toCents, fromCents, multiplyCents } from './money';
+
+/**
+ * Menu Pricing Rules
+ *
+ * Computes order line prices from the menu catalog so staff never type a
+ * price by hand. A line's unit price is:
+ *
+ *   size price (or flat price)
+ *   + crust upcharge
+ *   + each extra topping's price × the size's topping multiplier
+ *
+ * Toppings that come with the item (includedToppings) are not charged.
+ * Prices are added up in integer cents (see money.js).
+ *
+ * @module menuPricing
+ */
+
+/**
+ * Empty order line used for new rows in the order form
+ * @constant {Object}
+ */
+export const EMPTY_LINE = {
+  itemId: '',
+  sizeId: '',
+  crustId: '',
+  toppingIds: [],
+  quantity: 1
+};
+
+/**
+ * Finds an entry in a catalog list by ID
+ *
+ * @function findById
+ * @param {Array<Object>} [list=[]] - Catalog list (items, sizes, crusts, toppings)
+ * @param {string} id - ID to look up
+ * @returns {Object|undefined} The matching entry
+ */
+export const findById = (list = [], id) => list.find(entry => entry.id === id);
+
+/**
+ * Returns the sizes an item is sold in, in catalog order
+ * Items with a flat price are not sized and return an empty list
+ *
+ * @function getItemSizes
+ * @param {Object} item - Menu item
+ * @param {Object} menu - Menu catalog
+ * @returns {Array<Object>} Sizes with a price for this item
+ */
+export const getItemSizes = (item, menu) => {
+  if (!item?.prices) return [];
+  return menu.sizes.filter(size => item.prices[size.id] !== undefined && item.prices[size.id] !== null);
+};
+
+/**
+ * Builds a fresh order line for a menu item with its default options
+ * Defaults to the item's first size and the first crust
+ *
+ * @function createLineForItem
+ * @param {string} itemId - Menu item ID
+ * @param {Object} menu - Menu catalog
+ * @param {number} [quantity=1] - Line quantity
+ * @returns {Object} Order line
+ */
+export const createLineForItem = (itemId, menu, quantity = 1) => {
+  const item = findById(menu.items, itemId);
+  if (!item) return { ...EMPTY_LINE, quantity };
+
+  return {
+    itemId,
+    sizeId: getItemSizes(item, menu)[0]?.id || '',
+    crustId: item.customizable ? menu.crusts[0]?.id || '' : '',
+    toppingIds: [],
+    quantity
+  };
+};
+
+/**
+ * Calculates the unit price of an order line in cents
+ *
+ * @function calculateUnitPriceCents
+ * @param {Object} line - Order line (itemId, sizeId, crustId, toppingIds)
+ * @param {Object} menu - Menu catalog
+ * @returns {number|null} Unit price in cents, or null if the line is incomplete
+ */
+export const calculateUnitPriceCents = (line, menu) => {
+  const item = findById(menu.items, line.itemId);
+  if (!item) return null;
+
+  const sizes = getItemSizes(item, menu);
+  let price;
+  let toppingMultiplier = 1;
+
+  if (sizes.length > 0) {
+    const size = findById(sizes, line.sizeId);
+    if (!size) return null;
+    price = toCents(item.prices[size.id]);
+    toppingMultiplier = size.toppingMultiplier ?? 1;
+  } else {
+    price = toCents(item.price);
+  }
+
+  if (item.customizable) {
+    const crust = findById(menu.crusts, line.crustId);
+    price += toCents(crust?.upcharge);
+
+    const included = new Set(item.includedToppings || []);
+    (line.toppingIds || [])
+      .filter(id => !included.has(id))
+      .forEach(id => {
+        const topping = findById(menu.toppings, id);
+        price += multiplyCents(toCents(topping?.price), toppingMultiplier);
+      });
+  }
+
+  return price;
+};
+
+/**
+ * Calculates the unit price of an order line
+ *
+ * @function calculateUnitPrice
+ * @param {Object} line - Order line (itemId, sizeId, crustId, toppingIds)
+ * @param {Object} menu - Menu catalog
+ * @returns {number|null} Unit price in major units, or null if the line is incomplete
+ */
+export const calculateUnitPrice = (line, menu) => {
+  const cents = calculateUnitPriceCents(line, menu);
+  return cents === null ? null : fromCents(cents);
+};
+
+/**
+ * Calculates the total price of an order line (unit price × quantity) in cents
+ *
+ * @function calculateLineTotalCents
+ * @param {Object} line - Order line
+ * @param {Object} menu - Menu catalog
+ * @returns {number} Line total in cents, or 0 if the line is incomplete
+ */
+export const calculateLineTotalCents = (line, menu) => {
+  const unitCents = calculateUnitPriceCents(line, menu);
+  return unitCents === null ? 0 : unitCents * line.quantity;
+};
+
+/**
+ * Calculates the total price of an order line (unit price × quantity)
+ *
+ * @function calculateLineTotal
+ * @param {Object} line - Order line
+ * @param {Object} menu - Menu catalog
+ * @returns {number} Line total in major units, or 0 if the line is incomplete
+ */
+export const calculateLineTotal = (line, menu) => fromCents(calculateLineTotalCents(line, menu));
+
+/**
+ * Builds a readable name for an order line, e.g. "Large Pepperoni Pizza (Thin, + Mushrooms)"
+ *
+ * @function describeLine
+ * @param {Object} line - Order line
+ * @param {Object} menu - Menu catalog
+ * @returns {string} Line description
+ */
+export const describeLine = (line, menu) => {
+  const item = findById(menu.items, line.itemId);
+  if (!item) return '';
+
+  const size = findById(menu.sizes, line.sizeId);
+  const name = size ? `${size.name} ${item.name}` : item.name;
+
+  const options = [];
+  const crust = item.customizable && findById(menu.crusts, line.crustId);
+  if (crust) options.push(crust.name);
+  (line.toppingIds || []).forEach(id => {
+    const topping = findById(menu.toppings, id);
+    if (topping) options.push(`+ ${topping.name}`);
+  });
+
+  return options.length ? `${name} (${options.join(', ')})` : name;
+};
+
+/**
+ * Converts an order line into the item sent with the order
+ * Keeps the catalog IDs alongside the name and computed price
+ *
+ * @function toOrderItem
+ * @param {Object} line - Order line
+ * @param {Object} menu - Menu catalog
+ * @returns {Object} Order item (itemId, name, sizeId, crustId, toppingIds, quantity, price)
+ */
+export const toOrderItem = (line, menu) => ({
+  itemId: line.itemId,
+  name: describeLine(line, menu),
+  sizeId: line.sizeId || undefined,
+  crustId: line.crustId || undefined,
+  toppingIds: line.toppingIds,
+  quantity: line.quantity,
+  price: calculateUnitPrice(line, menu)
+});
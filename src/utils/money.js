@@ -0,0 +1,57 @@
+/**
+ * Money Helpers
+ *
+ * Order math is done in integer cents so that sums and percentages never pick
+ * up floating point noise (0.1 + 0.2 !== 0.3). Amounts are converted to cents
+ * once at the edge, and back to major units only for display and the API.
+ *
+ * @module money
+ */
+
+/**
+ * Converts an amount in major units (e.g., dollars) to integer cents
+ * Rounds half away from zero, so 1.005 becomes 101 cents
+ *
+ * @function toCents
+ * @param {number|string} amount - Amount in major units
+ * @returns {number} Amount in cents
+ */
+export const toCents = (amount) => {
+  const value = Number(amount) || 0;
+  // toPrecision strips binary noise such as 1.005 * 100 = 100.49999999999999
+  const cents = Math.round(Math.abs(parseFloat((value * 100).toPrecision(12))));
+  return value < 0 ? -cents : cents;
+};
+
+/**
+ * Converts integer cents back to major units
+ *
+ * @function fromCents
+ * @param {number} cents - Amount in cents
+ * @returns {number} Amount in major units
+ */
+export const fromCents = (cents) => cents / 100;
+
+/**
+ * Calculates a percentage of a cent amount, rounded to the nearest cent
+ * The rate is scaled to an integer first so rates like 8.875% stay exact
+ *
+ * @function percentOf
+ * @param {number} cents - Base amount in cents
+ * @param {number} percent - Percentage (e.g., 8.25 for 8.25%)
+ * @returns {number} Result in cents
+ */
+export const percentOf = (cents, percent) => {
+  const rateMilli = Math.round((Number(percent) || 0) * 1000);
+  return Math.round((cents * rateMilli) / 100000);
+};
+
+/**
+ * Multiplies a cent amount by a factor, rounded to the nearest cent
+ *
+ * @function multiplyCents
+ * @param {number} cents - Amount in cents
+ * @param {number} factor - Multiplier (e.g., a size's topping multiplier)
+ * @returns {number} Result in cents
+ */
+export const multiplyCents = (cents, factor) => Math.round(cents * (Number(factor) || 0));
@@ -0,0 +1,175 @@
+import { toCents, fromCents } from './money';
+
+/**
+ * Order Mappers
+ *
+ * Convert the dashboard's order model into the payload each POS or ordering
+ * system expects on its `orders/create` endpoint. integrationService.send
+ * applies them to every order it sends. The dashboard's model is
+ * what OrderForm builds:
+ *
+ *   { customerId, customerName, customerEmail, customerPhone, items: [{ itemId, name, quantity, price }],
+ *     notes, deliveryAddress, paymentMethod, total, locationId,
+ *     totals: { discounts, taxCents, deliveryFeeCents, tipCents, ... } }
+ *
+ * `locationId` is set by orderRouter for the location the order is routed
+ * to. Every mapper carries it into the system's location field, so the order
+ * lands at that location rather than the account's default one, and carries
+ * `customerId` as the customer's external ID. Every mapper also carries the
+ * discounts, tax, delivery fee and tip, so the amount the system charges adds
+ * up to the order's `total`.
+ *
+ * The Square adapter takes this model as-is. Systems without a mapper get it
+ * unchanged too, so a new adapter only needs a mapper when its backend
+ * adapter does not translate the model itself.
+ *
+ * @module orderMappers
+ */
+
+/**
+ * Endpoint every POS and ordering system adapter creates orders on
+ * @constant {string}
+ */
+export const ORDER_ENDPOINT = 'orders/create';
+
+/**
+ * Splits a full name into first and last name
+ *
+ * @param {string} [name=''] - Full name
+ * @returns {{ firstName: string, lastName: string }} Name parts; the last name may be empty
+ */
+const splitName = (name = '') => {
+  const [firstName = '', ...rest] = name.trim().split(/\s+/);
+  return { firstName, lastName: rest.join(' ') };
+};
+
+/**
+ * Joins the order notes and delivery address into one note
+ *
+ * @param {Object} order - Order in the dashboard's model
+ * @returns {string|undefined} Note, or undefined if there is nothing to add
+ */
+const buildNote = (order) =>
+  [order.notes?.trim(), order.deliveryAddress?.trim() && `Deliver to: ${order.deliveryAddress.trim()}`]
+    .filter(Boolean)
+    .join('\n') || undefined;
+
+/**
+ * Label of the delivery fee when a system takes it as a charge
+ * @constant {string}
+ */
+const DELIVERY_FEE_LABEL = 'Delivery Fee';
+
+/**
+ * Maps an order to a Clover atomic order
+ * Prices are in cents and quantities in thousandths of a unit. The delivery
+ * fee is a line item of its own. Each Clover merchant is one location, so
+ * the location is the merchant ID.
+ *
+ * @param {Object} order - Order in the dashboard's model
+ * @returns {Object} Clover order payload
+ */
+const toCloverOrder = (order) => {
+  const { firstName, lastName } = splitName(order.customerName);
+  const deliveryFeeCents = order.totals?.deliveryFeeCents || 0;
+  return {
+    orderCart: {
+      title: order.customerName,
+      note: buildNote(order),
+      lineItems: [
+        ...order.items.map(item => ({
+          name: item.name,
+          price: toCents(item.price),
+          unitQty: item.quantity * 1000,
+          itemRefId: item.itemId
+        })),
+        ...(deliveryFeeCents > 0 ? [{ name: DELIVERY_FEE_LABEL, price: deliveryFeeCents, unitQty: 1000 }] : [])
+      ],
+      discounts: (order.totals?.discounts || []).map(discount => ({
+        name: discount.label,
+        amount: -discount.amountCents
+      })),
+      customers: [{
+        externalId: order.customerId || undefined,
+        firstName,
+        lastName,
+        phoneNumbers: order.customerPhone ? [{ phoneNumber: order.customerPhone }] : [],
+        emailAddresses: order.customerEmail ? [{ emailAddress: order.customerEmail }] : []
+      }]
+    },
+    merchantId: order.locationId || undefined,
+    taxAmount: order.totals?.taxCents || 0,
+    tipAmount: order.totals?.tipCents || 0
+  };
+};
+
+/**
+ * Maps an order to a Toast order with a single check
+ * The delivery fee and the tip are service charges; the tip is marked as a gratuity.
+ * Each Toast restaurant is one location, identified by its GUID.
+ *
+ * @param {Object} order - Order in the dashboard's model
+ * @returns {Object} Toast order payload
+ */
+const toToastOrder = (order) => {
+  const { firstName, lastName } = splitName(order.customerName);
+  const isDelivery = Boolean(order.deliveryAddress?.trim());
+  return {
+    entityType: 'Order',
+    restaurantGuid: order.locationId || undefined,
+    diningOption: { behavior: isDelivery ? 'DELIVERY' : 'TAKE_OUT' },
+    deliveryInfo: isDelivery ? { address1: order.deliveryAddress.trim() } : undefined,
+    checks: [{
+      entityType: 'Check',
+      customer: {
+        externalId: order.customerId || undefined,
+        firstName,
+        lastName,
+        phone: order.customerPhone || undefined,
+        email: order.customerEmail || undefined
+      },
+      selections: order.items.map(item => ({
+        entityType: 'MenuItemSelection',
+        externalId: item.itemId,
+        displayName: item.name,
+        quantity: item.quantity,
+        price: item.price
+      })),
+      appliedDiscounts: (order.totals?.discounts || []).map(discount => ({
+        name: discount.label,
+        discountAmount: fromCents(discount.amountCents)
+      })),
+      appliedServiceCharges: [
+        { name: DELIVERY_FEE_LABEL, chargeAmount: fromCents(order.totals?.deliveryFeeCents || 0), gratuity: false },
+        { name: 'Tip', chargeAmount: fromCents(order.totals?.tipCents || 0), gratuity: true }
+      ].filter(charge => charge.chargeAmount > 0),
+      taxAmount: fromCents(order.totals?.taxCents || 0),
+      specialRequest: buildNote(order)
+    }]
+  };
+};
+
+/**
+ * Mapper for each system whose adapter expects its own payload format
+ * @constant {Object<string, Function>}
+ */
+export const ORDER_MAPPERS = {
+  clover: toCloverOrder,
+  toast: toToastOrder
+};
+
+/**
+ * Converts an order into the payload of the system it is sent to
+ *
+ * @function mapOrderForSystem
+ * @param {string} system - Target system (e.g., 'square', 'clover')
+ * @param {Object} order - Order in the dashboard's model
+ * @returns {Object} Payload for the system's orders/create endpoint
+ * @example
+ * const payload = mapOrderForSystem('toast', order);
+ * // payload.checks[0].selections = [{ displayName: 'Large Pepperoni Pizza', quantity: 1, ... }]
+ */
+export const mapOrderForSystem = (system, order) => {
+  const mapper = ORDER_MAPPERS[system];
+  return mapper ? mapper(order) : order;
+};
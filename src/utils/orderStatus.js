@@ -0,0 +1,78 @@
+/**
+ * Order Status Workflow
+ *
+ * Defines the statuses an order moves through and which transitions are allowed:
+ * new → preparing → ready → in-delivery → delivered, with canceled reachable
+ * from any open status. Pickup orders go straight from ready to delivered.
+ *
+ * @module orderStatus
+ */
+
+/**
+ * All order statuses in workflow order
+ * @constant {Array<string>}
+ */
+export const ORDER_STATUSES = ['new', 'preparing', 'ready', 'in-delivery', 'delivered', 'canceled'];
+
+/**
+ * Human-readable label for each status
+ * @constant {Object<string, string>}
+ */
+export const ORDER_STATUS_LABELS = {
+  new: 'New',
+  preparing: 'Preparing',
+  ready: 'Ready',
+  'in-delivery': 'In Delivery',
+  delivered: 'Delivered',
+  canceled: 'Canceled'
+};
+
+/**
+ * Allowed next statuses for each status
+ * @constant {Object<string, Array<string>>}
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  new: ['preparing', 'canceled'],
+  preparing: ['ready', 'canceled'],
+  ready: ['in-delivery', 'delivered', 'canceled'],
+  'in-delivery': ['delivered', 'canceled'],
+  delivered: [],
+  canceled: []
+};
+
+/**
+ * Returns the statuses an order can move to from its current status
+ *
+ * @function getNextStatuses
+ * @param {string} status - Current order status
+ * @returns {Array<string>} Allowed next statuses (empty for closed orders)
+ */
+export const getNextStatuses = (status) => ORDER_STATUS_TRANSITIONS[status] || [];
+
+/**
+ * Checks whether an order may move from one status to another
+ *
+ * @function canTransition
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ * @returns {boolean} True if the transition is allowed
+ */
+export const canTransition = (from, to) => getNextStatuses(from).includes(to);
+
+/**
+ * Checks whether an order is closed (delivered or canceled)
+ *
+ * @function isClosedStatus
+ * @param {string} status - Order status
+ * @returns {boolean} True if no further transitions are possible
+ */
+export const isClosedStatus = (status) => getNextStatuses(status).length === 0;
+
+/**
+ * Returns the label for a status, falling back to the raw value
+ *
+ * @function getStatusLabel
+ * @param {string} status - Order status
+ * @returns {string} Human-readable label
+ */
+export const getStatusLabel = (status) => ORDER_STATUS_LABELS[status] || status;
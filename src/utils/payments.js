@@ -0,0 +1,198 @@
+import { toCents, fromCents } from './money';
+import { formatCurrency } from './formatters';
+
+/**
+ * Order Payments
+ *
+ * An order is paid after it was submitted, with one or more tenders: a
+ * customer can pay part in cash and the rest by card. Only cash tenders can
+ * exceed what is due; the difference is handed back as change.
+ *
+ * Each recorded payment can later be refunded in full or in part. The
+ * backend tracks the payment status of every order and also updates it when
+ * an online payment arrives (the `payment.received` webhook event).
+ *
+ * Amounts are in major units on the API and in cents for all math here
+ * (see utils/money).
+ *
+ * @module payments
+ */
+
+/**
+ * Ways a customer can pay
+ * @constant {Object<string, string>}
+ */
+export const PAYMENT_METHODS = {
+  CARD: 'card',
+  CASH: 'cash',
+  ONLINE: 'online'
+};
+
+/**
+ * Display labels for each payment method
+ * @constant {Object<string, string>}
+ */
+export const PAYMENT_METHOD_LABELS = {
+  [PAYMENT_METHODS.CARD]: 'Credit/Debit Card',
+  [PAYMENT_METHODS.CASH]: 'Cash',
+  [PAYMENT_METHODS.ONLINE]: 'Online Payment'
+};
+
+/**
+ * Payment statuses of an order
+ * @constant {Object<string, string>}
+ */
+export const PAYMENT_STATUSES = {
+  UNPAID: 'unpaid',
+  PARTIALLY_PAID: 'partially-paid',
+  PAID: 'paid',
+  PARTIALLY_REFUNDED: 'partially-refunded',
+  REFUNDED: 'refunded'
+};
+
+/**
+ * Display labels for each payment status
+ * @constant {Object<string, string>}
+ */
+export const PAYMENT_STATUS_LABELS = {
+  [PAYMENT_STATUSES.UNPAID]: 'Unpaid',
+  [PAYMENT_STATUSES.PARTIALLY_PAID]: 'Partially Paid',
+  [PAYMENT_STATUSES.PAID]: 'Paid',
+  [PAYMENT_STATUSES.PARTIALLY_REFUNDED]: 'Partially Refunded',
+  [PAYMENT_STATUSES.REFUNDED]: 'Refunded'
+};
+
+/**
+ * Returns the label for a payment status
+ * Orders without a status have not been paid yet
+ *
+ * @function getPaymentStatusLabel
+ * @param {string} [status] - Payment status
+ * @returns {string} Human-readable label
+ */
+export const getPaymentStatusLabel = (status = PAYMENT_STATUSES.UNPAID) =>
+  PAYMENT_STATUS_LABELS[status] || status;
+
+/**
+ * Adds up tenders against the amount due
+ *
+ * @function summarizeTenders
+ * @param {number} amountDueCents - Amount due in cents
+ * @param {Array<Object>} tenders - Tenders ({ method, amount }); amount is what the customer handed over
+ * @returns {Object} { tenderedCents, remainingCents, changeCents, overpaidCents }; overpaidCents
+ *   is the part of a card or online tender above what is due, which can't be given as change
+ * @example
+ * summarizeTenders(2500, [{ method: 'card', amount: 10 }, { method: 'cash', amount: 20 }]);
+ * // { tenderedCents: 3000, remainingCents: 0, changeCents: 500, overpaidCents: 0 }
+ */
+export const summarizeTenders = (amountDueCents, tenders) => {
+  const cashCents = tenders
+    .filter(tender => tender.method === PAYMENT_METHODS.CASH)
+    .reduce((sum, tender) => sum + toCents(tender.amount), 0);
+  const tenderedCents = tenders.reduce((sum, tender) => sum + toCents(tender.amount), 0);
+  const excessCents = Math.max(0, tenderedCents - amountDueCents);
+  const changeCents = Math.min(excessCents, cashCents);
+
+  return {
+    tenderedCents,
+    remainingCents: Math.max(0, amountDueCents - tenderedCents),
+    changeCents,
+    overpaidCents: excessCents - changeCents
+  };
+};
+
+/**
+ * Validates tenders before a payment is recorded
+ * Paying less than is due is allowed; the order stays partially paid
+ *
+ * @function validateTenders
+ * @param {number} amountDueCents - Amount due in cents
+ * @param {Array<Object>} tenders - Tenders ({ method, amount })
+ * @returns {string|null} Error message, or null if the tenders are valid
+ */
+export const validateTenders = (amountDueCents, tenders) => {
+  if (tenders.some(tender => toCents(tender.amount) < 0)) {
+    return 'Tender amounts cannot be negative';
+  }
+  if (!tenders.some(tender => toCents(tender.amount) > 0)) {
+    return 'Enter the amount of at least one tender';
+  }
+  if (summarizeTenders(amountDueCents, tenders).overpaidCents > 0) {
+    return 'Only cash can be more than the amount due';
+  }
+  return null;
+};
+
+/**
+ * Converts tenders to the payment request sent to the backend
+ * The change is taken off the cash tenders, so the amounts add up to what
+ * the order is actually paid; cash tenders keep what was handed over.
+ *
+ * @function toPaymentTenders
+ * @param {number} amountDueCents - Amount due in cents
+ * @param {Array<Object>} tenders - Valid tenders ({ method, amount })
+ * @returns {Array<Object>} Tenders ({ method, amount, tendered }) without empty ones
+ */
+export const toPaymentTenders = (amountDueCents, tenders) => {
+  let changeCents = summarizeTenders(amountDueCents, tenders).changeCents;
+
+  return [...tenders]
+    .reverse()
+    .map(tender => {
+      const tenderedCents = toCents(tender.amount);
+      if (tender.method !== PAYMENT_METHODS.CASH) {
+        return { method: tender.method, amount: fromCents(tenderedCents) };
+      }
+      const givenBackCents = Math.min(changeCents, tenderedCents);
+      changeCents -= givenBackCents;
+      return { method: tender.method, amount: fromCents(tenderedCents - givenBackCents), tendered: fromCents(tenderedCents) };
+    })
+    .reverse()
+    .filter(tender => tender.amount > 0);
+};
+
+/**
+ * Returns how much of a recorded payment can still be refunded
+ *
+ * @function getRefundableCents
+ * @param {Object} payment - Recorded payment ({ amount, refundedAmount })
+ * @returns {number} Refundable amount in cents
+ */
+export const getRefundableCents = (payment) =>
+  Math.max(0, toCents(payment.amount) - toCents(payment.refundedAmount));
+
+/**
+ * Adds up the recorded payments of an order
+ *
+ * @function summarizePayments
+ * @param {Array<Object>} payments - Recorded payments ({ amount, refundedAmount })
+ * @returns {Object} { paidCents, refundedCents, netCents }
+ */
+export const summarizePayments = (payments) => {
+  const paidCents = payments.reduce((sum, payment) => sum + toCents(payment.amount), 0);
+  const refundedCents = payments.reduce((sum, payment) => sum + toCents(payment.refundedAmount), 0);
+  return { paidCents, refundedCents, netCents: paidCents - refundedCents };
+};
+
+/**
+ * Validates a refund before it is sent
+ *
+ * @function validateRefund
+ * @param {Object} payment - Payment being refunded
+ * @param {number|string} amount - Refund amount in major units
+ * @returns {string|null} Error message, or null if the refund is valid
+ */
+export const validateRefund = (payment, amount) => {
+  if (!payment) {
+    return 'Choose the payment to refund';
+  }
+  const amountCents = toCents(amount);
+  if (amountCents <= 0) {
+    return 'Refund amount must be above zero';
+  }
+  const refundableCents = getRefundableCents(payment);
+  if (amountCents > refundableCents) {
+    return `At most ${formatCurrency(fromCents(refundableCents))} of this payment can be refunded`;
+  }
+  return null;
+};
@@ -0,0 +1,65 @@
+/**
+ * Role-Based Permissions
+ *
+ * Defines the staff roles and which routes each role may open. Cashiers work
+ * the counter and reach the orders screen, customer directory and kitchen
+ * display, kitchen staff only reach the kitchen display, and managers can
+ * open everything.
+ *
+ * @module permissions
+ */
+
+/**
+ * Staff roles issued in the JWT `role` claim
+ * @constant {Object<string, string>}
+ */
+export const ROLES = {
+  MANAGER: 'manager',
+  CASHIER: 'cashier',
+  KITCHEN: 'kitchen'
+};
+
+/**
+ * Roles allowed to open each route
+ * @constant {Object<string, Array<string>>}
+ */
+export const ROUTE_ROLES = {
+  '/': [ROLES.MANAGER],
+  '/orders': [ROLES.MANAGER, ROLES.CASHIER],
+  '/customers': [ROLES.MANAGER, ROLES.CASHIER],
+  '/kitchen': [ROLES.MANAGER, ROLES.CASHIER, ROLES.KITCHEN],
+  '/dispatch': [ROLES.MANAGER],
+  '/menu': [ROLES.MANAGER],
+  '/inventory': [ROLES.MANAGER],
+  '/loyalty': [ROLES.MANAGER],
+  '/integrations': [ROLES.MANAGER],
+  '/oauth/callback': [ROLES.MANAGER],
+  '/settings': [ROLES.MANAGER]
+};
+
+/**
+ * Checks whether a role is allowed to open a route
+ * Routes without an entry are open to every signed-in user
+ *
+ * @function canAccessRoute
+ * @param {string} role - The user's role
+ * @param {string} path - Route path (e.g., '/integrations')
+ * @returns {boolean} True if the role may open the route
+ */
+export const canAccessRoute = (role, path) => {
+  const allowedRoles = ROUTE_ROLES[path];
+  return !allowedRoles || allowedRoles.includes(role);
+};
+
+/**
+ * Returns the route a user lands on after signing in
+ *
+ * @function getHomeRoute
+ * @param {string} role - The user's role
+ * @returns {string} Route path
+ */
+export const getHomeRoute = (role) => {
+  if (role === ROLES.MANAGER) return '/';
+  if (role === ROLES.KITCHEN) return '/kitchen';
+  return '/orders';
+};
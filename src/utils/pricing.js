@@ -0,0 +1,177 @@
+import { toCents, fromCents, percentOf } from './money';
+import { formatCurrency } from './formatters';
+
+/**
+ * Order Pricing Engine
+ *
+ * Turns order line totals and the store settings into the full price
+ * breakdown shown in the order form and sent with the order. All amounts are
+ * integer cents. Lines are applied in this order:
+ *
+ * 1. Subtotal - Sum of the line totals
+ * 2. Discounts - Manual percentage/fixed discount, then the coupon, then a
+ *    redeemed loyalty reward; together they never exceed the subtotal
+ * 3. Sales tax - Each tax rate applied to the discounted subtotal
+ * 4. Delivery fee - Charged for delivery orders unless the discounted
+ *    subtotal reaches the free delivery threshold; not taxed
+ * 5. Tip - Percentage of the discounted subtotal, or a fixed amount
+ *
+ * @module pricing
+ */
+
+/**
+ * Discount types supported for manual discounts and coupons
+ * @constant {Object<string, string>}
+ */
+export const DISCOUNT_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed'
+};
+
+/**
+ * Finds a coupon by code, ignoring case and surrounding whitespace
+ *
+ * @function findCoupon
+ * @param {Array<Object>} coupons - Coupons from settings
+ * @param {string} code - Code entered by staff
+ * @returns {Object|undefined} The matching coupon
+ */
+export const findCoupon = (coupons = [], code = '') => {
+  const normalized = code.trim().toUpperCase();
+  if (!normalized) return undefined;
+  return coupons.find(coupon => coupon.code.trim().toUpperCase() === normalized);
+};
+
+/**
+ * Checks whether a coupon can be applied to an order
+ *
+ * @function getCouponError
+ * @param {Object|undefined} coupon - Coupon from findCoupon
+ * @param {number} subtotalCents - Order subtotal in cents
+ * @returns {string|null} Reason the coupon cannot be used, or null if it applies
+ */
+export const getCouponError = (coupon, subtotalCents) => {
+  if (!coupon) return 'Coupon code not found';
+  if (coupon.active === false) return 'This coupon is no longer active';
+  const minimumCents = toCents(coupon.minimumSubtotal);
+  if (subtotalCents < minimumCents) {
+    return `This coupon requires a subtotal of at least ${formatCurrency(fromCents(minimumCents))}`;
+  }
+  return null;
+};
+
+/**
+ * Calculates the amount of a percentage or fixed discount
+ *
+ * @function calculateDiscountCents
+ * @param {Object} discount - Discount ({ type, value }); value is a percent or an amount in major units
+ * @param {number} baseCents - Amount the discount applies to
+ * @returns {number} Discount in cents, capped at the base amount
+ */
+export const calculateDiscountCents = (discount, baseCents) => {
+  if (!discount || !(Number(discount.value) > 0)) return 0;
+  const amount = discount.type === DISCOUNT_TYPES.PERCENT
+    ? percentOf(baseCents, Math.min(Number(discount.value), 100))
+    : toCents(discount.value);
+  return Math.min(amount, baseCents);
+};
+
+/**
+ * Calculates the full price breakdown of an order
+ *
+ * @function calculateOrderTotals
+ * @param {Object} order - Pricing inputs
+ * @param {Array<number>} order.lineTotalsCents - Total of each order line in cents
+ * @param {Object} [order.discount] - Manual discount ({ type, value })
+ * @param {Object} [order.coupon] - Applied coupon ({ code, type, value, minimumSubtotal })
+ * @param {Object} [order.reward] - Redeemed loyalty reward ({ id, name, amountCents }); see utils/loyalty
+ * @param {Object} [order.tip] - Tip ({ type, value }); percent of the discounted subtotal or a fixed amount
+ * @param {boolean} [order.isDelivery=false] - Whether the order is delivered
+ * @param {Object} settings - Store settings (taxRates, delivery)
+ * @returns {Object} Breakdown in cents: subtotalCents, discounts, discountCents,
+ *   taxableCents, taxes, taxCents, deliveryFeeCents, tipCents, totalCents
+ * @example
+ * const totals = calculateOrderTotals(
+ *   { lineTotalsCents: [2198], tip: { type: 'percent', value: 15 } },
+ *   { taxRates: [{ name: 'Sales Tax', rate: 8.25 }], delivery: { fee: 0 } }
+ * );
+ * // totals.totalCents === 2198 + 181 + 330
+ */
+export const calculateOrderTotals = (
+  { lineTotalsCents = [], discount, coupon, reward, tip, isDelivery = false },
+  settings
+) => {
+  const subtotalCents = lineTotalsCents.reduce((sum, cents) => sum + cents, 0);
+
+  // Discounts: manual discount first, then the coupon and reward on what remains
+  const discounts = [];
+  let remainingCents = subtotalCents;
+
+  const manualCents = calculateDiscountCents(discount, remainingCents);
+  if (manualCents > 0) {
+    discounts.push({
+      label: discount.type === DISCOUNT_TYPES.PERCENT ? `Discount (${discount.value}%)` : 'Discount',
+      type: discount.type,
+      amountCents: manualCents
+    });
+    remainingCents -= manualCents;
+  }
+
+  if (coupon && !getCouponError(coupon, subtotalCents)) {
+    const couponCents = calculateDiscountCents(coupon, remainingCents);
+    if (couponCents > 0) {
+      discounts.push({
+        label: `Coupon ${coupon.code}`,
+        type: coupon.type,
+        code: coupon.code,
+        amountCents: couponCents
+      });
+      remainingCents -= couponCents;
+    }
+  }
+
+  const rewardCents = Math.min(reward?.amountCents || 0, remainingCents);
+  if (rewardCents > 0) {
+    discounts.push({
+      label: `Reward: ${reward.name}`,
+      type: 'reward',
+      rewardId: reward.id,
+      amountCents: rewardCents
+    });
+    remainingCents -= rewardCents;
+  }
+
+  const discountCents = subtotalCents - remainingCents;
+  const taxableCents = remainingCents;
+
+  // Sales tax on the discounted subtotal
+  const taxes = (settings.taxRates || []).map(tax => ({
+    name: tax.name,
+    rate: Number(tax.rate) || 0,
+    amountCents: percentOf(taxableCents, tax.rate)
+  }));
+  const taxCents = taxes.reduce((sum, tax) => sum + tax.amountCents, 0);
+
+  // Delivery fee
+  const { fee = 0, freeDeliveryThreshold = 0 } = settings.delivery || {};
+  const freeThresholdCents = toCents(freeDeliveryThreshold);
+  const qualifiesForFreeDelivery = freeThresholdCents > 0 && taxableCents >= freeThresholdCents;
+  const deliveryFeeCents = isDelivery && !qualifiesForFreeDelivery ? toCents(fee) : 0;
+
+  // Tip
+  const tipCents = !tip || !(Number(tip.value) > 0)
+    ? 0
+    : tip.type === DISCOUNT_TYPES.PERCENT ? percentOf(taxableCents, tip.value) : toCents(tip.value);
+
+  return {
+    subtotalCents,
+    discounts,
+    discountCents,
+    taxableCents,
+    taxes,
+    taxCents,
+    deliveryFeeCents,
+    tipCents,
+    totalCents: taxableCents + taxCents + deliveryFeeCents + tipCents
+  };
+};
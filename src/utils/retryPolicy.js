@@ -0,0 +1,85 @@
+/**
+ * Webhook Retry Policy
+ *
+ * Failed webhook deliveries are retried by the backend with exponential
+ * backoff: the first retry waits initialDelaySeconds, and each later retry
+ * waits backoffMultiplier times longer, capped at maxDelaySeconds. After
+ * maxAttempts attempts in total the delivery moves to the dead-letter queue.
+ *
+ * @module retryPolicy
+ */
+
+/**
+ * Retry policy used when a webhook is registered without one
+ * @constant {Object}
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 5,
+  initialDelaySeconds: 30,
+  backoffMultiplier: 2,
+  maxDelaySeconds: 3600
+};
+
+/**
+ * Upper bound on delivery attempts, to keep the dead-letter queue useful
+ * @constant {number}
+ */
+export const MAX_ATTEMPTS_LIMIT = 20;
+
+/**
+ * Returns the wait before each retry of a delivery
+ *
+ * @function computeRetrySchedule
+ * @param {Object} policy - Retry policy
+ * @returns {Array<number>} Delay in seconds before each retry (maxAttempts - 1 entries)
+ * @example
+ * computeRetrySchedule({ maxAttempts: 4, initialDelaySeconds: 30, backoffMultiplier: 2, maxDelaySeconds: 90 });
+ * // [30, 60, 90]
+ */
+export const computeRetrySchedule = (policy) => {
+  const retries = Math.max(0, policy.maxAttempts - 1);
+  return Array.from({ length: retries }, (_, index) =>
+    Math.min(Math.round(policy.initialDelaySeconds * policy.backoffMultiplier ** index), policy.maxDelaySeconds));
+};
+
+/**
+ * Validates a retry policy
+ *
+ * @function getRetryPolicyError
+ * @param {Object} policy - Retry policy
+ * @returns {string|null} Error message, or null if the policy is valid
+ */
+export const getRetryPolicyError = (policy) => {
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1 || policy.maxAttempts > MAX_ATTEMPTS_LIMIT) {
+    return `Max attempts must be a whole number from 1 to ${MAX_ATTEMPTS_LIMIT}`;
+  }
+  if (!(policy.initialDelaySeconds > 0)) {
+    return 'Initial delay must be greater than zero';
+  }
+  if (!(policy.backoffMultiplier >= 1)) {
+    return 'Backoff multiplier must be at least 1';
+  }
+  if (!(policy.maxDelaySeconds >= policy.initialDelaySeconds)) {
+    return 'Max delay cannot be shorter than the initial delay';
+  }
+  return null;
+};
+
+/**
+ * Formats a delay for display
+ *
+ * @function formatDelay
+ * @param {number} seconds - Delay in seconds
+ * @returns {string} e.g. '45s', '2m', '1h 30m'
+ */
+export const formatDelay = (seconds) => {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return rest ? `${minutes}m ${rest}s` : `${minutes}m`;
+  }
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.round((seconds % 3600) / 60);
+  return minutes ? `${hours}h ${minutes}m` : `${hours}h`;
+};
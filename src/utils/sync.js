@@ -0,0 +1,143 @@
+/**
+ * Data Sync
+ *
+ * A sync run copies one or more resources between the dashboard and a
+ * connected system. The backend records every run:
+ *
+ *   {
+ *     id: 'sync_1',
+ *     trigger: 'manual',             // manual | scheduled
+ *     status: 'partial',             // running | succeeded | partial | failed
+ *     startedAt, finishedAt,
+ *     resources: { orders: { created: 3, updated: 1, skipped: 0, failed: 1 } },
+ *     errors: [{ resource: 'orders', message: 'Order 1042 has no items' }],
+ *     conflicts: 2
+ *   }
+ *
+ * A record changed on both sides since the last run is not overwritten; it
+ * becomes a conflict that staff resolve by keeping one version.
+ *
+ * @module sync
+ */
+
+/**
+ * Resources that can be synced
+ * @constant {Object<string, string>}
+ */
+export const SYNC_RESOURCES = {
+  ORDERS: 'orders',
+  CATALOG: 'catalog',
+  CUSTOMERS: 'customers',
+  INVENTORY: 'inventory'
+};
+
+/**
+ * Display labels for each resource
+ * @constant {Object<string, string>}
+ */
+export const SYNC_RESOURCE_LABELS = {
+  [SYNC_RESOURCES.ORDERS]: 'Orders',
+  [SYNC_RESOURCES.CATALOG]: 'Catalog',
+  [SYNC_RESOURCES.CUSTOMERS]: 'Customers',
+  [SYNC_RESOURCES.INVENTORY]: 'Inventory'
+};
+
+/**
+ * Statuses of a sync run
+ * @constant {Object<string, string>}
+ */
+export const SYNC_STATUS = {
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  PARTIAL: 'partial',
+  FAILED: 'failed'
+};
+
+/**
+ * Display labels for each run status
+ * @constant {Object<string, string>}
+ */
+export const SYNC_STATUS_LABELS = {
+  [SYNC_STATUS.RUNNING]: 'Running',
+  [SYNC_STATUS.SUCCEEDED]: 'Succeeded',
+  [SYNC_STATUS.PARTIAL]: 'Completed with errors',
+  [SYNC_STATUS.FAILED]: 'Failed'
+};
+
+/**
+ * Choices for how often a connection syncs on its own
+ * @constant {Array<{ value: number, label: string }>}
+ */
+export const SYNC_INTERVALS = [
+  { value: 0, label: 'Manual only' },
+  { value: 15, label: 'Every 15 minutes' },
+  { value: 60, label: 'Every hour' },
+  { value: 360, label: 'Every 6 hours' },
+  { value: 1440, label: 'Daily' }
+];
+
+/**
+ * Which version of a conflicting record to keep
+ * @constant {Object<string, string>}
+ */
+export const CONFLICT_RESOLUTIONS = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+/**
+ * How often the history is reloaded while a run is in progress (ms)
+ * @constant {number}
+ */
+export const RUNNING_POLL_INTERVAL = 5000;
+
+/**
+ * Summarizes a sync run
+ *
+ * @function summarizeSyncRun
+ * @param {Object} run - Sync run
+ * @returns {{ created: number, updated: number, skipped: number, failed: number, durationMs: number|null }}
+ *   Record counts across all resources and the run's duration (null while running)
+ * @example
+ * summarizeSyncRun({ resources: { orders: { created: 3, failed: 1 }, catalog: { updated: 2 } }, ... });
+ * // { created: 3, updated: 2, skipped: 0, failed: 1, durationMs: 4200 }
+ */
+export const summarizeSyncRun = (run) => {
+  const totals = { created: 0, updated: 0, skipped: 0, failed: 0 };
+  Object.values(run.resources || {}).forEach(counts => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += counts?.[key] || 0;
+    });
+  });
+
+  const started = new Date(run.startedAt).getTime();
+  const finished = new Date(run.finishedAt).getTime();
+  return {
+    ...totals,
+    durationMs: run.finishedAt && Number.isFinite(started) && Number.isFinite(finished) ? finished - started : null
+  };
+};
+
+/**
+ * Formats a run duration
+ *
+ * @function formatSyncDuration
+ * @param {number|null} durationMs - Duration in milliseconds
+ * @returns {string} e.g. '850 ms', '4.2 s', '3m 5s', or '—' when unknown
+ */
+export const formatSyncDuration = (durationMs) => {
+  if (durationMs === null || !Number.isFinite(durationMs)) return '—';
+  if (durationMs < 1000) return `${durationMs} ms`;
+  if (durationMs < 60000) return `${(durationMs / 1000).toFixed(1)} s`;
+  const seconds = Math.round(durationMs / 1000);
+  return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+/**
+ * Checks whether any run in a history is still in progress
+ *
+ * @function isSyncRunning
+ * @param {Array<Object>} [runs=[]] - Sync runs
+ * @returns {boolean} True if a run is running
+ */
+export const isSyncRunning = (runs = []) => runs.some(run => run.status === SYNC_STATUS.RUNNING);
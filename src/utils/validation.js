@@ -0,0 +1,256 @@
+/**
+ * Validation
+ *
+ * Schema validation shared by the forms and the services that send their
+ * data. A schema maps each field to a list of rules; a rule receives the
+ * field's value and the whole object and returns an error message, or null
+ * when the value is valid:
+ *
+ *   const schema = {
+ *     customerName: [required('Customer name is required')],
+ *     customerEmail: [email('Enter a valid email address')]
+ *   };
+ *   validate(schema, { customerName: '', customerEmail: 'jane@' });
+ *   // { customerName: 'Customer name is required', customerEmail: 'Enter a valid email address' }
+ *
+ * Errors are keyed by field path, so forms can show each one next to its
+ * field. Fields of list entries use dotted paths, e.g. 'items.0.quantity'.
+ * Only the first failing rule of a field is reported.
+ *
+ * @module validation
+ */
+
+import { normalizePhone, normalizeEmail } from './customers';
+
+/**
+ * Most digits a phone number can have (E.164)
+ * @constant {number}
+ */
+const MAX_PHONE_DIGITS = 15;
+
+/**
+ * Fewest digits a phone number needs: a US number without its country code
+ * @constant {number}
+ */
+const MIN_PHONE_DIGITS = 10;
+
+/**
+ * Thrown when data fails validation before it is sent
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Object<string, string>} errors - Error messages by field path
+   * @param {string} [message] - Summary shown above the form
+   */
+  constructor(errors, message = 'Please fix the highlighted fields.') {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Checks whether a value was left empty
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Rule: the value must be present
+ *
+ * @function required
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export const required = (message) => (value) => (isEmpty(value) ? message : null);
+
+/**
+ * Rule: the value, if present, must be an email address
+ *
+ * @function email
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export const email = (message) => (value) =>
+  isEmpty(value) || /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizeEmail(value)) ? null : message;
+
+/**
+ * Rule: the value, if present, must be a phone number
+ * Any formatting is accepted as long as the digits make a full number
+ *
+ * @function phone
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export const phone = (message) => (value) => {
+  if (isEmpty(value)) return null;
+  const digits = normalizePhone(value);
+  return /^[\d\s()+.-]+$/.test(String(value).trim())
+    && digits.length >= MIN_PHONE_DIGITS
+    && digits.length <= MAX_PHONE_DIGITS
+    ? null
+    : message;
+};
+
+/**
+ * Rule: the value must be a whole number of at least `min`
+ *
+ * @function wholeNumberAtLeast
+ * @param {number} min - Smallest allowed value
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export const wholeNumberAtLeast = (min, message) => (value) =>
+  (Number.isInteger(Number(value)) && !isEmpty(value) && Number(value) >= min ? null : message);
+
+/**
+ * Rule: the value must be a number above `min`
+ *
+ * @function above
+ * @param {number} min - Value the number must exceed
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export const above = (min, message) => (value) =>
+  (!isEmpty(value) && Number.isFinite(Number(value)) && Number(value) > min ? null : message);
+
+/**
+ * Rule: the list must have at least one entry
+ *
+ * @function nonEmptyList
+ * @param {string} message - Error message
+ * @returns {Function} Rule
+ */
+export const nonEmptyList = (message) => (value) => (Array.isArray(value) && value.length > 0 ? null : message);
+
+/**
+ * Rule: every entry of the list must match a schema
+ * Errors are reported under the entry's index, e.g. 'items.0.quantity'
+ *
+ * @function each
+ * @param {Object<string, Array<Function>>} schema - Schema of one entry
+ * @returns {Function} Rule returning errors by path within the list, or null
+ */
+export const each = (schema) => (value) => {
+  const errors = {};
+  (Array.isArray(value) ? value : []).forEach((entry, index) => {
+    Object.entries(validate(schema, entry || {})).forEach(([path, message]) => {
+      errors[`${index}.${path}`] = message;
+    });
+  });
+  return hasErrors(errors) ? errors : null;
+};
+
+/**
+ * Validates an object against a schema
+ *
+ * @function validate
+ * @param {Object<string, Array<Function>>} schema - Rules by field name
+ * @param {Object} values - Object to validate
+ * @returns {Object<string, string>} Error messages by field path; empty when the object is valid
+ */
+export const validate = (schema, values) => {
+  const errors = {};
+  Object.entries(schema).forEach(([field, rules]) => {
+    for (const rule of rules) {
+      const error = rule(values[field], values);
+      if (!error) continue;
+      if (typeof error === 'string') {
+        errors[field] = error;
+      } else {
+        Object.entries(error).forEach(([path, message]) => {
+          errors[`${field}.${path}`] = message;
+        });
+      }
+      break;
+    }
+  });
+  return errors;
+};
+
+/**
+ * Returns the rules of only the fields present in an object
+ * Used for partial updates, where a missing field keeps its saved value
+ *
+ * @function partialSchema
+ * @param {Object<string, Array<Function>>} schema - Rules by field name
+ * @param {Object} values - Fields being updated
+ * @returns {Object<string, Array<Function>>} Rules of the fields in `values`
+ */
+export const partialSchema = (schema, values) =>
+  Object.fromEntries(Object.entries(schema).filter(([field]) => field in values));
+
+/**
+ * Checks whether a validation result has any errors
+ *
+ * @function hasErrors
+ * @param {Object<string, string>} errors - Result of validate()
+ * @returns {boolean} True if at least one field is invalid
+ */
+export const hasErrors = (errors) => Object.keys(errors).length > 0;
+
+/**
+ * Validates an object and throws if it is invalid
+ *
+ * @function assertValid
+ * @param {Object<string, Array<Function>>} schema - Rules by field name
+ * @param {Object} values - Object to validate
+ * @throws {ValidationError} With the errors by field path
+ */
+export const assertValid = (schema, values) => {
+  const errors = validate(schema, values);
+  if (hasErrors(errors)) throw new ValidationError(errors);
+};
+
+/**
+ * Schema of a customer's details
+ * @constant {Object<string, Array<Function>>}
+ */
+export const CUSTOMER_SCHEMA = {
+  name: [required('Customer name is required')],
+  email: [email('Enter a valid email address')],
+  phone: [phone('Enter a valid phone number')]
+};
+
+/**
+ * Schema of one order item
+ * An item without a name was never matched to a menu item
+ * @constant {Object<string, Array<Function>>}
+ */
+export const ORDER_ITEM_SCHEMA = {
+  name: [required('Choose a menu item')],
+  quantity: [wholeNumberAtLeast(1, 'Quantity must be at least 1')],
+  price: [above(0, 'Price must be above zero')]
+};
+
+/**
+ * Schema of an order in the dashboard's model (see utils/orderMappers)
+ * Customer fields reuse the customer rules under the order's field names
+ * @constant {Object<string, Array<Function>>}
+ */
+export const ORDER_SCHEMA = {
+  customerName: CUSTOMER_SCHEMA.name,
+  customerEmail: CUSTOMER_SCHEMA.email,
+  customerPhone: CUSTOMER_SCHEMA.phone,
+  items: [nonEmptyList('Add at least one item'), each(ORDER_ITEM_SCHEMA)]
+};
+
+/**
+ * Validates an order
+ *
+ * @function validateOrder
+ * @param {Object} order - Order in the dashboard's model
+ * @returns {Object<string, string>} Error messages by field path (e.g. 'customerEmail', 'items.0.price')
+ */
+export const validateOrder = (order) => validate(ORDER_SCHEMA, order);
+
+/**
+ * Validates a customer's details
+ *
+ * @function validateCustomer
+ * @param {Object} customer - Customer ({ name, phone, email })
+ * @returns {Object<string, string>} Error messages by field name
+ */
+export const validateCustomer = (customer) => validate(CUSTOMER_SCHEMA, customer);
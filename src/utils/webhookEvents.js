@@ -0,0 +1,93 @@
+/**
+ * Webhook Event Helpers
+ *
+ * Small helpers for reading the event records returned by
+ * integrationService.getWebhooks() and pushed by the webhook stream.
+ *
+ * @module webhookEvents
+ */
+
+/**
+ * Returns the event type of a webhook event (e.g., 'inventory.updated')
+ * Adapters put the type either on the event itself or inside the payload
+ *
+ * @function getEventType
+ * @param {Object} event - Webhook event record
+ * @returns {string|null} The event type, or null if the event carries none
+ */
+export const getEventType = (event) =>
+  event.type || event.payload?.type || event.payload?.event_type || null;
+
+/**
+ * Returns a stable key identifying a webhook event
+ * Falls back to timestamp and path for events without an ID
+ *
+ * @function getEventKey
+ * @param {Object} event - Webhook event record
+ * @returns {string} Unique event key
+ */
+export const getEventKey = (event) =>
+  event.id ? String(event.id) : `${event.timestamp}|${event.path}`;
+
+/**
+ * Empty event filters (matches every event)
+ * @constant {Object}
+ */
+export const EMPTY_EVENT_FILTERS = {
+  source: 'all',
+  path: 'all',
+  method: 'all',
+  type: 'all',
+  from: '',
+  to: '',
+  search: ''
+};
+
+/**
+ * Checks whether a value appears anywhere in an event's payload
+ * Matches keys and values, ignoring case
+ *
+ * @function payloadContains
+ * @param {Object} event - Webhook event record
+ * @param {string} text - Text to look for
+ * @returns {boolean} True if the payload contains the text
+ */
+export const payloadContains = (event, text) => {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return true;
+  return JSON.stringify(event.payload ?? null).toLowerCase().includes(needle);
+};
+
+/**
+ * Checks whether an event matches the inspector filters
+ * Select filters use 'all' to match everything; from/to are datetime-local
+ * values and are inclusive
+ *
+ * @function matchesEventFilters
+ * @param {Object} event - Webhook event record
+ * @param {Object} filters - Filters (see EMPTY_EVENT_FILTERS)
+ * @returns {boolean} True if the event passes every filter
+ */
+export const matchesEventFilters = (event, filters) => {
+  if (filters.source !== 'all' && event.source !== filters.source) return false;
+  if (filters.path !== 'all' && event.path !== filters.path) return false;
+  if (filters.method !== 'all' && event.method !== filters.method) return false;
+  if (filters.type !== 'all' && getEventType(event) !== filters.type) return false;
+
+  const time = new Date(event.timestamp).getTime();
+  if (filters.from && !(time >= new Date(filters.from).getTime())) return false;
+  if (filters.to && !(time <= new Date(filters.to).getTime())) return false;
+
+  return payloadContains(event, filters.search);
+};
+
+/**
+ * Returns the distinct values of a field across events, for filter dropdowns
+ *
+ * @function getDistinctValues
+ * @param {Array<Object>} events - Webhook event records
+ * @param {Function} getValue - Reads the value from an event
+ * @returns {Array<string>} Sorted distinct values, without empty ones
+ */
+export const getDistinctValues = (events, getValue) =>
+  [...new Set(events.map(getValue).filter(Boolean))].sort();
@@ -0,0 +1,73 @@
+/**
+ * Webhook Signatures
+ *
+ * Signing secrets of the registered webhooks. Each webhook's payloads are
+ * signed with HMAC-SHA256 in one of two header formats:
+ *
+ * - Stripe style: `Stripe-Signature: t=<unix seconds>,v1=<hex hmac>`, signed
+ *   over `<t>.<raw body>`
+ * - Square style: `X-Square-HmacSha256-Signature: <base64 hmac>`, signed over
+ *   the notification URL followed by the raw body
+ *
+ * The dashboard only manages the secrets: they are generated here, sent to
+ * the backend when a webhook is registered or its secret rotated, and loaded
+ * back by the Signing Secrets panel so staff can reveal them. Verifying
+ * signatures is the backend's job. It checks each event on receipt against
+ * the webhook's active secrets (see getActiveSecrets), rejects signed times
+ * more than five minutes from its own receipt time, and stores the result on
+ * the event as `signature` ({ verified, scheme, reason }) for the events
+ * inspector to show.
+ *
+ * @module webhookSignature
+ */
+
+import { randomBase64Url } from './base64url';
+
+/**
+ * How long the previous secret keeps working after a rotation, in seconds
+ * @constant {number}
+ */
+export const ROTATION_GRACE_SECONDS = 24 * 60 * 60;
+
+/**
+ * Prefix of generated signing secrets
+ * @constant {string}
+ */
+export const SECRET_PREFIX = 'whsec_';
+
+/**
+ * Generates a new random signing secret
+ *
+ * @function generateSigningSecret
+ * @returns {string} Secret such as 'whsec_3q2-7wEAAAD...' (32 random bytes)
+ */
+export const generateSigningSecret = () => `${SECRET_PREFIX}${randomBase64Url(32)}`;
+
+/**
+ * Masks a secret for display, keeping the prefix and last four characters
+ *
+ * @function maskSecret
+ * @param {string} secret - The secret
+ * @returns {string} e.g. 'whsec_••••••••f9Qa'
+ */
+export const maskSecret = (secret) => {
+  if (!secret) return '';
+  const prefix = secret.startsWith(SECRET_PREFIX) ? SECRET_PREFIX : '';
+  return `${prefix}••••••••${secret.slice(-4)}`;
+};
+
+/**
+ * Returns the secrets an event may be signed with: the current secret and,
+ * during the grace period after a rotation, the previous one
+ *
+ * @function getActiveSecrets
+ * @param {Object} [registration] - Registered webhook ({ secret, previousSecret, previousSecretExpiresAt })
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<string>} Secrets to try, current first
+ */
+export const getActiveSecrets = (registration, now = Date.now()) => {
+  if (!registration?.secret) return [];
+  const previousValid = registration.previousSecret
+    && new Date(registration.previousSecretExpiresAt).getTime() > now;
+  return previousValid ? [registration.secret, registration.previousSecret] : [registration.secret];
+};